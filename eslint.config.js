@@ -19,7 +19,9 @@ export default [
         setTimeout: 'readonly',
         clearTimeout: 'readonly',
         setInterval: 'readonly',
-        clearInterval: 'readonly'
+        clearInterval: 'readonly',
+        self: 'readonly',
+        Worker: 'readonly'
       }
     },
     rules: {}
@@ -6,7 +6,7 @@ import { ColumnStatsPanel } from '../components/ColumnStatsPanel';
 import { PropertiesPanel } from '../components/PropertiesPanel';
 import HelpModal from '../components/HelpModal';
 import { GraphMinimapPanel } from '../components/GraphMinimapPanel';
-import { TreeNode, FreeLayoutCanvas } from '../components/TreeNode';
+import { TreeNode, FreeLayoutCanvas, ReferenceEdgeOverlay } from '../components/TreeNode';
 import {
   Layout,
   LayoutClassic,
@@ -32,9 +32,46 @@ import {
   QuestionCircle
 } from '../ui/icons';
 import { parseCSVFile, readFileAsArrayBuffer, parseXLSX, MAX_UPLOAD_BYTES, MAX_UPLOAD_MB } from '../utils/ingest';
-import { getChildren, getCalculationOrder, getNodeResult, buildLeafCountMap } from '../utils/nodeUtils';
-import { createDataEngine } from '../utils/dataEngine';
-import { normalizeFilters } from '../utils/filterUtils';
+import { encodeColumnarTable } from '../utils/columnarTable';
+import {
+  getDataModelRowCount,
+  getTableRow,
+  getTableRowCount,
+  restoreDataModel,
+  serializeDataModel
+} from '../utils/dataModel';
+import {
+  getChildren,
+  getCalculationOrder,
+  getNodeResult,
+  buildLeafCountMap,
+  aggregationRequiresField,
+  normalizeAppendParams,
+  getNodeReferences,
+  findReferenceCycleNodes
+} from '../utils/nodeUtils';
+import { createEngineClient } from '../utils/engineClient';
+import { normalizeFilters, normalizeFilterTree, withFilterReferenceDate } from '../utils/filterUtils';
+import {
+  DEFAULT_TOP_N,
+  DEFAULT_OTHERS_LABEL,
+  normalizeSortKeys,
+  normalizeLimitParams,
+  normalizeTopNParams,
+  normalizeDedupeParams
+} from '../utils/sortUtils';
+import { isNumericType } from '../utils/schemaUtils';
+import { DEFAULT_BIN_COUNT, normalizeBinParams } from '../utils/binUtils';
+import { normalizeUnpivotParams, normalizePivotColumnsParams } from '../utils/reshapeUtils';
+import { normalizeColumnsParams } from '../utils/columnUtils';
+import { normalizeCleanParams } from '../utils/cleanUtils';
+import {
+  DEFAULT_SAMPLE_SIZE,
+  DEFAULT_SAMPLE_PERCENT,
+  DEFAULT_SAMPLE_SEED,
+  normalizeSampleParams
+} from '../utils/sampleUtils';
+import { DEFAULT_SQL, normalizeSqlParams } from '../utils/sqlUtils';
 
 const { Title, Text } = Typography;
 
@@ -47,7 +84,7 @@ const createInitialNodes = () => ([
     description: 'Upload dataset',
     branchName: 'Main',
     isExpanded: true,
-    params: { table: null, __files: [] }
+    params: { table: null, columnTypes: {}, __files: [] }
   }
 ]);
 
@@ -66,6 +103,26 @@ const VALID_RENDER_MODES = new Set([
   'freeLayout',
   'mobile'
 ]);
+// Node types the engine runs on their parent's output with the node's own params.
+const ENGINE_STEP_TYPES = new Set([
+  'FILTER',
+  'AGGREGATE',
+  'JOIN',
+  'SORT',
+  'LIMIT',
+  'CALCULATE',
+  'WINDOW',
+  'TOP_N',
+  'BIN',
+  'SAMPLE',
+  'CLEAN',
+  'DEDUPE',
+  'COLUMNS',
+  'UNPIVOT',
+  'PIVOT_COLUMNS',
+  'APPEND',
+  'SQL'
+]);
 const MOBILE_UA_REGEX = /Mobi|Android|iPhone|iPad|iPod|Windows Phone|BlackBerry|IEMobile|Opera Mini|webOS/i;
 const isMobileUserAgent = () => {
   if (typeof navigator === 'undefined') return false;
@@ -144,12 +201,7 @@ const readSessionState = () => {
 
     const viewMode = VALID_VIEW_MODES.has(parsed.viewMode) ? parsed.viewMode : 'canvas';
     const renderMode = VALID_RENDER_MODES.has(parsed.renderMode) ? parsed.renderMode : 'classic';
-    const dataModel = parsed.dataModel
-      && typeof parsed.dataModel === 'object'
-      && parsed.dataModel.tables
-      && Array.isArray(parsed.dataModel.order)
-      ? parsed.dataModel
-      : { tables: {}, order: [] };
+    const dataModel = restoreDataModel(parsed.dataModel);
 
     return {
       history: resolvedHistory,
@@ -307,6 +359,7 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
   const nodeIdCounterRef = useRef(0);
   const filterIdCounterRef = useRef(0);
   const canvasScrollRef = useRef(null);
+  const treeContentRef = useRef(null);
   const pendingCenterNodeRef = useRef(null);
   const isMobileMode = renderMode === 'mobile';
   const isSmartMode = renderMode === 'classicSmart' || renderMode === 'entangledSmart';
@@ -414,7 +467,8 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
           while (tables[finalName]) {
             finalName = `${base} (${suffix++})`;
           }
-          tables[finalName] = rows;
+          // Encoded right away so the parsed row objects can be released before the next file.
+          tables[finalName] = encodeColumnarTable(rows);
           order.push(finalName);
         };
 
@@ -603,7 +657,7 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
         history: sanitizeHistoryForStorage(history),
         historyIndex: safeHistoryIndex,
         selectedNodeId,
-        dataModel,
+        dataModel: serializeDataModel(dataModel),
         rawDataName,
         viewMode,
         renderMode,
@@ -882,54 +936,99 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
   // -------------------------------------------------------------------
   // Tree engine (process the graph of nodes)
   // -------------------------------------------------------------------
-  const dataEngine = useMemo(() => createDataEngine(dataModel), [dataModel]);
+  // Queries run in the engine worker; results are read back through the client's cache.
+  const [engineVersion, setEngineVersion] = useState(0);
+  const engineClient = useMemo(() => createEngineClient({
+    onChange: () => setEngineVersion((version) => version + 1)
+  }), []);
+
+  useEffect(() => () => engineClient.terminate(), [engineClient]);
+
+  useEffect(() => {
+    engineClient.setDataModel(dataModel);
+  }, [engineClient, dataModel]);
+
+  // Relative date filters resolve against the start of today; the specs pick up the new day at midnight.
+  const [today, setToday] = useState(() => new Date().setHours(0, 0, 0, 0));
+  useEffect(() => {
+    const now = new Date();
+    const nextDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+    const timer = window.setTimeout(() => setToday(new Date().setHours(0, 0, 0, 0)), nextDay - now.getTime() + 1000);
+    return () => window.clearTimeout(timer);
+  }, [today]);
 
-  const chainData = useMemo(() => {
+  const chainSpecs = useMemo(() => {
     const order = getCalculationOrder(nodes);
-    const results = [];
-    const validIds = new Set(nodes.map((node) => node.id));
+    const cyclicIds = findReferenceCycleNodes(nodes);
+    const keyById = new Map();
 
-    order.forEach((node) => {
-      const parentKey = node.parentId ? dataEngine.getQueryKey(node.parentId) : '';
+    return order.map((node) => {
+      const parentKey = node.parentId ? (keyById.get(node.parentId) || '') : '';
       let spec = null;
 
-      if (node.type === 'SOURCE') {
+      if (cyclicIds.has(node.id)) {
+        // Pass rows through until the circular reference is removed.
+        spec = { type: 'FILTER', parentId: node.parentId, parentKey, params: {} };
+      } else if (node.type === 'SOURCE') {
         const table = node.params.table || dataModel.order[0];
-        spec = { type: 'SOURCE', table };
-      } else if (node.type === 'FILTER') {
-        spec = { type: 'FILTER', parentId: node.parentId, parentKey, params: node.params };
-      } else if (node.type === 'AGGREGATE') {
-        spec = { type: 'AGGREGATE', parentId: node.parentId, parentKey, params: node.params };
-      } else if (node.type === 'JOIN') {
-        spec = { type: 'JOIN', parentId: node.parentId, parentKey, params: node.params };
+        spec = { type: 'SOURCE', table, params: { columnTypes: node.params.columnTypes || {}, dateFormats: node.params.dateFormats || {} } };
+      } else if (ENGINE_STEP_TYPES.has(node.type)) {
+        const params = node.type === 'FILTER' ? withFilterReferenceDate(node.params, today) : node.params;
+        spec = { type: node.type, parentId: node.parentId, parentKey, params };
       } else {
         spec = { type: 'FILTER', parentId: node.parentId, parentKey, params: {} };
       }
 
-      const query = dataEngine.ensureQuery(node.id, spec);
-      const sampleRows = dataEngine.getSampleRows(node.id, dataEngine.DEFAULT_SAMPLE_SIZE);
-
-      results.push({
-        nodeId: node.id,
-        queryId: node.id,
-        schema: query.schema || [],
-        rowCount: query.rowCount || 0,
-        data: sampleRows,
-        sampleRows,
-        getRowAt: (index, sortBy, sortDirection) => dataEngine.getRowAt(node.id, index, sortBy, sortDirection),
-        getRows: (range, sortBy, sortDirection) =>
-          dataEngine.getRows(node.id, { ...range, sortBy, sortDirection }),
-        getMetric: (fn, field) => dataEngine.getMetric(node.id, fn, field),
-        getPivotData: (specArgs) => dataEngine.getPivotData(node.id, specArgs),
-        getAggregatedRows: (specArgs) => dataEngine.getAggregatedRows(node.id, specArgs),
-        getSampleRows: (size, sortBy, sortDirection) => dataEngine.getSampleRows(node.id, size, sortBy, sortDirection),
-        getColumnStats: (field) => dataEngine.getColumnStats(node.id, field)
-      });
+      const references = cyclicIds.has(node.id) ? [] : getNodeReferences(node);
+      if (references.length > 0) spec.refKeys = references.map((id) => keyById.get(id) || '');
+
+      const key = JSON.stringify(spec);
+      keyById.set(node.id, key);
+      const error = cyclicIds.has(node.id) ? 'Circular reference: this node reads from its own output.' : null;
+      return { queryId: node.id, spec, key, error };
     });
+  }, [nodes, dataModel, today]);
 
-    dataEngine.pruneQueries(validIds);
-    return results;
-  }, [nodes, dataModel, dataEngine]);
+  useEffect(() => {
+    engineClient.run(chainSpecs.map(({ queryId, spec }) => ({ queryId, spec })));
+  }, [engineClient, chainSpecs]);
+
+  const chainData = useMemo(() => chainSpecs.map(({ queryId, error }) => {
+    const snapshot = engineClient.getSnapshot(queryId);
+    const { status, progress } = engineClient.getStatus(queryId);
+    const sampleRows = snapshot?.sampleRows || [];
+    return {
+      nodeId: queryId,
+      queryId,
+      schema: snapshot?.schema || [],
+      columnTypes: snapshot?.columnTypes || {},
+      inferredColumnTypes: snapshot?.inferredColumnTypes || snapshot?.columnTypes || {},
+      rowCount: snapshot?.rowCount || 0,
+      error: error || snapshot?.error || null,
+      warnings: snapshot?.warnings || [],
+      summary: snapshot?.summary || null,
+      status,
+      progress,
+      data: sampleRows,
+      sampleRows,
+      getRowAt: (index, sortBy, sortDirection) => engineClient.readRowAt(queryId, index, sortBy, sortDirection),
+      getRows: (range, sortBy, sortDirection) =>
+        engineClient.read(queryId, 'getRows', { ...range, sortBy, sortDirection }) || [],
+      getMetric: (fn, field) => engineClient.read(queryId, 'getMetric', fn, field) ?? null,
+      getPivotData: (specArgs) => engineClient.read(queryId, 'getPivotData', specArgs)
+        || { rowKeys: [], colKeys: [], matrix: [] },
+      getAggregatedRows: (specArgs) => engineClient.read(queryId, 'getAggregatedRows', specArgs)
+        || { rows: [], outputField: '', outputFields: [] },
+      getSampleRows: (size, sortBy, sortDirection) => {
+        if (!sortBy && size <= sampleRows.length) return sampleRows.slice(0, size);
+        return engineClient.read(queryId, 'getSampleRows', size, sortBy, sortDirection) || sampleRows;
+      },
+      getColumnStats: (field) => engineClient.read(queryId, 'getColumnStats', field) || null
+    };
+  // engineVersion bumps whenever snapshots, progress or cached accessor results change.
+  }), [chainSpecs, engineClient, engineVersion]);
+
+  const getNodeSchema = useCallback((nodeId) => getNodeResult(chainData, nodeId)?.schema || [], [chainData]);
 
   // -------------------------------------------------------------------
   // Node operations (add/insert/remove/toggle)
@@ -953,11 +1052,61 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
     tableShowStats: false,
     target: 100,
     joinType: 'LEFT',
+    sortKeys: [],
+    limit: 10,
+    offset: 0,
+    limitMode: 'top',
+    columnName: '',
+    expression: '',
+    partitionBy: [],
+    windows: [],
+    orderBy: '',
+    orderDirection: 'desc',
+    topN: DEFAULT_TOP_N,
+    includeOthers: false,
+    othersLabel: DEFAULT_OTHERS_LABEL,
+    binField: '',
+    binMethod: 'equal_width',
+    binCount: DEFAULT_BIN_COUNT,
+    binEdges: '',
+    binAlias: '',
+    dedupeKeys: [],
+    dedupeKeep: 'first',
+    dedupeBy: '',
+    dedupeIgnoreCase: false,
+    dedupeTrim: false,
+    cleanOps: [],
+    sampleEnabled: true,
+    sampleMethod: 'rows',
+    sampleSize: DEFAULT_SAMPLE_SIZE,
+    samplePercent: DEFAULT_SAMPLE_PERCENT,
+    sampleStrataBy: '',
+    sampleSeed: DEFAULT_SAMPLE_SEED,
+    columnOps: [],
+    keepNewColumns: true,
+    unpivotColumns: [],
+    unpivotNameColumn: '',
+    unpivotValueColumn: '',
+    unpivotDropBlanks: false,
+    pivotNamesFrom: '',
+    pivotValuesFrom: '',
+    pivotIndex: [],
+    pivotColumnsFn: 'first',
+    pivotColumnPrefix: '',
+    appendTables: [],
+    sourceColumn: '',
+    sql: DEFAULT_SQL,
+    sqlNodeIds: {},
     metrics: [],
     pivotRow: '',
     pivotColumn: '',
     pivotValue: '',
     pivotFn: 'count',
+    pivotRows: [],
+    pivotColumns: [],
+    pivotDisplay: 'value',
+    pivotTotals: true,
+    pivotSubtotals: false,
     assistantQuestion: '',
     assistantUseLLM: false,
     assistantStatus: 'idle',
@@ -985,7 +1134,21 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
   const DEFAULT_NODE_TITLE_BY_TYPE = {
     FILTER: 'Filter Data',
     AGGREGATE: 'Aggregate',
-    JOIN: 'SQL Join'
+    JOIN: 'SQL Join',
+    SORT: 'Sort Rows',
+    LIMIT: 'Limit Rows',
+    CALCULATE: 'Calculated Column',
+    WINDOW: 'Window',
+    TOP_N: 'Top N per Group',
+    BIN: 'Bin Values',
+    DEDUPE: 'Remove Duplicates',
+    CLEAN: 'Clean Data',
+    SAMPLE: 'Sample',
+    COLUMNS: 'Columns',
+    UNPIVOT: 'Unpivot Columns',
+    PIVOT_COLUMNS: 'Pivot to Columns',
+    APPEND: 'Append Tables',
+    SQL: 'SQL Query'
   };
 
   const getDefaultNodeTitle = (type, subtype) => {
@@ -1514,11 +1677,10 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
     typeof value === 'string' ? value.trim() : ''
   );
 
-  const getExplorationStats = (model) => {
-    const order = model?.order || [];
-    const rowCount = order.reduce((sum, name) => sum + ((model.tables?.[name] || []).length), 0);
-    return { tableCount: order.length, rowCount };
-  };
+  const getExplorationStats = (model) => ({
+    tableCount: (model?.order || []).length,
+    rowCount: getDataModelRowCount(model)
+  });
 
   const saveExploration = () => {
     setSaveError(null);
@@ -1535,7 +1697,7 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
       createdAt: existing?.createdAt || now,
       updatedAt: now,
       nodes: sanitizeNodesForStorage(nodes),
-      dataModel,
+      dataModel: serializeDataModel(dataModel),
       rawDataName,
       tableCount: stats.tableCount,
       rowCount: stats.rowCount
@@ -1689,7 +1851,7 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
     setHistory([nextNodes]);
     setHistoryIndex(0);
     setSelectedNodeId(nextNodes[0]?.id || 'node-start');
-    setDataModel(exploration.dataModel || { tables: {}, order: [] });
+    setDataModel(restoreDataModel(exploration.dataModel));
     setRawDataName(exploration.rawDataName || exploration.name || null);
     setLoadError(null);
     setSelectedFiles([]);
@@ -1770,15 +1932,9 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
     }
   };
 
-  const getNumericFields = (data, schema) => {
-    const sample = data.slice(0, 50);
-    return schema.filter((field) => sample.some((row) => {
-      const raw = row[field];
-      if (raw === null || raw === undefined || raw === '') return false;
-      const num = Number(raw);
-      return !Number.isNaN(num);
-    }));
-  };
+  const getNumericFields = (schema, columnTypes) => (
+    schema.filter((field) => isNumericType(columnTypes?.[field]))
+  );
 
   const matchFieldsInQuestion = (question, schema) => {
     const lower = normalizeText(question);
@@ -1807,6 +1963,18 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
       const pattern = new RegExp(`${escaped}\\s*(=|equals|is|>=|<=|>|<|at least|at most|above|below|greater than|less than)\\s*([\\w\\-\\.]+)`, 'i');
       const trailingPattern = new RegExp(`${escaped}[^0-9]{0,10}([0-9]+(?:\\.[0-9]+)?)\\s*(and\\s+above|or\\s+more|and\\s+below|or\\s+less)?`, 'i');
       const containsPattern = new RegExp(`${escaped}\\s*(contains|includes)\\s*([\\w\\-\\.]+)`, 'i');
+      const betweenPattern = new RegExp(`${escaped}\\s*between\\s*([\\w\\-\\.]+)\\s*and\\s*([\\w\\-\\.]+)`, 'i');
+      const blankPattern = new RegExp(`${escaped}\\s*is\\s*(not\\s+)?(blank|empty|missing|null)\\b`, 'i');
+      const betweenMatch = question.match(betweenPattern);
+      if (betweenMatch) {
+        filters.push({ field, operator: 'between', value: betweenMatch[1], valueTo: betweenMatch[2] });
+        continue;
+      }
+      const blankMatch = question.match(blankPattern);
+      if (blankMatch) {
+        filters.push({ field, operator: blankMatch[1] ? 'is_not_null' : 'is_null', value: '' });
+        continue;
+      }
       const match = question.match(pattern);
       if (match) {
         const operatorToken = match[1].toLowerCase();
@@ -1895,16 +2063,25 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
   };
 
   const detectAggregation = (lower) => {
+    const percentileMatch = lower.match(/\bp(\d{1,2})\b/) || lower.match(/\b(\d{1,2})(?:st|nd|rd|th)? percentile\b/);
+    if (percentileMatch) return `p${percentileMatch[1]}`;
+    if (lower.includes('median')) return 'median';
+    if (/(standard deviation|std ?dev)/.test(lower)) return 'stddev';
+    if (lower.includes('variance')) return 'variance';
+    if (/\b(mode|most common|most frequent)\b/.test(lower)) return 'mode';
+    if (/(null|missing|blank|empty) (count|values)|count of (null|missing|blank|empty)/.test(lower)) return 'null_count';
+    if (/(first value|earliest)/.test(lower)) return 'first';
+    if (/(last value|latest|most recent)/.test(lower)) return 'last';
     if (lower.includes('distinct') || lower.includes('unique')) return 'count_distinct';
     if (lower.includes('average') || lower.includes('avg') || lower.includes('mean')) return 'avg';
     if (lower.includes('sum') || lower.includes('total')) return 'sum';
     if (lower.includes('minimum') || lower.includes('min')) return 'min';
     if (lower.includes('maximum') || lower.includes('max') || lower.includes('highest')) return 'max';
     if (lower.includes('count') || lower.includes('how many')) return 'count';
-    return 'count';
+    return null;
   };
 
-  const buildAssistantPlan = (question, schema, data) => {
+  const buildAssistantPlan = (question, schema, data, columnTypes) => {
     const trimmed = question.trim();
     if (!trimmed) {
       return { ok: false, error: 'Please enter a question so I can build a plan.' };
@@ -1915,20 +2092,21 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
 
     const lower = normalizeText(trimmed);
     const matchedFields = matchFieldsInQuestion(trimmed, schema);
-    const numericFields = getNumericFields(data, schema);
+    const numericFields = getNumericFields(schema, columnTypes);
     const nonNumericFields = schema.filter((field) => !numericFields.includes(field));
     const parsedFilters = parseFiltersFromQuestion(trimmed, schema);
     const inferredFilters = inferValueFiltersFromQuestion(trimmed, schema, data);
     const filters = [...parsedFilters, ...inferredFilters].filter((item, idx, arr) => (
       arr.findIndex(other => other.field === item.field && other.value === item.value) === idx
     ));
-    const fn = detectAggregation(lower);
+    const detectedFn = detectAggregation(lower);
+    const fn = detectedFn || 'count';
 
     const wantsPivot = lower.includes('pivot');
     const wantsChart = /(chart|graph|plot)/.test(lower);
     const wantsGauge = lower.includes('gauge');
     const wantsTable = /(table|list|rows|records)/.test(lower);
-    const wantsKpi = /(kpi|metric|number|total|count|sum|avg|average|min|max|distinct)/.test(lower);
+    const wantsKpi = /(kpi|metric|number|total|count|sum|avg|average|min|max|distinct|median|percentile|variance|deviation)/.test(lower);
     const groupIntent = /(group by|by |per |each )/.test(lower);
 
     const countIntent = /(how many|number of|count)/.test(lower);
@@ -1946,8 +2124,8 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
 
     const groupField = groupIntent ? pickGroupField(matchedFields, nonNumericFields, schema) : null;
     const metricField = pickMetricField(matchedFields, numericFields);
-    const fnDetected = /(distinct|unique|average|avg|mean|sum|total|minimum|min|maximum|max|count|how many)/.test(lower);
-    const needsMetricField = ['sum', 'avg', 'min', 'max', 'count_distinct'].includes(fn);
+    const fnDetected = !!detectedFn;
+    const needsMetricField = aggregationRequiresField(fn);
 
     if (needsMetricField && !metricField) {
       return { ok: false, error: 'I could not find a numeric column for that aggregation.' };
@@ -1956,11 +2134,24 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
     const steps = [];
     const planSteps = [];
 
-    if (filters.length) {
+    // "A or B" (ignoring "or more"/"or less" qualifiers) keeps the conditions in one OR filter.
+    const wantsAnyFilter = filters.length > 1
+      && /\bor\b/.test(lower.replace(/\bor (more|less|above|below)\b/g, ''));
+    if (wantsAnyFilter) {
+      steps.push({
+        type: 'FILTER',
+        params: {
+          combinator: 'OR',
+          filters: filters.map(({ field, operator, value, valueTo }) => ({ field, operator, value, valueTo }))
+        },
+        title: 'Filter Data'
+      });
+      planSteps.push(`Filter ${filters.map((filter) => `${filter.field} ${filter.operator} ${filter.value}`).join(' OR ')}`);
+    } else if (filters.length) {
       filters.forEach((filter) => {
         steps.push({
           type: 'FILTER',
-          params: { field: filter.field, operator: filter.operator, value: filter.value },
+          params: { field: filter.field, operator: filter.operator, value: filter.value, valueTo: filter.valueTo },
           title: 'Filter Data'
         });
         planSteps.push(`Filter ${filter.field} ${filter.operator} ${filter.value}`);
@@ -2102,17 +2293,87 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
     return null;
   };
 
+  const sanitizePlanParams = (type, params = {}) => {
+    if (type === 'SORT') {
+      return { sortKeys: normalizeSortKeys(params).filter(key => key.field) };
+    }
+    if (type === 'LIMIT') {
+      const { limit, offset, fromEnd } = normalizeLimitParams(params);
+      return { limit, offset, limitMode: fromEnd ? 'bottom' : 'top' };
+    }
+    if (type === 'TOP_N') {
+      const { groupBy, orderBy, direction, limit, includeOthers, othersLabel } = normalizeTopNParams(params);
+      return { groupBy, orderBy, orderDirection: direction, topN: limit, includeOthers, othersLabel };
+    }
+    if (type === 'BIN') {
+      const { field, alias, spec } = normalizeBinParams(params);
+      return {
+        binField: field,
+        binMethod: spec?.method || 'equal_width',
+        binCount: spec?.count || DEFAULT_BIN_COUNT,
+        binEdges: spec?.edges.join(', ') || '',
+        binAlias: alias
+      };
+    }
+    if (type === 'SAMPLE') {
+      const { enabled, method, size, percent, strataField, seed } = normalizeSampleParams(params);
+      return {
+        sampleEnabled: enabled,
+        sampleMethod: method,
+        sampleSize: size,
+        samplePercent: percent,
+        sampleStrataBy: strataField,
+        sampleSeed: seed
+      };
+    }
+    if (type === 'CLEAN') {
+      return { cleanOps: normalizeCleanParams(params).ops };
+    }
+    if (type === 'DEDUPE') {
+      const { keys, keep, orderBy, ignoreCase, trim } = normalizeDedupeParams(params);
+      return { dedupeKeys: keys, dedupeKeep: keep, dedupeBy: orderBy, dedupeIgnoreCase: ignoreCase, dedupeTrim: trim };
+    }
+    if (type === 'COLUMNS') {
+      const { ops, keepNewColumns } = normalizeColumnsParams(params);
+      return { columnOps: ops, keepNewColumns };
+    }
+    if (type === 'UNPIVOT') {
+      const { columns, nameColumn, valueColumn, dropBlanks } = normalizeUnpivotParams(params);
+      return { unpivotColumns: columns, unpivotNameColumn: nameColumn, unpivotValueColumn: valueColumn, unpivotDropBlanks: dropBlanks };
+    }
+    if (type === 'PIVOT_COLUMNS') {
+      const { namesFrom, valuesFrom, index, fn, prefix } = normalizePivotColumnsParams(params);
+      return { pivotNamesFrom: namesFrom, pivotValuesFrom: valuesFrom, pivotIndex: index, pivotColumnsFn: fn, pivotColumnPrefix: prefix };
+    }
+    if (type === 'APPEND') {
+      const { tables, sourceColumn } = normalizeAppendParams(params);
+      return { appendTables: tables.filter(name => dataModel.order.includes(name)), sourceColumn };
+    }
+    if (type === 'SQL') {
+      // Plans cannot know node ids, so the query may only read `input` and data model tables.
+      return { sql: normalizeSqlParams(params).sql.trim() || DEFAULT_SQL, sqlNodeIds: {} };
+    }
+    if (type === 'FILTER' && Array.isArray(params.filters)) {
+      const { combinator, filters } = normalizeFilterTree(params);
+      return { combinator, filters };
+    }
+    return params;
+  };
+
   const sanitizePlan = (payload) => {
     if (!payload || !Array.isArray(payload.steps)) return null;
     const steps = payload.steps
       .filter(step => step && typeof step.type === 'string')
-      .map(step => ({
-        type: step.type.toUpperCase(),
-        subtype: step.subtype ? String(step.subtype).toUpperCase() : undefined,
-        title: step.title || '',
-        params: step.params || {}
-      }))
-      .filter(step => ['FILTER', 'AGGREGATE', 'JOIN', 'COMPONENT'].includes(step.type));
+      .map(step => {
+        const type = step.type.toUpperCase();
+        return {
+          type,
+          subtype: step.subtype ? String(step.subtype).toUpperCase() : undefined,
+          title: step.title || '',
+          params: sanitizePlanParams(type, step.params || {})
+        };
+      })
+      .filter(step => ['FILTER', 'AGGREGATE', 'SORT', 'LIMIT', 'CALCULATE', 'WINDOW', 'TOP_N', 'BIN', 'DEDUPE', 'CLEAN', 'SAMPLE', 'COLUMNS', 'UNPIVOT', 'PIVOT_COLUMNS', 'APPEND', 'JOIN', 'SQL', 'COMPONENT'].includes(step.type));
     if (!steps.length) return null;
     return {
       ok: payload.ok !== false,
@@ -2137,7 +2398,7 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
     return { ok: true };
   };
 
-  const callLlmPlanner = async ({ question, schema, data }) => {
+  const callLlmPlanner = async ({ question, schema, data, columnTypes }) => {
     const settings = getStoredLlmSettings();
     if (!settings.baseUrl || !settings.model || !settings.apiKey) {
       return { ok: false, error: 'LLM settings are missing.' };
@@ -2153,8 +2414,34 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
       'If the question asks "how many" with a threshold on an average, use AGGREGATE then FILTER then KPI.',
       'Otherwise return:',
       '{ "ok": true, "summary": "...", "planSteps": ["..."], "steps": [',
-      '{ "type": "FILTER", "title": "...", "params": { "field": "...", "operator": "equals|not_equals|contains|gt|lt|gte|lte", "value": "..." } },',
-      '{ "type": "AGGREGATE", "title": "...", "params": { "groupBy": "...", "fn": "count|count_distinct|sum|avg|min|max", "metricField": "..." } },',
+      '{ "type": "FILTER", "title": "...", "params": { "field": "...", "operator": "equals|not_equals|contains|starts_with|ends_with|regex|gt|lt|gte|lte|in|not_in|between|is_null|is_not_null|last_n_days|date_period", "value": "..." } },',
+      'between also takes "valueTo" (inclusive); in/not_in take comma-separated values; is_null/is_not_null take no value; last_n_days takes a day count; date_period takes today|yesterday|this_week|last_week|this_month|last_month|this_quarter|last_quarter|this_year|last_year. Text operators accept "caseSensitive": true.',
+      'FILTER may instead combine conditions: "params": { "combinator": "AND|OR", "filters": [{ "field": "...", "operator": "...", "value": "..." }, { "type": "group", "combinator": "AND|OR", "negate": false, "filters": [ ... ] }] }.',
+      '{ "type": "AGGREGATE", "title": "...", "params": { "groupBy": "...", "fn": "count|count_distinct|sum|avg|min|max|median|p90|stddev|variance|mode|first|last|null_count", "metricField": "..." } },',
+      'Percentiles are written as "p" plus a number, e.g. "p25", "p95".',
+      'AGGREGATE may instead use "groupBy": ["...", "..."] and "metrics": [{ "fn": "...", "field": "...", "alias": "..." }] for several groups or metrics.',
+      'AGGREGATE may bucket date dimensions with "groupByGrains": { "<date field>": "day|week|month|quarter|year|day_of_week|hour|hour_of_day" }.',
+      '{ "type": "SORT", "title": "...", "params": { "sortKeys": [{ "field": "...", "direction": "asc|desc", "nulls": "first|last" }] } },',
+      '{ "type": "LIMIT", "title": "...", "params": { "limit": 10, "offset": 0, "limitMode": "top|bottom" } },',
+      '{ "type": "CALCULATE", "title": "...", "params": { "columnName": "...", "expression": "[price] - [cost]" } },',
+      '{ "type": "WINDOW", "title": "...", "params": { "partitionBy": ["..."], "sortKeys": [{ "field": "...", "direction": "asc|desc" }], "windows": [{ "fn": "row_number|rank|dense_rank|running_sum|running_count|lag|lead|pct_of_total|moving_avg", "field": "...", "alias": "...", "offset": 1, "size": 3 }] } },',
+      '{ "type": "TOP_N", "title": "...", "params": { "groupBy": ["..."], "orderBy": "...", "orderDirection": "desc|asc", "topN": 3, "includeOthers": false } },',
+      '{ "type": "BIN", "title": "...", "params": { "binField": "...", "binMethod": "equal_width|quantile|custom", "binCount": 10, "binEdges": "0, 50, 100", "binAlias": "..." } },',
+      'AGGREGATE may bin numeric dimensions with "groupByBins": { "<numeric field>": { "method": "equal_width|quantile|custom", "count": 10, "edges": "0, 50, 100" } }.',
+      '{ "type": "DEDUPE", "title": "...", "params": { "dedupeKeys": ["..."], "dedupeKeep": "first|last|max|min", "dedupeBy": "...", "dedupeIgnoreCase": false, "dedupeTrim": false } },',
+      'DEDUPE keeps one row per key combination (all columns when dedupeKeys is empty); max/min keep the row with the highest/lowest dedupeBy.',
+      '{ "type": "CLEAN", "title": "...", "params": { "cleanOps": [{ "field": "...", "trim": true, "case": "lower|upper|title", "replacements": [{ "find": "...", "replace": "...", "regex": false }], "mapping": [{ "from": "...", "to": "..." }], "fillMode": "value|previous", "fillValue": "...", "splitDelimiter": ",", "splitCount": 2, "splitNames": ["...", "..."] }] } },',
+      'CLEAN fixes text values per column in place (trim, case, find/replace, mapping, fill blanks) before grouping; a split adds one column per part.',
+      '{ "type": "SAMPLE", "title": "...", "params": { "sampleMethod": "rows|percent", "sampleSize": 1000, "samplePercent": 10, "sampleStrataBy": "...", "sampleSeed": 42 } },',
+      'SAMPLE keeps a reproducible random subset; with sampleStrataBy every value keeps its share of the rows.',
+      '{ "type": "COLUMNS", "title": "...", "params": { "columnOps": [{ "field": "...", "name": "new name", "type": "string|integer|decimal|date|datetime|boolean", "include": true }], "keepNewColumns": true } },',
+      'COLUMNS drops (include: false), renames, casts and reorders columns; listed columns come first in list order.',
+      '{ "type": "UNPIVOT", "title": "...", "params": { "unpivotColumns": ["Jan", "Feb"], "unpivotNameColumn": "month", "unpivotValueColumn": "value", "unpivotDropBlanks": false } },',
+      '{ "type": "PIVOT_COLUMNS", "title": "...", "params": { "pivotNamesFrom": "...", "pivotValuesFrom": "...", "pivotIndex": ["..."], "pivotColumnsFn": "first|sum|avg|count|..." } },',
+      'UNPIVOT turns wide columns (one per month) into rows; PIVOT_COLUMNS turns the values of one column into new columns.',
+      '{ "type": "APPEND", "title": "...", "params": { "appendTables": ["..."], "sourceColumn": "source_table" } },',
+      '{ "type": "SQL", "title": "...", "params": { "sql": "SELECT region, SUM(amount) AS total FROM input GROUP BY region ORDER BY total DESC" } },',
+      'SQL runs one SELECT over the previous step (named input) and data model tables, with JOIN ... ON, WHERE, GROUP BY, HAVING, ORDER BY and LIMIT.',
       '{ "type": "COMPONENT", "subtype": "TABLE|PIVOT|CHART|KPI|GAUGE", "title": "...", "params": { ... } } ] }',
       'Use only columns from schema. Keep params minimal.',
       'Example for: "How many models of Sneakers does Adidas have with an Average rating of 4.3 and above?"',
@@ -2179,6 +2466,7 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
           content: JSON.stringify({
             question,
             schema,
+            columnTypes,
             dataSample: data.slice(0, 20)
           })
         }
@@ -2308,7 +2596,7 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
     let plan = null;
     let llmError = '';
     if (llmAttempted) {
-      const llmPlan = await callLlmPlanner({ question, schema, data });
+      const llmPlan = await callLlmPlanner({ question, schema, data, columnTypes: result?.columnTypes });
       if (llmPlan.ok) {
         plan = llmPlan;
       } else {
@@ -2317,7 +2605,7 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
       }
     }
 
-    const fallback = plan ? null : buildAssistantPlan(question, schema, data);
+    const fallback = plan ? null : buildAssistantPlan(question, schema, data, result?.columnTypes);
     const finalPlan = plan || fallback;
 
     if (!finalPlan || !finalPlan.ok) {
@@ -2354,7 +2642,7 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
     if (isLoadingFile) return { title: 'Loading…', detail: 'Parsing files and building tables…', loading: true };
     if (loadError) return { title: 'Error', detail: loadError };
     const tableCount = dataModel.order.length;
-    const totalRows = dataModel.order.reduce((sum, name) => sum + ((dataModel.tables[name] || []).length), 0);
+    const totalRows = getDataModelRowCount(dataModel);
     const label = rawDataName || 'Dataset';
     if (tableCount === 0) {
       return { title: 'No data', detail: 'Upload a CSV or Excel file to get started.' };
@@ -2364,7 +2652,15 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
 
   const selectedResult = getNodeResult(chainData, selectedNodeId);
   const selectedSchema = selectedResult?.schema || [];
+  const selectedParentId = findNodeById(selectedNodeId)?.parentId;
+  const selectedInputSchema = selectedParentId
+    ? (getNodeResult(chainData, selectedParentId)?.schema || [])
+    : selectedSchema;
   const selectedData = selectedResult?.sampleRows || selectedResult?.data || [];
+  const selectedColumnTypes = selectedResult?.columnTypes || {};
+  const selectedInputColumnTypes = selectedParentId
+    ? (getNodeResult(chainData, selectedParentId)?.columnTypes || {})
+    : selectedColumnTypes;
 
   const renderModeLabels = {
     classic: 'Classic',
@@ -2770,7 +3066,7 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
                   {explorations.map((exp) => {
                     const order = exp.dataModel?.order || [];
                     const tableCount = exp.tableCount ?? order.length;
-                    const rowCount = exp.rowCount ?? order.reduce((sum, name) => sum + ((exp.dataModel?.tables?.[name] || []).length), 0);
+                    const rowCount = exp.rowCount ?? getDataModelRowCount(exp.dataModel);
                     const nodesList = Array.isArray(exp.nodes) ? exp.nodes : [];
                     const nodeCount = nodesList.length;
                     const branchCount = nodesList.reduce((sum, node) => (
@@ -3005,11 +3301,15 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
                 onRenameBranch={renameBranch}
               />
             ) : (
-              <div className={isMobileMode
-                ? 'w-full flex justify-center px-4 py-6 items-start min-h-full'
-                : (isSmartMode
-                  ? 'w-full flex justify-start px-20 pt-6 items-start min-h-full'
-                  : 'min-w-full inline-flex justify-center p-20 items-start min-h-full')}>
+              <div
+                ref={treeContentRef}
+                className={isMobileMode
+                  ? 'relative z-0 w-full flex justify-center px-4 py-6 items-start min-h-full'
+                  : (isSmartMode
+                    ? 'relative z-0 w-full flex justify-start px-20 pt-6 items-start min-h-full'
+                    : 'relative z-0 min-w-full inline-flex justify-center p-20 items-start min-h-full')}
+              >
+                <ReferenceEdgeOverlay containerRef={treeContentRef} nodes={nodes} layoutKey={chainData} />
                 <TreeNode
                   nodeId="node-start"
                   nodes={nodes}
@@ -3115,8 +3415,14 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
       {viewMode === 'canvas' && !isMobileMode && !isPropertiesCollapsed && (
         <PropertiesPanel
           node={nodes.find(n => n.id === selectedNodeId)}
+          nodes={nodes}
+          getNodeSchema={getNodeSchema}
           updateNode={updateNodeFromPanel}
           schema={selectedSchema}
+          inputSchema={selectedInputSchema}
+          columnTypes={selectedColumnTypes}
+          inputColumnTypes={selectedInputColumnTypes}
+          inferredColumnTypes={selectedResult?.inferredColumnTypes}
           data={selectedData}
           dataModel={dataModel}
           sourceStatus={sourceStatus}
@@ -3141,8 +3447,14 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
         >
           <PropertiesPanel
             node={nodes.find(n => n.id === selectedNodeId)}
+            nodes={nodes}
+            getNodeSchema={getNodeSchema}
             updateNode={updateNodeFromPanel}
             schema={selectedSchema}
+            inputSchema={selectedInputSchema}
+            columnTypes={selectedColumnTypes}
+            inputColumnTypes={selectedInputColumnTypes}
+            inferredColumnTypes={selectedResult?.inferredColumnTypes}
             data={selectedData}
             dataModel={dataModel}
             sourceStatus={sourceStatus}
@@ -3214,7 +3526,7 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
           ) : (
             <div className={`grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 ${isMobileMode ? 'gap-4' : 'gap-6'}`}>
               {dataModel.order.map((tableName) => {
-                const baseRow = (dataModel.tables[tableName] || [])[0] || {};
+                const baseRow = getTableRow(dataModel.tables[tableName], 0) || {};
                 const rows = Object.keys(baseRow).map((col) => ({
                   column: col,
                   sample: String(baseRow[col] ?? '')
@@ -3273,7 +3585,7 @@ const AnalysisApp = ({ themePreference = 'auto', onThemeChange }) => {
                       </table>
                     </div>
                     <div className="mt-auto p-3 bg-gray-50 border-t border-gray-100 text-xs text-gray-500 text-center dark:bg-slate-800 dark:border-slate-700 dark:text-slate-400">
-                      {(dataModel.tables[tableName] || []).length} total records
+                      {getTableRowCount(dataModel.tables[tableName])} total records
                     </div>
                   </Card>
                 );
@@ -4,6 +4,7 @@ import React from 'react';
 import { Button, Card, Empty, Progress, Select, Space, Statistic, Typography } from 'antd';
 import { LinkIcon, Minimize2, Share2 } from '../ui/icons';
 import { formatNumber } from '../utils/nodeUtils';
+import { COLUMN_TYPE_LABELS, isDateType } from '../utils/schemaUtils';
 
 const { Text, Title } = Typography;
 
@@ -24,6 +25,12 @@ const formatNumeric = (value) => {
 
 const formatPercent = (value) => `${Math.round(value)}%`;
 
+const formatDate = (value, type) => {
+  if (value === null || value === undefined) return 'n/a';
+  const date = new Date(value);
+  return type === 'datetime' ? date.toLocaleString() : date.toLocaleDateString();
+};
+
 const StatCard = ({ label, value, helper }) => (
   <Card size="small">
     <Statistic title={label} value={value} />
@@ -172,6 +179,9 @@ const ColumnStatsPanel = ({
               {...selectDropdownProps}
               style={{ width: '100%' }}
             />
+            {stats?.type && (
+              <Text type="secondary" className="text-xs">Type: {COLUMN_TYPE_LABELS[stats.type] || stats.type}</Text>
+            )}
           </Space>
         )}
 
@@ -192,13 +202,22 @@ const ColumnStatsPanel = ({
               <StatCard label="Distinct" value={formatNumber(stats.distinctCount)} />
             </div>
 
-            <Card size="small" title="Numeric Summary">
-              <div className={`grid ${isMobile ? 'grid-cols-1' : 'grid-cols-3'} gap-2`}>
-                <Statistic title="Min" value={formatNumeric(stats.min)} />
-                <Statistic title="Max" value={formatNumeric(stats.max)} />
-                <Statistic title="Avg" value={formatNumeric(stats.avg)} />
-              </div>
-            </Card>
+            {isDateType(stats.type) ? (
+              <Card size="small" title="Date Range">
+                <div className={`grid ${isMobile ? 'grid-cols-1' : 'grid-cols-2'} gap-2`}>
+                  <Statistic title="Earliest" value={formatDate(stats.earliest, stats.type)} />
+                  <Statistic title="Latest" value={formatDate(stats.latest, stats.type)} />
+                </div>
+              </Card>
+            ) : (
+              <Card size="small" title="Numeric Summary">
+                <div className={`grid ${isMobile ? 'grid-cols-1' : 'grid-cols-3'} gap-2`}>
+                  <Statistic title="Min" value={formatNumeric(stats.min)} />
+                  <Statistic title="Max" value={formatNumeric(stats.max)} />
+                  <Statistic title="Avg" value={formatNumeric(stats.avg)} />
+                </div>
+              </Card>
+            )}
 
             <Card size="small" title="Top Values" extra={<Text type="secondary">{stats.distinctCount} distinct</Text>}>
               {stats.topValues.length === 0 ? (
@@ -0,0 +1,94 @@
+// src/components/FilterValueInput.jsx
+// Value editor for a filter condition; the controls depend on the operator.
+import React from 'react';
+import { Checkbox, Input, InputNumber, Select, Space, Typography } from 'antd';
+import { DATE_PERIODS, getFilterValueKind, isTextFilterOperator } from '../utils/filterUtils';
+
+const { Text } = Typography;
+
+const getRegexError = (filter) => {
+  if (filter.operator !== 'regex' || !filter.value) return '';
+  try {
+    new RegExp(String(filter.value));
+    return '';
+  } catch (err) {
+    return err?.message || 'Invalid pattern.';
+  }
+};
+
+const FilterValueInput = ({ filter, onChange, size }) => {
+  const kind = getFilterValueKind(filter.operator);
+  if (kind === 'none') return null;
+
+  if (kind === 'range') {
+    return (
+      <Space.Compact style={{ width: '100%' }} size={size}>
+        <Input
+          placeholder="Min"
+          value={filter.value ?? ''}
+          onChange={(e) => onChange({ value: e.target.value })}
+        />
+        <Input
+          placeholder="Max"
+          value={filter.valueTo ?? ''}
+          onChange={(e) => onChange({ valueTo: e.target.value })}
+        />
+      </Space.Compact>
+    );
+  }
+
+  if (kind === 'days') {
+    return (
+      <InputNumber
+        min={1}
+        precision={0}
+        size={size}
+        placeholder="Days"
+        value={filter.value === '' || filter.value == null ? null : Number(filter.value)}
+        onChange={(value) => onChange({ value: value ?? '' })}
+        addonAfter="days"
+        style={{ width: '100%' }}
+      />
+    );
+  }
+
+  if (kind === 'period') {
+    return (
+      <Select
+        size={size}
+        placeholder="Select period"
+        value={filter.value || undefined}
+        onChange={(value) => onChange({ value })}
+        options={DATE_PERIODS}
+        popupMatchSelectWidth={false}
+        style={{ width: '100%' }}
+      />
+    );
+  }
+
+  const regexError = getRegexError(filter);
+  return (
+    <div className="w-full">
+      <Input
+        size={size}
+        status={regexError ? 'error' : undefined}
+        placeholder={kind === 'list' ? 'Comma-separated values...' : 'Value...'}
+        value={filter.value ?? ''}
+        onChange={(e) => onChange({ value: e.target.value })}
+        style={{ width: '100%' }}
+      />
+      {regexError && <Text type="danger" className="text-xs">{regexError}</Text>}
+      {isTextFilterOperator(filter.operator) && (
+        <Checkbox
+          checked={!!filter.caseSensitive}
+          onChange={(e) => onChange({ caseSensitive: e.target.checked })}
+          className="mt-1"
+        >
+          Match case
+        </Checkbox>
+      )}
+    </div>
+  );
+};
+
+export { FilterValueInput };
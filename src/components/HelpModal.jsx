@@ -33,6 +33,7 @@ const HelpModal = ({ open, onClose, isMobile }) => {
               <li>Each CSV becomes a table. Excel workbooks become one table per sheet.</li>
               <li>Sheet tables are named using the pattern file:sheet for easy tracing.</li>
               <li>If multiple tables exist, pick the active table in the Properties panel.</li>
+              <li>Excel date cells load as ISO dates. For text dates, use Date Parsing in the Source panel to pick a format (for example DD/MM/YYYY) or a custom pattern.</li>
             </ul>
           </Section>
           <Section title="Limits and validation">
@@ -101,13 +102,25 @@ const HelpModal = ({ open, onClose, isMobile }) => {
           <Section title="Transformation steps">
             <ul className="list-disc pl-5 space-y-1">
               <li>Filter nodes apply conditions such as equals, contains, and comparisons.</li>
-              <li>Aggregate nodes group rows and compute metrics over numeric columns.</li>
-              <li>SQL Join nodes combine tables with LEFT/INNER/RIGHT joins.</li>
+              <li>Aggregate nodes group rows and compute metrics over numeric columns. Date dimensions can be grouped by a time grain (day, week, month, quarter, year, day of week, hour); pivot rows/columns and chart X axes offer the same grains.</li>
+              <li>SQL Join nodes combine tables on one or more keys with INNER/LEFT/RIGHT/FULL joins, or keep rows with (SEMI) or without (ANTI) a match. The node card shows how many rows matched. The right side can also be another node's output (for example an aggregated branch); these cross-branch links are drawn as dashed pink edges. Fuzzy Text mode matches each row to its most similar name above a threshold; In Range and As Of modes match a value or date to an interval or the latest earlier row. These modes add a match confidence column.</li>
+              <li>Calculated Column nodes derive a new field from an expression, e.g. <code>[price] - [cost]</code>.</li>
+              <li>Window nodes add per-row values such as rank, running totals, lag/lead and moving averages within partitions.</li>
+              <li>Bin nodes group a numeric column into equal-width, quantile or custom ranges and add a label column plus an order column for sorting. Aggregate dimensions and pivot rows/columns can be binned the same way.</li>
+              <li>Columns nodes keep, reorder, rename and cast columns (text, numbers, dates, booleans) so later steps, charts and the assistant only see the fields you want, for example after a join.</li>
+              <li>Unpivot nodes turn wide columns (for example one per month) into name/value rows; Pivot to Columns nodes do the reverse, making one column per distinct value. Both produce regular steps you can filter, chart and join.</li>
+              <li>Sample nodes keep a random subset of rows, either a fixed number or a percentage, optionally stratified so every value of a column keeps its share. The same seed always picks the same rows, and switching sampling off runs the following steps on the full data.</li>
+              <li>Clean Data nodes fix text values column by column before you group them: trim spaces, change case, find and replace (plain text or regular expressions), map values to new ones, fill blanks with a fixed or previous value, and split a column on a delimiter into several.</li>
+              <li>Remove Duplicates nodes keep one row per distinct value of all columns or chosen key columns, taking the first, last, or highest/lowest row by a column. The node card shows how many rows were removed.</li>
+              <li>Top N per Group nodes keep the highest (or lowest) rows of each group, optionally with an Others row for the rest.</li>
+              <li>Append nodes stack other tables or node outputs (for example one sheet per month) below the incoming rows, matching columns by name.</li>
+              <li>SQL Query nodes run one SELECT statement over the incoming step (<code>input</code>), data model tables and other steps by title, with JOIN … ON, WHERE, GROUP BY, HAVING, ORDER BY, LIMIT and DISTINCT. As in SQL, a comparison with NULL never matches (use IS NULL to keep those rows) and LIKE is case-sensitive. The query runs as regular filter, join, aggregate, sort and column steps; syntax errors are marked in the editor with their line and column.</li>
             </ul>
           </Section>
           <Section title="Component types">
             <ul className="list-disc pl-5 space-y-1">
               <li>Table and Pivot Table display rows with sorting and pivot controls.</li>
+              <li>Pivot tables nest several row and column fields, add grand totals and subtotals (recomputed from the rows, so averages stay exact), can show values as a % of row, column or total, and sort rows by clicking a value column header.</li>
               <li>Charts render bar or line visuals with optional aggregations.</li>
               <li>KPI and Gauge summarize single metrics against a target.</li>
               <li>AI Assistant converts a question into filter, aggregate, and view steps.</li>
@@ -116,7 +129,9 @@ const HelpModal = ({ open, onClose, isMobile }) => {
           <Section title="Inline filtering">
             <Text>
               Use table cell actions to add filters quickly, or attach filters directly
-              to a step to refine its output.
+              to a step to refine its output. In the properties panel, switch a filter step
+              to match any condition (OR), or add groups that combine conditions with AND/OR
+              and can be negated with NOT.
             </Text>
           </Section>
         </div>
@@ -136,7 +151,8 @@ const HelpModal = ({ open, onClose, isMobile }) => {
           <Section title="Column stats">
             <Text>
               Column Stats summarizes distribution, nulls, and numeric stats for the
-              selected column. On desktop it can be detached or collapsed.
+              selected column. On desktop it can be detached or collapsed. Column types are
+              inferred automatically and can be overridden on the source step.
             </Text>
           </Section>
           <Section title="Navigation and history">
@@ -1,6 +1,6 @@
 // src/components/PropertiesPanel.js
 // Right-side configuration panel for the selected node.
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Button,
   Card,
@@ -20,9 +20,64 @@ import {
   Typography,
   Upload
 } from 'antd';
-import { Database, Settings, Play, BarChart3, TrendingUp, Hash, Globe, Plus, Trash2, Minimize2 } from '../ui/icons';
+import { Database, Settings, Play, BarChart3, TrendingUp, Hash, Globe, Plus, Trash2, Minimize2, ArrowUp, ArrowDown } from '../ui/icons';
+import { FilterValueInput } from './FilterValueInput';
 import { MAX_UPLOAD_BYTES, MAX_UPLOAD_MB } from '../utils/ingest';
-import { normalizeFilters } from '../utils/filterUtils';
+import { getTableFields } from '../utils/dataModel';
+import {
+  FILTER_COMBINATORS,
+  FILTER_OPERATOR_OPTIONS,
+  createFilterCondition,
+  createFilterGroup,
+  getFilterValueKind,
+  isFilterGroup,
+  normalizeFilters,
+  resolveFilterCombinator
+} from '../utils/filterUtils';
+import { DEDUPE_KEEP_RULES, normalizeSortKeys, normalizeLimitParams, normalizeTopNParams, normalizeDedupeParams } from '../utils/sortUtils';
+import { EXPRESSION_FUNCTIONS, parseExpression } from '../utils/expression';
+import { normalizeAggregateParams, aggregationRequiresField, getDependentNodeIds, parsePercentile } from '../utils/nodeUtils';
+import {
+  DEFAULT_CONFIDENCE_COLUMN,
+  DEFAULT_RIGHT_SUFFIX,
+  FUZZY_METHODS,
+  JOIN_MATCH_MODES,
+  JOIN_TYPES,
+  formatJoinCondition,
+  getJoinConfidenceColumn,
+  isFilteringJoin,
+  normalizeJoinKeys,
+  normalizeJoinParams,
+  usesRangeMatch
+} from '../utils/joinUtils';
+import { COLUMN_TYPES, COLUMN_TYPE_LABELS, isDateType, isNumericType } from '../utils/schemaUtils';
+import { DATE_FORMATS, TIME_GRAINS } from '../utils/dateUtils';
+import { BIN_METHODS, DEFAULT_BIN_COUNT, normalizeBinParams } from '../utils/binUtils';
+import { PIVOT_DISPLAY_MODES } from '../utils/pivotUtils';
+import {
+  DEFAULT_UNPIVOT_NAME_COLUMN,
+  DEFAULT_UNPIVOT_VALUE_COLUMN,
+  normalizeUnpivotParams,
+  normalizePivotColumnsParams
+} from '../utils/reshapeUtils';
+import { CAST_TYPES, listColumnOps, normalizeColumnsParams } from '../utils/columnUtils';
+import { SAMPLE_METHODS, normalizeSampleParams } from '../utils/sampleUtils';
+import { SQL_INPUT_SOURCE, compileSql, getSqlSourceNames, parseSql } from '../utils/sqlUtils';
+import {
+  CLEAN_CASES,
+  FILL_MODES,
+  MAX_SPLIT_PARTS,
+  normalizeCleanOp,
+  getSplitColumnNames,
+  createCleaner
+} from '../utils/cleanUtils';
+import {
+  DEFAULT_MOVING_WINDOW,
+  DEFAULT_WINDOW_OFFSET,
+  WINDOW_FUNCTIONS,
+  windowFunctionAcceptsField,
+  windowFunctionRequiresField
+} from '../utils/windowUtils';
 
 const { Title, Text } = Typography;
 
@@ -35,15 +90,30 @@ const KPI_FUNCTIONS = [
   { value: 'sum', label: 'Sum' },
   { value: 'avg', label: 'Average' },
   { value: 'min', label: 'Min' },
-  { value: 'max', label: 'Max' }
+  { value: 'max', label: 'Max' },
+  { value: 'median', label: 'Median' },
+  { value: 'p25', label: '25th Percentile' },
+  { value: 'p75', label: '75th Percentile' },
+  { value: 'p90', label: '90th Percentile' },
+  { value: 'p95', label: '95th Percentile' },
+  { value: 'p99', label: '99th Percentile' },
+  { value: 'stddev', label: 'Std Deviation' },
+  { value: 'variance', label: 'Variance' },
+  { value: 'mode', label: 'Mode (Most Common)' },
+  { value: 'first', label: 'First Value' },
+  { value: 'last', label: 'Last Value' },
+  { value: 'null_count', label: 'Blank Count' }
 ];
 
+const CUSTOM_PERCENTILE = 'custom_percentile';
+
 const CHART_AGG_FUNCTIONS = [
   { value: 'none', label: 'None (raw values)' },
   ...KPI_FUNCTIONS
 ];
 
-const requiresMetricField = (fn) => ['sum', 'avg', 'min', 'max', 'count_distinct'].includes(fn);
+const requiresMetricField = aggregationRequiresField;
+
 const DEFAULT_LLM_SETTINGS = {
   baseUrl: 'https://api.openai.com/v1',
   model: 'gpt-4o-mini',
@@ -62,10 +132,268 @@ const readStoredLlmSettings = () => {
   }
 };
 
+const MAX_FILTER_GROUP_DEPTH = 3;
+
+const CUSTOM_DATE_FORMAT = 'custom';
+
+// Edits a bin spec ({ method, count, edges }); picking "No bins" clears it.
+const BinSettings = ({ value, onChange, size = 'middle' }) => {
+  const method = value?.method || '';
+  return (
+    <Space.Compact style={{ width: '100%' }} size={size}>
+      <Select
+        value={method}
+        onChange={(next) => onChange(next ? { count: DEFAULT_BIN_COUNT, ...value, method: next } : null)}
+        options={[{ label: 'No bins', value: '' }, ...BIN_METHODS]}
+        popupMatchSelectWidth={false}
+        style={{ width: '50%' }}
+      />
+      {method === 'custom' ? (
+        <Input
+          placeholder="0, 50, 100"
+          value={value?.edges ?? ''}
+          onChange={(e) => onChange({ ...value, edges: e.target.value })}
+          style={{ width: '50%' }}
+        />
+      ) : (
+        <InputNumber
+          min={1}
+          max={200}
+          precision={0}
+          disabled={!method}
+          value={value?.count ?? DEFAULT_BIN_COUNT}
+          onChange={(count) => onChange({ ...value, count: count || DEFAULT_BIN_COUNT })}
+          addonAfter="bins"
+          style={{ width: '50%' }}
+        />
+      )}
+    </Space.Compact>
+  );
+};
+
+const TimeGrainSelect = ({ value, onChange, size = 'middle', style }) => (
+  <Select
+    size={size}
+    value={value || ''}
+    onChange={onChange}
+    options={[{ label: 'Exact value', value: '' }, ...TIME_GRAINS]}
+    popupMatchSelectWidth={false}
+    style={style}
+  />
+);
+
+// Aggregation picker; "Custom Percentile" swaps in a 0-100 input that writes `p<N>`, while the
+// preset percentiles stay as shortcuts.
+const AggregationSelect = ({ value, onChange, options = KPI_FUNCTIONS, disabled, style, ...selectProps }) => {
+  const percentile = parsePercentile(value);
+  const isPreset = options.some((fn) => fn.value === value);
+  const [customPicked, setCustomPicked] = useState(false);
+  const isCustom = percentile !== null && (customPicked || !isPreset);
+  const handleSelect = (next) => {
+    setCustomPicked(next === CUSTOM_PERCENTILE);
+    onChange(next === CUSTOM_PERCENTILE ? `p${percentile ?? 50}` : next);
+  };
+  return (
+    <Space.Compact style={{ width: '100%', ...style }}>
+      <Select
+        {...selectProps}
+        value={isCustom ? CUSTOM_PERCENTILE : value}
+        onChange={handleSelect}
+        disabled={disabled}
+        options={[
+          ...options.map((fn) => ({ label: fn.label, value: fn.value })),
+          { label: 'Custom Percentile', value: CUSTOM_PERCENTILE }
+        ]}
+        style={{ flex: 1, minWidth: 0 }}
+      />
+      {isCustom && (
+        <InputNumber
+          min={0}
+          max={100}
+          value={percentile}
+          disabled={disabled}
+          onChange={(next) => next !== null && onChange(`p${next}`)}
+          prefix="P"
+          aria-label="Percentile"
+          style={{ width: 110 }}
+        />
+      )}
+    </Space.Compact>
+  );
+};
+
+// Editable condition tree: conditions and nested AND/OR groups (with optional NOT).
+// SQL text with its syntax or compile error shown below: the error's line is repeated with the
+// offending text marked, and clicking it selects that text in the editor.
+const SqlEditor = ({ value, onChange, error }) => {
+  const inputRef = useRef(null);
+  const selectError = () => {
+    const textArea = inputRef.current?.resizableTextArea?.textArea;
+    if (!textArea) return;
+    textArea.focus();
+    textArea.setSelectionRange(error.position, Math.min(error.end, value.length));
+  };
+  const lineStart = error ? value.lastIndexOf('\n', error.position - 1) + 1 : 0;
+  const lineBreak = error ? value.indexOf('\n', error.position) : -1;
+  const lineEnd = lineBreak === -1 ? value.length : lineBreak;
+  const line = value.slice(lineStart, lineEnd);
+  const from = error ? error.position - lineStart : 0;
+  const to = error ? Math.max(Math.min(error.end, lineEnd) - lineStart, from) : 0;
+  return (
+    <div className="space-y-2">
+      <Input.TextArea
+        ref={inputRef}
+        status={error ? 'error' : undefined}
+        autoSize={{ minRows: 6, maxRows: 16 }}
+        placeholder={`SELECT region, SUM(amount) AS total\nFROM ${SQL_INPUT_SOURCE}\nGROUP BY region`}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        spellCheck={false}
+        className="font-mono"
+      />
+      {error && (
+        <button
+          type="button"
+          onClick={selectError}
+          className="w-full text-left text-xs font-mono rounded-md p-2 overflow-x-auto border border-red-300 bg-red-50"
+        >
+          <div className="text-red-600">Line {error.line}, column {error.column}: {error.reason}</div>
+          <pre className="m-0 mt-1 whitespace-pre text-slate-700">
+            {line.slice(0, from)}
+            <mark className="bg-red-200 text-red-700 underline decoration-wavy">{line.slice(from, to) || ' '}</mark>
+            {line.slice(to)}
+          </pre>
+        </button>
+      )}
+    </div>
+  );
+};
+
+const FilterItemsEditor = ({ items, onChange, schema, selectProps, activeIndex = null, depth = 0 }) => {
+  const fullWidthSelect = { ...selectProps, style: { width: '100%' } };
+  const updateItem = (idx, updates) => {
+    onChange(items.map((item, index) => (index === idx ? { ...item, ...updates } : item)));
+  };
+  const removeItem = (idx) => onChange(items.filter((_, index) => index !== idx));
+
+  return (
+    <div className="space-y-3">
+      {items.map((item, idx) => {
+        if (isFilterGroup(item)) {
+          return (
+            <div
+              key={item.id || `group-${idx}`}
+              className="rounded-lg border border-dashed border-blue-300 bg-blue-50/40 px-3 py-3 space-y-3 dark:border-blue-400/50 dark:bg-blue-500/5"
+            >
+              <div className="flex items-center gap-2">
+                <Radio.Group
+                  value={item.combinator}
+                  onChange={(e) => updateItem(idx, { combinator: e.target.value })}
+                  optionType="button"
+                  size="small"
+                  options={FILTER_COMBINATORS.map((value) => ({ label: value, value }))}
+                />
+                <Checkbox checked={item.negate} onChange={(e) => updateItem(idx, { negate: e.target.checked })}>
+                  NOT
+                </Checkbox>
+                <Button
+                  type="text"
+                  danger
+                  icon={<Trash2 size={14} />}
+                  onClick={() => removeItem(idx)}
+                  aria-label="Remove group"
+                  style={{ marginLeft: 'auto' }}
+                />
+              </div>
+              <FilterItemsEditor
+                items={item.filters}
+                onChange={(next) => updateItem(idx, { filters: next })}
+                schema={schema}
+                selectProps={selectProps}
+                depth={depth + 1}
+              />
+            </div>
+          );
+        }
+        const isActive = activeIndex === idx;
+        return (
+          <div
+            key={item.id || `filter-${idx}`}
+            className={`rounded-lg border px-3 py-3 ${isActive ? 'border-blue-400 bg-blue-50/60 dark:border-blue-400/70 dark:bg-blue-500/10' : 'border-gray-200 bg-white dark:border-slate-700 dark:bg-slate-900'}`}
+          >
+            <div className="flex items-start gap-2">
+              <Form.Item label="Filter Field" style={{ flex: 1, minWidth: 0, marginBottom: 0 }}>
+                <Select
+                  value={item.field || ''}
+                  onChange={(value) => updateItem(idx, { field: value, mode: 'operator' })}
+                  options={[
+                    { label: 'Select Field...', value: '' },
+                    ...schema.map((f) => ({ label: f, value: f }))
+                  ]}
+                  {...fullWidthSelect}
+                />
+              </Form.Item>
+              <Button
+                type="text"
+                danger
+                icon={<Trash2 size={14} />}
+                onClick={() => removeItem(idx)}
+                aria-label="Remove filter"
+              />
+            </div>
+            <Space size="small" style={{ width: '100%' }}>
+              <Form.Item label="Operator" style={{ flex: 1, minWidth: 0 }}>
+                <Select
+                  value={item.operator || 'equals'}
+                  onChange={(value) => updateItem(idx, { operator: value, mode: 'operator' })}
+                  options={FILTER_OPERATOR_OPTIONS}
+                  {...selectProps}
+                  style={{ width: '100%' }}
+                />
+              </Form.Item>
+              {getFilterValueKind(item.operator) !== 'none' && (
+                <Form.Item label="Value" style={{ flex: 2, minWidth: 0 }}>
+                  <FilterValueInput
+                    filter={item}
+                    onChange={(updates) => updateItem(idx, { ...updates, mode: 'operator' })}
+                  />
+                </Form.Item>
+              )}
+            </Space>
+          </div>
+        );
+      })}
+      {depth > 0 && (
+        <Space size="small">
+          <Button
+            size="small"
+            type="dashed"
+            icon={<Plus size={12} />}
+            onClick={() => onChange([...items, createFilterCondition()])}
+          >
+            Condition
+          </Button>
+          {depth < MAX_FILTER_GROUP_DEPTH && (
+            <Button size="small" type="dashed" icon={<Plus size={12} />} onClick={() => onChange([...items, createFilterGroup()])}>
+              Group
+            </Button>
+          )}
+        </Space>
+      )}
+    </div>
+  );
+};
+
 const PropertiesPanel = ({
   node,
+  nodes = [],
+  getNodeSchema = () => [],
   updateNode,
   schema,
+  inputSchema,
+  columnTypes = {},
+  inputColumnTypes,
+  inferredColumnTypes,
   data = [],
   dataModel,
   sourceStatus,
@@ -91,16 +419,10 @@ const PropertiesPanel = ({
     window.localStorage.setItem('node-memory-llm-settings', JSON.stringify(llmSettings));
   }, [llmSettings]);
 
-  const numericFields = React.useMemo(() => {
-    if (!Array.isArray(data) || data.length === 0) return [];
-    const sample = data.slice(0, 50);
-    return schema.filter((field) => sample.some((row) => {
-      const raw = row?.[field];
-      if (raw === null || raw === undefined || raw === '') return false;
-      const num = Number(raw);
-      return !Number.isNaN(num);
-    }));
-  }, [data, schema]);
+  const numericFields = React.useMemo(
+    () => schema.filter((field) => isNumericType(columnTypes?.[field])),
+    [schema, columnTypes]
+  );
 
   const categoricalFields = React.useMemo(
     () => schema.filter((field) => !numericFields.includes(field)),
@@ -168,6 +490,33 @@ const PropertiesPanel = ({
   };
 
   const commitJoin = () => updateNode(node.id, localParams);
+
+  // Saves the query with the steps it reads by title, so the engine can find them by id.
+  const commitSql = () => updateNode(node.id, { ...localParams, sqlNodeIds: sqlCheck.nodeIds });
+
+  // Join source values are `table:<name>` or `node:<id>`; a node's title is kept as its column prefix.
+  const changeJoinSource = (value) => {
+    const [kind, ...rest] = String(value).split(':');
+    const id = rest.join(':');
+    if (kind === 'node') {
+      const target = nodes.find((item) => item.id === id);
+      setLocalParams((prev) => ({ ...prev, rightTable: '', rightNodeId: id, rightLabel: target ? getNodeLabel(target) : '' }));
+      return;
+    }
+    setLocalParams((prev) => ({ ...prev, rightTable: id, rightNodeId: '', rightLabel: '' }));
+  };
+
+  const updateJoinKey = (idx, updates) => {
+    handleLocalChange('joinKeys', joinKeys.map((key, index) => (index === idx ? { ...key, ...updates } : key)));
+  };
+
+  const addJoinKey = () => {
+    handleLocalChange('joinKeys', [...joinKeys, { left: '', right: '' }]);
+  };
+
+  const removeJoinKey = (idx) => {
+    handleLocalChange('joinKeys', joinKeys.filter((_, index) => index !== idx));
+  };
   const handleMetaChange = (key, value) => {
     if (key === 'title') {
       updateNode(node.id, { title: value, titleIsCustom: true }, true);
@@ -254,6 +603,219 @@ const PropertiesPanel = ({
   const fullWidthSelect = { ...selectDropdownProps, style: { width: '100%' } };
   const isSourceError = sourceStatus?.title === 'Error';
   const filters = node.type === 'FILTER' ? normalizeFilters(node.params) : [];
+  const filterCombinator = resolveFilterCombinator(node.params?.combinator);
+  const sortKeys = node.type === 'SORT' || node.type === 'WINDOW' ? normalizeSortKeys(node.params) : [];
+  const windowItems = node.type === 'WINDOW' && Array.isArray(node.params.windows) ? node.params.windows : [];
+  const limitParams = node.type === 'LIMIT' ? normalizeLimitParams(node.params) : null;
+  const topNParams = node.type === 'TOP_N' ? normalizeTopNParams(node.params) : null;
+  const dedupeParams = node.type === 'DEDUPE' ? normalizeDedupeParams(node.params) : null;
+  const sampleParams = node.type === 'SAMPLE' ? normalizeSampleParams(node.params) : null;
+  const joinParams = normalizeJoinParams(localParams);
+  // Other nodes whose output this node may read; its own dependents are excluded to avoid cycles.
+  const referenceableNodes = (() => {
+    if (node.type !== 'JOIN' && node.type !== 'APPEND' && node.type !== 'SQL') return [];
+    const dependentIds = getDependentNodeIds(nodes, node.id);
+    return nodes.filter((item) => (
+      item.id !== node.id && item.type !== 'COMPONENT' && !dependentIds.has(item.id)
+    ));
+  })();
+  const getNodeLabel = (item) => item.title || item.type;
+  const storedJoinKeys = normalizeJoinKeys(localParams);
+  const joinKeys = storedJoinKeys.length > 0 ? storedJoinKeys : [{ left: '', right: '' }];
+  const rightTableFields = (() => {
+    if (joinParams.rightNodeId) return getNodeSchema(joinParams.rightNodeId);
+    return joinParams.rightTable && dataModel.tables[joinParams.rightTable]
+      ? getTableFields(dataModel.tables[joinParams.rightTable])
+      : [];
+  })();
+  const expressionError = (() => {
+    if (node.type !== 'CALCULATE' || !String(node.params.expression || '').trim()) return '';
+    try {
+      parseExpression(node.params.expression);
+      return '';
+    } catch (err) {
+      return err?.message || 'Invalid expression.';
+    }
+  })();
+  const inputFields = Array.isArray(inputSchema) ? inputSchema : schema;
+  const inputTypes = inputColumnTypes || columnTypes;
+
+  // A SQL query reads `input` (the incoming step), data model tables, then other steps by title.
+  const resolveSqlSource = (name) => {
+    const lower = name.toLowerCase();
+    if (lower === SQL_INPUT_SOURCE) return { schema: inputFields, table: '', nodeId: node.parentId || '' };
+    const tableName = dataModel.order.includes(name)
+      ? name
+      : dataModel.order.find((candidate) => candidate.toLowerCase() === lower);
+    if (tableName) return { schema: getTableFields(dataModel.tables[tableName]), table: tableName, nodeId: '' };
+    const target = referenceableNodes.find((item) => getNodeLabel(item).toLowerCase() === lower);
+    return target ? { schema: getNodeSchema(target.id), table: '', nodeId: target.id } : null;
+  };
+  const sqlCheck = (() => {
+    if (node.type !== 'SQL') return null;
+    const sql = String(localParams.sql ?? '');
+    const nodeIds = {};
+    try {
+      getSqlSourceNames(parseSql(sql)).forEach((name) => {
+        const found = resolveSqlSource(name);
+        if (found?.nodeId && name.toLowerCase() !== SQL_INPUT_SOURCE) nodeIds[name.toLowerCase()] = found.nodeId;
+      });
+      const { steps } = compileSql(sql, resolveSqlSource);
+      return { sql, nodeIds, error: null, steps: steps.map((step) => step.type) };
+    } catch (err) {
+      return { sql, nodeIds, error: err, steps: [] };
+    }
+  })();
+
+  // The Columns editor always lists every input column; saving pins the whole order. Settings for
+  // columns that have left the input are kept in case they come back.
+  const columnOps = node.type === 'COLUMNS' ? listColumnOps(inputFields, node.params) : [];
+  const setColumnOps = (ops, updates = {}) => {
+    const detached = normalizeColumnsParams(node.params).ops.filter((op) => !inputFields.includes(op.field));
+    handleBulkChange({ columnOps: [...ops, ...detached], ...updates });
+  };
+  const updateColumnOp = (index, patch) => {
+    setColumnOps(columnOps.map((op, idx) => (idx === index ? { ...op, ...patch } : op)));
+  };
+  const moveColumnOp = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= columnOps.length) return;
+    const next = [...columnOps];
+    [next[index], next[target]] = [next[target], next[index]];
+    setColumnOps(next);
+  };
+  // Clean ops are stored as edited (including half-filled rows); the engine normalizes them.
+  const cleanOps = node.type === 'CLEAN' && Array.isArray(node.params.cleanOps) ? node.params.cleanOps : [];
+  const updateCleanOp = (index, patch) => {
+    handleChange('cleanOps', cleanOps.map((op, idx) => (idx === index ? { ...op, ...patch } : op)));
+  };
+  const updateCleanOpList = (index, key, itemIndex, patch) => {
+    const list = Array.isArray(cleanOps[index][key]) ? cleanOps[index][key] : [];
+    updateCleanOp(index, {
+      [key]: patch === null
+        ? list.filter((_, idx) => idx !== itemIndex)
+        : list.map((item, idx) => (idx === itemIndex ? { ...item, ...patch } : item))
+    });
+  };
+  const addCleanOpListItem = (index, key, item) => {
+    updateCleanOp(index, { [key]: [...(Array.isArray(cleanOps[index][key]) ? cleanOps[index][key] : []), item] });
+  };
+  const getCleanOpError = (op) => {
+    try {
+      createCleaner(normalizeCleanOp(op));
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  };
+  const sourceDateFormats = node.type === 'SOURCE' && node.params.dateFormats ? node.params.dateFormats : {};
+  const setSourceDateFormat = (field, format) => {
+    const next = { ...sourceDateFormats };
+    if (format === null) delete next[field];
+    else next[field] = format;
+    handleChange('dateFormats', next);
+  };
+  // Sets or clears a per-field setting such as a time grain or bin spec.
+  const updateFieldSetting = (key, field, setting) => {
+    const next = { ...(node.params[key] || {}) };
+    if (setting) next[field] = setting;
+    else delete next[field];
+    handleChange(key, next);
+  };
+  const binParams = node.type === 'BIN' ? normalizeBinParams(node.params) : null;
+  const unpivotParams = node.type === 'UNPIVOT' ? normalizeUnpivotParams(node.params) : null;
+  const pivotColumnsParams = node.type === 'PIVOT_COLUMNS' ? normalizePivotColumnsParams(node.params) : null;
+
+  // Pivot levels live in `pivotRows` / `pivotColumns`; the first level is mirrored into the older
+  // single-field params so both forms describe the same pivot.
+  const PIVOT_AXES = {
+    rows: { levelsKey: 'pivotRows', fieldKey: 'pivotRow', grainKey: 'pivotRowGrain', binsKey: 'pivotRowBins' },
+    columns: { levelsKey: 'pivotColumns', fieldKey: 'pivotColumn', grainKey: 'pivotColumnGrain', binsKey: 'pivotColumnBins' }
+  };
+  const getPivotLevels = (axis) => {
+    const keys = PIVOT_AXES[axis];
+    const levels = node.params[keys.levelsKey];
+    if (Array.isArray(levels) && levels.length > 0) return levels;
+    return [{ field: node.params[keys.fieldKey] || '', grain: node.params[keys.grainKey] || '', bins: node.params[keys.binsKey] || null }];
+  };
+  const setPivotLevels = (axis, levels) => {
+    const keys = PIVOT_AXES[axis];
+    handleBulkChange({
+      [keys.levelsKey]: levels,
+      [keys.fieldKey]: levels[0]?.field || '',
+      [keys.grainKey]: levels[0]?.grain || '',
+      [keys.binsKey]: levels[0]?.bins || null
+    });
+  };
+  const updatePivotLevel = (axis, index, patch) => {
+    setPivotLevels(axis, getPivotLevels(axis).map((level, idx) => (idx === index ? { ...level, ...patch } : level)));
+  };
+  const renderPivotLevels = (axis, label) => {
+    const levels = getPivotLevels(axis);
+    return (
+      <Form.Item label={label}>
+        <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+          {levels.map((level, index) => (
+            <Card key={index} size="small">
+              <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+                <Space align="center" style={{ width: '100%' }}>
+                  <Select
+                    value={level.field || ''}
+                    onChange={(value) => updatePivotLevel(axis, index, { field: value, grain: '', bins: null })}
+                    options={[
+                      { label: `Select ${axis === 'rows' ? 'Row' : 'Column'} Field...`, value: '' },
+                      ...schema.map((f) => ({ label: f, value: f }))
+                    ]}
+                    style={{ flex: 1, minWidth: 0, width: '100%' }}
+                    {...selectDropdownProps}
+                  />
+                  {levels.length > 1 && (
+                    <Button
+                      type="text"
+                      danger
+                      icon={<Trash2 size={14} />}
+                      onClick={() => setPivotLevels(axis, levels.filter((_, idx) => idx !== index))}
+                      aria-label={`Remove ${axis === 'rows' ? 'row' : 'column'} level`}
+                    />
+                  )}
+                </Space>
+                {isDateType(columnTypes?.[level.field]) && (
+                  <TimeGrainSelect
+                    value={level.grain}
+                    onChange={(grain) => updatePivotLevel(axis, index, { grain })}
+                    style={{ width: '100%' }}
+                  />
+                )}
+                {isNumericType(columnTypes?.[level.field]) && (
+                  <BinSettings value={level.bins} onChange={(bins) => updatePivotLevel(axis, index, { bins })} />
+                )}
+              </Space>
+            </Card>
+          ))}
+          <Button
+            type="dashed"
+            block
+            icon={<Plus size={14} />}
+            onClick={() => setPivotLevels(axis, [...levels, { field: '', grain: '', bins: null }])}
+          >
+            {axis === 'rows' ? 'Add Row Level' : 'Add Column Level'}
+          </Button>
+        </Space>
+      </Form.Item>
+    );
+  };
+  const pivotHasNestedLevels = node.params.subtype === 'PIVOT'
+    && (getPivotLevels('rows').length > 1 || getPivotLevels('columns').length > 1);
+  const aggregateParams = node.type === 'AGGREGATE' ? normalizeAggregateParams(node.params) : null;
+  // Edit the stored metric list (aliases left blank stay auto-named); legacy fn/metricField seeds it.
+  const aggregateMetrics = aggregateParams
+    ? (Array.isArray(node.params.metrics) && node.params.metrics.length > 0
+      ? node.params.metrics
+      : [{ id: 'metric-default', fn: node.params.fn || 'count', field: node.params.metricField || '', alias: '' }])
+    : [];
+  const calculateInputFields = node.type === 'CALCULATE'
+    ? schema.filter((field) => field !== node.params.columnName)
+    : [];
 
   const updateKpiMetric = (idx, updates) => {
     const next = kpiMetrics.map((metric, index) => index === idx ? { ...metric, ...updates } : metric);
@@ -273,24 +835,60 @@ const PropertiesPanel = ({
     handleChange('metrics', next);
   };
 
-  const updateFilterAtIndex = (idx, updates) => {
-    const next = filters.map((filter, index) => (
-      index === idx ? { ...filter, ...updates, mode: 'operator' } : filter
-    ));
-    handleChange('filters', next);
+  const addFilter = () => {
+    handleChange('filters', [...filters, createFilterCondition()]);
   };
 
-  const addFilter = () => {
+  const addFilterGroup = () => {
+    handleChange('filters', [...filters, createFilterGroup()]);
+  };
+
+  const updateWindowItem = (idx, updates) => {
+    handleChange('windows', windowItems.map((item, index) => (index === idx ? { ...item, ...updates } : item)));
+  };
+
+  const addWindowItem = () => {
+    handleChange('windows', [...windowItems, { id: `window-${Date.now()}`, fn: 'row_number', field: '', alias: '' }]);
+  };
+
+  const removeWindowItem = (idx) => {
+    handleChange('windows', windowItems.filter((_, index) => index !== idx));
+  };
+
+  const updateAggregateMetric = (idx, updates) => {
+    const next = aggregateMetrics.map((metric, index) => (index === idx ? { ...metric, ...updates } : metric));
+    handleChange('metrics', next);
+  };
+
+  const addAggregateMetric = () => {
+    const next = [
+      ...aggregateMetrics,
+      { id: `metric-${Date.now()}`, fn: 'sum', field: '', alias: '' }
+    ];
+    handleChange('metrics', next);
+  };
+
+  const removeAggregateMetric = (idx) => {
+    const next = aggregateMetrics.filter((_, index) => index !== idx);
+    handleChange('metrics', next);
+  };
+
+  const updateSortKeyAtIndex = (idx, updates) => {
+    const next = sortKeys.map((key, index) => (index === idx ? { ...key, ...updates } : key));
+    handleChange('sortKeys', next);
+  };
+
+  const addSortKey = () => {
     const next = [
-      ...filters,
-      { id: `filter-${Date.now()}`, field: '', operator: 'equals', value: '', mode: 'operator' }
+      ...sortKeys,
+      { id: `sort-${Date.now()}`, field: '', direction: 'asc', nulls: 'last' }
     ];
-    handleChange('filters', next);
+    handleChange('sortKeys', next);
   };
 
-  const removeFilter = (idx) => {
-    const next = filters.filter((_, index) => index !== idx);
-    handleChange('filters', next);
+  const removeSortKey = (idx) => {
+    const next = sortKeys.filter((_, index) => index !== idx);
+    handleChange('sortKeys', next);
   };
 
   return (
@@ -470,6 +1068,95 @@ const PropertiesPanel = ({
             >
               Preview Data Model
             </Button>
+
+            {schema.length > 0 && (
+              <Card size="small" title="Column Types">
+                <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+                  {schema.map((field) => {
+                    const overrides = node.params.columnTypes || {};
+                    const inferredType = inferredColumnTypes?.[field] || columnTypes?.[field] || 'string';
+                    return (
+                      <div key={field} className="flex items-center justify-between gap-2">
+                        <Text ellipsis className="min-w-0 flex-1" title={field}>{field}</Text>
+                        <Select
+                          size="small"
+                          value={overrides[field] || ''}
+                          onChange={(value) => {
+                            const next = { ...overrides };
+                            if (value) next[field] = value;
+                            else delete next[field];
+                            handleChange('columnTypes', next);
+                          }}
+                          options={[
+                            { label: `Auto (${COLUMN_TYPE_LABELS[inferredType] || inferredType})`, value: '' },
+                            ...COLUMN_TYPES.map((type) => ({ label: COLUMN_TYPE_LABELS[type], value: type }))
+                          ]}
+                          popupMatchSelectWidth={false}
+                          style={{ width: 150 }}
+                        />
+                      </div>
+                    );
+                  })}
+                </Space>
+                <Text type="secondary" className="text-xs">
+                  Types drive filtering, sorting, stats and chart axes.
+                </Text>
+              </Card>
+            )}
+
+            {schema.length > 0 && (
+              <Card size="small" title="Date Parsing">
+                <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+                  {Object.entries(sourceDateFormats).map(([field, format]) => {
+                    const isCustom = !DATE_FORMATS.some((item) => item.value === format);
+                    return (
+                      <div key={field} className="space-y-1">
+                        <div className="flex items-center gap-2">
+                          <Text ellipsis className="min-w-0 flex-1" title={field}>{field}</Text>
+                          <Select
+                            size="small"
+                            value={isCustom ? CUSTOM_DATE_FORMAT : format}
+                            onChange={(value) => setSourceDateFormat(field, value === CUSTOM_DATE_FORMAT ? 'DD/MM/YY' : value)}
+                            options={[...DATE_FORMATS, { label: 'Custom pattern...', value: CUSTOM_DATE_FORMAT }]}
+                            popupMatchSelectWidth={false}
+                            style={{ width: 150 }}
+                          />
+                          <Button
+                            type="text"
+                            danger
+                            size="small"
+                            icon={<Trash2 size={14} />}
+                            onClick={() => setSourceDateFormat(field, null)}
+                            aria-label={`Stop parsing ${field}`}
+                          />
+                        </div>
+                        {isCustom && (
+                          <Input
+                            size="small"
+                            value={format}
+                            onChange={(e) => setSourceDateFormat(field, e.target.value)}
+                            placeholder="Tokens: YYYY, YY, MMM, MM, M, DD, D"
+                          />
+                        )}
+                      </div>
+                    );
+                  })}
+                  <Select
+                    size="small"
+                    value=""
+                    onChange={(field) => field && setSourceDateFormat(field, 'auto')}
+                    options={[
+                      { label: 'Parse a column as dates...', value: '' },
+                      ...schema.filter((field) => !(field in sourceDateFormats)).map((field) => ({ label: field, value: field }))
+                    ]}
+                    {...fullWidthSelect}
+                  />
+                </Space>
+                <Text type="secondary" className="text-xs">
+                  Parsed columns hold ISO dates; values that do not match the format are left blank.
+                </Text>
+              </Card>
+            )}
           </div>
         )}
 
@@ -480,18 +1167,25 @@ const PropertiesPanel = ({
               <div className="text-xs font-mono text-slate-300 bg-slate-900 rounded-md p-3 overflow-x-auto border border-slate-800">
                 <span className="text-pink-400">SELECT</span> * <br />
                 <span className="text-pink-400">FROM</span> [Incoming_Node] <br />
-                <span className="text-pink-400">{localParams.joinType || 'LEFT'} JOIN</span> {localParams.rightTable || '...'} <br />
-                <span className="text-pink-400">ON</span> {localParams.leftKey || '?'} = {localParams.rightKey || '?'}
+                <span className="text-pink-400">{joinParams.joinType} JOIN</span> {joinParams.rightTable || joinParams.rightLabel || '...'} <br />
+                <span className="text-pink-400">ON</span> {formatJoinCondition(joinParams, joinKeys)}
               </div>
             </Card>
 
-            <Form.Item label="Join With Table">
+            <Form.Item label="Join With">
               <Select
-                value={localParams.rightTable || ''}
-                onChange={(value) => handleLocalChange('rightTable', value)}
+                value={joinParams.rightNodeId ? `node:${joinParams.rightNodeId}` : `table:${joinParams.rightTable}`}
+                onChange={changeJoinSource}
                 options={[
-                  { label: 'Select Table...', value: '' },
-                  ...dataModel.order.map((name) => ({ label: name, value: name }))
+                  { label: 'Select Table or Node...', value: 'table:' },
+                  {
+                    label: 'Tables',
+                    options: dataModel.order.map((name) => ({ label: name, value: `table:${name}` }))
+                  },
+                  ...(referenceableNodes.length > 0 ? [{
+                    label: 'Node Outputs',
+                    options: referenceableNodes.map((item) => ({ label: getNodeLabel(item), value: `node:${item.id}` }))
+                  }] : [])
                 ]}
                 {...fullWidthSelect}
               />
@@ -499,175 +1193,1415 @@ const PropertiesPanel = ({
 
             <Form.Item label="Join Type">
               <Radio.Group
-                value={localParams.joinType || 'LEFT'}
+                value={joinParams.joinType}
                 onChange={(e) => handleLocalChange('joinType', e.target.value)}
                 style={{
                   display: 'grid',
-                  gridTemplateColumns: 'repeat(2, minmax(0, 1fr))',
+                  gridTemplateColumns: 'repeat(3, minmax(0, 1fr))',
                   gap: 8
                 }}
               >
-                {['INNER', 'LEFT', 'RIGHT', 'FULL'].map((t) => (
+                {JOIN_TYPES.map((t) => (
                   <Radio.Button key={t} value={t} style={{ width: '100%', textAlign: 'center' }}>
-                    {t} JOIN
+                    {t}
                   </Radio.Button>
                 ))}
               </Radio.Group>
             </Form.Item>
-
-            <div className="grid grid-cols-2 gap-2">
-              <Form.Item label="Left Key" style={{ marginBottom: 0 }}>
-                <Select
-                  value={localParams.leftKey || ''}
-                  onChange={(value) => handleLocalChange('leftKey', value)}
-                  options={[
-                    { label: 'Col...', value: '' },
-                    ...schema.map((f) => ({ label: f, value: f }))
-                  ]}
-                  {...fullWidthSelect}
-                />
-              </Form.Item>
-              <Form.Item label="Right Key" style={{ marginBottom: 0 }}>
-                <Select
-                  value={localParams.rightKey || ''}
-                  onChange={(value) => handleLocalChange('rightKey', value)}
-                  options={[
-                    { label: 'Col...', value: '' },
-                    ...((localParams.rightTable && dataModel.tables[localParams.rightTable])
-                      ? Object.keys(dataModel.tables[localParams.rightTable][0] || {}).map((f) => ({ label: f, value: f }))
-                      : [])
-                  ]}
-                  {...fullWidthSelect}
-                />
-              </Form.Item>
-            </div>
-
-            <Button type="primary" block icon={<Play size={16} />} onClick={commitJoin}>
-              Run Join
-            </Button>
-          </div>
-        )}
-
-        {/* FILTER CONFIG */}
-        {node.type === 'FILTER' && (
-          <div className="space-y-4">
-            {filters.length > 0 && (
-              <div className="space-y-3">
-                {filters.map((filter, idx) => {
-                  const isActive = activeFilterIndex === idx;
-                  return (
-                    <div
-                      key={filter.id || `filter-${idx}`}
-                      className={`rounded-lg border px-3 py-3 ${isActive ? 'border-blue-400 bg-blue-50/60 dark:border-blue-400/70 dark:bg-blue-500/10' : 'border-gray-200 bg-white dark:border-slate-700 dark:bg-slate-900'}`}
-                    >
-                      <div className="flex items-start gap-2">
-                        <Form.Item label="Filter Field" style={{ flex: 1, minWidth: 0, marginBottom: 0 }}>
-                          <Select
-                            value={filter.field || ''}
-                            onChange={(value) => updateFilterAtIndex(idx, { field: value })}
-                            options={[
-                              { label: 'Select Field...', value: '' },
-                              ...schema.map((f) => ({ label: f, value: f }))
-                            ]}
-                            {...fullWidthSelect}
-                          />
-                        </Form.Item>
-                        <Button
-                          type="text"
-                          danger
-                          icon={<Trash2 size={14} />}
-                          onClick={() => removeFilter(idx)}
-                          aria-label="Remove filter"
-                        />
-                      </div>
-                      <Space size="small" style={{ width: '100%' }}>
-                        <Form.Item label="Operator" style={{ flex: 1, minWidth: 0 }}>
-                          <Select
-                            value={filter.operator || 'equals'}
-                            onChange={(value) => updateFilterAtIndex(idx, { operator: value })}
-                            options={[
-                              { label: '=', value: 'equals' },
-                              { label: '!=', value: 'not_equals' },
-                              { label: '>', value: 'gt' },
-                              { label: '<', value: 'lt' },
-                              { label: 'In list', value: 'in' },
-                              { label: 'Like', value: 'contains' }
-                            ]}
-                            {...selectDropdownProps}
-                            style={{ width: '100%' }}
-                          />
-                        </Form.Item>
-                        <Form.Item label="Value" style={{ flex: 2, minWidth: 0 }}>
-                          <Input
-                            placeholder={filter.operator === 'in' ? 'Comma-separated values...' : 'Value...'}
-                            value={filter.value ?? ''}
-                            onChange={(e) => updateFilterAtIndex(idx, { value: e.target.value })}
-                            style={{ width: '100%' }}
-                          />
-                        </Form.Item>
-                      </Space>
-                    </div>
-                  );
-                })}
-              </div>
+            {isFilteringJoin(joinParams.joinType) && (
+              <Text type="secondary" className="text-xs">
+                {joinParams.joinType === 'SEMI'
+                  ? 'Keeps incoming rows that have a match; no columns are added.'
+                  : 'Keeps incoming rows without a match; no columns are added.'}
+              </Text>
             )}
-            <Button type="dashed" block icon={<Plus size={16} />} onClick={addFilter}>
-              Add Filter
-            </Button>
-          </div>
-        )}
-
-        {/* AGGREGATE CONFIG */}
-        {node.type === 'AGGREGATE' && (
-          <div className="space-y-5">
-            <Form.Item label="Group By (Dimension)">
-              <Select
-                value={node.params.groupBy || ''}
-                onChange={(value) => handleChange('groupBy', value)}
-                options={[
-                  { label: 'Select Dimension...', value: '' },
-                  ...schema.map((f) => ({ label: f, value: f }))
-                ]}
-                {...fullWidthSelect}
-              />
-            </Form.Item>
 
-            <Divider />
-            <Form.Item label="Aggregation Function">
+            <Form.Item label="Match Mode">
               <Radio.Group
-                value={node.params.fn || 'count'}
-                onChange={(e) => handleChange('fn', e.target.value)}
-                style={{
-                  display: 'grid',
-                  gridTemplateColumns: 'repeat(2, minmax(0, 1fr))',
-                  gap: 8
-                }}
-              >
-                {KPI_FUNCTIONS.map((fn) => (
-                  <Radio.Button
-                    key={fn.value}
-                    value={fn.value}
-                    style={{ width: '100%', textAlign: 'center' }}
-                  >
-                    {fn.label}
-                  </Radio.Button>
-                ))}
-              </Radio.Group>
+                value={joinParams.matchMode}
+                onChange={(e) => handleLocalChange('matchMode', e.target.value)}
+                optionType="button"
+                buttonStyle="solid"
+                size="small"
+                options={JOIN_MATCH_MODES}
+              />
             </Form.Item>
 
-            {requiresMetricField(node.params.fn || 'count') && (
-              <Form.Item label="Metric Field">
-                <Select
-                  value={node.params.metricField || ''}
-                  onChange={(value) => handleChange('metricField', value)}
+            {usesRangeMatch(joinParams) && (
+              <>
+                <div className="grid grid-cols-2 gap-2">
+                  <Form.Item label="Incoming Value" style={{ marginBottom: 0 }}>
+                    <Select
+                      value={joinParams.leftValueField}
+                      onChange={(value) => handleLocalChange('leftValueField', value)}
+                      options={[
+                        { label: 'Select column...', value: '' },
+                        ...schema.map((f) => ({ label: f, value: f }))
+                      ]}
+                      {...fullWidthSelect}
+                    />
+                  </Form.Item>
+                  <Form.Item
+                    label={joinParams.matchMode === 'asof' ? 'Right Timestamp' : 'Range Start'}
+                    style={{ marginBottom: 0 }}
+                  >
+                    <Select
+                      value={joinParams.rightStartField}
+                      onChange={(value) => handleLocalChange('rightStartField', value)}
+                      options={[
+                        { label: 'Select column...', value: '' },
+                        ...rightTableFields.map((f) => ({ label: f, value: f }))
+                      ]}
+                      {...fullWidthSelect}
+                    />
+                  </Form.Item>
+                </div>
+                {joinParams.matchMode === 'range' ? (
+                  <Form.Item label="Range End" extra="Leave empty for open-ended ranges.">
+                    <Select
+                      value={joinParams.rightEndField}
+                      onChange={(value) => handleLocalChange('rightEndField', value)}
+                      options={[
+                        { label: 'No end', value: '' },
+                        ...rightTableFields.map((f) => ({ label: f, value: f }))
+                      ]}
+                      {...fullWidthSelect}
+                    />
+                  </Form.Item>
+                ) : (
+                  <Form.Item
+                    label="Tolerance"
+                    extra="Skip matches further back than this; confidence falls as the gap grows."
+                  >
+                    <InputNumber
+                      min={0}
+                      placeholder="No limit"
+                      value={joinParams.asofTolerance}
+                      onChange={(value) => handleLocalChange('asofTolerance', value ?? '')}
+                      addonAfter="days / units"
+                      style={{ width: '100%' }}
+                    />
+                  </Form.Item>
+                )}
+              </>
+            )}
+
+            <Form.Item
+              label={usesRangeMatch(joinParams) ? 'Also Match Keys (optional)' : 'Match On'}
+              style={{ marginBottom: 0 }}
+            >
+              <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+                {joinKeys.map((key, idx) => (
+                  <Space key={idx} size="small" align="center" style={{ width: '100%' }}>
+                    <Select
+                      value={key.left}
+                      onChange={(value) => updateJoinKey(idx, { left: value })}
+                      options={[
+                        { label: 'Left column...', value: '' },
+                        ...schema.map((f) => ({ label: f, value: f }))
+                      ]}
+                      {...selectDropdownProps}
+                      style={{ flex: 1, minWidth: 0, width: '100%' }}
+                    />
+                    <Text type="secondary">=</Text>
+                    <Select
+                      value={key.right}
+                      onChange={(value) => updateJoinKey(idx, { right: value })}
+                      options={[
+                        { label: 'Right column...', value: '' },
+                        ...rightTableFields.map((f) => ({ label: f, value: f }))
+                      ]}
+                      {...selectDropdownProps}
+                      style={{ flex: 1, minWidth: 0, width: '100%' }}
+                    />
+                    <Button
+                      type="text"
+                      danger
+                      icon={<Trash2 size={14} />}
+                      onClick={() => removeJoinKey(idx)}
+                      disabled={joinKeys.length <= 1 && !usesRangeMatch(joinParams)}
+                      aria-label="Remove join key"
+                    />
+                  </Space>
+                ))}
+                <Button type="dashed" block icon={<Plus size={16} />} onClick={addJoinKey}>
+                  Add Key
+                </Button>
+              </Space>
+            </Form.Item>
+            {joinParams.matchMode !== 'fuzzy' && (
+              <Space>
+                <Checkbox
+                  checked={joinParams.ignoreCase}
+                  onChange={(e) => handleLocalChange('ignoreCase', e.target.checked)}
+                >
+                  Ignore case
+                </Checkbox>
+                <Checkbox
+                  checked={joinParams.trimKeys}
+                  onChange={(e) => handleLocalChange('trimKeys', e.target.checked)}
+                >
+                  Trim whitespace
+                </Checkbox>
+              </Space>
+            )}
+
+            {joinParams.matchMode === 'fuzzy' && (
+              <>
+                <Form.Item label="Similarity">
+                  <Radio.Group
+                    value={joinParams.fuzzyMethod}
+                    onChange={(e) => handleLocalChange('fuzzyMethod', e.target.value)}
+                    optionType="button"
+                    buttonStyle="solid"
+                    size="small"
+                    options={FUZZY_METHODS}
+                  />
+                </Form.Item>
+                <Form.Item label="Minimum Similarity" extra="Each row takes its single closest match at or above this score.">
+                  <div className="flex items-center gap-3">
+                    <Slider
+                      min={0.5}
+                      max={1}
+                      step={0.05}
+                      value={joinParams.fuzzyThreshold}
+                      onChange={(value) => handleLocalChange('fuzzyThreshold', value)}
+                      style={{ flex: 1 }}
+                    />
+                    <Text type="secondary" className="text-xs w-10 text-right">
+                      {Math.round(joinParams.fuzzyThreshold * 100)}%
+                    </Text>
+                  </div>
+                </Form.Item>
+              </>
+            )}
+
+            {getJoinConfidenceColumn(joinParams) && (
+              <Form.Item label="Confidence Column">
+                <Input
+                  placeholder={DEFAULT_CONFIDENCE_COLUMN}
+                  value={localParams.confidenceColumn || ''}
+                  onChange={(e) => handleLocalChange('confidenceColumn', e.target.value)}
+                />
+              </Form.Item>
+            )}
+
+            {!isFilteringJoin(joinParams.joinType) && (
+              <>
+                <Form.Item label="Right Columns">
+                  <Select
+                    mode="multiple"
+                    allowClear
+                    placeholder="All columns"
+                    value={joinParams.rightColumns}
+                    onChange={(values) => handleLocalChange('rightColumns', values)}
+                    options={rightTableFields.map((f) => ({ label: f, value: f }))}
+                    {...fullWidthSelect}
+                  />
+                </Form.Item>
+                <Form.Item label="Column Names">
+                  <Radio.Group
+                    value={joinParams.columnNaming}
+                    onChange={(e) => handleLocalChange('columnNaming', e.target.value)}
+                    optionType="button"
+                    buttonStyle="solid"
+                    size="small"
+                    options={[
+                      { label: 'Prefix with table', value: 'prefix' },
+                      { label: 'Suffix on conflict', value: 'suffix' }
+                    ]}
+                  />
+                </Form.Item>
+                {joinParams.columnNaming === 'suffix' && (
+                  <div className="grid grid-cols-2 gap-2">
+                    <Form.Item label="Left Suffix" style={{ marginBottom: 0 }}>
+                      <Input
+                        placeholder="(keep name)"
+                        value={localParams.leftSuffix || ''}
+                        onChange={(e) => handleLocalChange('leftSuffix', e.target.value)}
+                      />
+                    </Form.Item>
+                    <Form.Item label="Right Suffix" style={{ marginBottom: 0 }}>
+                      <Input
+                        placeholder={DEFAULT_RIGHT_SUFFIX}
+                        value={localParams.rightSuffix || ''}
+                        onChange={(e) => handleLocalChange('rightSuffix', e.target.value)}
+                      />
+                    </Form.Item>
+                  </div>
+                )}
+              </>
+            )}
+
+            <Button type="primary" block icon={<Play size={16} />} onClick={commitJoin}>
+              Run Join
+            </Button>
+          </div>
+        )}
+
+        {/* SQL CONFIG */}
+        {node.type === 'SQL' && (
+          <div className="space-y-4">
+            <Form.Item label="Query">
+              <SqlEditor
+                value={sqlCheck.sql}
+                onChange={(value) => handleLocalChange('sql', value)}
+                error={sqlCheck.error}
+              />
+            </Form.Item>
+            {!sqlCheck.error && (
+              <Text type="secondary" className="text-xs block">
+                Runs as: {sqlCheck.steps.map((type) => type.toLowerCase().replace(/_/g, ' ')).join(' → ')}
+              </Text>
+            )}
+            <Text type="secondary" className="text-xs block">
+              FROM and JOIN read <span className="font-mono">{SQL_INPUT_SOURCE}</span> (the incoming step), data model
+              tables{dataModel.order.length > 0 ? ` (${dataModel.order.join(', ')})` : ''} or other steps by title; quote
+              names with spaces, e.g. "Clean Orders". Supports WHERE, GROUP BY, HAVING, ORDER BY, LIMIT / OFFSET,
+              DISTINCT, aggregates (COUNT, SUM, AVG, MIN, MAX, MEDIAN, PERCENTILE, …) and calculated-column functions.
+            </Text>
+            <Button type="primary" block icon={<Play size={16} />} onClick={commitSql}>
+              Run Query
+            </Button>
+          </div>
+        )}
+
+        {/* FILTER CONFIG */}
+        {node.type === 'FILTER' && (
+          <div className="space-y-4">
+            {filters.length > 1 && (
+              <Form.Item label="Match" style={{ marginBottom: 0 }}>
+                <Radio.Group
+                  value={filterCombinator}
+                  onChange={(e) => handleChange('combinator', e.target.value)}
+                  optionType="button"
+                  buttonStyle="solid"
+                  size="small"
+                  options={[
+                    { label: 'All (AND)', value: 'AND' },
+                    { label: 'Any (OR)', value: 'OR' }
+                  ]}
+                />
+              </Form.Item>
+            )}
+            {filters.length > 0 && (
+              <FilterItemsEditor
+                items={filters}
+                onChange={(next) => handleChange('filters', next)}
+                schema={schema}
+                selectProps={selectDropdownProps}
+                activeIndex={activeFilterIndex}
+              />
+            )}
+            <div className="grid grid-cols-2 gap-2">
+              <Button type="dashed" block icon={<Plus size={16} />} onClick={addFilter}>
+                Add Filter
+              </Button>
+              <Button type="dashed" block icon={<Plus size={16} />} onClick={addFilterGroup}>
+                Add Group
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {/* AGGREGATE CONFIG */}
+        {node.type === 'AGGREGATE' && aggregateParams && (
+          <div className="space-y-5">
+            <Form.Item label="Group By (Dimensions)">
+              <Select
+                mode="multiple"
+                allowClear
+                placeholder="Select Dimensions..."
+                value={aggregateParams.groupBy}
+                onChange={(values) => handleChange('groupBy', values)}
+                options={inputFields.map((f) => ({ label: f, value: f }))}
+                {...fullWidthSelect}
+              />
+            </Form.Item>
+            {aggregateParams.groupBy.some((field) => isDateType(inputTypes?.[field])) && (
+              <Form.Item label="Time Grain" style={{ marginBottom: 0 }}>
+                <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+                  {aggregateParams.groupBy.filter((field) => isDateType(inputTypes?.[field])).map((field) => (
+                    <div key={field} className="flex items-center justify-between gap-2">
+                      <Text ellipsis className="min-w-0 flex-1" title={field}>{field}</Text>
+                      <TimeGrainSelect
+                        size="small"
+                        value={aggregateParams.timeGrains[field]}
+                        onChange={(grain) => updateFieldSetting('groupByGrains', field, grain)}
+                        style={{ width: 140 }}
+                      />
+                    </div>
+                  ))}
+                </Space>
+              </Form.Item>
+            )}
+            {aggregateParams.groupBy.some((field) => isNumericType(inputTypes?.[field])) && (
+              <Form.Item label="Bins" style={{ marginBottom: 0 }}>
+                <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+                  {aggregateParams.groupBy.filter((field) => isNumericType(inputTypes?.[field])).map((field) => (
+                    <div key={field} className="space-y-1">
+                      <Text ellipsis className="block" title={field}>{field}</Text>
+                      <BinSettings
+                        size="small"
+                        value={node.params.groupByBins?.[field]}
+                        onChange={(spec) => updateFieldSetting('groupByBins', field, spec)}
+                      />
+                    </div>
+                  ))}
+                </Space>
+              </Form.Item>
+            )}
+
+            <Divider />
+            <Space align="center" className="w-full justify-between">
+              <Text strong>Metrics</Text>
+              <Button size="small" type="link" icon={<Plus size={14} />} onClick={addAggregateMetric}>
+                Add Metric
+              </Button>
+            </Space>
+            <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+              {aggregateMetrics.map((metric, idx) => (
+                <Card key={metric.id || idx} size="small">
+                  <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+                    <Space align="center" style={{ width: '100%' }}>
+                      <Input
+                        placeholder={`Output name (${aggregateParams.metrics[idx]?.alias || ''})`}
+                        value={metric.alias || ''}
+                        onChange={(e) => updateAggregateMetric(idx, { alias: e.target.value })}
+                        style={{ flex: 1, minWidth: 0 }}
+                      />
+                      {aggregateMetrics.length > 1 && (
+                        <Button
+                          type="text"
+                          danger
+                          icon={<Trash2 size={14} />}
+                          onClick={() => removeAggregateMetric(idx)}
+                          aria-label="Remove metric"
+                        />
+                      )}
+                    </Space>
+                    {metric.alias?.trim() && aggregateParams.metrics[idx]?.alias !== metric.alias.trim() && (
+                      <Text type="warning" className="text-xs">
+                        Name already used; this column is named "{aggregateParams.metrics[idx]?.alias}".
+                      </Text>
+                    )}
+                    <Space size="small" style={{ width: '100%' }}>
+                      <AggregationSelect
+                        value={metric.fn || 'count'}
+                        onChange={(value) => updateAggregateMetric(idx, { fn: value })}
+                        style={{ flex: 1, minWidth: 0 }}
+                        {...selectDropdownProps}
+                      />
+                      {requiresMetricField(metric.fn || 'count') && (
+                        <Select
+                          value={metric.field || ''}
+                          onChange={(value) => updateAggregateMetric(idx, { field: value })}
+                          options={[
+                            { label: 'Select Field...', value: '' },
+                            ...inputFields.map((f) => ({ label: f, value: f }))
+                          ]}
+                          style={{ flex: 1, minWidth: 0, width: '100%' }}
+                          {...selectDropdownProps}
+                        />
+                      )}
+                    </Space>
+                  </Space>
+                </Card>
+              ))}
+            </Space>
+          </div>
+        )}
+
+        {/* SORT CONFIG */}
+        {node.type === 'SORT' && (
+          <div className="space-y-4">
+            {sortKeys.length > 0 && (
+              <div className="space-y-3">
+                {sortKeys.map((sortKey, idx) => (
+                  <div
+                    key={sortKey.id || `sort-${idx}`}
+                    className="rounded-lg border px-3 py-3 border-gray-200 bg-white dark:border-slate-700 dark:bg-slate-900"
+                  >
+                    <div className="flex items-start gap-2">
+                      <Form.Item label={idx === 0 ? 'Sort By' : 'Then By'} style={{ flex: 1, minWidth: 0, marginBottom: 0 }}>
+                        <Select
+                          value={sortKey.field || ''}
+                          onChange={(value) => updateSortKeyAtIndex(idx, { field: value })}
+                          options={[
+                            { label: 'Select Field...', value: '' },
+                            ...schema.map((f) => ({ label: f, value: f }))
+                          ]}
+                          {...fullWidthSelect}
+                        />
+                      </Form.Item>
+                      <Button
+                        type="text"
+                        danger
+                        icon={<Trash2 size={14} />}
+                        onClick={() => removeSortKey(idx)}
+                        aria-label="Remove sort key"
+                      />
+                    </div>
+                    <Space size="small" style={{ width: '100%' }}>
+                      <Form.Item label="Direction" style={{ flex: 1, minWidth: 0 }}>
+                        <Select
+                          value={sortKey.direction}
+                          onChange={(value) => updateSortKeyAtIndex(idx, { direction: value })}
+                          options={[
+                            { label: 'Ascending', value: 'asc' },
+                            { label: 'Descending', value: 'desc' }
+                          ]}
+                          {...selectDropdownProps}
+                          style={{ width: '100%' }}
+                        />
+                      </Form.Item>
+                      <Form.Item label="Blanks" style={{ flex: 1, minWidth: 0 }}>
+                        <Select
+                          value={sortKey.nulls}
+                          onChange={(value) => updateSortKeyAtIndex(idx, { nulls: value })}
+                          options={[
+                            { label: 'Last', value: 'last' },
+                            { label: 'First', value: 'first' }
+                          ]}
+                          {...selectDropdownProps}
+                          style={{ width: '100%' }}
+                        />
+                      </Form.Item>
+                    </Space>
+                  </div>
+                ))}
+              </div>
+            )}
+            <Button type="dashed" block icon={<Plus size={16} />} onClick={addSortKey}>
+              Add Sort Key
+            </Button>
+          </div>
+        )}
+
+        {/* WINDOW CONFIG */}
+        {node.type === 'WINDOW' && (
+          <div className="space-y-4">
+            <Form.Item label="Partition By">
+              <Select
+                mode="multiple"
+                allowClear
+                placeholder="Whole table"
+                value={Array.isArray(node.params.partitionBy) ? node.params.partitionBy : []}
+                onChange={(values) => handleChange('partitionBy', values)}
+                options={inputFields.map((f) => ({ label: f, value: f }))}
+                {...fullWidthSelect}
+              />
+            </Form.Item>
+            <Text strong>Order By</Text>
+            {sortKeys.map((sortKey, idx) => (
+              <Space key={sortKey.id || `window-sort-${idx}`} size="small" style={{ width: '100%' }}>
+                <Select
+                  value={sortKey.field || ''}
+                  onChange={(value) => updateSortKeyAtIndex(idx, { field: value })}
+                  options={[
+                    { label: 'Select Field...', value: '' },
+                    ...inputFields.map((f) => ({ label: f, value: f }))
+                  ]}
+                  {...selectDropdownProps}
+                  style={{ flex: 2, minWidth: 0, width: '100%' }}
+                />
+                <Select
+                  value={sortKey.direction}
+                  onChange={(value) => updateSortKeyAtIndex(idx, { direction: value })}
+                  options={[
+                    { label: 'Asc', value: 'asc' },
+                    { label: 'Desc', value: 'desc' }
+                  ]}
+                  {...selectDropdownProps}
+                  style={{ flex: 1, minWidth: 0, width: '100%' }}
+                />
+                <Button
+                  type="text"
+                  danger
+                  icon={<Trash2 size={14} />}
+                  onClick={() => removeSortKey(idx)}
+                  aria-label="Remove order key"
+                />
+              </Space>
+            ))}
+            <Button type="dashed" block icon={<Plus size={16} />} onClick={addSortKey}>
+              Add Order Key
+            </Button>
+
+            <Divider />
+            <Text strong>Window Functions</Text>
+            <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+              {windowItems.map((item, idx) => {
+                const fn = item.fn || 'row_number';
+                return (
+                  <Card key={item.id || idx} size="small">
+                    <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+                      <Space align="center" style={{ width: '100%' }}>
+                        <Input
+                          placeholder={`Output name (${item.field && windowFunctionAcceptsField(fn) ? `${fn}_${item.field}` : fn})`}
+                          value={item.alias || ''}
+                          onChange={(e) => updateWindowItem(idx, { alias: e.target.value })}
+                          style={{ flex: 1, minWidth: 0 }}
+                        />
+                        <Button
+                          type="text"
+                          danger
+                          icon={<Trash2 size={14} />}
+                          onClick={() => removeWindowItem(idx)}
+                          aria-label="Remove window function"
+                        />
+                      </Space>
+                      <Space size="small" style={{ width: '100%' }}>
+                        <Select
+                          value={fn}
+                          onChange={(value) => updateWindowItem(idx, { fn: value })}
+                          options={WINDOW_FUNCTIONS.map((option) => ({ label: option.label, value: option.value }))}
+                          style={{ flex: 1, minWidth: 0, width: '100%' }}
+                          {...selectDropdownProps}
+                        />
+                        {windowFunctionAcceptsField(fn) && (
+                          <Select
+                            value={item.field || ''}
+                            onChange={(value) => updateWindowItem(idx, { field: value })}
+                            options={[
+                              { label: windowFunctionRequiresField(fn) ? 'Select Field...' : 'All rows', value: '' },
+                              ...inputFields.map((f) => ({ label: f, value: f }))
+                            ]}
+                            style={{ flex: 1, minWidth: 0, width: '100%' }}
+                            {...selectDropdownProps}
+                          />
+                        )}
+                      </Space>
+                      {(fn === 'lag' || fn === 'lead') && (
+                        <InputNumber
+                          min={1}
+                          precision={0}
+                          addonBefore="Offset"
+                          value={item.offset ?? DEFAULT_WINDOW_OFFSET}
+                          onChange={(value) => updateWindowItem(idx, { offset: value ?? DEFAULT_WINDOW_OFFSET })}
+                          style={{ width: '100%' }}
+                        />
+                      )}
+                      {fn === 'moving_avg' && (
+                        <InputNumber
+                          min={1}
+                          precision={0}
+                          addonBefore="Rows"
+                          value={item.size ?? DEFAULT_MOVING_WINDOW}
+                          onChange={(value) => updateWindowItem(idx, { size: value ?? DEFAULT_MOVING_WINDOW })}
+                          style={{ width: '100%' }}
+                        />
+                      )}
+                    </Space>
+                  </Card>
+                );
+              })}
+            </Space>
+            <Button type="dashed" block icon={<Plus size={16} />} onClick={addWindowItem}>
+              Add Window Function
+            </Button>
+          </div>
+        )}
+
+        {/* LIMIT CONFIG */}
+        {node.type === 'LIMIT' && limitParams && (
+          <div className="space-y-4">
+            <Form.Item label="Keep">
+              <Radio.Group
+                value={limitParams.fromEnd ? 'bottom' : 'top'}
+                onChange={(e) => handleChange('limitMode', e.target.value)}
+                style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(2, minmax(0, 1fr))',
+                  gap: 8
+                }}
+              >
+                <Radio.Button value="top" style={{ width: '100%', textAlign: 'center' }}>
+                  Top N
+                </Radio.Button>
+                <Radio.Button value="bottom" style={{ width: '100%', textAlign: 'center' }}>
+                  Bottom N
+                </Radio.Button>
+              </Radio.Group>
+            </Form.Item>
+            <div className="grid grid-cols-2 gap-2">
+              <Form.Item label="Rows" style={{ marginBottom: 0 }}>
+                <InputNumber
+                  min={0}
+                  value={limitParams.limit}
+                  onChange={(value) => handleChange('limit', Number(value) || 0)}
+                  style={{ width: '100%' }}
+                />
+              </Form.Item>
+              <Form.Item label="Skip" style={{ marginBottom: 0 }}>
+                <InputNumber
+                  min={0}
+                  value={limitParams.offset}
+                  onChange={(value) => handleChange('offset', Number(value) || 0)}
+                  style={{ width: '100%' }}
+                />
+              </Form.Item>
+            </div>
+            <Text type="secondary" className="text-xs">
+              Rows are taken in the order produced by the previous step; add a Sort step first to rank them.
+            </Text>
+          </div>
+        )}
+
+        {/* SAMPLE CONFIG */}
+        {node.type === 'SAMPLE' && sampleParams && (
+          <div className="space-y-4">
+            <Form.Item label="Sampling" extra="Switch off to run the following steps on every row.">
+              <Switch
+                checked={sampleParams.enabled}
+                onChange={(checked) => handleChange('sampleEnabled', checked)}
+              />
+            </Form.Item>
+            <Form.Item label="Sample Size">
+              <Radio.Group
+                value={sampleParams.method}
+                onChange={(e) => handleChange('sampleMethod', e.target.value)}
+                disabled={!sampleParams.enabled}
+                style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(2, minmax(0, 1fr))',
+                  gap: 8
+                }}
+              >
+                {SAMPLE_METHODS.map((method) => (
+                  <Radio.Button key={method.value} value={method.value} style={{ width: '100%', textAlign: 'center' }}>
+                    {method.label}
+                  </Radio.Button>
+                ))}
+              </Radio.Group>
+            </Form.Item>
+            {sampleParams.method === 'percent' ? (
+              <InputNumber
+                min={0}
+                max={100}
+                addonAfter="%"
+                value={sampleParams.percent}
+                onChange={(value) => handleChange('samplePercent', value ?? 0)}
+                disabled={!sampleParams.enabled}
+                style={{ width: '100%' }}
+              />
+            ) : (
+              <InputNumber
+                min={0}
+                precision={0}
+                addonAfter="rows"
+                value={sampleParams.size}
+                onChange={(value) => handleChange('sampleSize', value ?? 0)}
+                disabled={!sampleParams.enabled}
+                style={{ width: '100%' }}
+              />
+            )}
+            <Form.Item label="Stratify By" extra="Each value of this column keeps its share of the sample.">
+              <Select
+                value={sampleParams.strataField}
+                onChange={(value) => handleChange('sampleStrataBy', value)}
+                options={[
+                  { label: 'None (simple random)', value: '' },
+                  ...inputFields.map((f) => ({ label: f, value: f }))
+                ]}
+                disabled={!sampleParams.enabled}
+                {...fullWidthSelect}
+              />
+            </Form.Item>
+            <Form.Item label="Seed" extra="The same seed always picks the same rows.">
+              <Space.Compact style={{ width: '100%' }}>
+                <InputNumber
+                  precision={0}
+                  value={sampleParams.seed}
+                  onChange={(value) => handleChange('sampleSeed', value ?? 0)}
+                  disabled={!sampleParams.enabled}
+                  style={{ width: '100%' }}
+                />
+                <Button
+                  onClick={() => handleChange('sampleSeed', Math.floor(Math.random() * 1000000))}
+                  disabled={!sampleParams.enabled}
+                >
+                  New Seed
+                </Button>
+              </Space.Compact>
+            </Form.Item>
+          </div>
+        )}
+
+        {/* CLEAN CONFIG */}
+        {node.type === 'CLEAN' && (
+          <div className="space-y-4">
+            {cleanOps.length === 0 && <Empty description="No columns to clean" />}
+            <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+              {cleanOps.map((op, idx) => {
+                const normalized = normalizeCleanOp(op);
+                const error = getCleanOpError(op);
+                const replacements = Array.isArray(op.replacements) ? op.replacements : [];
+                const mapping = Array.isArray(op.mapping) ? op.mapping : [];
+                const splitNames = normalized.splitCount > 0 ? getSplitColumnNames(normalized) : [];
+                return (
+                  <Card key={idx} size="small">
+                    <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+                      <Space align="center" style={{ width: '100%' }}>
+                        <Select
+                          value={op.field || ''}
+                          onChange={(value) => updateCleanOp(idx, { field: value })}
+                          options={[
+                            { label: 'Select Field...', value: '' },
+                            ...inputFields
+                              .filter((f) => f === op.field || !cleanOps.some((other) => other.field === f))
+                              .map((f) => ({ label: f, value: f }))
+                          ]}
+                          style={{ flex: 1, minWidth: 0, width: '100%' }}
+                          {...selectDropdownProps}
+                        />
+                        <Button
+                          type="text"
+                          danger
+                          icon={<Trash2 size={14} />}
+                          onClick={() => handleChange('cleanOps', cleanOps.filter((_, opIdx) => opIdx !== idx))}
+                          aria-label="Remove column"
+                        />
+                      </Space>
+                      {op.field && !inputFields.includes(op.field) && (
+                        <Text type="warning" className="text-xs">This column is no longer in the input.</Text>
+                      )}
+                      <Space size="small" style={{ width: '100%' }}>
+                        <Checkbox
+                          checked={normalized.trim}
+                          onChange={(e) => updateCleanOp(idx, { trim: e.target.checked })}
+                        >
+                          Trim spaces
+                        </Checkbox>
+                        <Select
+                          size="small"
+                          value={normalized.case}
+                          onChange={(value) => updateCleanOp(idx, { case: value })}
+                          options={CLEAN_CASES}
+                          popupMatchSelectWidth={false}
+                          aria-label={`Case for ${op.field}`}
+                        />
+                      </Space>
+
+                      <Text type="secondary" className="text-xs">Find and replace</Text>
+                      {replacements.map((item, itemIdx) => (
+                        <Space key={`replace-${itemIdx}`} size="small" align="center" style={{ width: '100%' }}>
+                          <Space.Compact size="small" style={{ flex: 1, minWidth: 0 }}>
+                            <Input
+                              placeholder="Find"
+                              value={item.find ?? ''}
+                              onChange={(e) => updateCleanOpList(idx, 'replacements', itemIdx, { find: e.target.value })}
+                            />
+                            <Input
+                              placeholder="Replace with"
+                              value={item.replace ?? ''}
+                              onChange={(e) => updateCleanOpList(idx, 'replacements', itemIdx, { replace: e.target.value })}
+                            />
+                          </Space.Compact>
+                          <Checkbox
+                            checked={!!item.regex}
+                            onChange={(e) => updateCleanOpList(idx, 'replacements', itemIdx, { regex: e.target.checked })}
+                          >
+                            Regex
+                          </Checkbox>
+                          <Button
+                            type="text"
+                            size="small"
+                            danger
+                            icon={<Trash2 size={14} />}
+                            onClick={() => updateCleanOpList(idx, 'replacements', itemIdx, null)}
+                            aria-label="Remove replacement"
+                          />
+                        </Space>
+                      ))}
+                      <Button
+                        size="small"
+                        type="dashed"
+                        block
+                        icon={<Plus size={14} />}
+                        onClick={() => addCleanOpListItem(idx, 'replacements', { find: '', replace: '', regex: false })}
+                      >
+                        Add Replacement
+                      </Button>
+                      {error && <Text type="danger" className="text-xs">{error}</Text>}
+
+                      <Text type="secondary" className="text-xs">Map values (after the steps above)</Text>
+                      {mapping.map((item, itemIdx) => (
+                        <Space key={`map-${itemIdx}`} size="small" align="center" style={{ width: '100%' }}>
+                          <Space.Compact size="small" style={{ flex: 1, minWidth: 0 }}>
+                            <Input
+                              placeholder="Value"
+                              value={item.from ?? ''}
+                              onChange={(e) => updateCleanOpList(idx, 'mapping', itemIdx, { from: e.target.value })}
+                            />
+                            <Input
+                              placeholder="Becomes"
+                              value={item.to ?? ''}
+                              onChange={(e) => updateCleanOpList(idx, 'mapping', itemIdx, { to: e.target.value })}
+                            />
+                          </Space.Compact>
+                          <Button
+                            type="text"
+                            size="small"
+                            danger
+                            icon={<Trash2 size={14} />}
+                            onClick={() => updateCleanOpList(idx, 'mapping', itemIdx, null)}
+                            aria-label="Remove mapping"
+                          />
+                        </Space>
+                      ))}
+                      <Button
+                        size="small"
+                        type="dashed"
+                        block
+                        icon={<Plus size={14} />}
+                        onClick={() => addCleanOpListItem(idx, 'mapping', { from: '', to: '' })}
+                      >
+                        Add Mapping
+                      </Button>
+
+                      <Space.Compact size="small" style={{ width: '100%' }}>
+                        <Select
+                          value={normalized.fillMode}
+                          onChange={(value) => updateCleanOp(idx, { fillMode: value })}
+                          options={FILL_MODES.map((mode) => ({ ...mode, label: mode.value ? `Fill blanks: ${mode.label}` : mode.label }))}
+                          popupMatchSelectWidth={false}
+                          style={{ width: normalized.fillMode === 'value' ? '55%' : '100%' }}
+                        />
+                        {normalized.fillMode === 'value' && (
+                          <Input
+                            placeholder="Fill value"
+                            value={op.fillValue ?? ''}
+                            onChange={(e) => updateCleanOp(idx, { fillValue: e.target.value })}
+                            style={{ width: '45%' }}
+                          />
+                        )}
+                      </Space.Compact>
+
+                      <Space.Compact size="small" style={{ width: '100%' }}>
+                        <Input
+                          placeholder="Split on (e.g. ,)"
+                          value={op.splitDelimiter ?? ''}
+                          onChange={(e) => updateCleanOp(idx, { splitDelimiter: e.target.value })}
+                          style={{ width: '55%' }}
+                        />
+                        <InputNumber
+                          min={2}
+                          max={MAX_SPLIT_PARTS}
+                          precision={0}
+                          placeholder="Parts"
+                          value={normalized.splitCount || null}
+                          disabled={!normalized.splitDelimiter}
+                          onChange={(value) => updateCleanOp(idx, { splitCount: value ?? 2 })}
+                          style={{ width: '45%' }}
+                        />
+                      </Space.Compact>
+                      {splitNames.map((name, partIdx) => (
+                        <Input
+                          key={`split-${partIdx}`}
+                          size="small"
+                          addonBefore={`Part ${partIdx + 1}`}
+                          placeholder={`${op.field}_${partIdx + 1}`}
+                          value={normalized.splitNames[partIdx] ?? ''}
+                          onChange={(e) => {
+                            const names = Array.from({ length: normalized.splitCount }, (_, i) => normalized.splitNames[i] || '');
+                            names[partIdx] = e.target.value;
+                            updateCleanOp(idx, { splitNames: names });
+                          }}
+                          aria-label={`Name for ${name}`}
+                        />
+                      ))}
+                      {splitNames.length > 0 && (
+                        <Checkbox
+                          checked={normalized.splitKeep}
+                          onChange={(e) => updateCleanOp(idx, { splitKeep: e.target.checked })}
+                        >
+                          Keep {op.field}
+                        </Checkbox>
+                      )}
+                    </Space>
+                  </Card>
+                );
+              })}
+            </Space>
+            <Button type="dashed" block icon={<Plus size={16} />} onClick={() => handleChange('cleanOps', [...cleanOps, { field: '', trim: true }])}>
+              Add Column
+            </Button>
+            <Text type="secondary" className="text-xs">
+              Steps run top to bottom for each column; cleaned values replace the originals for every later step.
+            </Text>
+          </div>
+        )}
+
+        {/* DEDUPE CONFIG */}
+        {node.type === 'DEDUPE' && dedupeParams && (
+          <div className="space-y-4">
+            <Form.Item label="Compare Columns" extra="Rows with the same values in these columns are duplicates.">
+              <Select
+                mode="multiple"
+                allowClear
+                placeholder="All columns"
+                value={dedupeParams.keys}
+                onChange={(values) => handleChange('dedupeKeys', values)}
+                options={inputFields.map((f) => ({ label: f, value: f }))}
+                {...fullWidthSelect}
+              />
+            </Form.Item>
+            <Form.Item label="Keep">
+              <Select
+                value={node.params.dedupeKeep || 'first'}
+                onChange={(value) => handleChange('dedupeKeep', value)}
+                options={DEDUPE_KEEP_RULES}
+                {...fullWidthSelect}
+              />
+            </Form.Item>
+            {(node.params.dedupeKeep === 'max' || node.params.dedupeKeep === 'min') && (
+              <Form.Item label="By Column">
+                <Select
+                  placeholder="Select column..."
+                  value={node.params.dedupeBy || undefined}
+                  onChange={(value) => handleChange('dedupeBy', value)}
+                  options={inputFields.map((f) => ({ label: f, value: f }))}
+                  {...fullWidthSelect}
+                />
+              </Form.Item>
+            )}
+            <div className="grid grid-cols-2 gap-2">
+              <Form.Item label="Ignore Case" style={{ marginBottom: 0 }}>
+                <Switch
+                  checked={dedupeParams.ignoreCase}
+                  onChange={(checked) => handleChange('dedupeIgnoreCase', checked)}
+                />
+              </Form.Item>
+              <Form.Item label="Trim Spaces" style={{ marginBottom: 0 }}>
+                <Switch
+                  checked={dedupeParams.trim}
+                  onChange={(checked) => handleChange('dedupeTrim', checked)}
+                />
+              </Form.Item>
+            </div>
+            <Text type="secondary" className="text-xs">
+              Kept rows stay in their input order; the node card shows how many rows were removed.
+            </Text>
+          </div>
+        )}
+
+        {/* COLUMNS CONFIG */}
+        {node.type === 'COLUMNS' && (
+          <div className="space-y-4">
+            <Space size="small" wrap>
+              <Button size="small" onClick={() => setColumnOps(columnOps.map((op) => ({ ...op, include: true })))}>
+                Select All
+              </Button>
+              <Button size="small" onClick={() => setColumnOps(columnOps.map((op) => ({ ...op, include: false })))}>
+                Select None
+              </Button>
+              <Text type="secondary" className="text-xs">
+                {columnOps.filter((op) => op.include).length} of {columnOps.length} kept
+              </Text>
+            </Space>
+            {columnOps.length === 0 && <Empty description="No input columns" />}
+            <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+              {columnOps.map((op, idx) => (
+                <Card key={op.field} size="small" className={op.include ? '' : 'opacity-60'}>
+                  <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+                    <Space align="center" style={{ width: '100%' }}>
+                      <Checkbox
+                        checked={op.include}
+                        onChange={(e) => updateColumnOp(idx, { include: e.target.checked })}
+                        aria-label={`Keep ${op.field}`}
+                      />
+                      <Text ellipsis className="block" style={{ flex: 1, minWidth: 0 }} title={op.field}>{op.field}</Text>
+                      <Button
+                        type="text"
+                        size="small"
+                        icon={<ArrowUp size={14} />}
+                        disabled={idx === 0}
+                        onClick={() => moveColumnOp(idx, -1)}
+                        aria-label={`Move ${op.field} up`}
+                      />
+                      <Button
+                        type="text"
+                        size="small"
+                        icon={<ArrowDown size={14} />}
+                        disabled={idx === columnOps.length - 1}
+                        onClick={() => moveColumnOp(idx, 1)}
+                        aria-label={`Move ${op.field} down`}
+                      />
+                    </Space>
+                    {op.include && (
+                      <Space.Compact style={{ width: '100%' }} size="small">
+                        <Input
+                          placeholder={op.field}
+                          value={op.name}
+                          onChange={(e) => updateColumnOp(idx, { name: e.target.value })}
+                          style={{ width: '55%' }}
+                        />
+                        <Select
+                          value={op.type}
+                          onChange={(value) => updateColumnOp(idx, { type: value })}
+                          options={[
+                            { label: `Keep (${COLUMN_TYPE_LABELS[inputTypes?.[op.field]] || 'Text'})`, value: '' },
+                            ...CAST_TYPES
+                          ]}
+                          popupMatchSelectWidth={false}
+                          style={{ width: '45%' }}
+                        />
+                      </Space.Compact>
+                    )}
+                    {op.include && (op.type === 'date' || op.type === 'datetime') && (
+                      <Select
+                        size="small"
+                        value={op.dateFormat}
+                        onChange={(value) => updateColumnOp(idx, { dateFormat: value })}
+                        options={DATE_FORMATS}
+                        style={{ width: '100%' }}
+                        {...selectDropdownProps}
+                      />
+                    )}
+                  </Space>
+                </Card>
+              ))}
+            </Space>
+            <Form.Item label="Keep New Columns" extra="Columns added upstream later are kept at the end.">
+              <Switch
+                checked={normalizeColumnsParams(node.params).keepNewColumns}
+                onChange={(checked) => setColumnOps(columnOps, { keepNewColumns: checked })}
+              />
+            </Form.Item>
+          </div>
+        )}
+
+        {/* UNPIVOT CONFIG */}
+        {node.type === 'UNPIVOT' && unpivotParams && (
+          <div className="space-y-4">
+            <Form.Item label="Columns to Unpivot">
+              <Select
+                mode="multiple"
+                allowClear
+                placeholder="Select columns..."
+                value={unpivotParams.columns}
+                onChange={(values) => handleChange('unpivotColumns', values)}
+                options={inputFields.map((f) => ({ label: f, value: f }))}
+                {...fullWidthSelect}
+              />
+              <Button
+                size="small"
+                type="link"
+                className="px-0"
+                onClick={() => handleChange('unpivotColumns', inputFields.filter((f) => isNumericType(inputTypes?.[f])))}
+              >
+                Use all numeric columns
+              </Button>
+            </Form.Item>
+            <Form.Item label="Name Column" extra="Holds the original column name.">
+              <Input
+                placeholder={DEFAULT_UNPIVOT_NAME_COLUMN}
+                value={node.params.unpivotNameColumn ?? ''}
+                onChange={(e) => handleChange('unpivotNameColumn', e.target.value)}
+              />
+            </Form.Item>
+            <Form.Item label="Value Column" extra="Holds the cell value.">
+              <Input
+                placeholder={DEFAULT_UNPIVOT_VALUE_COLUMN}
+                value={node.params.unpivotValueColumn ?? ''}
+                onChange={(e) => handleChange('unpivotValueColumn', e.target.value)}
+              />
+            </Form.Item>
+            <Form.Item label="Skip Blank Values">
+              <Switch
+                checked={unpivotParams.dropBlanks}
+                onChange={(checked) => handleChange('unpivotDropBlanks', checked)}
+              />
+            </Form.Item>
+            {unpivotParams.columns.length > 0 && (
+              <Text type="secondary" className="text-xs">
+                Each input row becomes up to {unpivotParams.columns.length} rows; the other{' '}
+                {inputFields.length - unpivotParams.columns.length} columns repeat on each.
+              </Text>
+            )}
+          </div>
+        )}
+
+        {/* PIVOT TO COLUMNS CONFIG */}
+        {node.type === 'PIVOT_COLUMNS' && pivotColumnsParams && (
+          <div className="space-y-4">
+            <Form.Item label="New Columns From" extra="Each distinct value becomes a column.">
+              <Select
+                value={pivotColumnsParams.namesFrom}
+                onChange={(value) => handleChange('pivotNamesFrom', value)}
+                options={[
+                  { label: 'Select column...', value: '' },
+                  ...inputFields.map((f) => ({ label: f, value: f }))
+                ]}
+                {...fullWidthSelect}
+              />
+            </Form.Item>
+            <Form.Item label="Aggregation" extra="Combines values when several rows land in the same cell.">
+              <AggregationSelect
+                value={pivotColumnsParams.fn}
+                onChange={(value) => handleChange('pivotColumnsFn', value)}
+                {...selectDropdownProps}
+              />
+            </Form.Item>
+            {requiresMetricField(pivotColumnsParams.fn) && (
+              <Form.Item label="Values From">
+                <Select
+                  value={pivotColumnsParams.valuesFrom}
+                  onChange={(value) => handleChange('pivotValuesFrom', value)}
                   options={[
-                    { label: 'Select Numeric Field...', value: '' },
-                    ...schema.map((f) => ({ label: f, value: f }))
+                    { label: 'Select column...', value: '' },
+                    ...inputFields.filter((f) => f !== pivotColumnsParams.namesFrom).map((f) => ({ label: f, value: f }))
                   ]}
                   {...fullWidthSelect}
                 />
               </Form.Item>
             )}
+            <Form.Item label="Row Identity" extra="Leave empty to keep one row per combination of all other columns.">
+              <Select
+                mode="multiple"
+                allowClear
+                placeholder="All other columns"
+                value={pivotColumnsParams.index}
+                onChange={(values) => handleChange('pivotIndex', values)}
+                options={inputFields
+                  .filter((f) => f !== pivotColumnsParams.namesFrom && f !== pivotColumnsParams.valuesFrom)
+                  .map((f) => ({ label: f, value: f }))}
+                {...fullWidthSelect}
+              />
+            </Form.Item>
+            <Form.Item label="Column Name Prefix">
+              <Input
+                placeholder="None"
+                value={node.params.pivotColumnPrefix ?? ''}
+                onChange={(e) => handleChange('pivotColumnPrefix', e.target.value)}
+              />
+            </Form.Item>
+          </div>
+        )}
+
+        {/* BIN CONFIG */}
+        {node.type === 'BIN' && binParams && (
+          <div className="space-y-4">
+            <Form.Item label="Column">
+              <Select
+                value={binParams.field}
+                onChange={(value) => handleChange('binField', value)}
+                options={[
+                  { label: 'Select numeric column...', value: '' },
+                  ...inputFields.filter((f) => isNumericType(inputTypes?.[f])).map((f) => ({ label: f, value: f }))
+                ]}
+                {...fullWidthSelect}
+              />
+            </Form.Item>
+            <Form.Item label="Method">
+              <Radio.Group
+                value={binParams.spec?.method || 'equal_width'}
+                onChange={(e) => handleChange('binMethod', e.target.value)}
+                optionType="button"
+                buttonStyle="solid"
+                size="small"
+                options={BIN_METHODS}
+              />
+            </Form.Item>
+            {binParams.spec?.method === 'custom' ? (
+              <Form.Item label="Edges" extra="Comma-separated; values below the first or above the last edge get open-ended bins.">
+                <Input
+                  placeholder="0, 50, 100"
+                  value={node.params.binEdges ?? ''}
+                  onChange={(e) => handleChange('binEdges', e.target.value)}
+                />
+              </Form.Item>
+            ) : (
+              <Form.Item
+                label="Number of Bins"
+                extra={binParams.spec?.method === 'quantile'
+                  ? 'Each bin holds about the same number of rows.'
+                  : 'Edges are rounded to readable steps, so the count may differ slightly.'}
+              >
+                <InputNumber
+                  min={1}
+                  max={200}
+                  precision={0}
+                  value={binParams.spec?.count ?? DEFAULT_BIN_COUNT}
+                  onChange={(value) => handleChange('binCount', value || DEFAULT_BIN_COUNT)}
+                  style={{ width: '100%' }}
+                />
+              </Form.Item>
+            )}
+            <Form.Item label="Output Column">
+              <Input
+                placeholder={binParams.alias || 'bin'}
+                value={node.params.binAlias ?? ''}
+                onChange={(e) => handleChange('binAlias', e.target.value)}
+              />
+            </Form.Item>
+            {binParams.alias && (
+              <Text type="secondary" className="text-xs">
+                Adds {binParams.alias} with the bin label. Sorting by it puts the bins in order.
+              </Text>
+            )}
+          </div>
+        )}
+
+        {/* TOP N CONFIG */}
+        {node.type === 'TOP_N' && topNParams && (
+          <div className="space-y-4">
+            <Form.Item label="Group By">
+              <Select
+                mode="multiple"
+                allowClear
+                placeholder="Whole table"
+                value={topNParams.groupBy}
+                onChange={(values) => handleChange('groupBy', values)}
+                options={inputFields.map((f) => ({ label: f, value: f }))}
+                {...fullWidthSelect}
+              />
+            </Form.Item>
+            <Form.Item label="Order By">
+              <Select
+                value={topNParams.orderBy}
+                onChange={(value) => handleChange('orderBy', value)}
+                options={[
+                  { label: 'Input order', value: '' },
+                  ...inputFields.map((f) => ({ label: f, value: f }))
+                ]}
+                {...fullWidthSelect}
+              />
+            </Form.Item>
+            <div className="grid grid-cols-2 gap-2">
+              <Form.Item label="Keep" style={{ marginBottom: 0 }}>
+                <Select
+                  value={topNParams.direction}
+                  onChange={(value) => handleChange('orderDirection', value)}
+                  options={[
+                    { label: 'Highest', value: 'desc' },
+                    { label: 'Lowest', value: 'asc' }
+                  ]}
+                  {...fullWidthSelect}
+                />
+              </Form.Item>
+              <Form.Item label="Rows per Group" style={{ marginBottom: 0 }}>
+                <InputNumber
+                  min={1}
+                  precision={0}
+                  value={topNParams.limit}
+                  onChange={(value) => handleChange('topN', Number(value) || 1)}
+                  style={{ width: '100%' }}
+                />
+              </Form.Item>
+            </div>
+            <Form.Item label="Others Row">
+              <Space>
+                <Switch
+                  checked={topNParams.includeOthers}
+                  onChange={(checked) => handleChange('includeOthers', checked)}
+                />
+                <Input
+                  placeholder="Others"
+                  value={node.params.othersLabel ?? ''}
+                  onChange={(e) => handleChange('othersLabel', e.target.value)}
+                  disabled={!topNParams.includeOthers}
+                />
+              </Space>
+            </Form.Item>
+            <Text type="secondary" className="text-xs">
+              The Others row totals {topNParams.orderBy || 'the order-by field'} for the remaining rows of each group.
+            </Text>
+          </div>
+        )}
+
+        {/* APPEND CONFIG */}
+        {node.type === 'APPEND' && (
+          <div className="space-y-4">
+            <Form.Item label="Append Tables">
+              <Select
+                mode="multiple"
+                allowClear
+                placeholder="Select tables..."
+                value={Array.isArray(node.params.appendTables) ? node.params.appendTables : []}
+                onChange={(values) => handleChange('appendTables', values)}
+                options={dataModel.order.map((name) => ({ label: name, value: name }))}
+                {...fullWidthSelect}
+              />
+            </Form.Item>
+            <Form.Item label="Append Node Outputs">
+              <Select
+                mode="multiple"
+                allowClear
+                placeholder="Select nodes..."
+                value={Array.isArray(node.params.appendNodeIds) ? node.params.appendNodeIds : []}
+                onChange={(values) => handleBulkChange({
+                  appendNodeIds: values,
+                  appendNodeLabels: values.reduce((acc, id) => {
+                    const target = nodes.find((item) => item.id === id);
+                    acc[id] = target ? getNodeLabel(target) : id;
+                    return acc;
+                  }, {})
+                })}
+                options={referenceableNodes.map((item) => ({ label: getNodeLabel(item), value: item.id }))}
+                {...fullWidthSelect}
+              />
+            </Form.Item>
+            <Form.Item label="Source Column">
+              <Input
+                placeholder="Leave empty to skip, e.g. source_table"
+                value={node.params.sourceColumn || ''}
+                onChange={(e) => handleChange('sourceColumn', e.target.value)}
+              />
+            </Form.Item>
+            <Text type="secondary" className="text-xs">
+              Rows are stacked below the incoming rows. Columns are matched by name; missing cells are left blank.
+            </Text>
+          </div>
+        )}
+
+        {/* CALCULATE CONFIG */}
+        {node.type === 'CALCULATE' && (
+          <div className="space-y-4">
+            <Form.Item label="Column Name">
+              <Input
+                placeholder="e.g. margin"
+                value={node.params.columnName || ''}
+                onChange={(e) => handleChange('columnName', e.target.value)}
+              />
+            </Form.Item>
+            <Form.Item
+              label="Expression"
+              validateStatus={expressionError ? 'error' : undefined}
+              help={expressionError || undefined}
+            >
+              <Input.TextArea
+                autoSize={{ minRows: 3, maxRows: 8 }}
+                placeholder="e.g. [price] - [cost]"
+                value={node.params.expression || ''}
+                onChange={(e) => handleChange('expression', e.target.value)}
+                className="font-mono"
+              />
+            </Form.Item>
+            <Form.Item label="Insert Column">
+              <Select
+                value=""
+                onChange={(value) => {
+                  if (!value) return;
+                  const current = node.params.expression || '';
+                  const spacer = current && !/\s$/.test(current) ? ' ' : '';
+                  handleChange('expression', `${current}${spacer}[${value}]`);
+                }}
+                options={[
+                  { label: 'Select Field...', value: '' },
+                  ...calculateInputFields.map((f) => ({ label: f, value: f }))
+                ]}
+                {...fullWidthSelect}
+              />
+            </Form.Item>
+            <Text type="secondary" className="text-xs block">
+              Operators: + - * / %, & (concat), = != &lt; &gt;, AND / OR / NOT, ?? (fallback for blanks),
+              CASE WHEN … THEN … ELSE … END.
+            </Text>
+            <Text type="secondary" className="text-xs block">
+              Functions: {EXPRESSION_FUNCTIONS.join(', ')}.
+            </Text>
           </div>
         )}
 
@@ -782,34 +2716,13 @@ const PropertiesPanel = ({
             {/* Pivot Table Config */}
             {node.params.subtype === 'PIVOT' && (
               <div className="space-y-4">
-                <Form.Item label="Row Field">
-                  <Select
-                    value={node.params.pivotRow || ''}
-                    onChange={(value) => handleChange('pivotRow', value)}
-                    options={[
-                      { label: 'Select Row Field...', value: '' },
-                      ...schema.map((f) => ({ label: f, value: f }))
-                    ]}
-                    {...fullWidthSelect}
-                  />
-                </Form.Item>
-                <Form.Item label="Column Field">
-                  <Select
-                    value={node.params.pivotColumn || ''}
-                    onChange={(value) => handleChange('pivotColumn', value)}
-                    options={[
-                      { label: 'Select Column Field...', value: '' },
-                      ...schema.map((f) => ({ label: f, value: f }))
-                    ]}
-                    {...fullWidthSelect}
-                  />
-                </Form.Item>
+                {renderPivotLevels('rows', 'Rows')}
+                {renderPivotLevels('columns', 'Columns')}
                 <Form.Item label="Aggregation">
-                  <Select
+                  <AggregationSelect
                     value={node.params.pivotFn || 'count'}
                     onChange={(value) => handleChange('pivotFn', value)}
-                    options={KPI_FUNCTIONS.map((fn) => ({ label: fn.label, value: fn.value }))}
-                    {...fullWidthSelect}
+                    {...selectDropdownProps}
                   />
                 </Form.Item>
                 {requiresMetricField(node.params.pivotFn || 'count') && (
@@ -825,6 +2738,31 @@ const PropertiesPanel = ({
                     />
                   </Form.Item>
                 )}
+                <Form.Item label="Show Values As" extra="Percentages divide each cell by its row, column or grand total.">
+                  <Select
+                    value={node.params.pivotDisplay || 'value'}
+                    onChange={(value) => handleChange('pivotDisplay', value)}
+                    options={PIVOT_DISPLAY_MODES}
+                    {...fullWidthSelect}
+                  />
+                </Form.Item>
+                <Form.Item label="Grand Totals">
+                  <Switch
+                    checked={node.params.pivotTotals !== false}
+                    onChange={(checked) => handleChange('pivotTotals', checked)}
+                  />
+                </Form.Item>
+                {pivotHasNestedLevels && (
+                  <Form.Item label="Subtotals">
+                    <Switch
+                      checked={!!node.params.pivotSubtotals}
+                      onChange={(checked) => handleChange('pivotSubtotals', checked)}
+                    />
+                  </Form.Item>
+                )}
+                <Text type="secondary" className="text-xs">
+                  Click a value column header in the pivot to sort rows by it.
+                </Text>
               </div>
             )}
 
@@ -886,6 +2824,20 @@ const PropertiesPanel = ({
                     {...fullWidthSelect}
                   />
                 </Form.Item>
+                {node.params.chartType !== 'map' && isDateType(columnTypes?.[node.params.xAxis]) && (
+                  <Form.Item
+                    label="X Axis Time Grain"
+                    extra={node.params.xAxisGrain && (node.params.chartAggFn || 'none') === 'none'
+                      ? 'Bucketed axes sum the Y values when Aggregation is None.'
+                      : undefined}
+                  >
+                    <TimeGrainSelect
+                      value={node.params.xAxisGrain}
+                      onChange={(grain) => handleChange('xAxisGrain', grain)}
+                      style={{ width: '100%' }}
+                    />
+                  </Form.Item>
+                )}
                 <Form.Item label={node.params.chartType === 'map' ? 'Value Field' : 'Y Axis (Value)'}>
                   <Select
                     value={node.params.yAxis || ''}
@@ -898,17 +2850,16 @@ const PropertiesPanel = ({
                   />
                 </Form.Item>
                 <Form.Item label={node.params.chartType === 'map' ? 'Aggregation' : 'Y Axis Aggregation'}>
-                  <Select
+                  <AggregationSelect
                     value={(node.params.chartType === 'map' && node.params.chartAggFn === 'none')
                       ? 'count'
                       : (node.params.chartAggFn ?? 'none')}
                     onChange={(value) => handleChange('chartAggFn', value)}
                     disabled={node.params.chartType === 'scatter'}
-                    options={(node.params.chartType === 'map'
+                    options={node.params.chartType === 'map'
                       ? CHART_AGG_FUNCTIONS.filter(fn => fn.value !== 'none')
-                      : CHART_AGG_FUNCTIONS
-                    ).map((fn) => ({ label: fn.label, value: fn.value }))}
-                    {...fullWidthSelect}
+                      : CHART_AGG_FUNCTIONS}
+                    {...selectDropdownProps}
                   />
                   {node.params.chartType === 'scatter' && (
                     <Text type="secondary" className="text-xs">
@@ -1077,11 +3028,10 @@ const PropertiesPanel = ({
                           )}
                         </Space>
                         <Space size="small" style={{ width: '100%' }}>
-                          <Select
+                          <AggregationSelect
                             value={metric.fn || 'count'}
                             onChange={(value) => updateKpiMetric(idx, { fn: value })}
-                            options={KPI_FUNCTIONS.map((fn) => ({ label: fn.label, value: fn.value }))}
-                            style={{ flex: 1, minWidth: 0, width: '100%' }}
+                            style={{ flex: 1, minWidth: 0 }}
                             {...selectDropdownProps}
                           />
                           {requiresMetricField(metric.fn || 'count') && (
@@ -1108,11 +3058,10 @@ const PropertiesPanel = ({
             {node.params.subtype === 'GAUGE' && (
               <div className="space-y-4">
                 <Form.Item label="Aggregation">
-                  <Select
+                  <AggregationSelect
                     value={node.params.fn || 'count'}
                     onChange={(value) => handleChange('fn', value)}
-                    options={KPI_FUNCTIONS.map((fn) => ({ label: fn.label, value: fn.value }))}
-                    {...fullWidthSelect}
+                    {...selectDropdownProps}
                   />
                 </Form.Item>
                 {requiresMetricField(node.params.fn || 'count') && (
@@ -20,10 +20,55 @@ import {
   MoreHorizontal,
   Edit as EditIcon,
   Share2,
-  Layout
+  Layout,
+  ArrowUpDown,
+  ListOrdered,
+  Calculator,
+  WindowIcon,
+  TopNIcon,
+  AppendIcon,
+  BinIcon,
+  UnpivotIcon,
+  PivotColumnsIcon,
+  ColumnsIcon,
+  DedupeIcon,
+  CleanIcon,
+  SampleIcon,
+  SqlIcon
 } from '../ui/icons';
-import { getChildren, countDescendants, getNodeResult, formatNumber } from '../utils/nodeUtils';
-import { normalizeFilters, resolveFilterMode } from '../utils/filterUtils';
+import {
+  getChildren,
+  countDescendants,
+  getNodeResult,
+  formatNumber,
+  normalizeAggregateParams,
+  normalizeAppendParams,
+  getNodeReferences,
+  aggregationRequiresField,
+  formatAggregationLabel
+} from '../utils/nodeUtils';
+import {
+  DATE_PERIOD_LABELS,
+  FILTER_OPERATOR_LABELS,
+  FILTER_OPERATOR_OPTIONS,
+  getFilterValueKind,
+  isFilterConditionComplete,
+  isFilterGroup,
+  normalizeFilters,
+  resolveFilterCombinator,
+  resolveFilterMode
+} from '../utils/filterUtils';
+import { normalizeWindowParams } from '../utils/windowUtils';
+import { BIN_METHODS, normalizeBinParams } from '../utils/binUtils';
+import { formatJoinCondition, normalizeJoinParams } from '../utils/joinUtils';
+import { normalizePivotParams } from '../utils/pivotUtils';
+import { normalizeUnpivotParams, normalizePivotColumnsParams } from '../utils/reshapeUtils';
+import { listColumnOps } from '../utils/columnUtils';
+import { normalizeCleanParams, isCleanOpActive } from '../utils/cleanUtils';
+import { normalizeSampleParams } from '../utils/sampleUtils';
+import { normalizeSqlParams } from '../utils/sqlUtils';
+import { FilterValueInput } from './FilterValueInput';
+import { normalizeSortKeys, normalizeLimitParams, normalizeTopNParams, normalizeDedupeParams } from '../utils/sortUtils';
 import VisxChart from '../ui/SimpleChart';
 import WorldMapChart from '../ui/WorldMapChart';
 
@@ -49,25 +94,6 @@ const ENTANGLED_COLOR_OPTIONS = [
   { value: '#f472b6', label: 'Pink' },
   { value: '#fb7185', label: 'Rose' }
 ];
-const KPI_LABELS = {
-  count: 'Count',
-  count_distinct: 'Distinct Count',
-  sum: 'Sum',
-  avg: 'Average',
-  min: 'Min',
-  max: 'Max'
-};
-const FILTER_OPERATOR_LABELS = {
-  equals: '=',
-  not_equals: '!=',
-  gt: '>',
-  lt: '<',
-  gte: '>=',
-  lte: '<=',
-  in: 'in',
-  contains: 'contains'
-};
-
 const INSERT_MENU_ITEMS = [
   {
     type: 'group',
@@ -75,7 +101,21 @@ const INSERT_MENU_ITEMS = [
     children: [
       { key: 'FILTER', label: 'Filter', icon: <span className="w-1.5 h-1.5 rounded-full bg-orange-400" /> },
       { key: 'AGGREGATE', label: 'Aggregate', icon: <span className="w-1.5 h-1.5 rounded-full bg-purple-400" /> },
+      { key: 'SORT', label: 'Sort', icon: <span className="w-1.5 h-1.5 rounded-full bg-teal-400" /> },
+      { key: 'LIMIT', label: 'Limit', icon: <span className="w-1.5 h-1.5 rounded-full bg-sky-400" /> },
+      { key: 'CALCULATE', label: 'Calculated Column', icon: <span className="w-1.5 h-1.5 rounded-full bg-emerald-400" /> },
+      { key: 'WINDOW', label: 'Window', icon: <span className="w-1.5 h-1.5 rounded-full bg-amber-400" /> },
+      { key: 'TOP_N', label: 'Top N per Group', icon: <span className="w-1.5 h-1.5 rounded-full bg-lime-400" /> },
+      { key: 'BIN', label: 'Bin', icon: <span className="w-1.5 h-1.5 rounded-full bg-indigo-400" /> },
+      { key: 'CLEAN', label: 'Clean Data', icon: <span className="w-1.5 h-1.5 rounded-full bg-yellow-400" /> },
+      { key: 'SAMPLE', label: 'Sample', icon: <span className="w-1.5 h-1.5 rounded-full bg-blue-400" /> },
+      { key: 'DEDUPE', label: 'Remove Duplicates', icon: <span className="w-1.5 h-1.5 rounded-full bg-red-400" /> },
+      { key: 'COLUMNS', label: 'Columns', icon: <span className="w-1.5 h-1.5 rounded-full bg-rose-400" /> },
+      { key: 'UNPIVOT', label: 'Unpivot Columns', icon: <span className="w-1.5 h-1.5 rounded-full bg-fuchsia-400" /> },
+      { key: 'PIVOT_COLUMNS', label: 'Pivot to Columns', icon: <span className="w-1.5 h-1.5 rounded-full bg-violet-400" /> },
+      { key: 'APPEND', label: 'Append Tables', icon: <span className="w-1.5 h-1.5 rounded-full bg-cyan-400" /> },
       { key: 'JOIN', label: 'Join', icon: <span className="w-1.5 h-1.5 rounded-full bg-pink-400" /> },
+      { key: 'SQL', label: 'SQL Query', icon: <span className="w-1.5 h-1.5 rounded-full bg-slate-400" /> },
       { type: 'divider' },
       { key: 'COMPONENT:TABLE', label: 'Table', icon: <TableIcon size={12} /> },
       { key: 'COMPONENT:PIVOT', label: 'Pivot Table', icon: <TableIcon size={12} /> },
@@ -86,7 +126,7 @@ const INSERT_MENU_ITEMS = [
 
 const { Text, Title } = Typography;
 
-const metricRequiresField = (fn) => ['sum', 'avg', 'min', 'max', 'count_distinct'].includes(fn);
+const metricRequiresField = aggregationRequiresField;
 
 const EntangledIndicator = ({
   color,
@@ -174,16 +214,32 @@ const EntangledIndicator = ({
 
 const formatMetricLabel = (metric) => {
   if (metric.label) return metric.label;
-  const fnLabel = KPI_LABELS[metric.fn] || metric.fn || 'Count';
+  const fnLabel = formatAggregationLabel(metric.fn);
   if (metric.fn === 'count') return fnLabel;
   if (!metric.field) return fnLabel;
   return `${fnLabel} of ${metric.field}`;
 };
 
 const formatFilterLabel = (filter) => {
+  if (isFilterGroup(filter)) {
+    const parts = filter.filters.map((child) => formatFilterLabel(child));
+    const body = parts.length > 0 ? `(${parts.join(` ${filter.combinator} `)})` : '(empty group)';
+    return filter.negate ? `NOT ${body}` : body;
+  }
   const field = filter.field || '';
   const operator = FILTER_OPERATOR_LABELS[filter.operator] || filter.operator || '=';
-  const value = filter.value ?? '';
+  const valueKind = getFilterValueKind(filter.operator);
+  if (field && valueKind === 'none') return `${field} ${operator}`;
+  if (field && valueKind === 'range' && isFilterConditionComplete(filter)) {
+    if (filter.value === '' || filter.value == null) return `${field} <= ${filter.valueTo}`;
+    if (filter.valueTo === '' || filter.valueTo == null) return `${field} >= ${filter.value}`;
+    return `${field} between ${filter.value} and ${filter.valueTo}`;
+  }
+  if (field && valueKind === 'days' && isFilterConditionComplete(filter)) return `${field} in last ${filter.value} days`;
+  if (field && valueKind === 'period' && isFilterConditionComplete(filter)) {
+    return `${field} in ${(DATE_PERIOD_LABELS[filter.value] || filter.value).toLowerCase()}`;
+  }
+  const value = filter.caseSensitive && filter.value ? `${filter.value} (Aa)` : (filter.value ?? '');
   if (!field && (value === '' || value === null || value === undefined)) {
     return 'New filter';
   }
@@ -194,6 +250,183 @@ const formatFilterLabel = (filter) => {
   return `${resolvedField} ${operator} ${value}`.trim();
 };
 
+const formatAggregateLabel = (params) => {
+  const { groupBy, metrics, timeGrains } = normalizeAggregateParams(params);
+  if (groupBy.length === 0) return 'Group by ...';
+  const dimensions = groupBy.map((field) => (timeGrains[field] ? `${field} (${timeGrains[field].replace(/_/g, ' ')})` : field));
+  return `Group by ${dimensions.join(', ')} · ${metrics.map((metric) => metric.alias).join(', ')}`;
+};
+
+const formatSortLabel = (params) => {
+  const sortKeys = normalizeSortKeys(params).filter((key) => key.field);
+  if (sortKeys.length === 0) return 'No sort keys';
+  return `Sort by ${sortKeys.map((key) => `${key.field} ${key.direction === 'desc' ? '↓' : '↑'}`).join(', ')}`;
+};
+
+const formatMatchRate = (matched, total) => (
+  total > 0 ? `${Math.round((matched / total) * 100)}% (${formatNumber(matched)}/${formatNumber(total)})` : '0%'
+);
+
+const formatJoinLabel = (params, summary) => {
+  const { joinType, rightTable, rightLabel, matchMode } = normalizeJoinParams(params);
+  const mode = matchMode === 'exact' ? '' : ` ${matchMode === 'asof' ? 'as-of' : matchMode}`;
+  const label = `${joinType}${mode} with ${rightTable || rightLabel || '...'}`;
+  if (!summary || summary.leftRows === 0) return label;
+  return `${label} · ${Math.round((summary.matchedLeftRows / summary.leftRows) * 100)}% matched`;
+};
+
+const formatPivotValue = (value, displayMode) => {
+  if (typeof value !== 'number') return value ?? '-';
+  return displayMode === 'value' ? formatNumber(value) : `${value.toFixed(1)}%`;
+};
+
+// Antd columns and rows for a pivot payload: one label column per row level, then value columns
+// grouped under their parent column keys, with subtotal and total columns after their group.
+const buildPivotTable = (pivot, { sortBy, sortDirection }) => {
+  const rowLevelCount = pivot.rowFields.length;
+  const labelColumns = pivot.rowFields.map((field, level) => ({
+    title: field,
+    key: `row-level-${level}`,
+    dataIndex: ['labels', level],
+    fixed: 'left'
+  }));
+  const valueColumns = [];
+  const groups = new Map();
+  pivot.colHeaders.forEach((header, colIdx) => {
+    let siblings = valueColumns;
+    const parentDepth = header.type === 'leaf' ? header.path.length - 1 : header.path.length;
+    for (let depth = 1; depth <= parentDepth; depth += 1) {
+      const groupKey = JSON.stringify(header.path.slice(0, depth));
+      if (!groups.has(groupKey)) {
+        const group = { title: header.path[depth - 1], key: `group-${groupKey}`, children: [] };
+        groups.set(groupKey, group);
+        siblings.push(group);
+      }
+      siblings = groups.get(groupKey).children;
+    }
+    const title = header.type === 'leaf' ? header.path[header.path.length - 1] : 'Total';
+    siblings.push({
+      title,
+      key: header.key,
+      align: 'right',
+      sorter: true,
+      sortDirections: ['descend', 'ascend'],
+      sortOrder: sortBy === header.key ? (sortDirection === 'asc' ? 'ascend' : 'descend') : null,
+      render: (_, record) => formatPivotValue(record.cells[colIdx], pivot.displayMode)
+    });
+  });
+  let previous = [];
+  const dataSource = pivot.rowHeaders.map((header, rowIdx) => {
+    const labels = new Array(rowLevelCount).fill('');
+    if (header.type === 'total') {
+      labels[0] = 'Total';
+    } else if (header.type === 'subtotal') {
+      labels[header.path.length - 1] = `${header.path[header.path.length - 1]} Total`;
+    } else {
+      // Repeated parent labels are left blank so groups read as blocks.
+      header.path.forEach((value, level) => {
+        const sameGroup = header.path.slice(0, level + 1).every((part, index) => previous[index] === part);
+        labels[level] = level < rowLevelCount - 1 && sameGroup ? '' : value;
+      });
+      previous = header.path;
+    }
+    return { key: header.key, type: header.type, labels, cells: pivot.values[rowIdx] };
+  });
+  return { columns: [...labelColumns, ...valueColumns], dataSource };
+};
+
+const formatLimitLabel = (params) => {
+  const { limit, offset, fromEnd } = normalizeLimitParams(params);
+  const label = `${fromEnd ? 'Bottom' : 'Top'} ${limit} rows`;
+  return offset > 0 ? `${label} (skip ${offset})` : label;
+};
+
+const formatWindowLabel = (params) => {
+  const { partitionBy, windows } = normalizeWindowParams(params);
+  if (windows.length === 0) return 'No window functions';
+  const label = windows.map((item) => item.alias).join(', ');
+  return partitionBy.length > 0 ? `${label} per ${partitionBy.join(', ')}` : label;
+};
+
+const formatTopNLabel = (params) => {
+  const { groupBy, orderBy, direction, limit, includeOthers } = normalizeTopNParams(params);
+  let label = `${direction === 'asc' ? 'Bottom' : 'Top'} ${limit}`;
+  if (orderBy) label += ` by ${orderBy}`;
+  if (groupBy.length > 0) label += ` per ${groupBy.join(', ')}`;
+  return includeOthers ? `${label} + Others` : label;
+};
+
+const formatBinLabel = (params) => {
+  const { field, spec } = normalizeBinParams(params);
+  if (!field || !spec) return 'Bin ...';
+  if (spec.method === 'custom') return `${field} at ${spec.edges.length} edge${spec.edges.length === 1 ? '' : 's'}`;
+  const method = BIN_METHODS.find((item) => item.value === spec.method)?.label.toLowerCase();
+  return `${field} into ${spec.count} ${method} bins`;
+};
+
+const formatSampleLabel = (params, summary) => {
+  const { enabled, method, size, percent, strataField } = normalizeSampleParams(params);
+  if (!enabled) return 'Sampling off · all rows';
+  let label = method === 'percent' ? `${percent}% random` : `${formatNumber(size)} random rows`;
+  if (strataField) label += ` by ${strataField}`;
+  if (!summary) return label;
+  return `${label} · ${formatNumber(summary.sampledRows)} of ${formatNumber(summary.inputRows)}`;
+};
+
+const formatCleanLabel = (params, summary) => {
+  const fields = normalizeCleanParams(params).ops.filter(isCleanOpActive).map((op) => op.field);
+  if (fields.length === 0) return 'No columns to clean';
+  const label = `Clean ${fields.length > 3 ? `${fields.slice(0, 3).join(', ')} +${fields.length - 3}` : fields.join(', ')}`;
+  if (!summary) return label;
+  return `${label} · ${formatNumber(summary.changedValues)} changed`;
+};
+
+const formatDedupeLabel = (params, summary) => {
+  const { keys, keep, orderBy } = normalizeDedupeParams(params);
+  let label = keys.length > 0 ? `Unique by ${keys.join(', ')}` : 'Unique rows';
+  if (keep === 'last') label += ', keep last';
+  if (keep === 'max' || keep === 'min') label += `, keep ${keep === 'max' ? 'highest' : 'lowest'} ${orderBy}`;
+  if (!summary) return label;
+  return `${label} · ${formatNumber(summary.removedRows)} removed`;
+};
+
+const formatColumnsLabel = (params, inputSchema) => {
+  const ops = listColumnOps(inputSchema, params);
+  const kept = ops.filter((op) => op.include);
+  const parts = [`${kept.length} of ${ops.length} columns`];
+  const renamed = kept.filter((op) => op.name && op.name !== op.field).length;
+  const cast = kept.filter((op) => op.type).length;
+  if (renamed > 0) parts.push(`${renamed} renamed`);
+  if (cast > 0) parts.push(`${cast} cast`);
+  return parts.join(' · ');
+};
+
+const formatUnpivotLabel = (params) => {
+  const { columns, nameColumn, valueColumn } = normalizeUnpivotParams(params);
+  if (columns.length === 0) return 'No columns to unpivot';
+  const listed = columns.length > 3 ? `${columns.slice(0, 3).join(', ')} +${columns.length - 3}` : columns.join(', ');
+  return `${listed} → ${nameColumn}, ${valueColumn}`;
+};
+
+const formatPivotColumnsLabel = (params) => {
+  const { namesFrom, valuesFrom, fn } = normalizePivotColumnsParams(params);
+  if (!namesFrom) return 'Pivot ...';
+  return aggregationRequiresField(fn)
+    ? `Columns from ${namesFrom}, ${formatAggregationLabel(fn).toLowerCase()} of ${valuesFrom || '...'}`
+    : `Columns from ${namesFrom}, ${formatAggregationLabel(fn).toLowerCase()}`;
+};
+
+const formatAppendLabel = (params) => {
+  const { tables, nodeIds, nodeLabels, sourceColumn } = normalizeAppendParams(params);
+  const names = [...tables, ...nodeIds.map((id) => nodeLabels[id] || id)];
+  if (names.length === 0) return 'No tables appended';
+  const label = `+ ${names.join(', ')}`;
+  return sourceColumn ? `${label} (${sourceColumn})` : label;
+};
+
+// The query on one line; the card truncates it.
+const formatSqlLabel = (params) => normalizeSqlParams(params).sql.replace(/\s+/g, ' ').trim() || 'No query';
+
 const hexToRgb = (color) => {
   if (!color || typeof color !== 'string') return null;
   const hex = color.replace('#', '').trim();
@@ -488,7 +721,7 @@ const TablePreview = React.memo(({
 
   React.useEffect(() => {
     rowCacheRef.current.clear();
-  }, [rowCount, sortBy, normalizedSortDirection]);
+  }, [rowCount, sortBy, normalizedSortDirection, getRowAt]);
 
   React.useEffect(() => {
     setCellAction(null);
@@ -583,7 +816,8 @@ const TablePreview = React.memo(({
     const cache = rowCacheRef.current;
     if (cache.has(index)) return cache.get(index);
     const row = getRowAt ? getRowAt(index, sortBy, normalizedSortDirection) : null;
-    cache.set(index, row);
+    // Rows still loading come back as null; leave them uncached so the next render picks them up.
+    if (row) cache.set(index, row);
     return row;
   };
 
@@ -954,11 +1188,20 @@ const TreeNode = ({
 
   const result = getNodeResult(chainData, nodeId);
   const parentResult = node.parentId ? getNodeResult(chainData, node.parentId) : null;
+  const joinParams = node.type === 'JOIN' ? normalizeJoinParams(node.params) : null;
+  const binSummary = node.type === 'BIN' && result?.summary?.bins?.length > 0
+    ? { ...result.summary, maxCount: Math.max(1, ...result.summary.bins.map((bin) => bin.count)) }
+    : null;
   const filterSourceResult = node.type === 'FILTER' && parentResult ? parentResult : result;
   const filters = React.useMemo(
     () => (node.type === 'FILTER' ? normalizeFilters(node.params) : []),
     [node.type, node.params]
   );
+  const filterCombinator = resolveFilterCombinator(node.params?.combinator);
+  const getFilterChipLabel = (filter, index) => {
+    const label = formatFilterLabel(filter);
+    return index > 0 && filterCombinator === 'OR' ? `OR ${label}` : label;
+  };
   const [isFilterBuilderOpen, setIsFilterBuilderOpen] = React.useState(false);
   const [filterBuilderTargetIndex, setFilterBuilderTargetIndex] = React.useState(null);
   const [filterBuilderAnchor, setFilterBuilderAnchor] = React.useState(null);
@@ -1150,7 +1393,21 @@ const TreeNode = ({
       children: [
         { key: 'FILTER', label: 'Filter', icon: <span className="w-2 h-2 rounded-full bg-orange-400" /> },
         { key: 'AGGREGATE', label: 'Aggregate', icon: <span className="w-2 h-2 rounded-full bg-purple-400" /> },
-        { key: 'JOIN', label: 'SQL Join', icon: <span className="w-2 h-2 rounded-full bg-pink-400" /> }
+        { key: 'SORT', label: 'Sort', icon: <span className="w-2 h-2 rounded-full bg-teal-400" /> },
+        { key: 'LIMIT', label: 'Limit', icon: <span className="w-2 h-2 rounded-full bg-sky-400" /> },
+        { key: 'CALCULATE', label: 'Calculated Column', icon: <span className="w-2 h-2 rounded-full bg-emerald-400" /> },
+        { key: 'WINDOW', label: 'Window', icon: <span className="w-2 h-2 rounded-full bg-amber-400" /> },
+        { key: 'TOP_N', label: 'Top N per Group', icon: <span className="w-2 h-2 rounded-full bg-lime-400" /> },
+        { key: 'BIN', label: 'Bin', icon: <span className="w-2 h-2 rounded-full bg-indigo-400" /> },
+        { key: 'CLEAN', label: 'Clean Data', icon: <span className="w-2 h-2 rounded-full bg-yellow-400" /> },
+        { key: 'SAMPLE', label: 'Sample', icon: <span className="w-2 h-2 rounded-full bg-blue-400" /> },
+        { key: 'DEDUPE', label: 'Remove Duplicates', icon: <span className="w-2 h-2 rounded-full bg-red-400" /> },
+        { key: 'COLUMNS', label: 'Columns', icon: <span className="w-2 h-2 rounded-full bg-rose-400" /> },
+        { key: 'UNPIVOT', label: 'Unpivot Columns', icon: <span className="w-2 h-2 rounded-full bg-fuchsia-400" /> },
+        { key: 'PIVOT_COLUMNS', label: 'Pivot to Columns', icon: <span className="w-2 h-2 rounded-full bg-violet-400" /> },
+        { key: 'APPEND', label: 'Append Tables', icon: <span className="w-2 h-2 rounded-full bg-cyan-400" /> },
+        { key: 'JOIN', label: 'SQL Join', icon: <span className="w-2 h-2 rounded-full bg-pink-400" /> },
+        { key: 'SQL', label: 'SQL Query', icon: <span className="w-2 h-2 rounded-full bg-slate-400" /> }
       ]
     },
     { type: 'divider' },
@@ -1216,7 +1473,9 @@ const TreeNode = ({
       setOperatorDraft({
         field: filter.field || '',
         operator: filter.operator || 'equals',
-        value: filter.value ?? ''
+        value: filter.value ?? '',
+        valueTo: filter.valueTo ?? '',
+        caseSensitive: !!filter.caseSensitive
       });
       setAttributeDraft({ field: '', values: [] });
     }
@@ -1325,6 +1584,8 @@ const TreeNode = ({
       field: operatorDraft.field,
       operator: operatorDraft.operator || 'equals',
       value: operatorDraft.value ?? '',
+      valueTo: operatorDraft.valueTo ?? '',
+      caseSensitive: !!operatorDraft.caseSensitive,
       mode: 'operator'
     };
     if (filterBuilderTargetIndex != null && filterBuilderTargetIndex >= 0) {
@@ -1385,6 +1646,20 @@ const TreeNode = ({
   if (node.type === 'FILTER') Icon = Filter;
   if (node.type === 'AGGREGATE') Icon = Sigma;
   if (node.type === 'JOIN') Icon = LinkIcon;
+  if (node.type === 'SORT') Icon = ArrowUpDown;
+  if (node.type === 'LIMIT') Icon = ListOrdered;
+  if (node.type === 'CALCULATE') Icon = Calculator;
+  if (node.type === 'WINDOW') Icon = WindowIcon;
+  if (node.type === 'TOP_N') Icon = TopNIcon;
+  if (node.type === 'BIN') Icon = BinIcon;
+  if (node.type === 'CLEAN') Icon = CleanIcon;
+  if (node.type === 'SAMPLE') Icon = SampleIcon;
+  if (node.type === 'DEDUPE') Icon = DedupeIcon;
+  if (node.type === 'COLUMNS') Icon = ColumnsIcon;
+  if (node.type === 'UNPIVOT') Icon = UnpivotIcon;
+  if (node.type === 'PIVOT_COLUMNS') Icon = PivotColumnsIcon;
+  if (node.type === 'APPEND') Icon = AppendIcon;
+  if (node.type === 'SQL') Icon = SqlIcon;
   if (node.type === 'COMPONENT') {
     if (node.params.subtype === 'TABLE') Icon = TableIcon;
     if (node.params.subtype === 'PIVOT') Icon = TableIcon;
@@ -1458,28 +1733,16 @@ const TreeNode = ({
               disabled={filterFieldOptions.length === 0}
               style={{ width: '100%' }}
             />
-            <Space size="small" className="w-full">
-              <Select
-                value={operatorDraft.operator || 'equals'}
-                onChange={(value) => setOperatorDraft((prev) => ({ ...prev, operator: value }))}
-                options={[
-                  { label: '=', value: 'equals' },
-                  { label: '!=', value: 'not_equals' },
-                  { label: '>', value: 'gt' },
-                  { label: '<', value: 'lt' },
-                  { label: '>=', value: 'gte' },
-                  { label: '<=', value: 'lte' },
-                  { label: 'In list', value: 'in' },
-                  { label: 'Like', value: 'contains' }
-                ]}
-                style={{ width: 120 }}
-              />
-              <Input
-                placeholder={operatorDraft.operator === 'in' ? 'Comma-separated values' : 'Value'}
-                value={operatorDraft.value}
-                onChange={(e) => setOperatorDraft((prev) => ({ ...prev, value: e.target.value }))}
-              />
-            </Space>
+            <Select
+              value={operatorDraft.operator || 'equals'}
+              onChange={(value) => setOperatorDraft((prev) => ({ ...prev, operator: value }))}
+              options={FILTER_OPERATOR_OPTIONS}
+              style={{ width: '100%' }}
+            />
+            <FilterValueInput
+              filter={operatorDraft}
+              onChange={(updates) => setOperatorDraft((prev) => ({ ...prev, ...updates }))}
+            />
             <Button
               type="primary"
               size="small"
@@ -1586,15 +1849,15 @@ const TreeNode = ({
       >
         <div className="flex flex-col gap-2">
           {hiddenFilters.map(({ filter, index }) => {
-            const label = formatFilterLabel(filter);
+            const label = getFilterChipLabel(filter, index);
             return (
               <span key={filter.id || `filter-overflow-${index}`} className="relative inline-flex group/filter-chip">
                 <span
                   className="inline-flex"
                   onClick={(e) => {
                     e.stopPropagation();
-                    openFilterBuilderForFilter(filter, index, 'overflow');
                     setIsFilterOverflowMenuOpen(false);
+                    if (!isFilterGroup(filter)) openFilterBuilderForFilter(filter, index, 'overflow');
                   }}
                 >
                   <Tag color="orange" className={dropdownChipTagClassName}>
@@ -1638,7 +1901,7 @@ const TreeNode = ({
       >
         {visibleFilters.map((filter, index) => {
           const isOpen = isFilterBuilderOpen && filterBuilderTargetIndex === index && filterBuilderAnchor === 'chip';
-          const label = formatFilterLabel(filter);
+          const label = getFilterChipLabel(filter, index);
           return (
             <Popover
               key={filter.id || `filter-${index}`}
@@ -1653,6 +1916,8 @@ const TreeNode = ({
               <span
                 className="relative inline-flex group/filter-chip"
                 onClick={(e) => {
+                  // Groups are edited in the properties panel, so let the click select the node.
+                  if (isFilterGroup(filter)) return;
                   e.stopPropagation();
                   openFilterBuilderForFilter(filter, index, 'chip');
                 }}
@@ -1734,7 +1999,7 @@ const TreeNode = ({
             aria-hidden="true"
           >
             {filters.map((filter, index) => {
-              const label = formatFilterLabel(filter);
+              const label = getFilterChipLabel(filter, index);
               return (
                 <span
                   key={filter.id || `filter-measure-${index}`}
@@ -1790,34 +2055,21 @@ const TreeNode = ({
 
   const pivotState = React.useMemo(() => {
     if (!result || node.type !== 'COMPONENT' || node.params.subtype !== 'PIVOT') return null;
-    const rowField = node.params.pivotRow;
-    const columnField = node.params.pivotColumn;
-    const valueField = node.params.pivotValue;
-    const fn = node.params.pivotFn || 'count';
-    if (!rowField || !columnField) {
+    const pivotParams = normalizePivotParams(node.params);
+    if (pivotParams.rows.length === 0 || pivotParams.columns.length === 0) {
       return { error: 'Select row and column fields to render the pivot.' };
     }
-    if (metricRequiresField(fn) && !valueField) {
+    if (metricRequiresField(pivotParams.fn) && !pivotParams.valueField) {
       return { error: 'Select a value field for this aggregation.' };
     }
-    if (!result.getPivotData) {
-      return { rowKeys: [], colKeys: [], matrix: [], fn, rowField, columnField };
-    }
+    if (!result.getPivotData) return null;
+    // Header clicks reuse the table sort params; the key names a pivot column.
     return result.getPivotData({
-      rowField,
-      columnField,
-      valueField,
-      fn
+      ...pivotParams,
+      sortBy: node.params.tableSortBy || '',
+      sortDirection: node.params.tableSortDirection || 'desc'
     });
-  }, [
-    node.type,
-    node.params.subtype,
-    node.params.pivotRow,
-    node.params.pivotColumn,
-    node.params.pivotValue,
-    node.params.pivotFn,
-    result
-  ]);
+  }, [node.type, node.params, result]);
 
   React.useEffect(() => {
     const el = pivotTableRef.current;
@@ -1873,14 +2125,21 @@ const TreeNode = ({
       const fallback = result.getSampleRows ? result.getSampleRows(5000) : (result.data || []);
       return { data: fallback, yField };
     }
-    const aggFn = chartAggFn;
+    const xGrain = chartType !== 'scatter' ? (node.params.xAxisGrain || '') : '';
+    // A time-bucketed axis needs one value per bucket, so raw values are summed.
+    const aggFn = xGrain && chartAggFn === 'none' ? 'sum' : chartAggFn;
     const shouldAggregate = chartType !== 'scatter' && aggFn !== 'none';
     if (!shouldAggregate) {
       const fallback = result.getSampleRows ? result.getSampleRows(5000) : (result.data || []);
       return { data: fallback, yField };
     }
     if (!result.getAggregatedRows) return { data: [], yField };
-    const aggregated = result.getAggregatedRows({ groupBy: xField, fn: aggFn, metricField: yField });
+    const aggregated = result.getAggregatedRows({
+      groupBy: xField,
+      groupByGrains: xGrain ? { [xField]: xGrain } : undefined,
+      fn: aggFn,
+      metricField: yField
+    });
     return {
       data: aggregated.rows || [],
       yField: aggregated.outputField || yField
@@ -1892,7 +2151,8 @@ const TreeNode = ({
     chartType,
     chartAggFn,
     chartYAxis,
-    node.params.xAxis
+    node.params.xAxis,
+    node.params.xAxisGrain
   ]);
 
   const mapData = React.useMemo(() => {
@@ -2071,13 +2331,42 @@ const TreeNode = ({
                 headerIsCompact ? null : renderFilterChips(false)
               ) : (
                 <Text type="secondary" className="text-xs truncate block">
-                  {node.type === 'AGGREGATE' ? `Group by ${node.params.groupBy}` :
-                    node.type === 'JOIN' ? `with ${node.params.rightTable || '...'}` :
+                  {node.type === 'AGGREGATE' ? formatAggregateLabel(node.params) :
+                    node.type === 'JOIN' ? formatJoinLabel(node.params, result?.summary) :
+                    node.type === 'SORT' ? formatSortLabel(node.params) :
+                    node.type === 'LIMIT' ? formatLimitLabel(node.params) :
+                    node.type === 'CALCULATE' ? `${node.params.columnName || '...'} = ${node.params.expression || '...'}` :
+                    node.type === 'WINDOW' ? formatWindowLabel(node.params) :
+                    node.type === 'TOP_N' ? formatTopNLabel(node.params) :
+                    node.type === 'BIN' ? formatBinLabel(node.params) :
+                    node.type === 'SAMPLE' ? formatSampleLabel(node.params, result?.summary) :
+                    node.type === 'CLEAN' ? formatCleanLabel(node.params, result?.summary) :
+                    node.type === 'DEDUPE' ? formatDedupeLabel(node.params, result?.summary) :
+                    node.type === 'COLUMNS' ? formatColumnsLabel(node.params, parentResult?.schema || []) :
+                    node.type === 'UNPIVOT' ? formatUnpivotLabel(node.params) :
+                    node.type === 'PIVOT_COLUMNS' ? formatPivotColumnsLabel(node.params) :
+                    node.type === 'APPEND' ? formatAppendLabel(node.params) :
+                    node.type === 'SQL' ? formatSqlLabel(node.params) :
                     node.type === 'COMPONENT' ? (node.params.subtype === 'AI' ? 'AI Assistant' : `${node.params.subtype} View`) :
                     node.description || node.type}
                 </Text>
               )}
             </div>
+            {result && result.status && result.status !== 'ready' && (
+              <div className="mt-1 flex items-center gap-2" aria-live="polite">
+                <Progress
+                  percent={Math.round((result.progress || 0) * 100)}
+                  size="small"
+                  showInfo={false}
+                  status="active"
+                  className="flex-1"
+                  style={{ margin: 0 }}
+                />
+                <Text type="secondary" className="text-[10px] shrink-0">
+                  {result.status === 'running' ? 'Computing…' : 'Queued'}
+                </Text>
+              </div>
+            )}
           </div>
           {isSmartNarrow ? (
             <Dropdown
@@ -2243,6 +2532,17 @@ const TreeNode = ({
             const contentPaddingClass = hasTableLikePreview ? 'p-0' : (isChartPreview ? 'p-1' : 'p-4');
             return (
             <div className={`border-t border-gray-100 bg-gray-50 dark:border-slate-700 dark:bg-slate-800 ${contentPaddingClass} flex-1 min-h-0 animate-in slide-in-from-top-2 duration-200 flex flex-col overflow-hidden`}>
+              {result.error && (
+                <div className="px-2 pt-2">
+                  <Alert type="error" showIcon message={result.error} />
+                </div>
+              )}
+              {result.warnings?.length > 0 && (
+                <div className="px-2 pt-2">
+                  <Alert type="warning" showIcon message={result.warnings.join(' ')} />
+                </div>
+              )}
+
               {/* TABLE VIEW */}
               {isTablePreview && (
                 <div className="flex-1 min-h-0 flex flex-col">
@@ -2294,17 +2594,9 @@ const TreeNode = ({
                       <Empty description={pivotState?.error || 'Configure row and column fields to render the pivot.'} />
                     ) : (
                       (() => {
-                        const pivotColumns = [
-                          { title: pivotState.rowField, dataIndex: 'rowKey', key: 'rowKey', fixed: 'left' },
-                          ...pivotState.colKeys.map((col) => ({ title: col, dataIndex: col, key: col }))
-                        ];
-                        const dataSource = pivotState.rowKeys.map((rowKey, rowIdx) => {
-                          const row = { rowKey };
-                          pivotState.colKeys.forEach((colKey, colIdx) => {
-                            const value = pivotState.matrix[rowIdx]?.[colIdx];
-                            row[colKey] = typeof value === 'number' ? formatNumber(value) : (value ?? '-');
-                          });
-                          return row;
+                        const { columns: pivotColumns, dataSource } = buildPivotTable(pivotState, {
+                          sortBy: node.params.tableSortBy,
+                          sortDirection: node.params.tableSortDirection
                         });
                         return (
                           <Table
@@ -2314,8 +2606,14 @@ const TreeNode = ({
                             pagination={false}
                             columns={pivotColumns}
                             dataSource={dataSource}
+                            bordered={pivotState.columnFields.length > 1}
                             scroll={{ x: 'max-content', y: Math.max(140, pivotTableHeight - pivotHeaderHeight) }}
-                            rowKey="rowKey"
+                            rowKey="key"
+                            rowClassName={(record) => (record.type === 'leaf' ? '' : 'font-semibold bg-slate-50 dark:bg-slate-800/60')}
+                            onChange={(_, __, sorter) => {
+                              const next = Array.isArray(sorter) ? sorter[0] : sorter;
+                              onTableSortChange?.(nodeId, next?.order ? next.columnKey : '', next?.order === 'ascend' ? 'asc' : 'desc');
+                            }}
                           />
                         );
                       })()
@@ -2325,20 +2623,51 @@ const TreeNode = ({
               )}
 
               {/* JOIN VIEW */}
-              {node.type === 'JOIN' && (
+              {node.type === 'JOIN' && joinParams && (
                 <Card size="small" styles={{ body: { padding: 12 } }}>
                   <div className="bg-slate-900 rounded p-3 text-[10px] font-mono text-slate-300 overflow-auto">
                     <div><span className="text-pink-400">SELECT</span> *</div>
                     <div><span className="text-pink-400">FROM</span> [PreviousNode]</div>
-                    <div><span className="text-pink-400">{node.params.joinType || 'LEFT'} JOIN</span> {node.params.rightTable || '...'}</div>
-                    <div><span className="text-pink-400">ON</span> {node.params.leftKey || '?'} = {node.params.rightKey || '?'}</div>
+                    <div><span className="text-pink-400">{joinParams.joinType} JOIN</span> {joinParams.rightTable || joinParams.rightLabel || '...'}</div>
+                    <div>
+                      <span className="text-pink-400">ON</span> {formatJoinCondition(joinParams)}
+                    </div>
                     <div className="mt-2 pt-2 border-t border-slate-700 text-slate-500 dark:text-slate-400 italic">
                       Result: {result.rowCount} rows merged
                     </div>
+                    {result.summary && (
+                      <div className="text-slate-500 dark:text-slate-400">
+                        <div>Left matched: {formatMatchRate(result.summary.matchedLeftRows, result.summary.leftRows)}</div>
+                        <div>Right matched: {formatMatchRate(result.summary.matchedRightRows, result.summary.rightRows)}</div>
+                        {result.summary.averageConfidence != null && (
+                          <div>Avg. confidence: {Math.round(result.summary.averageConfidence * 100)}%</div>
+                        )}
+                      </div>
+                    )}
                   </div>
                 </Card>
               )}
 
+              {/* BIN VIEW */}
+              {binSummary && (
+                <Card size="small" styles={{ body: { padding: 12 } }}>
+                  <div className="space-y-1 max-h-48 overflow-auto">
+                    {binSummary.bins.map((bin) => (
+                      <div key={bin.label} className="flex items-center gap-2 text-[10px]">
+                        <span className="w-24 shrink-0 truncate text-slate-500 dark:text-slate-400" title={bin.label}>{bin.label}</span>
+                        <div className="flex-1 h-2 rounded bg-slate-100 dark:bg-slate-800">
+                          <div className="h-2 rounded bg-indigo-400" style={{ width: `${(bin.count / binSummary.maxCount) * 100}%` }} />
+                        </div>
+                        <span className="w-10 shrink-0 text-right tabular-nums">{formatNumber(bin.count)}</span>
+                      </div>
+                    ))}
+                  </div>
+                  {binSummary.unbinned > 0 && (
+                    <Text type="secondary" className="text-[10px]">{formatNumber(binSummary.unbinned)} rows without a bin</Text>
+                  )}
+                </Card>
+              )}
+
               {/* CHART VIEW */}
               {node.params.subtype === 'CHART' && (chartType === 'map' ? (
                 <WorldMapChart
@@ -2401,7 +2730,7 @@ const TreeNode = ({
                 <Card size="small" className="h-full">
                   <Space orientation="vertical" size="small" style={{ width: '100%' }}>
                     <Space className="w-full justify-between">
-                      <Text type="secondary">{node.params.fn}</Text>
+                      <Text type="secondary">{formatAggregationLabel(node.params.fn || 'count')}</Text>
                       <Text type="secondary">Target: {node.params.target || 100}</Text>
                     </Space>
                     <Title level={3} style={{ margin: 0 }}>
@@ -2560,6 +2889,79 @@ const TreeNode = ({
   );
 };
 
+// Dashed cross-branch edges for the tree layouts, measured from the rendered node cards.
+// Rendered behind the cards inside a positioned wrapper; edges to hidden nodes are skipped.
+const ReferenceEdgeOverlay = ({ containerRef, nodes, layoutKey }) => {
+  const [edges, setEdges] = React.useState([]);
+  const references = React.useMemo(() => nodes.flatMap((node) => (
+    getNodeReferences(node).map((referenceId) => ({ from: referenceId, to: node.id }))
+  )), [nodes]);
+
+  React.useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container || references.length === 0) {
+      setEdges([]);
+      return undefined;
+    }
+    let frame = null;
+    const measure = () => {
+      frame = null;
+      const origin = container.getBoundingClientRect();
+      const findRect = (nodeId) => {
+        const element = container.querySelector(`[data-node-id="${nodeId}"]`);
+        if (!element) return null;
+        const rect = element.getBoundingClientRect();
+        return { left: rect.left - origin.left, top: rect.top - origin.top, width: rect.width, height: rect.height };
+      };
+      setEdges(references.map(({ from, to }) => {
+        const source = findRect(from);
+        const target = findRect(to);
+        if (!source || !target) return null;
+        const towardsRight = source.left + source.width / 2 <= target.left + target.width / 2;
+        const x1 = towardsRight ? source.left + source.width : source.left;
+        const y1 = source.top + Math.min(source.height / 2, 40);
+        const x2 = towardsRight ? target.left : target.left + target.width;
+        const y2 = target.top + Math.min(target.height / 2, 40);
+        const bend = Math.max(60, Math.abs(x2 - x1) * 0.5) * (towardsRight ? 1 : -1);
+        return {
+          key: `${from}::${to}`,
+          path: `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`,
+          x2,
+          y2
+        };
+      }).filter(Boolean));
+    };
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(measure);
+    };
+    measure();
+    const observer = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(schedule) : null;
+    if (observer) observer.observe(container);
+    window.addEventListener('resize', schedule);
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      if (observer) observer.disconnect();
+      window.removeEventListener('resize', schedule);
+    };
+  }, [containerRef, references, layoutKey]);
+
+  if (edges.length === 0) return null;
+  return (
+    <svg
+      className="absolute inset-0 w-full h-full pointer-events-none text-pink-400 dark:text-pink-300"
+      style={{ overflow: 'visible', zIndex: -1 }}
+      aria-hidden="true"
+    >
+      {edges.map((edge) => (
+        <g key={edge.key}>
+          <path d={edge.path} fill="none" stroke="currentColor" strokeWidth={2} strokeDasharray="6 5" strokeLinecap="round" />
+          <circle cx={edge.x2} cy={edge.y2} r={3} fill="currentColor" />
+        </g>
+      ))}
+    </svg>
+  );
+};
+
 const FreeLayoutNode = ({ nodeId, position, onMeasure, children }) => {
   const ref = React.useRef(null);
 
@@ -3203,14 +3605,10 @@ const FreeLayoutCanvas = ({
         childSide: isBelow ? 'top' : 'bottom'
       };
     };
-    const visibleIds = new Set(visibleNodes.map(node => node.id));
-    visibleNodes.forEach((node) => {
-      if (!node.parentId || !visibleIds.has(node.parentId)) return;
-      const parent = nodesById.get(node.parentId);
-      if (!parent) return;
-      const parentRect = getRect(parent);
-      const childRect = getRect(node);
-      if (!parentRect || !childRect) return;
+    const buildCurve = (fromNode, toNode) => {
+      const parentRect = getRect(fromNode);
+      const childRect = getRect(toNode);
+      if (!parentRect || !childRect) return null;
       const { orientation, parentSide, childSide } = chooseSides(parentRect, childRect);
       const start = resolveAnchor(parentRect, parentSide);
       const end = resolveAnchor(childRect, childSide);
@@ -3228,17 +3626,38 @@ const FreeLayoutCanvas = ({
         const c2y = end.y - deltaY * direction;
         path = `M ${start.x} ${start.y} C ${start.x} ${c1y}, ${end.x} ${c2y}, ${end.x} ${end.y}`;
       }
+      return { path, x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+    };
+    const visibleIds = new Set(visibleNodes.map(node => node.id));
+    visibleNodes.forEach((node) => {
+      if (!node.parentId || !visibleIds.has(node.parentId)) return;
+      const parent = nodesById.get(node.parentId);
+      if (!parent) return;
+      const curve = buildCurve(parent, node);
+      if (!curve) return;
       const edgeKey = `${node.parentId}::${node.id}`;
       lines.push({
-        path,
+        ...curve,
         edgeKey,
         parentId: node.parentId,
         childId: node.id,
-        isUpstream: upstreamEdgeKeys.has(edgeKey),
-        x1: start.x,
-        y1: start.y,
-        x2: end.x,
-        y2: end.y
+        isUpstream: upstreamEdgeKeys.has(edgeKey)
+      });
+    });
+    // Cross-branch edges from a referenced node into the JOIN/APPEND that reads it.
+    visibleNodes.forEach((node) => {
+      getNodeReferences(node).forEach((referenceId) => {
+        const source = visibleIds.has(referenceId) ? nodesById.get(referenceId) : null;
+        const curve = source ? buildCurve(source, node) : null;
+        if (!curve) return;
+        lines.push({
+          ...curve,
+          edgeKey: `ref::${referenceId}::${node.id}`,
+          parentId: referenceId,
+          childId: node.id,
+          isReference: true,
+          isUpstream: false
+        });
       });
     });
     return lines;
@@ -3263,6 +3682,22 @@ const FreeLayoutCanvas = ({
           aria-hidden="true"
         >
           {connectors.map((line, index) => {
+            if (line.isReference) {
+              return (
+                <g key={`${line.edgeKey}-${index}`} className="text-pink-400 dark:text-pink-300">
+                  <path
+                    d={line.path}
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth={2}
+                    strokeDasharray="6 5"
+                    strokeLinecap="round"
+                    pointerEvents="none"
+                  />
+                  <circle cx={line.x2} cy={line.y2} r={3} fill="currentColor" pointerEvents="none" />
+                </g>
+              );
+            }
             const colorClass = line.isUpstream
               ? 'text-blue-500 dark:text-blue-300'
               : 'text-gray-300 dark:text-slate-600';
@@ -3413,4 +3848,4 @@ const FreeLayoutCanvas = ({
   );
 };
 
-export { TreeNode, TablePreview, FreeLayoutCanvas };
+export { TreeNode, TablePreview, FreeLayoutCanvas, ReferenceEdgeOverlay };
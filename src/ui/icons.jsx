@@ -10,22 +10,33 @@ import {
   ArrowLeft as FluentArrowLeft,
   ArrowMinimize,
   ArrowRoutingRectangleMultiple,
+  ArrowSort,
   ArrowTrending,
   Apps,
   Branch,
   BorderBottomDouble,
   BorderTopBottomDouble,
+  Calculator as FluentCalculator,
   CenterVertical,
   CheckmarkSquare,
   ChevronDoubleDown,
   ChevronDoubleUp,
   ChevronDown as FluentChevronDown,
   ChevronRight as FluentChevronRight,
+  ArrowDown as FluentArrowDown,
+  ArrowUp as FluentArrowUp,
   Code,
+  ColumnTripleEdit,
   DataBarVertical,
+  DataHistogram,
+  DataLine,
   Database as FluentDatabase,
+  DatabaseSearch,
   Delete,
+  Beaker,
+  Broom,
   Dismiss,
+  DismissSquareMultiple,
   Edit as FluentEdit,
   Filter as FluentFilter,
   Gauge as FluentGauge,
@@ -36,12 +47,17 @@ import {
   NumberSymbol,
   MoreHorizontal as FluentMoreHorizontal,
   Phone,
+  Pivot,
   Play as FluentPlay,
   QuestionCircle as FluentQuestionCircle,
   Save as FluentSave,
   Settings as FluentSettings,
   Share,
-  Table as FluentTable
+  Table as FluentTable,
+  TableArrowRepeatAll,
+  TableStackBelow,
+  TextNumberListLtr,
+  Trophy
 } from './fluentIconsRegular';
 
 export { createIcon };
@@ -87,3 +103,19 @@ export const LinkIcon = FluentLink;
 export const CheckSquare = CheckmarkSquare;
 export const Minimize2 = ArrowMinimize;
 export const MoreHorizontal = FluentMoreHorizontal;
+export const ArrowUpDown = ArrowSort;
+export const ListOrdered = TextNumberListLtr;
+export const Calculator = FluentCalculator;
+export const WindowIcon = DataLine;
+export const TopNIcon = Trophy;
+export const AppendIcon = TableStackBelow;
+export const BinIcon = DataHistogram;
+export const UnpivotIcon = TableArrowRepeatAll;
+export const PivotColumnsIcon = Pivot;
+export const ColumnsIcon = ColumnTripleEdit;
+export const DedupeIcon = DismissSquareMultiple;
+export const CleanIcon = Broom;
+export const SampleIcon = Beaker;
+export const SqlIcon = DatabaseSearch;
+export const ArrowUp = FluentArrowUp;
+export const ArrowDown = FluentArrowDown;
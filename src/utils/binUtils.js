@@ -0,0 +1,155 @@
+// src/utils/binUtils.js
+// Numeric binning for the Bin node and binned group-by dimensions in aggregates and pivots.
+
+const BIN_METHODS = [
+  { value: 'equal_width', label: 'Equal width' },
+  { value: 'quantile', label: 'Quantiles' },
+  { value: 'custom', label: 'Custom edges' }
+];
+
+const DEFAULT_BIN_COUNT = 10;
+const MAX_BIN_COUNT = 200;
+
+const isBinMethod = (method) => BIN_METHODS.some((item) => item.value === method);
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isFinite(number) ? number : null;
+};
+
+// Custom edges come as an array or comma-separated text; they are sorted and de-duplicated.
+const parseBinEdges = (edges) => {
+  const list = Array.isArray(edges) ? edges : String(edges ?? '').split(',');
+  const numbers = list.map(toNumber).filter((value) => value !== null);
+  return Array.from(new Set(numbers)).sort((a, b) => a - b);
+};
+
+// Returns { method, count, edges }, or null when the spec does not bin.
+const normalizeBinSpec = (spec = {}) => {
+  if (!isBinMethod(spec?.method)) return null;
+  const count = Math.floor(Number(spec?.count));
+  return {
+    method: spec.method,
+    count: Number.isFinite(count) && count >= 1 ? Math.min(count, MAX_BIN_COUNT) : DEFAULT_BIN_COUNT,
+    edges: spec.method === 'custom' ? parseBinEdges(spec?.edges) : []
+  };
+};
+
+// Bin node params; the label column defaults to `<field>_bin`.
+const normalizeBinParams = (params = {}) => {
+  const field = params?.binField || '';
+  const alias = String(params?.binAlias || '').trim() || (field ? `${field}_bin` : '');
+  return {
+    field,
+    alias,
+    spec: normalizeBinSpec({ method: params?.binMethod || 'equal_width', count: params?.binCount, edges: params?.binEdges })
+  };
+};
+
+// Keeps bin specs for listed fields that are not already bucketed by a time grain.
+const normalizeBinSpecs = (specs, fields, timeGrains = {}) => {
+  const source = specs && typeof specs === 'object' ? specs : {};
+  return fields.reduce((acc, field) => {
+    const spec = timeGrains[field] ? null : normalizeBinSpec(source[field]);
+    if (spec) acc[field] = spec;
+    return acc;
+  }, {});
+};
+
+const formatBinNumber = (value) => new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 }).format(value);
+
+// Rounds a raw step up to 1, 2, 2.5 or 5 times a power of ten so edges read cleanly.
+const niceStep = (raw) => {
+  const power = 10 ** Math.floor(Math.log10(raw));
+  const fraction = raw / power;
+  if (fraction <= 1) return power;
+  if (fraction <= 2) return 2 * power;
+  if (fraction <= 2.5) return 2.5 * power;
+  if (fraction <= 5) return 5 * power;
+  return 10 * power;
+};
+
+const roundEdge = (value) => Number(value.toPrecision(12));
+
+const computeEdges = (sorted, { method, count, edges }) => {
+  if (method === 'custom') return edges;
+  if (sorted.length === 0) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) return [min, max];
+  if (method === 'quantile') {
+    const result = [];
+    for (let i = 0; i <= count; i += 1) {
+      const edge = sorted[Math.round((i / count) * (sorted.length - 1))];
+      if (result[result.length - 1] !== edge) result.push(edge);
+    }
+    return result;
+  }
+  const step = niceStep((max - min) / count);
+  const start = roundEdge(Math.floor(min / step) * step);
+  const result = [start];
+  while (result[result.length - 1] < max) result.push(roundEdge(start + result.length * step));
+  return result;
+};
+
+// Builds the bins for a column of values. Bins include their start and exclude their end, except the
+// last one, which also holds the maximum. Custom edges add open-ended bins below and above the edges.
+// Returns { bins: [{ label, start, end }], assign(value) -> bin index or null }.
+const buildBins = (values, spec) => {
+  const numbers = [];
+  if (spec?.method !== 'custom') {
+    values.forEach((value) => {
+      const number = toNumber(value);
+      if (number !== null) numbers.push(number);
+    });
+    numbers.sort((a, b) => a - b);
+  }
+  const edges = spec ? computeEdges(numbers, spec) : [];
+  const openEnded = spec?.method === 'custom';
+  const bins = [];
+  if (openEnded && edges.length > 0) bins.push({ label: `< ${formatBinNumber(edges[0])}`, start: null, end: edges[0] });
+  if (edges.length === 2 && edges[0] === edges[1]) {
+    bins.push({ label: formatBinNumber(edges[0]), start: edges[0], end: edges[1] });
+  } else {
+    for (let i = 0; i < edges.length - 1; i += 1) {
+      bins.push({ label: `${formatBinNumber(edges[i])} – ${formatBinNumber(edges[i + 1])}`, start: edges[i], end: edges[i + 1] });
+    }
+  }
+  if (openEnded && edges.length > 0) {
+    bins.push({ label: `≥ ${formatBinNumber(edges[edges.length - 1])}`, start: edges[edges.length - 1], end: null });
+  }
+
+  const offset = openEnded ? 1 : 0;
+  const assign = (value) => {
+    const number = toNumber(value);
+    if (number === null || edges.length === 0) return null;
+    const last = edges[edges.length - 1];
+    if (number < edges[0]) return openEnded ? 0 : null;
+    if (number >= last) {
+      if (openEnded) return bins.length - 1;
+      return number === last ? bins.length - 1 : null;
+    }
+    // Largest edge index at or below the value.
+    let low = 0;
+    let high = edges.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (edges[mid] <= number) low = mid;
+      else high = mid - 1;
+    }
+    return low + offset;
+  };
+  return { bins, assign };
+};
+
+export {
+  BIN_METHODS,
+  DEFAULT_BIN_COUNT,
+  isBinMethod,
+  parseBinEdges,
+  normalizeBinSpec,
+  normalizeBinParams,
+  normalizeBinSpecs,
+  buildBins
+};
@@ -0,0 +1,150 @@
+// src/utils/cleanUtils.js
+// Clean node: per-column trim, case, find/replace, value mapping, blank filling and splitting.
+
+const CLEAN_CASES = [
+  { value: '', label: 'Keep case' },
+  { value: 'lower', label: 'lowercase' },
+  { value: 'upper', label: 'UPPERCASE' },
+  { value: 'title', label: 'Title Case' }
+];
+
+const FILL_MODES = [
+  { value: '', label: 'Leave blank' },
+  { value: 'value', label: 'Fixed value' },
+  { value: 'previous', label: 'Previous value' }
+];
+
+const MAX_SPLIT_PARTS = 20;
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const isOption = (options, value) => options.some((item) => item.value === value);
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+// `cleanOps` holds one entry per column. Steps run in a fixed order: trim, case, find/replace,
+// value mapping, fill blanks, then split into `splitCount` columns on `splitDelimiter`.
+const normalizeCleanOp = (op = {}) => {
+  const splitDelimiter = toText(op?.splitDelimiter);
+  const splitCount = Math.floor(Number(op?.splitCount));
+  const names = Array.isArray(op?.splitNames) ? op.splitNames : [];
+  return {
+    field: op?.field || '',
+    trim: !!op?.trim,
+    case: isOption(CLEAN_CASES, op?.case) ? op.case : '',
+    replacements: (Array.isArray(op?.replacements) ? op.replacements : [])
+      .filter((item) => toText(item?.find) !== '')
+      .map((item) => ({
+        find: toText(item.find),
+        replace: toText(item.replace),
+        regex: !!item.regex,
+        ignoreCase: !!item.ignoreCase
+      })),
+    mapping: (Array.isArray(op?.mapping) ? op.mapping : [])
+      .filter((item) => item && (toText(item.from) !== '' || toText(item.to) !== ''))
+      .map((item) => ({ from: toText(item.from), to: toText(item.to) })),
+    fillMode: isOption(FILL_MODES, op?.fillMode) ? op.fillMode : '',
+    fillValue: toText(op?.fillValue),
+    splitDelimiter,
+    splitCount: splitDelimiter ? Math.min(Math.max(Number.isFinite(splitCount) ? splitCount : 2, 2), MAX_SPLIT_PARTS) : 0,
+    splitNames: names.map((name) => String(name ?? '').trim()),
+    splitKeep: op?.splitKeep !== false
+  };
+};
+
+const normalizeCleanParams = (params = {}) => {
+  const seen = new Set();
+  const ops = [];
+  (Array.isArray(params?.cleanOps) ? params.cleanOps : []).forEach((op) => {
+    if (!op?.field || seen.has(op.field)) return;
+    seen.add(op.field);
+    ops.push(normalizeCleanOp(op));
+  });
+  return { ops };
+};
+
+const isCleanOpActive = (op) => op.trim
+  || !!op.case
+  || op.replacements.length > 0
+  || op.mapping.length > 0
+  || !!op.fillMode
+  || op.splitCount > 0;
+
+// Names of the columns a split produces; unnamed parts become `<field>_1`, `<field>_2`, ...
+const getSplitColumnNames = (op) => Array.from(
+  { length: op.splitCount },
+  (_, index) => op.splitNames[index] || `${op.field}_${index + 1}`
+);
+
+const toTitleCase = (text) => text.toLowerCase().replace(/(^|[^\p{L}\p{N}'’])(\p{L})/gu, (_, before, letter) => before + letter.toUpperCase());
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compileReplacement = ({ find, replace, regex, ignoreCase }, field) => {
+  let pattern = null;
+  try {
+    pattern = new RegExp(regex ? find : escapeRegExp(find), ignoreCase ? 'gi' : 'g');
+  } catch (err) {
+    throw new Error(`Invalid pattern "${find}" for "${field}": ${err.message}`);
+  }
+  // Literal replacements must not expand `$1` or `$&`.
+  return (text) => text.replace(pattern, regex ? replace : () => replace);
+};
+
+// Returns a function that cleans the values of one column, called once per row in input order
+// (`previous` filling remembers the last non-blank value). Unchanged text keeps its original value,
+// so numbers stay numbers. Throws for an invalid regular expression.
+const createCleaner = (op) => {
+  const replacements = op.replacements.map((item) => compileReplacement(item, op.field));
+  const mapping = new Map();
+  op.mapping.forEach(({ from, to }) => {
+    if (!mapping.has(from)) mapping.set(from, to);
+  });
+  const transformsText = op.trim || !!op.case || replacements.length > 0;
+  let previous = null;
+  return (value) => {
+    let result = value;
+    if (transformsText && !isBlank(value)) {
+      let text = String(value);
+      if (op.trim) text = text.trim();
+      if (op.case === 'lower') text = text.toLowerCase();
+      if (op.case === 'upper') text = text.toUpperCase();
+      if (op.case === 'title') text = toTitleCase(text);
+      replacements.forEach((apply) => { text = apply(text); });
+      if (text !== String(value)) result = text;
+    }
+    if (mapping.size > 0 && mapping.has(toText(result))) result = mapping.get(toText(result));
+    if (isBlank(result)) {
+      if (op.fillMode === 'value') result = op.fillValue;
+      else if (op.fillMode === 'previous') result = previous;
+    }
+    if (!isBlank(result)) previous = result;
+    return isBlank(result) ? null : result;
+  };
+};
+
+// Splits a cleaned value into `count` parts; the last part keeps the rest of the text.
+const splitCleanValue = (value, delimiter, count, trim = false) => {
+  const parts = new Array(count).fill(null);
+  if (isBlank(value)) return parts;
+  const pieces = String(value).split(delimiter);
+  const head = pieces.slice(0, count - 1);
+  const rest = pieces.slice(count - 1);
+  [...head, ...(rest.length > 0 ? [rest.join(delimiter)] : [])].forEach((piece, index) => {
+    const text = trim ? piece.trim() : piece;
+    parts[index] = text === '' ? null : text;
+  });
+  return parts;
+};
+
+export {
+  CLEAN_CASES,
+  FILL_MODES,
+  MAX_SPLIT_PARTS,
+  normalizeCleanOp,
+  normalizeCleanParams,
+  isCleanOpActive,
+  getSplitColumnNames,
+  createCleaner,
+  splitCleanValue
+};
@@ -0,0 +1,81 @@
+// src/utils/columnUtils.js
+// Columns node: select, reorder, rename and cast the columns flowing to later steps.
+import { COLUMN_TYPE_LABELS, coerceValue } from './schemaUtils';
+import { formatDateParts, parseDateParts } from './dateUtils';
+
+const CAST_TYPES = ['string', 'integer', 'decimal', 'date', 'datetime', 'boolean'].map((value) => ({
+  value,
+  label: COLUMN_TYPE_LABELS[value]
+}));
+
+const isCastType = (type) => CAST_TYPES.some((item) => item.value === type);
+
+// `columnOps` lists columns in output order as { field, name, type, dateFormat, include }; input
+// columns missing from the list (for example ones added upstream later) follow when `keepNewColumns`.
+const normalizeColumnsParams = (params = {}) => {
+  const seen = new Set();
+  const ops = (Array.isArray(params?.columnOps) ? params.columnOps : [])
+    .filter((op) => {
+      if (!op?.field || seen.has(op.field)) return false;
+      seen.add(op.field);
+      return true;
+    })
+    .map((op) => ({
+      field: op.field,
+      name: String(op.name || '').trim(),
+      type: isCastType(op.type) ? op.type : '',
+      dateFormat: String(op.dateFormat || '').trim() || 'auto',
+      include: op.include !== false
+    }));
+  return { ops, keepNewColumns: params?.keepNewColumns !== false };
+};
+
+// Every input column in output order, with the settings that apply to it.
+const listColumnOps = (inputSchema, params) => {
+  const { ops, keepNewColumns } = normalizeColumnsParams(params);
+  const listed = ops.filter((op) => inputSchema.includes(op.field));
+  const listedFields = new Set(listed.map((op) => op.field));
+  const unlisted = inputSchema
+    .filter((field) => !listedFields.has(field))
+    .map((field) => ({ field, name: '', type: '', dateFormat: 'auto', include: keepNewColumns }));
+  return [...listed, ...unlisted];
+};
+
+// Resolves the output columns ({ field, name, type, dateFormat }) for an input schema.
+// `missing` lists configured columns no longer in the input; `error` reports clashing output names.
+const resolveColumnProjection = (inputSchema, params) => {
+  const { ops } = normalizeColumnsParams(params);
+  const columns = listColumnOps(inputSchema, params)
+    .filter((op) => op.include)
+    .map((op) => ({ ...op, name: op.name || op.field }));
+  const names = new Set();
+  let error = null;
+  columns.forEach((column) => {
+    if (names.has(column.name) && !error) error = `Two columns are named "${column.name}".`;
+    names.add(column.name);
+  });
+  return {
+    columns,
+    missing: ops.filter((op) => !inputSchema.includes(op.field)).map((op) => op.field),
+    error
+  };
+};
+
+// Casts one value; returns null for blanks and for values that cannot be read as `type`.
+// Dates come back as ISO text (`YYYY-MM-DD`, plus the time for datetime).
+const castValue = (value, type, dateFormat = 'auto') => {
+  if (type === 'date' || type === 'datetime') {
+    const parts = parseDateParts(value, dateFormat);
+    return parts ? formatDateParts({ ...parts, hasTime: type === 'datetime' }) : null;
+  }
+  return coerceValue(value, type);
+};
+
+export {
+  CAST_TYPES,
+  isCastType,
+  normalizeColumnsParams,
+  listColumnOps,
+  resolveColumnProjection,
+  castValue
+};
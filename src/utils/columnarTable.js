@@ -0,0 +1,188 @@
+// src/utils/columnarTable.js
+// Column-oriented table storage for the data engine. Numeric columns live in
+// Float64Arrays, everything else is dictionary-encoded, and blanks are tracked in
+// null bitmaps. Row objects are only built on demand.
+// Encoded tables are plain data (typed arrays, arrays and strings), so they can be posted to the
+// engine worker without conversion; openColumnarTable wraps them with accessors without copying.
+
+const createNullBitmap = (size) => new Uint8Array(Math.ceil(size / 8));
+const setNullBit = (bitmap, index) => { bitmap[index >> 3] |= (1 << (index & 7)); };
+const isNullBit = (bitmap, index) => (bitmap[index >> 3] & (1 << (index & 7))) !== 0;
+
+// Strings that survive a Number round trip ("42", "-3.5") can be stored as numbers and restored exactly.
+const isCanonicalNumericString = (value) => typeof value === 'string' && value !== '' && String(Number(value)) === value;
+
+// Returns encoding options when every non-blank value is a number (or every one a canonical numeric string)
+// and all blanks share one representation; otherwise null.
+const planNumericColumn = (values) => {
+  let textual = null;
+  let blankValue = null;
+  let hasBlank = false;
+  for (let i = 0; i < values.length; i += 1) {
+    const value = values[i];
+    if (value === null || value === undefined || value === '') {
+      const blank = value === '' ? '' : null;
+      if (hasBlank && blank !== blankValue) return null;
+      hasBlank = true;
+      blankValue = blank;
+      continue;
+    }
+    let isText = false;
+    if (typeof value === 'number') isText = false;
+    else if (isCanonicalNumericString(value)) isText = true;
+    else return null;
+    if (textual === null) textual = isText;
+    else if (textual !== isText) return null;
+  }
+  if (textual === null) return null;
+  return { textual, blankValue };
+};
+
+const encodeNumericColumn = (values, { textual, blankValue }) => {
+  const length = values.length;
+  const data = new Float64Array(length);
+  const nulls = createNullBitmap(length);
+  for (let i = 0; i < length; i += 1) {
+    const value = values[i];
+    if (value === null || value === undefined || value === '') setNullBit(nulls, i);
+    else data[i] = Number(value);
+  }
+  return { kind: 'number', length, data, nulls, textual, blankValue };
+};
+
+const encodeDictionaryColumn = (values) => {
+  const length = values.length;
+  const dictionary = [];
+  const lookup = new Map();
+  const rawCodes = new Uint32Array(length);
+  const nulls = createNullBitmap(length);
+  for (let i = 0; i < length; i += 1) {
+    const value = values[i];
+    if (value === null || value === undefined) {
+      setNullBit(nulls, i);
+      continue;
+    }
+    let code = lookup.get(value);
+    if (code === undefined) {
+      code = dictionary.length;
+      dictionary.push(value);
+      lookup.set(value, code);
+    }
+    rawCodes[i] = code;
+  }
+  let codes = rawCodes;
+  if (dictionary.length <= 0x100) codes = Uint8Array.from(rawCodes);
+  else if (dictionary.length <= 0x10000) codes = Uint16Array.from(rawCodes);
+  return { kind: 'dictionary', length, codes, dictionary, nulls };
+};
+
+// Encodes one column of raw values. `undefined` cells come back as null.
+const encodeColumn = (values = []) => {
+  const numericPlan = planNumericColumn(values);
+  return numericPlan ? encodeNumericColumn(values, numericPlan) : encodeDictionaryColumn(values);
+};
+
+// Adds the `get(index)` accessor to encoded column data.
+const openColumn = (column) => {
+  const { nulls } = column;
+  if (column.kind === 'number') {
+    const { data, textual, blankValue } = column;
+    return {
+      ...column,
+      get: (index) => {
+        if (isNullBit(nulls, index)) return blankValue;
+        return textual ? String(data[index]) : data[index];
+      }
+    };
+  }
+  const { codes, dictionary } = column;
+  return { ...column, get: (index) => (isNullBit(nulls, index) ? null : dictionary[codes[index]]) };
+};
+
+const createColumn = (values = []) => openColumn(encodeColumn(values));
+
+const collectFields = (rows) => {
+  const fields = new Set();
+  rows.forEach((row) => {
+    Object.keys(row || {}).forEach((key) => fields.add(key));
+  });
+  return Array.from(fields);
+};
+
+// Plain-data form of a table: { type: 'columnar', rowCount, fields, columns: { [field]: column } }.
+const encodeColumnarTable = (rows = [], fields = null) => {
+  const sourceRows = Array.isArray(rows) ? rows : [];
+  const resolvedFields = Array.isArray(fields) ? fields : collectFields(sourceRows);
+  const columns = {};
+  resolvedFields.forEach((field) => {
+    columns[field] = encodeColumn(sourceRows.map((row) => row?.[field]));
+  });
+  return { type: 'columnar', rowCount: sourceRows.length, fields: resolvedFields, columns };
+};
+
+const isColumnarTableData = (value) => !!value && value.type === 'columnar' && !!value.columns;
+
+const openColumnarTable = (data) => {
+  const { rowCount, fields } = data;
+  const columns = new Map(fields.map((field) => [field, openColumn(data.columns[field])]));
+  const columnList = fields.map((field) => [field, columns.get(field)]);
+
+  return {
+    isColumnar: true,
+    rowCount,
+    fields,
+    columns,
+    getColumn: (field) => columns.get(field) || null,
+    getValue: (index, field) => {
+      const column = columns.get(field);
+      return column ? column.get(index) : null;
+    },
+    getRow: (index) => {
+      if (index == null || index < 0 || index >= rowCount) return null;
+      const row = {};
+      columnList.forEach(([field, column]) => { row[field] = column.get(index); });
+      return row;
+    }
+  };
+};
+
+// Approximate heap footprint, used for cache budgeting. Dictionary strings count two bytes per character.
+const estimateColumnBytes = (column) => {
+  if (!column) return 0;
+  const base = column.nulls ? column.nulls.byteLength : 0;
+  if (column.kind === 'number') return base + column.data.byteLength;
+  const dictionaryBytes = (column.dictionary || []).reduce((acc, value) => (
+    acc + 16 + (typeof value === 'string' ? value.length * 2 : 8)
+  ), 0);
+  return base + column.codes.byteLength + dictionaryBytes;
+};
+
+const estimateTableBytes = (table) => {
+  if (!table?.columns) return 0;
+  let bytes = 0;
+  table.columns.forEach((column) => { bytes += estimateColumnBytes(column); });
+  return bytes;
+};
+
+const createColumnarTable = (rows = [], fields = null) => openColumnarTable(encodeColumnarTable(rows, fields));
+
+const isColumnarTable = (value) => !!value && value.isColumnar === true;
+
+// Accepts an opened table, encoded table data or an array of row objects.
+const toColumnarTable = (value) => {
+  if (isColumnarTable(value)) return value;
+  if (isColumnarTableData(value)) return openColumnarTable(value);
+  return createColumnarTable(value);
+};
+
+export {
+  createColumn,
+  createColumnarTable,
+  encodeColumnarTable,
+  estimateColumnBytes,
+  estimateTableBytes,
+  isColumnarTable,
+  isColumnarTableData,
+  openColumnarTable,
+  toColumnarTable
+};
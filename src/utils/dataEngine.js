@@ -1,333 +1,1516 @@
 // src/utils/dataEngine.js
 // Lightweight in-browser data engine for large datasets.
-import { normalizeFilters } from './filterUtils';
+import {
+  normalizeFilterTree,
+  flattenFilterConditions,
+  isFilterConditionComplete,
+  isFilterGroup,
+  resolveDatePeriodRange,
+  withFilterReferenceDate
+} from './filterUtils';
+import {
+  normalizeSortKeys,
+  normalizeLimitParams,
+  normalizeTopNParams,
+  normalizeDedupeParams,
+  createSortKeyComparator
+} from './sortUtils';
+import { compileExpression } from './expression';
+import { normalizeWindowParams, computeWindowValues } from './windowUtils';
+import { normalizeBinParams, buildBins } from './binUtils';
+import { PIVOT_TOTAL_KEY, isPivotDisplayMode, normalizePivotLevels } from './pivotUtils';
+import { castValue, resolveColumnProjection } from './columnUtils';
+import { normalizeSampleParams, getSampleSize, sampleRowIds } from './sampleUtils';
+import { SQL_INPUT_SOURCE, normalizeSqlParams, compileSql } from './sqlUtils';
+import {
+  normalizeCleanParams,
+  isCleanOpActive,
+  getSplitColumnNames,
+  createCleaner,
+  splitCleanValue
+} from './cleanUtils';
+import {
+  MAX_PIVOT_COLUMNS,
+  normalizeUnpivotParams,
+  normalizePivotColumnsParams,
+  createPivotColumnNamer
+} from './reshapeUtils';
+import {
+  DATE_FORMATS,
+  parseDateParts,
+  formatDateParts,
+  bucketDateValue,
+  compareTimeBuckets,
+  normalizeDateFormats
+} from './dateUtils';
+import {
+  isFilteringJoin,
+  isJoinConfigured,
+  getJoinConfidenceColumn,
+  normalizeJoinParams,
+  createJoinMatcher,
+  resolveJoinColumns
+} from './joinUtils';
+import {
+  COUNT_OUTPUT_FIELD,
+  normalizeAggregateParams,
+  normalizeAppendParams,
+  getNodeReferences,
+  aggregationRequiresField,
+  createAggregationState,
+  accumulateAggregation,
+  finalizeAggregation
+} from './nodeUtils';
+import {
+  COLUMN_TYPE_LABELS,
+  isNumericType,
+  isDateType,
+  INFERENCE_SAMPLE_SIZE,
+  inferColumnTypes,
+  mergeColumnTypes,
+  applyColumnTypeOverrides,
+  coerceValue,
+  compareTypedValues,
+  parseDateValue
+} from './schemaUtils';
+import {
+  createColumn,
+  createColumnarTable,
+  estimateColumnBytes,
+  estimateTableBytes,
+  toColumnarTable
+} from './columnarTable';
 
 const DEFAULT_SAMPLE_SIZE = 200;
 const DEFAULT_CHART_SAMPLE_SIZE = 5000;
 const DEFAULT_TOP_VALUES = 6;
+const PROGRESS_INTERVAL = 25000;
+const DEFAULT_MEMORY_BUDGET = 256 * 1024 * 1024;
+const EMPTY_TABLE = createColumnarTable([]);
 
-const compareValues = (aRaw, bRaw) => {
-  if (aRaw == null && bRaw == null) return 0;
-  if (aRaw == null) return 1;
-  if (bRaw == null) return -1;
-  const aNum = Number(aRaw);
-  const bNum = Number(bRaw);
-  const bothNumeric = !Number.isNaN(aNum) && !Number.isNaN(bNum);
-  if (bothNumeric) {
-    if (aNum === bNum) return 0;
-    return aNum - bNum;
-  }
-  const aText = String(aRaw);
-  const bText = String(bRaw);
-  return aText.localeCompare(bText, undefined, { numeric: true, sensitivity: 'base' });
+const isBlankValue = (value) => value === null || value === undefined || value === '';
+const isBlankCell = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Appended segments are few, so a linear scan finds the one holding an output row.
+const findAppendSegment = (segments, index) => (
+  segments.find((segment) => index >= segment.start && index < segment.start + segment.rowCount) || null
+);
+
+// Builds the first rows of a lazily-resolved query for type inference.
+const sampleRowsFor = (rowCount, readRow) => (
+  Array.from({ length: Math.min(rowCount, INFERENCE_SAMPLE_SIZE) }, (_, index) => readRow(index))
+);
+
+// Keeps inherited column types and infers the rest (new or recomputed columns) from the output rows.
+const resolveColumnTypes = (schema, inheritedTypes = {}, rows = [], recomputedFields = []) => {
+  const inferFields = schema.filter((field) => !(field in inheritedTypes) || recomputedFields.includes(field));
+  const inferred = inferColumnTypes(rows, inferFields);
+  return schema.reduce((acc, field) => {
+    acc[field] = inferred[field] || inheritedTypes[field];
+    return acc;
+  }, {});
 };
 
-const normalizeJoinValue = (value) => {
-  if (value === undefined || value === null) return null;
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    return trimmed === '' ? null : trimmed;
+// Bytes held by a query's own materialization; the parent chain is counted on its own entries.
+const estimateQueryBytes = (query) => {
+  let bytes = query.rowIds?.byteLength || 0;
+  if (query.output) bytes += estimateTableBytes(query.output);
+  if (query.join) {
+    bytes += query.join.leftIds.byteLength + query.join.rightIds.byteLength;
+    if (query.join.scores) bytes += query.join.scores.byteLength;
   }
-  return String(value);
+  if (query.extraColumns) query.extraColumns.forEach((column) => { bytes += estimateColumnBytes(column); });
+  if (query.binOrders) query.binOrders.forEach((column) => { bytes += estimateColumnBytes(column); });
+  if (query.unpivot?.parentIds) bytes += query.unpivot.parentIds.byteLength + query.unpivot.columnIds.byteLength;
+  if (query.sqlSteps) query.sqlSteps.forEach((step) => { bytes += estimateQueryBytes(step); });
+  return bytes;
 };
 
-const deriveSchemaFromRows = (rows, sampleSize = 10) => {
-  const uniqueKeys = new Set();
-  if (rows && rows.length > 0) {
-    rows.slice(0, sampleSize).forEach((row) => {
-      Object.keys(row || {}).forEach((key) => uniqueKeys.add(key));
+// Groups rows by one or more fields and computes every metric per group.
+// Dimensions listed in `buckets` ({ [field]: { bucket(value), compare(a, b) } }) are grouped by their
+// bucket label, and the output is then ordered by those dimensions.
+const aggregateRows = (rowCount, readValue, groupBy, metrics, buckets = {}) => {
+  const groups = new Map();
+  for (let i = 0; i < rowCount; i += 1) {
+    const keyValues = groupBy.map((field) => {
+      const value = readValue(i, field);
+      return buckets[field] ? buckets[field].bucket(value) : value;
+    });
+    const groupKey = JSON.stringify(keyValues);
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { keyValues, states: metrics.map((metric) => createAggregationState(metric.fn)) });
+    }
+    const bucket = groups.get(groupKey);
+    metrics.forEach((metric, index) => {
+      accumulateAggregation(bucket.states[index], metric.field ? readValue(i, metric.field) : null);
+    });
+  }
+  const rows = Array.from(groups.values()).map(({ keyValues, states }) => {
+    const record = {};
+    groupBy.forEach((field, index) => { record[field] = keyValues[index]; });
+    metrics.forEach((metric, index) => { record[metric.alias] = finalizeAggregation(states[index], metric.fn); });
+    return record;
+  });
+  const bucketFields = groupBy.filter((field) => buckets[field]);
+  if (bucketFields.length > 0) {
+    rows.sort((a, b) => {
+      for (let i = 0; i < bucketFields.length; i += 1) {
+        const field = bucketFields[i];
+        const result = buckets[field].compare(a[field], b[field]);
+        if (result !== 0) return result;
+      }
+      return 0;
     });
   }
-  return Array.from(uniqueKeys);
+  return rows;
+};
+
+const createTimeBucket = (grain) => ({
+  bucket: (value) => bucketDateValue(value, grain),
+  compare: (a, b) => compareTimeBuckets(a, b, grain)
+});
+
+// Bins need the whole column up front; buckets order by bin, with blanks last.
+const createBinBucket = (rowCount, readValue, field, spec) => {
+  const values = new Array(rowCount);
+  for (let i = 0; i < rowCount; i += 1) values[i] = readValue(i, field);
+  const { bins, assign } = buildBins(values, spec);
+  const order = new Map(bins.map((bin, index) => [bin.label, index]));
+  const rank = (label) => (order.has(label) ? order.get(label) : bins.length);
+  return {
+    bucket: (value) => {
+      const index = assign(value);
+      return index === null ? null : bins[index].label;
+    },
+    compare: (a, b) => rank(a) - rank(b)
+  };
+};
+
+const createDimensionBuckets = (rowCount, readValue, { timeGrains = {}, bins = {} }) => {
+  const buckets = {};
+  Object.entries(timeGrains).forEach(([field, grain]) => { buckets[field] = createTimeBucket(grain); });
+  Object.entries(bins).forEach(([field, spec]) => { buckets[field] = createBinBucket(rowCount, readValue, field, spec); });
+  return buckets;
+};
+
+const parseFilterList = (value) => (
+  Array.isArray(value)
+    ? value.map((item) => String(item).trim()).filter(Boolean)
+    : String(value ?? '')
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean)
+);
+
+const createFilterRegex = (pattern, caseSensitive) => {
+  try {
+    return new RegExp(String(pattern), caseSensitive ? '' : 'i');
+  } catch (err) {
+    return null;
+  }
 };
 
-const buildFilterPredicate = (field, operator, rawValue) => {
+// Numeric, date and boolean columns compare parsed values; text and mixed columns keep string matching.
+// Text operators (contains, starts/ends with, regex) ignore case unless the condition sets caseSensitive.
+const buildFilterPredicate = (filter, type, now = Date.now()) => {
+  const { field, operator, value, valueTo, caseSensitive } = filter;
   if (!field) return () => true;
-  const value = rawValue;
-  if (operator === 'in') {
-    const list = Array.isArray(value)
-      ? value.map((item) => String(item).trim()).filter(Boolean)
-      : String(value || '')
-          .split(',')
-          .map((item) => item.trim())
-          .filter(Boolean);
+  const typed = isNumericType(type) || isDateType(type) || type === 'boolean';
+  const valuesEqual = (cell, target) => {
+    if (typed) {
+      const cellValue = coerceValue(cell, type);
+      const targetValue = coerceValue(target, type);
+      if (targetValue !== null) return cellValue === targetValue;
+    }
+    return String(cell) == String(target);
+  };
+  const compareCell = (cell, target) => {
+    if (typed || type === 'string') {
+      if (coerceValue(cell, type) === null || coerceValue(target, type) === null) return null;
+      return compareTypedValues(cell, target, type);
+    }
+    const cellNumber = Number(cell);
+    const targetNumber = Number(target);
+    if (Number.isNaN(cellNumber) || Number.isNaN(targetNumber)) return null;
+    return cellNumber - targetNumber;
+  };
+  const toText = (cell) => (caseSensitive ? String(cell ?? '') : String(cell ?? '').toLowerCase());
+  const matchesDateRange = (range) => (row) => {
+    const time = parseDateValue(row?.[field]);
+    return time !== null && time >= range[0] && time < range[1];
+  };
+
+  if (operator === 'is_null') return (row) => isBlankCell(row?.[field]);
+  if (operator === 'is_not_null') return (row) => !isBlankCell(row?.[field]);
+  if (operator === 'between') {
+    const hasMin = !isBlankCell(value);
+    const hasMax = !isBlankCell(valueTo);
+    if (!hasMin && !hasMax) return () => true;
+    return (row) => {
+      const cell = row?.[field];
+      if (hasMin) {
+        const result = compareCell(cell, value);
+        if (result === null || result < 0) return false;
+      }
+      if (hasMax) {
+        const result = compareCell(cell, valueTo);
+        if (result === null || result > 0) return false;
+      }
+      return true;
+    };
+  }
+  if (operator === 'last_n_days') {
+    const days = Math.floor(Number(value));
+    if (!Number.isFinite(days) || days <= 0) return () => true;
+    const today = new Date(now);
+    return matchesDateRange([
+      new Date(today.getFullYear(), today.getMonth(), today.getDate() - days + 1).getTime(),
+      new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1).getTime()
+    ]);
+  }
+  if (operator === 'date_period') {
+    const range = resolveDatePeriodRange(value, now);
+    return range ? matchesDateRange(range) : () => true;
+  }
+
+  if (isBlankCell(value)) return () => true;
+  if (operator === 'in' || operator === 'not_in') {
+    const list = parseFilterList(value);
     if (list.length === 0) return () => true;
-    return (row) => list.some((item) => String(row?.[field]) == item);
+    const matches = (row) => list.some((item) => valuesEqual(row?.[field], item));
+    return operator === 'in' ? matches : (row) => !matches(row);
+  }
+  if (operator === 'equals') return (row) => valuesEqual(row?.[field], value);
+  if (operator === 'not_equals') return (row) => !valuesEqual(row?.[field], value);
+  if (operator === 'contains') return (row) => toText(row?.[field]).includes(toText(value));
+  if (operator === 'starts_with') return (row) => toText(row?.[field]).startsWith(toText(value));
+  if (operator === 'ends_with') return (row) => toText(row?.[field]).endsWith(toText(value));
+  if (operator === 'regex') {
+    const regex = createFilterRegex(value, caseSensitive);
+    if (!regex) return () => false;
+    return (row) => regex.test(String(row?.[field] ?? ''));
   }
+  if (['gt', 'lt', 'gte', 'lte'].includes(operator)) {
+    return (row) => {
+      const result = compareCell(row?.[field], value);
+      if (result === null) return false;
+      if (operator === 'gt') return result > 0;
+      if (operator === 'lt') return result < 0;
+      if (operator === 'gte') return result >= 0;
+      return result <= 0;
+    };
+  }
+  return () => true;
+};
 
-  return (row) => {
-    const cell = row?.[field];
-    if (value === null || value === undefined || value === '') return true;
-    if (operator === 'equals') return String(cell) == String(value);
-    if (operator === 'not_equals') return String(cell) != String(value);
-    if (operator === 'gt') return Number(cell) > Number(value);
-    if (operator === 'lt') return Number(cell) < Number(value);
-    if (operator === 'gte') return Number(cell) >= Number(value);
-    if (operator === 'lte') return Number(cell) <= Number(value);
-    if (operator === 'contains') return String(cell).toLowerCase().includes(String(value).toLowerCase());
-    return true;
-  };
+// Compiles a filter group into one predicate; incomplete conditions and empty groups are skipped.
+// Returns null when nothing in the tree constrains rows.
+const compileFilterTree = (group, columnTypes = {}, now = Date.now()) => {
+  const predicates = group.filters
+    .map((filter) => {
+      if (isFilterGroup(filter)) return compileFilterTree(filter, columnTypes, now);
+      if (!isFilterConditionComplete(filter)) return null;
+      return buildFilterPredicate(filter, columnTypes[filter.field], now);
+    })
+    .filter(Boolean);
+  if (predicates.length === 0) return null;
+  const matches = group.combinator === 'OR'
+    ? (row) => predicates.some((predicate) => predicate(row))
+    : (row) => predicates.every((predicate) => predicate(row));
+  return group.negate ? (row) => !matches(row) : matches;
 };
 
-const createDataEngine = (dataModel = { tables: {}, order: [] }) => {
-  const tables = dataModel?.tables || {};
+// `options.onProgress(queryId, fraction)` is called periodically during long scans in ensureQuery.
+const createDataEngine = (dataModel = { tables: {}, order: [] }, options = {}) => {
   const queries = new Map();
+  const onProgress = typeof options?.onProgress === 'function' ? options.onProgress : null;
+  // Clock for relative date filters; injectable for tests.
+  const now = typeof options?.now === 'function' ? options.now : Date.now;
 
-  const getTableRows = (tableName) => (Array.isArray(tables?.[tableName]) ? tables[tableName] : []);
-  const getTableSchema = (tableName) => deriveSchemaFromRows(getTableRows(tableName));
+  const reportProgress = (queryId, completed, total) => {
+    if (!onProgress || total <= 0 || completed === 0 || completed % PROGRESS_INTERVAL !== 0) return;
+    onProgress(queryId, completed / total);
+  };
+
+  // Tables are opened once here (encoded data is wrapped without copying; row arrays are encoded)
+  // and nothing below keeps a reference to the data model itself.
+  const tableOrder = [...(dataModel?.order || [])];
+  const columnarTables = new Map(Object.entries(dataModel?.tables || {})
+    .map(([tableName, table]) => [tableName, toColumnarTable(table)]));
+  const getTable = (tableName) => columnarTables.get(tableName) || EMPTY_TABLE;
+  const tableColumnTypesCache = new Map();
+  const getTableColumnTypes = (tableName) => {
+    if (tableColumnTypesCache.has(tableName)) return tableColumnTypesCache.get(tableName);
+    const table = getTable(tableName);
+    const columnTypes = inferColumnTypes(sampleRowsFor(table.rowCount, table.getRow), table.fields);
+    tableColumnTypesCache.set(tableName, columnTypes);
+    return columnTypes;
+  };
+
+  // Results are cached by key (own spec + parent key) so unchanged branches and reverted edits are reused.
+  // Materializations and sort indices share an LRU memory budget; results bound to a query id are never evicted.
+  const memoryBudget = Number.isFinite(options?.memoryBudget) ? options.memoryBudget : DEFAULT_MEMORY_BUDGET;
+  const results = new Map();
+  const cacheEntries = new Map();
+  const dependents = new Map();
+  let cachedBytes = 0;
+
+  const isResultBound = (key) => Array.from(queries.values()).some((query) => query.key === key);
+
+  const evictCacheEntries = () => {
+    if (cachedBytes <= memoryBudget) return;
+    for (const [entryId, entry] of Array.from(cacheEntries.entries())) {
+      if (cachedBytes <= memoryBudget) break;
+      if (entry.resultKey && isResultBound(entry.resultKey)) continue;
+      cacheEntries.delete(entryId);
+      cachedBytes -= entry.bytes;
+      entry.evict();
+    }
+  };
+
+  const touchCacheEntry = (entryId) => {
+    const entry = cacheEntries.get(entryId);
+    if (!entry) return;
+    cacheEntries.delete(entryId);
+    cacheEntries.set(entryId, entry);
+  };
+
+  const addCacheEntry = (entryId, bytes, evict, resultKey = null) => {
+    const previous = cacheEntries.get(entryId);
+    if (previous) {
+      cacheEntries.delete(entryId);
+      cachedBytes -= previous.bytes;
+    }
+    cacheEntries.set(entryId, { bytes, evict, resultKey });
+    cachedBytes += bytes;
+    evictCacheEntries();
+  };
+
+  const cacheResult = (query) => {
+    results.set(query.key, query);
+    addCacheEntry(`result\u0000${query.key}`, estimateQueryBytes(query), () => {
+      results.delete(query.key);
+      query.sortCache.forEach((_, cacheKey) => {
+        const entryId = `sort\u0000${query.key}\u0000${cacheKey}`;
+        const entry = cacheEntries.get(entryId);
+        if (!entry) return;
+        cacheEntries.delete(entryId);
+        cachedBytes -= entry.bytes;
+      });
+    }, query.key);
+  };
+
+  const collectDescendants = (queryId, collected = new Set()) => {
+    (dependents.get(queryId) || new Set()).forEach((childId) => {
+      if (collected.has(childId)) return;
+      collected.add(childId);
+      collectDescendants(childId, collected);
+    });
+    return collected;
+  };
+
+  // A query depends on its parent and on any node it references from another branch.
+  const setDependency = (queryId, inputIds = []) => {
+    dependents.forEach((children) => children.delete(queryId));
+    inputIds.filter(Boolean).forEach((inputId) => {
+      if (!dependents.has(inputId)) dependents.set(inputId, new Set());
+      dependents.get(inputId).add(queryId);
+    });
+  };
+
+  // Reads another query like a table, for joins and appends against other branches.
+  const createQuerySource = (query) => ({
+    rowCount: query.rowCount,
+    fields: query.schema || [],
+    columnTypes: query.columnTypes || {},
+    getValue: (index, field) => resolveValue(query, index, field)
+  });
 
   const resolveRow = (query, index) => {
     if (!query || index == null || index < 0) return null;
-    if (query.mode === 'materialized') {
-      return query.rows?.[index] ?? null;
+    if (query.mode === 'materialized') return query.output ? query.output.getRow(index) : null;
+    const { parent } = query;
+    if (query.mode === 'joined') {
+      const { leftIds, rightIds, rightTable, leftFields, rightFields, scores, scoreField } = query.join;
+      if (index >= leftIds.length) return null;
+      const leftIndex = leftIds[index];
+      const rightIndex = rightIds[index];
+      const row = leftIndex >= 0 ? { ...resolveRow(parent, leftIndex) } : {};
+      leftFields.forEach((source, output) => {
+        row[output] = row[source] ?? null;
+        delete row[source];
+      });
+      if (rightIndex >= 0) {
+        rightFields.forEach((field, outputField) => { row[outputField] = rightTable.getValue(rightIndex, field); });
+      }
+      if (scoreField) row[scoreField] = Number.isNaN(scores[index]) ? null : scores[index];
+      return row;
     }
-    const parent = query.parentId ? queries.get(query.parentId) : null;
-    const parentIndex = query.rowIds ? query.rowIds[index] : index;
-    if (!parent) {
-      const tableRows = getTableRows(query.table);
-      return tableRows[parentIndex] ?? null;
+    if (query.mode === 'appended' || query.mode === 'unpivoted' || query.mode === 'projected') {
+      if (index >= query.rowCount) return null;
+      const row = {};
+      query.schema.forEach((field) => { row[field] = resolveValue(query, index, field); });
+      return row;
+    }
+    if (query.mode === 'extended') {
+      const baseRow = parent ? resolveRow(parent, index) : getTable(query.table).getRow(index);
+      if (!baseRow) return null;
+      const row = { ...baseRow };
+      query.extraColumns.forEach((column, field) => { row[field] = column.get(index); });
+      return row;
     }
+    const parentIndex = query.rowIds ? query.rowIds[index] : index;
+    if (!parent) return getTable(query.table).getRow(parentIndex);
     return resolveRow(parent, parentIndex);
   };
 
+  // Reads one cell without building the row object.
+  const resolveValue = (query, index, field) => {
+    if (!query || index == null || index < 0) return null;
+    if (query.mode === 'materialized') return query.output ? query.output.getValue(index, field) : null;
+    const { parent } = query;
+    if (query.mode === 'joined') {
+      const { leftIds, rightIds, rightTable, leftFields, rightFields, scores, scoreField } = query.join;
+      if (index >= leftIds.length) return null;
+      if (scoreField && field === scoreField) return Number.isNaN(scores[index]) ? null : scores[index];
+      const rightIndex = rightIds[index];
+      if (rightFields.has(field)) return rightIndex >= 0 ? rightTable.getValue(rightIndex, rightFields.get(field)) : null;
+      const leftIndex = leftIds[index];
+      return leftIndex >= 0 ? resolveValue(parent, leftIndex, leftFields.get(field) || field) : null;
+    }
+    if (query.mode === 'appended') {
+      const segment = findAppendSegment(query.append.segments, index);
+      if (!segment) return null;
+      if (field === query.append.sourceColumn) return segment.label;
+      return segment.fields.has(field) ? segment.read(index - segment.start, field) : null;
+    }
+    if (query.mode === 'projected') {
+      const column = query.extraColumns.get(field);
+      if (column) return column.get(index);
+      const source = query.projection.get(field);
+      return source === undefined ? null : resolveValue(parent, index, source);
+    }
+    if (query.mode === 'unpivoted') {
+      if (index >= query.rowCount) return null;
+      const { columns, nameColumn, valueColumn, idFields, parentIds, columnIds } = query.unpivot;
+      const parentIndex = parentIds ? parentIds[index] : Math.floor(index / columns.length);
+      const column = columns[columnIds ? columnIds[index] : index % columns.length];
+      if (field === nameColumn) return column;
+      if (field === valueColumn) return resolveValue(parent, parentIndex, column);
+      return idFields.has(field) ? resolveValue(parent, parentIndex, field) : null;
+    }
+    if (query.mode === 'extended') {
+      const column = query.extraColumns.get(field);
+      if (column) return column.get(index);
+      return parent ? resolveValue(parent, index, field) : getTable(query.table).getValue(index, field);
+    }
+    const parentIndex = query.rowIds ? query.rowIds[index] : index;
+    if (!parent) return getTable(query.table).getValue(parentIndex, field);
+    return resolveValue(parent, parentIndex, field);
+  };
+
+  // A Bin node keeps each row's bin number beside its label column (not in the schema), so sorting by
+  // the label follows the bins. Nodes that keep rows and leave the column alone pass the numbers on.
+  const hasBinOrder = (query, field) => {
+    if (!query) return false;
+    if (query.binOrders?.has(field)) return true;
+    if (query.mode === 'extended') return !query.extraColumns.has(field) && hasBinOrder(query.parent, field);
+    return query.mode === 'rows' && hasBinOrder(query.parent, field);
+  };
+
+  const resolveBinOrder = (query, index, field) => {
+    const order = query.binOrders?.get(field);
+    if (order) return order.get(index);
+    if (query.mode === 'extended') return resolveBinOrder(query.parent, index, field);
+    return resolveBinOrder(query.parent, query.rowIds ? query.rowIds[index] : index, field);
+  };
+
+  // Reads the values `field` sorts by, and their column type.
+  const readSortValues = (query, field, progressId = null) => {
+    const byBin = hasBinOrder(query, field);
+    const values = new Array(query.rowCount);
+    for (let i = 0; i < query.rowCount; i += 1) {
+      if (progressId) reportProgress(progressId, i, query.rowCount);
+      values[i] = byBin ? resolveBinOrder(query, i, field) : resolveValue(query, i, field);
+    }
+    return { values, type: byBin ? 'integer' : query.columnTypes?.[field] };
+  };
+
   const getSortedIndices = (query, sortBy, sortDirection) => {
     if (!query || !sortBy || !sortDirection) return null;
     const cacheKey = `${sortBy}:${sortDirection}`;
-    if (query.sortCache.has(cacheKey)) return query.sortCache.get(cacheKey);
+    const entryId = `sort\u0000${query.key}\u0000${cacheKey}`;
+    if (query.sortCache.has(cacheKey)) {
+      touchCacheEntry(entryId);
+      return query.sortCache.get(cacheKey);
+    }
     const direction = sortDirection === 'asc' ? 1 : -1;
-    const indices = Array.from({ length: query.rowCount }, (_, i) => i);
+    const { values, type } = readSortValues(query, sortBy);
+    const indices = new Uint32Array(query.rowCount).map((_, i) => i);
     indices.sort((a, b) => {
-      const aRow = resolveRow(query, a);
-      const bRow = resolveRow(query, b);
-      const result = compareValues(aRow?.[sortBy], bRow?.[sortBy]);
+      const result = compareTypedValues(values[a], values[b], type);
       if (result === 0) return a - b;
       return result * direction;
     });
     query.sortCache.set(cacheKey, indices);
+    addCacheEntry(entryId, indices.byteLength, () => query.sortCache.delete(cacheKey));
     return indices;
   };
 
-  const createQueryBase = (id, key, type, parentId) => ({
+  const createQueryBase = (id, key, type, parent) => ({
     id,
     key,
     type,
-    parentId,
+    parent: parent || null,
     mode: 'rows',
     rowCount: 0,
     schema: [],
+    columnTypes: {},
+    inferredColumnTypes: null,
     table: null,
     rowIds: null,
-    rows: null,
+    output: null,
+    join: null,
+    extraColumns: null,
+    binOrders: null,
+    append: null,
+    error: null,
+    warnings: [],
+    summary: null,
     sortCache: new Map(),
     metricCache: new Map(),
     columnStatsCache: new Map(),
     pivotCache: new Map(),
     aggregateCache: new Map(),
-    sampleCache: new Map()
+    sampleCache: new Map(),
+    sqlSteps: null
   });
 
-  const ensureQuery = (queryId, spec) => {
-    const key = JSON.stringify(spec || {});
-    const existing = queries.get(queryId);
-    if (existing && existing.key === key) return existing;
-
+  const buildQuery = (queryId, key, spec, parent) => {
     const type = spec?.type || 'SOURCE';
-    const parentId = spec?.parentId || null;
-    const query = createQueryBase(queryId, key, type, parentId);
+    const query = createQueryBase(queryId, key, type, parent);
 
     if (type === 'SOURCE') {
-      const tableName = spec?.table || dataModel?.order?.[0];
-      const rows = getTableRows(tableName);
+      const tableName = spec?.table || tableOrder[0];
+      const table = getTable(tableName);
       query.mode = 'rows';
       query.table = tableName || null;
-      query.rowCount = rows.length;
-      query.schema = getTableSchema(tableName);
-      queries.set(queryId, query);
+      query.rowCount = table.rowCount;
+      query.schema = table.fields;
+      query.inferredColumnTypes = getTableColumnTypes(tableName);
+      // Columns with a date format are re-read as ISO text so they sort, filter and bucket as dates.
+      const dateFormats = normalizeDateFormats(spec?.params?.dateFormats, table.fields);
+      const dateFields = Object.keys(dateFormats);
+      if (dateFields.length > 0) {
+        query.mode = 'extended';
+        query.extraColumns = new Map();
+        query.inferredColumnTypes = { ...query.inferredColumnTypes };
+        dateFields.forEach((field) => {
+          const format = dateFormats[field];
+          const values = new Array(table.rowCount);
+          let unparsed = 0;
+          let hasTime = false;
+          for (let i = 0; i < table.rowCount; i += 1) {
+            reportProgress(queryId, i, table.rowCount);
+            const raw = table.getValue(i, field);
+            const parts = parseDateParts(raw, format);
+            if (!parts && !isBlankCell(raw)) unparsed += 1;
+            if (parts?.hasTime) hasTime = true;
+            values[i] = formatDateParts(parts);
+          }
+          query.extraColumns.set(field, createColumn(values));
+          query.inferredColumnTypes[field] = hasTime ? 'datetime' : 'date';
+          if (unparsed > 0) {
+            const label = DATE_FORMATS.find((item) => item.value === format)?.label || format;
+            const noun = unparsed === 1 ? 'value was' : 'values were';
+            query.warnings.push(`${unparsed} ${noun} left blank in "${field}" (not ${label}).`);
+          }
+        });
+      }
+      query.columnTypes = applyColumnTypeOverrides(query.inferredColumnTypes, spec?.params?.columnTypes);
       return query;
     }
 
-    const parent = parentId ? queries.get(parentId) : null;
-    if (!parent) {
-      queries.set(queryId, query);
-      return query;
-    }
+    if (!parent) return query;
 
     if (type === 'FILTER') {
       const params = spec?.params || {};
-      const filters = normalizeFilters(params).filter((filter) => filter.field);
-      if (filters.length === 0) {
+      const tree = normalizeFilterTree(params);
+      const predicate = compileFilterTree(tree, parent.columnTypes || {}, params.referenceDate ?? now());
+      if (!predicate) {
         query.mode = 'rows';
         query.rowIds = null;
         query.rowCount = parent.rowCount;
         query.schema = parent.schema || [];
-        queries.set(queryId, query);
+        query.columnTypes = parent.columnTypes || {};
         return query;
       }
-      const predicates = filters.map((filter) => (
-        buildFilterPredicate(filter.field, filter.operator, filter.value)
+      // The predicate only sees the filtered fields, so full rows are never built.
+      const filterFields = Array.from(new Set(
+        flattenFilterConditions(tree.filters).filter(isFilterConditionComplete).map((filter) => filter.field)
       ));
       const rowIds = [];
       for (let i = 0; i < parent.rowCount; i += 1) {
-        const row = resolveRow(parent, i);
-        if (predicates.every((predicate) => predicate(row))) rowIds.push(i);
+        reportProgress(queryId, i, parent.rowCount);
+        const row = {};
+        filterFields.forEach((field) => { row[field] = resolveValue(parent, i, field); });
+        if (predicate(row)) rowIds.push(i);
       }
       query.mode = 'rows';
-      query.rowIds = rowIds;
+      query.rowIds = Uint32Array.from(rowIds);
       query.rowCount = rowIds.length;
       query.schema = parent.schema || [];
-      queries.set(queryId, query);
+      query.columnTypes = parent.columnTypes || {};
       return query;
     }
 
     if (type === 'AGGREGATE') {
-      const params = spec?.params || {};
-      const groupBy = params.groupBy;
-      const metricField = params.metricField;
-      const fn = params.fn || 'count';
-      if (!groupBy) {
+      const { groupBy, metrics, timeGrains, bins } = normalizeAggregateParams(spec?.params);
+      if (groupBy.length === 0) {
         query.mode = 'rows';
         query.rowIds = null;
         query.rowCount = parent.rowCount;
         query.schema = parent.schema || [];
-        queries.set(queryId, query);
+        query.columnTypes = parent.columnTypes || {};
+        return query;
+      }
+      const readParent = (i, field) => resolveValue(parent, i, field);
+      const buckets = createDimensionBuckets(parent.rowCount, readParent, { timeGrains, bins });
+      const rows = aggregateRows(parent.rowCount, (i, field) => {
+        reportProgress(queryId, i, parent.rowCount);
+        return readParent(i, field);
+      }, groupBy, metrics, buckets);
+
+      query.mode = 'materialized';
+      query.schema = [...groupBy, ...metrics.map((metric) => metric.alias)];
+      query.output = createColumnarTable(rows, query.schema);
+      query.rowCount = rows.length;
+      query.columnTypes = resolveColumnTypes(
+        query.schema,
+        parent.columnTypes,
+        rows,
+        [...Object.keys(buckets), ...metrics.map((metric) => metric.alias)]
+      );
+      return query;
+    }
+
+    if (type === 'SORT') {
+      const sortKeys = normalizeSortKeys(spec?.params).filter((key) => key.field);
+      const rowIds = Array.from({ length: parent.rowCount }, (_, i) => i);
+      if (sortKeys.length > 0) {
+        const sortTypes = { ...(parent.columnTypes || {}) };
+        const keyValues = sortKeys.map((key) => {
+          const { values, type } = readSortValues(parent, key.field, queryId);
+          sortTypes[key.field] = type;
+          return values;
+        });
+        const compare = createSortKeyComparator(sortKeys, keyValues, sortTypes);
+        rowIds.sort((a, b) => compare(a, b) || a - b);
+      }
+      query.mode = 'rows';
+      query.rowIds = sortKeys.length > 0 ? Uint32Array.from(rowIds) : null;
+      query.rowCount = parent.rowCount;
+      query.schema = parent.schema || [];
+      query.columnTypes = parent.columnTypes || {};
+      return query;
+    }
+
+    if (type === 'LIMIT') {
+      const { limit, offset, fromEnd } = normalizeLimitParams(spec?.params);
+      const end = fromEnd ? Math.max(0, parent.rowCount - offset) : Math.min(parent.rowCount, offset + limit);
+      const start = fromEnd ? Math.max(0, end - limit) : Math.min(parent.rowCount, offset);
+      const rowIds = new Uint32Array(Math.max(0, end - start));
+      for (let i = start; i < end; i += 1) rowIds[i - start] = i;
+      query.mode = 'rows';
+      query.rowIds = rowIds;
+      query.rowCount = rowIds.length;
+      query.schema = parent.schema || [];
+      query.columnTypes = parent.columnTypes || {};
+      return query;
+    }
+
+    if (type === 'CALCULATE') {
+      const params = spec?.params || {};
+      const columnName = String(params.columnName || '').trim();
+      const parentSchema = parent.schema || [];
+      const passThrough = (error) => {
+        query.mode = 'rows';
+        query.rowIds = null;
+        query.rowCount = parent.rowCount;
+        query.schema = parentSchema;
+        query.columnTypes = parent.columnTypes || {};
+        query.error = error;
+        return query;
+      };
+      if (!columnName || !String(params.expression || '').trim()) return passThrough(null);
+      let compiled = null;
+      try {
+        compiled = compileExpression(params.expression, { schema: parentSchema });
+      } catch (err) {
+        return passThrough(err?.message || 'Invalid expression.');
+      }
+      // Only the computed column is stored; the rest of each row still comes from the parent.
+      const values = new Array(parent.rowCount);
+      for (let i = 0; i < parent.rowCount; i += 1) {
+        reportProgress(queryId, i, parent.rowCount);
+        const row = {};
+        compiled.fields.forEach((field) => { row[field] = resolveValue(parent, i, field); });
+        values[i] = compiled.evaluate(row);
+      }
+      query.mode = 'extended';
+      query.extraColumns = new Map([[columnName, createColumn(values)]]);
+      query.rowCount = parent.rowCount;
+      query.schema = parentSchema.includes(columnName) ? parentSchema : [...parentSchema, columnName];
+      query.columnTypes = resolveColumnTypes(
+        query.schema,
+        parent.columnTypes,
+        sampleRowsFor(query.rowCount, (index) => resolveRow(query, index)),
+        [columnName]
+      );
+      return query;
+    }
+
+    if (type === 'WINDOW') {
+      const windowParams = normalizeWindowParams(spec?.params);
+      const parentSchema = parent.schema || [];
+      if (windowParams.windows.length === 0) {
+        query.mode = 'rows';
+        query.rowIds = null;
+        query.rowCount = parent.rowCount;
+        query.schema = parentSchema;
+        query.columnTypes = parent.columnTypes || {};
+        return query;
+      }
+      const outputs = computeWindowValues(
+        parent.rowCount,
+        (i, field) => resolveValue(parent, i, field),
+        windowParams,
+        parent.columnTypes
+      );
+      const aliases = windowParams.windows.map((item) => item.alias);
+      query.mode = 'extended';
+      query.extraColumns = new Map(aliases.map((alias, index) => [alias, createColumn(outputs[index])]));
+      query.rowCount = parent.rowCount;
+      query.schema = [...parentSchema, ...aliases.filter((alias) => !parentSchema.includes(alias))];
+      query.columnTypes = resolveColumnTypes(
+        query.schema,
+        parent.columnTypes,
+        sampleRowsFor(query.rowCount, (index) => resolveRow(query, index)),
+        aliases
+      );
+      return query;
+    }
+
+    if (type === 'BIN') {
+      const { field, alias, spec: binSpec } = normalizeBinParams(spec?.params);
+      const parentSchema = parent.schema || [];
+      if (!field || !binSpec || !parentSchema.includes(field)) {
+        query.mode = 'rows';
+        query.rowIds = null;
+        query.rowCount = parent.rowCount;
+        query.schema = parentSchema;
+        query.columnTypes = parent.columnTypes || {};
+        query.error = field && !parentSchema.includes(field) ? `Column "${field}" is not available.` : null;
+        return query;
+      }
+      const values = new Array(parent.rowCount);
+      for (let i = 0; i < parent.rowCount; i += 1) {
+        reportProgress(queryId, i, parent.rowCount);
+        values[i] = resolveValue(parent, i, field);
+      }
+      const { bins, assign } = buildBins(values, binSpec);
+      const labels = new Array(parent.rowCount);
+      const order = new Array(parent.rowCount);
+      const counts = new Array(bins.length).fill(0);
+      let unbinned = 0;
+      for (let i = 0; i < parent.rowCount; i += 1) {
+        const index = assign(values[i]);
+        labels[i] = index === null ? null : bins[index].label;
+        order[i] = index === null ? null : index + 1;
+        if (index === null) unbinned += 1;
+        else counts[index] += 1;
+      }
+      query.mode = 'extended';
+      query.extraColumns = new Map([[alias, createColumn(labels)]]);
+      query.binOrders = new Map([[alias, createColumn(order)]]);
+      query.rowCount = parent.rowCount;
+      query.schema = parentSchema.includes(alias) ? parentSchema : [...parentSchema, alias];
+      query.columnTypes = { ...(parent.columnTypes || {}), [alias]: 'string' };
+      query.summary = { bins: bins.map((bin, index) => ({ ...bin, count: counts[index] })), unbinned };
+      return query;
+    }
+
+    if (type === 'SAMPLE') {
+      const sample = normalizeSampleParams(spec?.params);
+      const parentSchema = parent.schema || [];
+      query.mode = 'rows';
+      query.rowIds = null;
+      query.rowCount = parent.rowCount;
+      query.schema = parentSchema;
+      query.columnTypes = parent.columnTypes || {};
+      if (sample.strataField && !parentSchema.includes(sample.strataField)) {
+        query.error = `Column "${sample.strataField}" is not available.`;
+        return query;
+      }
+      if (!sample.enabled) {
+        query.summary = { enabled: false, inputRows: parent.rowCount, sampledRows: parent.rowCount, strata: null };
+        return query;
+      }
+      const { rowIds, strata } = sampleRowIds(parent.rowCount, getSampleSize(sample, parent.rowCount), {
+        seed: sample.seed,
+        readStratum: sample.strataField
+          ? (i) => {
+            reportProgress(queryId, i, parent.rowCount);
+            return resolveValue(parent, i, sample.strataField);
+          }
+          : null
+      });
+      query.rowIds = rowIds;
+      query.rowCount = rowIds.length;
+      query.summary = { enabled: true, inputRows: parent.rowCount, sampledRows: rowIds.length, strata };
+      return query;
+    }
+
+    if (type === 'DEDUPE') {
+      const { keys, keep, orderBy, ignoreCase, trim } = normalizeDedupeParams(spec?.params);
+      const parentSchema = parent.schema || [];
+      const missing = [...keys, orderBy].filter((field) => field && !parentSchema.includes(field));
+      if (missing.length > 0) {
+        query.mode = 'rows';
+        query.rowIds = null;
+        query.rowCount = parent.rowCount;
+        query.schema = parentSchema;
+        query.columnTypes = parent.columnTypes || {};
+        query.error = `Column "${missing[0]}" is not available.`;
         return query;
       }
+      const keyFields = keys.length > 0 ? keys : parentSchema;
+      const orderType = parent.columnTypes?.[orderBy];
+      const normalizeKeyValue = (value) => {
+        let text = isBlankValue(value) ? '' : String(value);
+        if (trim) text = text.trim();
+        return ignoreCase ? text.toLowerCase() : text;
+      };
+      // One entry per key: the kept row, its `orderBy` value and how many rows share the key.
       const groups = new Map();
+      for (let i = 0; i < parent.rowCount; i += 1) {
+        reportProgress(queryId, i, parent.rowCount);
+        const key = JSON.stringify(keyFields.map((field) => normalizeKeyValue(resolveValue(parent, i, field))));
+        const value = orderBy ? resolveValue(parent, i, orderBy) : null;
+        const group = groups.get(key);
+        if (!group) {
+          groups.set(key, { index: i, value, count: 1 });
+          continue;
+        }
+        group.count += 1;
+        let replace = keep === 'last';
+        if ((keep === 'max' || keep === 'min') && !isBlankValue(value)) {
+          const order = compareTypedValues(value, group.value, orderType);
+          replace = isBlankValue(group.value) || (keep === 'max' ? order > 0 : order < 0);
+        }
+        if (replace) {
+          group.index = i;
+          group.value = value;
+        }
+      }
+      const keptIds = new Uint32Array(groups.size);
+      let next = 0;
+      let duplicateGroups = 0;
+      groups.forEach((group) => {
+        keptIds[next] = group.index;
+        next += 1;
+        if (group.count > 1) duplicateGroups += 1;
+      });
+      keptIds.sort();
+      query.mode = 'rows';
+      query.rowIds = keptIds;
+      query.rowCount = keptIds.length;
+      query.schema = parentSchema;
+      query.columnTypes = parent.columnTypes || {};
+      query.summary = { inputRows: parent.rowCount, removedRows: parent.rowCount - keptIds.length, duplicateGroups };
+      return query;
+    }
 
-      if (groupBy) {
+    if (type === 'CLEAN') {
+      const parentSchema = parent.schema || [];
+      const ops = normalizeCleanParams(spec?.params).ops.filter(isCleanOpActive);
+      const passThrough = (error) => {
+        query.mode = 'rows';
+        query.rowIds = null;
+        query.rowCount = parent.rowCount;
+        query.schema = parentSchema;
+        query.columnTypes = parent.columnTypes || {};
+        query.error = error;
+        return query;
+      };
+      if (ops.length === 0) return passThrough(null);
+      const missing = ops.find((op) => !parentSchema.includes(op.field));
+      if (missing) return passThrough(`Column "${missing.field}" is not available.`);
+      const splitNames = new Map(ops.filter((op) => op.splitCount > 0).map((op) => [op.field, getSplitColumnNames(op)]));
+      const outputNames = new Set(parentSchema);
+      let clash = null;
+      splitNames.forEach((names) => names.forEach((name) => {
+        if (outputNames.has(name) && !clash) clash = name;
+        outputNames.add(name);
+      }));
+      if (clash) return passThrough(`Column "${clash}" already exists.`);
+      let cleaners = null;
+      try {
+        cleaners = ops.map(createCleaner);
+      } catch (err) {
+        return passThrough(err?.message || 'Invalid clean settings.');
+      }
+      // Cleaned and split columns are stored; every other column reads through to the parent.
+      const extraColumns = new Map();
+      let changedValues = 0;
+      ops.forEach((op, opIndex) => {
+        const values = new Array(parent.rowCount);
+        const names = splitNames.get(op.field) || [];
+        const parts = names.map(() => new Array(parent.rowCount));
         for (let i = 0; i < parent.rowCount; i += 1) {
-          const row = resolveRow(parent, i);
-          const keyValue = row?.[groupBy];
-          if (!groups.has(keyValue)) {
-            groups.set(keyValue, {
-              [groupBy]: keyValue,
-              _count: 0,
-              _sum: 0,
-              _min: null,
-              _max: null,
-              _distinct: new Set()
-            });
-          }
-          const bucket = groups.get(keyValue);
-          bucket._count += 1;
-          if (metricField) {
-            const rawValue = row?.[metricField];
-            const value = Number(rawValue);
-            if (!Number.isNaN(value)) {
-              bucket._sum += value;
-              bucket._min = bucket._min === null ? value : Math.min(bucket._min, value);
-              bucket._max = bucket._max === null ? value : Math.max(bucket._max, value);
-            }
-            bucket._distinct.add(rawValue);
+          reportProgress(queryId, i, parent.rowCount);
+          const raw = resolveValue(parent, i, op.field);
+          values[i] = cleaners[opIndex](raw);
+          if (values[i] !== raw && !(values[i] === null && isBlankValue(raw))) changedValues += 1;
+          if (names.length > 0) {
+            splitCleanValue(values[i], op.splitDelimiter, op.splitCount, op.trim)
+              .forEach((part, partIndex) => { parts[partIndex][i] = part; });
           }
         }
+        extraColumns.set(op.field, createColumn(values));
+        names.forEach((name, partIndex) => extraColumns.set(name, createColumn(parts[partIndex])));
+      });
+      // Split columns follow their source column, which is dropped unless `splitKeep` is set.
+      const schema = [];
+      parentSchema.forEach((field) => {
+        const op = ops.find((item) => item.field === field);
+        if (!splitNames.has(field) || op.splitKeep) schema.push(field);
+        schema.push(...(splitNames.get(field) || []));
+      });
+      query.mode = 'projected';
+      query.projection = new Map(parentSchema.map((field) => [field, field]));
+      query.extraColumns = extraColumns;
+      query.rowCount = parent.rowCount;
+      query.schema = schema;
+      query.columnTypes = resolveColumnTypes(
+        schema,
+        parent.columnTypes,
+        sampleRowsFor(query.rowCount, (index) => resolveRow(query, index)),
+        Array.from(extraColumns.keys())
+      );
+      query.summary = { changedValues };
+      return query;
+    }
+
+    if (type === 'COLUMNS') {
+      const parentSchema = parent.schema || [];
+      const parentTypes = parent.columnTypes || {};
+      const { columns, missing, error } = resolveColumnProjection(parentSchema, spec?.params);
+      if (error) {
+        query.mode = 'rows';
+        query.rowIds = null;
+        query.rowCount = parent.rowCount;
+        query.schema = parentSchema;
+        query.columnTypes = parentTypes;
+        query.error = error;
+        return query;
       }
+      missing.forEach((field) => query.warnings.push(`Column "${field}" is no longer in the input.`));
+      // Renamed columns read through to the parent; cast columns are converted once and stored.
+      const projection = new Map();
+      const extraColumns = new Map();
+      const columnTypes = {};
+      columns.forEach(({ field, name, type, dateFormat }) => {
+        columnTypes[name] = type || parentTypes[field];
+        if (!type) {
+          projection.set(name, field);
+          return;
+        }
+        const values = new Array(parent.rowCount);
+        let unreadable = 0;
+        for (let i = 0; i < parent.rowCount; i += 1) {
+          reportProgress(queryId, i, parent.rowCount);
+          const raw = resolveValue(parent, i, field);
+          values[i] = castValue(raw, type, dateFormat);
+          if (values[i] === null && !isBlankValue(raw)) unreadable += 1;
+        }
+        if (unreadable > 0) {
+          const target = type === 'date' || type === 'datetime' ? (dateFormat === 'auto' ? 'a date' : dateFormat) : COLUMN_TYPE_LABELS[type];
+          query.warnings.push(`${unreadable} ${unreadable === 1 ? 'value was' : 'values were'} left blank in "${name}" (not ${target}).`);
+        }
+        extraColumns.set(name, createColumn(values));
+      });
+      query.mode = 'projected';
+      query.projection = projection;
+      query.extraColumns = extraColumns;
+      query.rowCount = parent.rowCount;
+      query.schema = columns.map((column) => column.name);
+      query.columnTypes = columnTypes;
+      return query;
+    }
 
-      const rows = Array.from(groups.values()).map((bucket) => {
-        const record = { [groupBy]: bucket[groupBy] };
-        if (fn === 'sum') record[metricField] = bucket._sum;
-        else if (fn === 'avg') record[metricField] = bucket._count ? bucket._sum / bucket._count : 0;
-        else if (fn === 'min') record[metricField] = bucket._min ?? 0;
-        else if (fn === 'max') record[metricField] = bucket._max ?? 0;
-        else if (fn === 'count_distinct') record[metricField] = bucket._distinct.size;
-        else record['Record Count'] = bucket._count;
-        return record;
+    if (type === 'UNPIVOT') {
+      const { columns, nameColumn, valueColumn, dropBlanks } = normalizeUnpivotParams(spec?.params);
+      const parentSchema = parent.schema || [];
+      const idFields = parentSchema.filter((field) => !columns.includes(field));
+      const missing = columns.filter((field) => !parentSchema.includes(field));
+      let error = null;
+      if (missing.length > 0) error = `Column "${missing[0]}" is not available.`;
+      else if (nameColumn === valueColumn) error = 'The name and value columns need different names.';
+      else if (idFields.includes(nameColumn) || idFields.includes(valueColumn)) {
+        error = `Column "${idFields.includes(nameColumn) ? nameColumn : valueColumn}" already exists.`;
+      }
+      if (columns.length === 0 || error) {
+        query.mode = 'rows';
+        query.rowIds = null;
+        query.rowCount = parent.rowCount;
+        query.schema = parentSchema;
+        query.columnTypes = parent.columnTypes || {};
+        query.error = error;
+        return query;
+      }
+      // Row i reads parent row floor(i / columns) unless blanks are dropped, which needs explicit ids.
+      let parentIds = null;
+      let columnIds = null;
+      if (dropBlanks) {
+        const keptParents = [];
+        const keptColumns = [];
+        for (let i = 0; i < parent.rowCount; i += 1) {
+          reportProgress(queryId, i, parent.rowCount);
+          columns.forEach((field, column) => {
+            if (isBlankValue(resolveValue(parent, i, field))) return;
+            keptParents.push(i);
+            keptColumns.push(column);
+          });
+        }
+        parentIds = Uint32Array.from(keptParents);
+        columnIds = Uint32Array.from(keptColumns);
+      }
+      const parentTypes = parent.columnTypes || {};
+      query.mode = 'unpivoted';
+      query.unpivot = { columns, nameColumn, valueColumn, idFields: new Set(idFields), parentIds, columnIds };
+      query.rowCount = parentIds ? parentIds.length : parent.rowCount * columns.length;
+      query.schema = [...idFields, nameColumn, valueColumn];
+      query.columnTypes = {
+        ...idFields.reduce((acc, field) => ({ ...acc, [field]: parentTypes[field] }), {}),
+        [nameColumn]: 'string',
+        [valueColumn]: columns.reduce((type, field) => mergeColumnTypes(type, parentTypes[field]), null) || 'string'
+      };
+      return query;
+    }
+
+    if (type === 'PIVOT_COLUMNS') {
+      const { namesFrom, valuesFrom, index, fn, prefix } = normalizePivotColumnsParams(spec?.params);
+      const parentSchema = parent.schema || [];
+      const valueField = aggregationRequiresField(fn) ? valuesFrom : '';
+      const missing = [namesFrom, valueField, ...index].filter((field) => field && !parentSchema.includes(field));
+      if (!namesFrom || (aggregationRequiresField(fn) && !valuesFrom) || missing.length > 0) {
+        query.mode = 'rows';
+        query.rowIds = null;
+        query.rowCount = parent.rowCount;
+        query.schema = parentSchema;
+        query.columnTypes = parent.columnTypes || {};
+        query.error = missing.length > 0 ? `Column "${missing[0]}" is not available.` : null;
+        return query;
+      }
+      const indexFields = index.length > 0
+        ? index
+        : parentSchema.filter((field) => field !== namesFrom && field !== valuesFrom);
+      // One cell per (index row, name); the row count flags cells that combined several input rows.
+      const VALUE_KEY = '\u0000value';
+      const ROWS_KEY = '\u0000rows';
+      const cells = aggregateRows(parent.rowCount, (i, field) => {
+        reportProgress(queryId, i, parent.rowCount);
+        return resolveValue(parent, i, field);
+      }, [...indexFields, namesFrom], [
+        { fn, field: valueField, alias: VALUE_KEY },
+        { fn: 'count', field: '', alias: ROWS_KEY }
+      ]);
+      const nameColumn = createPivotColumnNamer(indexFields, prefix);
+      const pivotColumns = [];
+      const rowsByKey = new Map();
+      let combinedCells = 0;
+      let droppedNames = 0;
+      cells.forEach((cell) => {
+        const name = nameColumn(cell[namesFrom]);
+        if (!pivotColumns.includes(name)) {
+          if (pivotColumns.length >= MAX_PIVOT_COLUMNS) {
+            droppedNames += 1;
+            return;
+          }
+          pivotColumns.push(name);
+        }
+        const rowKey = JSON.stringify(indexFields.map((field) => cell[field]));
+        if (!rowsByKey.has(rowKey)) {
+          const row = {};
+          indexFields.forEach((field) => { row[field] = cell[field]; });
+          rowsByKey.set(rowKey, row);
+        }
+        rowsByKey.get(rowKey)[name] = cell[VALUE_KEY];
+        if (cell[ROWS_KEY] > 1) combinedCells += 1;
       });
+      if (droppedNames > 0) {
+        query.warnings.push(`Only the first ${MAX_PIVOT_COLUMNS} values of "${namesFrom}" became columns; ${droppedNames} cells were left out.`);
+      }
+      if (combinedCells > 0 && (fn === 'first' || fn === 'last')) {
+        query.warnings.push(`${combinedCells} ${combinedCells === 1 ? 'cell matches' : 'cells match'} several rows; kept the ${fn} value.`);
+      }
+      const rows = Array.from(rowsByKey.values());
+      query.mode = 'materialized';
+      query.schema = [...indexFields, ...pivotColumns];
+      query.output = createColumnarTable(rows, query.schema);
+      query.rowCount = rows.length;
+      query.columnTypes = resolveColumnTypes(query.schema, parent.columnTypes, rows, pivotColumns);
+      return query;
+    }
 
+    if (type === 'TOP_N') {
+      const { groupBy, orderBy, direction, limit, includeOthers, othersLabel } = normalizeTopNParams(spec?.params);
+      const parentSchema = parent.schema || [];
+      const parentTypes = parent.columnTypes || {};
+      const partitions = new Map();
+      for (let i = 0; i < parent.rowCount; i += 1) {
+        reportProgress(queryId, i, parent.rowCount);
+        const key = JSON.stringify(groupBy.map((field) => resolveValue(parent, i, field)));
+        if (!partitions.has(key)) partitions.set(key, []);
+        partitions.get(key).push(i);
+      }
+      let compare = null;
+      if (orderBy) {
+        const sortKeys = [{ field: orderBy, direction, nulls: 'last' }];
+        const keyValues = [Array.from({ length: parent.rowCount }, (_, i) => resolveValue(parent, i, orderBy))];
+        compare = createSortKeyComparator(sortKeys, keyValues, parentTypes);
+      }
+      const keptIds = [];
+      const rolledUp = [];
+      partitions.forEach((members) => {
+        if (compare) members.sort((a, b) => compare(a, b) || a - b);
+        keptIds.push(...members.slice(0, limit));
+        if (includeOthers && members.length > limit) rolledUp.push({ position: keptIds.length, rest: members.slice(limit) });
+      });
+      query.schema = parentSchema;
+      query.columnTypes = parentTypes;
+      if (rolledUp.length === 0) {
+        query.mode = 'rows';
+        query.rowIds = Uint32Array.from(keptIds);
+        query.rowCount = keptIds.length;
+        return query;
+      }
+      // "Others" rows keep the group values, total the order-by field and label the remaining text columns.
+      const buildOthersRow = (rest) => {
+        const row = {};
+        parentSchema.forEach((field) => {
+          const fieldType = parentTypes[field];
+          if (groupBy.includes(field)) row[field] = resolveValue(parent, rest[0], field);
+          else if (field === orderBy) {
+            row[field] = rest.reduce((acc, index) => {
+              const value = Number(resolveValue(parent, index, field));
+              return Number.isFinite(value) ? acc + value : acc;
+            }, 0);
+          } else row[field] = isNumericType(fieldType) || isDateType(fieldType) ? null : othersLabel;
+        });
+        return row;
+      };
+      const rows = [];
+      let next = 0;
+      rolledUp.forEach(({ position, rest }) => {
+        for (; next < position; next += 1) rows.push(resolveRow(parent, keptIds[next]));
+        rows.push(buildOthersRow(rest));
+      });
+      for (; next < keptIds.length; next += 1) rows.push(resolveRow(parent, keptIds[next]));
       query.mode = 'materialized';
-      query.rows = rows;
+      query.output = createColumnarTable(rows, parentSchema);
       query.rowCount = rows.length;
-      query.schema = deriveSchemaFromRows(rows);
-      queries.set(queryId, query);
+      return query;
+    }
+
+    if (type === 'APPEND') {
+      const { tables: tableNames, nodeIds, nodeLabels, sourceColumn } = normalizeAppendParams(spec?.params);
+      const parentSchema = parent.schema || [];
+      let root = parent;
+      while (root.parent) root = root.parent;
+      const segments = [{
+        start: 0,
+        rowCount: parent.rowCount,
+        label: root.table || 'input',
+        fields: new Set(parentSchema),
+        read: (index, field) => resolveValue(parent, index, field)
+      }];
+      const schema = [...parentSchema];
+      const columnTypes = { ...(parent.columnTypes || {}) };
+      let rowCount = parent.rowCount;
+      // Columns are aligned by name; cells missing from a table read as null.
+      const appendSource = (label, source, sourceTypes) => {
+        const missing = parentSchema.filter((field) => !source.fields.includes(field));
+        const extra = source.fields.filter((field) => !parentSchema.includes(field));
+        if (missing.length > 0) query.warnings.push(`"${label}" is missing ${missing.join(', ')}.`);
+        if (extra.length > 0) query.warnings.push(`"${label}" adds ${extra.join(', ')}.`);
+        source.fields.forEach((field) => {
+          if (!schema.includes(field)) schema.push(field);
+          columnTypes[field] = mergeColumnTypes(columnTypes[field], sourceTypes[field]);
+        });
+        segments.push({
+          start: rowCount,
+          rowCount: source.rowCount,
+          label,
+          fields: new Set(source.fields),
+          read: (index, field) => source.getValue(index, field)
+        });
+        rowCount += source.rowCount;
+      };
+      tableNames.forEach((tableName) => {
+        if (!columnarTables.has(tableName)) {
+          query.warnings.push(`Table "${tableName}" was not found.`);
+          return;
+        }
+        appendSource(tableName, getTable(tableName), getTableColumnTypes(tableName));
+      });
+      nodeIds.forEach((nodeId) => {
+        const label = nodeLabels[nodeId] || nodeId;
+        const source = queries.get(nodeId);
+        if (!source) {
+          query.warnings.push(`Node "${label}" is not available.`);
+          return;
+        }
+        appendSource(label, createQuerySource(source), source.columnTypes || {});
+      });
+      if (sourceColumn) {
+        if (!schema.includes(sourceColumn)) schema.push(sourceColumn);
+        columnTypes[sourceColumn] = 'string';
+      }
+      query.mode = 'appended';
+      query.append = { segments, sourceColumn };
+      query.rowCount = rowCount;
+      query.schema = schema;
+      query.columnTypes = columnTypes;
       return query;
     }
 
     if (type === 'JOIN') {
-      const params = spec?.params || {};
-      const rightTable = params.rightTable;
-      if (!rightTable || !params.leftKey || !params.rightKey) {
+      const joinParams = normalizeJoinParams(spec?.params);
+      const { rightTable, rightNodeId, joinType } = joinParams;
+      const rightQuery = rightNodeId ? queries.get(rightNodeId) : null;
+      const passThrough = (error) => {
         query.mode = 'rows';
         query.rowIds = null;
         query.rowCount = parent.rowCount;
         query.schema = parent.schema || [];
-        queries.set(queryId, query);
+        query.columnTypes = parent.columnTypes || {};
+        query.error = error;
         return query;
-      }
-      const rightTableData = rightTable ? getTableRows(rightTable) : [];
-      const rightTablePrefix = rightTable || 'right';
-      const joinedData = [];
-      const matchedRightIndices = new Set();
-      const joinType = params.joinType || 'LEFT';
-
-      const prefixColumns = (row, prefix) =>
-        Object.entries(row || {}).reduce((acc, [key, val]) => {
-          acc[`${prefix}_${key}`] = val;
-          return acc;
-        }, {});
-
-      const rightLookup = new Map();
-      rightTableData.forEach((rightRow, rIdx) => {
-        const keyValue = normalizeJoinValue(rightRow?.[params.rightKey]);
-        if (keyValue === null) return;
-        if (!rightLookup.has(keyValue)) rightLookup.set(keyValue, []);
-        rightLookup.get(keyValue).push({ row: rightRow, index: rIdx });
-      });
+      };
+      if (rightNodeId && !rightQuery) return passThrough('The node to join with is not available.');
+      if ((!rightTable && !rightQuery) || !isJoinConfigured(joinParams)) return passThrough(null);
+      const rightTableData = rightQuery ? createQuerySource(rightQuery) : getTable(rightTable);
+      const matchRow = createJoinMatcher(joinParams, rightTableData);
+      // Output rows are stored as (left, right) index pairs; -1 marks a missing side.
+      const leftIds = [];
+      const rightIds = [];
+      // Match confidence per output row; NaN where there is no match.
+      const scores = [];
+      const matchedRightIndices = new Uint8Array(rightTableData.rowCount);
+      let matchedLeftCount = 0;
 
       for (let i = 0; i < parent.rowCount; i += 1) {
-        const leftRow = resolveRow(parent, i);
-        const leftKey = normalizeJoinValue(leftRow?.[params.leftKey]);
-        let matchesFound = false;
-
-        if (leftKey !== null && rightLookup.has(leftKey)) {
-          matchesFound = true;
-          rightLookup.get(leftKey).forEach(({ row, index }) => {
-            matchedRightIndices.add(index);
-            joinedData.push({ ...leftRow, ...prefixColumns(row, rightTablePrefix) });
-          });
-        }
+        reportProgress(queryId, i, parent.rowCount);
+        const matches = matchRow((field) => resolveValue(parent, i, field));
 
-        if (!matchesFound && ['LEFT', 'FULL'].includes(joinType)) {
-          joinedData.push({ ...leftRow });
+        if (matches.length > 0) {
+          matchedLeftCount += 1;
+          matches.forEach(({ index }) => { matchedRightIndices[index] = 1; });
+        }
+        if (isFilteringJoin(joinType)) {
+          if ((matches.length > 0) === (joinType === 'SEMI')) leftIds.push(i);
+        } else if (matches.length > 0) {
+          matches.forEach(({ index, score }) => {
+            leftIds.push(i);
+            rightIds.push(index);
+            scores.push(score);
+          });
+        } else if (joinType === 'LEFT' || joinType === 'FULL') {
+          leftIds.push(i);
+          rightIds.push(-1);
+          scores.push(NaN);
         }
       }
 
-      if (['RIGHT', 'FULL'].includes(joinType)) {
-        rightTableData.forEach((rightRow, rIdx) => {
-          if (!matchedRightIndices.has(rIdx)) {
-            joinedData.push({ ...prefixColumns(rightRow, rightTablePrefix) });
+      const matchedRightCount = matchedRightIndices.reduce((acc, flag) => acc + flag, 0);
+      if (joinType === 'RIGHT' || joinType === 'FULL') {
+        for (let rIdx = 0; rIdx < rightTableData.rowCount; rIdx += 1) {
+          if (!matchedRightIndices[rIdx]) {
+            leftIds.push(-1);
+            rightIds.push(rIdx);
+            scores.push(NaN);
           }
-        });
+        }
+      }
+      query.summary = {
+        leftRows: parent.rowCount,
+        matchedLeftRows: matchedLeftCount,
+        rightRows: rightTableData.rowCount,
+        matchedRightRows: matchedRightCount
+      };
+      if (getJoinConfidenceColumn(joinParams)) {
+        const matchedScores = scores.filter((score) => !Number.isNaN(score));
+        query.summary.averageConfidence = matchedScores.length > 0
+          ? matchedScores.reduce((acc, score) => acc + score, 0) / matchedScores.length
+          : null;
       }
 
-      const schema = new Set(deriveSchemaFromRows(joinedData));
-      const rightProto = rightTableData?.[0];
-      if (rightProto) {
-        Object.keys(rightProto).forEach((keyName) => schema.add(`${rightTablePrefix}_${keyName}`));
+      if (isFilteringJoin(joinType)) {
+        query.mode = 'rows';
+        query.rowIds = Uint32Array.from(leftIds);
+        query.rowCount = leftIds.length;
+        query.schema = parent.schema || [];
+        query.columnTypes = parent.columnTypes || {};
+        return query;
       }
 
-      query.mode = 'materialized';
-      query.rows = joinedData;
-      query.rowCount = joinedData.length;
-      query.schema = Array.from(schema);
-      queries.set(queryId, query);
+      const { schema, leftFields, rightFields } = resolveJoinColumns(parent.schema || [], rightTableData.fields, joinParams);
+      const scoreField = getJoinConfidenceColumn(joinParams);
+      query.mode = 'joined';
+      query.join = {
+        leftIds: Int32Array.from(leftIds),
+        rightIds: Int32Array.from(rightIds),
+        rightTable: rightTableData,
+        leftFields,
+        rightFields,
+        scores: scoreField ? Float64Array.from(scores) : null,
+        scoreField
+      };
+      query.rowCount = leftIds.length;
+      query.schema = scoreField && !schema.includes(scoreField) ? [...schema, scoreField] : schema;
+      const inheritedTypes = { ...(parent.columnTypes || {}) };
+      leftFields.forEach((source, output) => { inheritedTypes[output] = inheritedTypes[source]; });
+      if (scoreField) inheritedTypes[scoreField] = 'decimal';
+      query.columnTypes = resolveColumnTypes(
+        query.schema,
+        inheritedTypes,
+        sampleRowsFor(query.rowCount, (index) => resolveRow(query, index))
+      );
       return query;
     }
 
+    if (type === 'SQL') {
+      const { sql, nodeIds } = normalizeSqlParams(spec?.params);
+      const passThrough = (error) => {
+        query.mode = 'rows';
+        query.rowIds = null;
+        query.rowCount = parent?.rowCount || 0;
+        query.schema = parent?.schema || [];
+        query.columnTypes = parent?.columnTypes || {};
+        query.error = error;
+        return query;
+      };
+      if (!sql.trim()) return passThrough(null);
+      const tableNames = Array.from(new Set([...tableOrder, ...columnarTables.keys()]));
+      // `input` is this node's parent; other names are nodes picked in the editor, then tables.
+      const resolveSource = (name) => {
+        const lower = name.toLowerCase();
+        const nodeId = lower === SQL_INPUT_SOURCE ? spec?.parentId : nodeIds[lower];
+        if (nodeId) {
+          const source = lower === SQL_INPUT_SOURCE ? parent : queries.get(nodeId);
+          return source ? { schema: source.schema || [], table: '', nodeId, query: source } : null;
+        }
+        const tableName = tableNames.includes(name)
+          ? name
+          : tableNames.find((candidate) => candidate.toLowerCase() === lower);
+        return tableName ? { schema: getTable(tableName).fields, table: tableName, nodeId: '' } : null;
+      };
+      let plan = null;
+      try {
+        plan = compileSql(sql, resolveSource);
+      } catch (err) {
+        return passThrough(err?.message || 'Invalid query.');
+      }
+      // Each compiled step runs as its own query on the previous one; the last is the result, under this
+      // node's key. Earlier steps stay reachable through `parent`, so the result counts their bytes too.
+      let current = plan.from.query
+        || buildQuery(queryId, `${key}\u0000sql-from`, { type: 'SOURCE', table: plan.from.table }, null);
+      const warnings = [];
+      const sqlSteps = [];
+      for (let i = 0; i < plan.steps.length; i += 1) {
+        if (i > 0) sqlSteps.push(current);
+        const stepKey = i === plan.steps.length - 1 ? key : `${key}\u0000sql${i}`;
+        current = buildQuery(queryId, stepKey, plan.steps[i], current);
+        warnings.push(...current.warnings);
+        if (current.error) return passThrough(current.error);
+      }
+      current.sqlSteps = sqlSteps;
+      current.warnings = warnings;
+      current.summary = { steps: plan.steps.map((step) => step.type) };
+      return current;
+    }
+
+    return query;
+  };
+
+  // The app sets referenceDate on the specs it sends; other callers get today's from the engine clock.
+  const withReferenceDate = (spec) => {
+    if (spec?.type !== 'FILTER') return spec;
+    const params = withFilterReferenceDate(spec.params, now());
+    return params === spec.params ? spec : { ...spec, params };
+  };
+
+  // Binds queryId to the result for spec. Only a changed node and its descendants are recomputed;
+  // descendant bindings are dropped so they cannot serve rows derived from the old parent.
+  const ensureQuery = (queryId, inputSpec) => {
+    const spec = withReferenceDate(inputSpec);
+    const parentId = spec?.parentId || null;
+    const parent = parentId ? queries.get(parentId) || null : null;
+    const referenceIds = getNodeReferences(spec);
+    const keySpec = parentId ? { ...spec, parentKey: parent?.key || '' } : { ...(spec || {}) };
+    if (referenceIds.length > 0) keySpec.refKeys = referenceIds.map((id) => queries.get(id)?.key || '');
+    const key = JSON.stringify(keySpec);
+    setDependency(queryId, [parentId, ...referenceIds]);
+    const existing = queries.get(queryId);
+    if (existing && existing.key === key) {
+      touchCacheEntry(`result\u0000${key}`);
+      return existing;
+    }
+    if (existing) {
+      queries.delete(queryId);
+      collectDescendants(queryId).forEach((childId) => queries.delete(childId));
+    }
+    const cached = results.get(key);
+    if (cached) {
+      touchCacheEntry(`result\u0000${key}`);
+      queries.set(queryId, cached);
+      evictCacheEntries();
+      return cached;
+    }
+    const query = buildQuery(queryId, key, spec, parent);
     queries.set(queryId, query);
+    cacheResult(query);
     return query;
   };
 
   const pruneQueries = (validIds) => {
     if (!validIds || validIds.size === 0) return;
     Array.from(queries.keys()).forEach((id) => {
-      if (!validIds.has(id)) queries.delete(id);
+      if (validIds.has(id)) return;
+      queries.delete(id);
+      dependents.delete(id);
+      setDependency(id);
     });
+    evictCacheEntries();
   };
 
+  const getDependents = (queryId) => Array.from(collectDescendants(queryId));
+
+  const getCacheStats = () => ({
+    budgetBytes: memoryBudget,
+    usedBytes: cachedBytes,
+    cachedResults: results.size,
+    cachedEntries: cacheEntries.size
+  });
+
   const getQueryKey = (queryId) => queries.get(queryId)?.key || '';
 
   const getSchema = (queryId) => queries.get(queryId)?.schema || [];
 
+  const getColumnTypes = (queryId) => queries.get(queryId)?.columnTypes || {};
+
   const getRowCount = (queryId) => queries.get(queryId)?.rowCount || 0;
 
   const getRowAt = (queryId, position, sortBy, sortDirection) => {
@@ -370,33 +1553,12 @@ const createDataEngine = (dataModel = { tables: {}, order: [] }) => {
       return query.rowCount;
     }
     let result = 0;
-    if (fn === 'count_distinct') {
-      const set = new Set();
-      for (let i = 0; i < query.rowCount; i += 1) {
-        const row = getRowAt(queryId, i);
-        const value = row?.[field];
-        if (value === null || value === undefined || value === '') continue;
-        set.add(value);
-      }
-      result = set.size;
-    } else if (field) {
-      const values = [];
+    if (field) {
+      const state = createAggregationState(fn);
       for (let i = 0; i < query.rowCount; i += 1) {
-        const row = getRowAt(queryId, i);
-        const value = Number(row?.[field]);
-        if (!Number.isNaN(value)) values.push(value);
-      }
-      if (values.length === 0) {
-        result = 0;
-      } else if (fn === 'sum') {
-        result = values.reduce((a, b) => a + b, 0);
-      } else if (fn === 'avg') {
-        result = values.reduce((a, b) => a + b, 0) / values.length;
-      } else if (fn === 'min') {
-        result = Math.min(...values);
-      } else if (fn === 'max') {
-        result = Math.max(...values);
+        accumulateAggregation(state, resolveValue(query, i, field));
       }
+      result = finalizeAggregation(state, fn);
     }
     query.metricCache.set(cacheKey, result);
     return result;
@@ -406,23 +1568,34 @@ const createDataEngine = (dataModel = { tables: {}, order: [] }) => {
     const query = queries.get(queryId);
     if (!query || !field) return null;
     if (query.columnStatsCache.has(field)) return query.columnStatsCache.get(field);
+    const type = query.columnTypes?.[field] || 'mixed';
+    const trackNumeric = isNumericType(type) || type === 'mixed';
+    const trackDates = isDateType(type);
     let nullCount = 0;
     const valueCounts = new Map();
     let numericCount = 0;
     let numericSum = 0;
     let numericMin = null;
     let numericMax = null;
+    let earliest = null;
+    let latest = null;
 
     for (let i = 0; i < query.rowCount; i += 1) {
-      const row = getRowAt(queryId, i);
-      const value = row?.[field];
+      const value = resolveValue(query, i, field);
       if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
         nullCount += 1;
         continue;
       }
       const display = String(value);
       valueCounts.set(display, (valueCounts.get(display) || 0) + 1);
-      const numeric = Number(value);
+      if (trackDates) {
+        const time = coerceValue(value, type);
+        if (time !== null) {
+          earliest = earliest === null ? time : Math.min(earliest, time);
+          latest = latest === null ? time : Math.max(latest, time);
+        }
+      }
+      const numeric = trackNumeric ? Number(value) : NaN;
       if (!Number.isNaN(numeric)) {
         numericCount += 1;
         numericSum += numeric;
@@ -444,6 +1617,7 @@ const createDataEngine = (dataModel = { tables: {}, order: [] }) => {
     const maxCount = topValues.reduce((acc, item) => Math.max(acc, item.count), 0);
 
     const stats = {
+      type,
       totalRows: query.rowCount,
       nullCount,
       nonNullCount,
@@ -451,6 +1625,8 @@ const createDataEngine = (dataModel = { tables: {}, order: [] }) => {
       min: numericMin,
       max: numericMax,
       avg,
+      earliest,
+      latest,
       topValues,
       maxCount
     };
@@ -458,128 +1634,182 @@ const createDataEngine = (dataModel = { tables: {}, order: [] }) => {
     return stats;
   };
 
-  const getAggregatedRows = (queryId, { groupBy, fn = 'count', metricField = '' } = {}) => {
+  const getAggregatedRows = (queryId, { groupBy, groupByGrains, groupByBins, fn = 'count', metricField = '', metrics } = {}) => {
     const query = queries.get(queryId);
-    if (!query || !groupBy) return { rows: [], outputField: metricField || 'Record Count' };
-    const cacheKey = `${groupBy}:${fn}:${metricField || ''}`;
+    const normalized = normalizeAggregateParams({ groupBy, groupByGrains, groupByBins, fn, metricField, metrics });
+    const outputFields = normalized.metrics.map((metric) => metric.alias);
+    const outputField = outputFields[0] || COUNT_OUTPUT_FIELD;
+    if (!query || normalized.groupBy.length === 0) return { rows: [], outputField, outputFields };
+    const cacheKey = JSON.stringify(normalized);
     if (query.aggregateCache.has(cacheKey)) return query.aggregateCache.get(cacheKey);
-    const groups = new Map();
-
-    for (let i = 0; i < query.rowCount; i += 1) {
-      const row = getRowAt(queryId, i);
-      const keyValue = row?.[groupBy];
-      if (!groups.has(keyValue)) {
-        groups.set(keyValue, {
-          [groupBy]: keyValue,
-          _count: 0,
-          _sum: 0,
-          _min: null,
-          _max: null,
-          _distinct: new Set()
-        });
-      }
-      const bucket = groups.get(keyValue);
-      bucket._count += 1;
-      if (metricField) {
-        const rawValue = row?.[metricField];
-        const value = Number(rawValue);
-        if (!Number.isNaN(value)) {
-          bucket._sum += value;
-          bucket._min = bucket._min === null ? value : Math.min(bucket._min, value);
-          bucket._max = bucket._max === null ? value : Math.max(bucket._max, value);
-        }
-        bucket._distinct.add(rawValue);
-      }
-    }
-
-    const outputField = fn === 'count' ? 'Record Count' : metricField;
-    const rows = Array.from(groups.values()).map((bucket) => {
-      const record = { [groupBy]: bucket[groupBy] };
-      if (fn === 'sum') record[metricField] = bucket._sum;
-      else if (fn === 'avg') record[metricField] = bucket._count ? bucket._sum / bucket._count : 0;
-      else if (fn === 'min') record[metricField] = bucket._min ?? 0;
-      else if (fn === 'max') record[metricField] = bucket._max ?? 0;
-      else if (fn === 'count_distinct') record[metricField] = bucket._distinct.size;
-      else record['Record Count'] = bucket._count;
-      return record;
-    });
+    const readQuery = (i, field) => resolveValue(query, i, field);
+    const buckets = createDimensionBuckets(query.rowCount, readQuery, normalized);
+    const rows = aggregateRows(query.rowCount, readQuery, normalized.groupBy, normalized.metrics, buckets);
 
-    const payload = { rows, outputField };
+    const payload = { rows, outputField, outputFields };
     query.aggregateCache.set(cacheKey, payload);
     return payload;
   };
 
-  const getPivotData = (queryId, { rowField, columnField, valueField, fn = 'count' } = {}) => {
+  // Pivots `rows` × `columns`, each a list of nested levels ({ field, grain, bins }); a level buckets
+  // dates by a time grain or numbers by bins, and bucketed keys come back in bucket order. The single
+  // `rowField` / `columnField` form (with `rowGrain`, `rowBins`, ...) is still accepted.
+  // Every total and subtotal is aggregated from the underlying rows, so avg or count_distinct totals
+  // are exact rather than sums of cells. `displayMode` turns values into a % of their row, column
+  // or grand total, and `sortBy` (a column header key) orders the rows within each parent group.
+  // Returns headers and `values` for the full grid, plus `rowKeys` / `colKeys` / `matrix` for the leaves.
+  const getPivotData = (queryId, {
+    rows,
+    columns,
+    rowField,
+    columnField,
+    valueField,
+    fn = 'count',
+    rowGrain = '',
+    columnGrain = '',
+    rowBins = null,
+    columnBins = null,
+    totals = true,
+    subtotals = false,
+    displayMode = 'value',
+    sortBy = '',
+    sortDirection = 'desc'
+  } = {}) => {
     const query = queries.get(queryId);
-    if (!query || !rowField || !columnField) return { rowKeys: [], colKeys: [], matrix: [] };
-    const cacheKey = `${rowField}:${columnField}:${valueField || ''}:${fn}`;
+    const rowLevels = normalizePivotLevels(rows ?? [{ field: rowField, grain: rowGrain, bins: rowBins }]);
+    const colLevels = normalizePivotLevels(columns ?? [{ field: columnField, grain: columnGrain, bins: columnBins }]);
+    if (!query || rowLevels.length === 0 || colLevels.length === 0) {
+      return { rowHeaders: [], colHeaders: [], values: [], rowFields: [], columnFields: [], rowKeys: [], colKeys: [], matrix: [] };
+    }
+    const mode = isPivotDisplayMode(displayMode) ? displayMode : 'value';
+    const direction = sortDirection === 'asc' ? 'asc' : 'desc';
+    const cacheKey = JSON.stringify([rowLevels, colLevels, valueField || '', fn, !!totals, !!subtotals, mode, sortBy || '', direction]);
     if (query.pivotCache.has(cacheKey)) return query.pivotCache.get(cacheKey);
-    const rowKeys = [];
-    const colKeys = [];
-    const rowIndex = new Map();
-    const colIndex = new Map();
-    const cells = new Map();
 
     const normalizeKey = (value) => (value === null || value === undefined || value === '' ? '(blank)' : String(value));
-    const getCellKey = (rowKey, colKey) => `${rowKey}::${colKey}`;
-
-    const ensureRow = (key) => {
-      if (!rowIndex.has(key)) {
-        rowIndex.set(key, rowKeys.length);
-        rowKeys.push(key);
-      }
+    const readQuery = (index, field) => resolveValue(query, index, field);
+    const createBucket = ({ field, grain, bins }) => {
+      if (grain) return createTimeBucket(grain);
+      return bins ? createBinBucket(query.rowCount, readQuery, field, bins) : null;
     };
+    const rowBuckets = rowLevels.map(createBucket);
+    const colBuckets = colLevels.map(createBucket);
+    const readPath = (index, levels, buckets) => levels.map(({ field }, level) => {
+      const value = readQuery(index, field);
+      return normalizeKey(buckets[level] ? buckets[level].bucket(value) : value);
+    });
 
-    const ensureCol = (key) => {
-      if (!colIndex.has(key)) {
-        colIndex.set(key, colKeys.length);
-        colKeys.push(key);
+    // Header trees keep first-seen order; `prefixKeys` are the JSON keys of a path and its prefixes.
+    const createTree = () => ({ path: [], key: PIVOT_TOTAL_KEY, children: new Map() });
+    const insertPath = (tree, path) => {
+      const prefixKeys = [tree.key];
+      let node = tree;
+      path.forEach((value, level) => {
+        if (!node.children.has(value)) {
+          const childPath = path.slice(0, level + 1);
+          node.children.set(value, { path: childPath, key: JSON.stringify(childPath), children: new Map() });
+        }
+        node = node.children.get(value);
+        prefixKeys.push(node.key);
+      });
+      return prefixKeys;
+    };
+    const rowTree = createTree();
+    const colTree = createTree();
+    const cells = new Map();
+    for (let i = 0; i < query.rowCount; i += 1) {
+      const rowPrefixes = insertPath(rowTree, readPath(i, rowLevels, rowBuckets));
+      const colPrefixes = insertPath(colTree, readPath(i, colLevels, colBuckets));
+      const value = valueField ? readQuery(i, valueField) : null;
+      rowPrefixes.forEach((rowKey) => {
+        if (!cells.has(rowKey)) cells.set(rowKey, new Map());
+        const rowCells = cells.get(rowKey);
+        colPrefixes.forEach((colKey) => {
+          if (!rowCells.has(colKey)) rowCells.set(colKey, createAggregationState(fn));
+          accumulateAggregation(rowCells.get(colKey), value);
+        });
+      });
+    }
+    const finalized = new Map();
+    const readCell = (rowKey, colKey) => {
+      const cacheId = `${rowKey}\u0000${colKey}`;
+      if (!finalized.has(cacheId)) {
+        const state = cells.get(rowKey)?.get(colKey);
+        finalized.set(cacheId, state ? finalizeAggregation(state, fn) : null);
       }
+      return finalized.get(cacheId);
     };
 
-    const ensureCell = (rowKey, colKey) => {
-      const key = getCellKey(rowKey, colKey);
-      if (!cells.has(key)) {
-        cells.set(key, { count: 0, sum: 0, min: null, max: null, distinct: new Set() });
+    // '(blank)' keys sort after every bucket.
+    const compareKeys = (bucket) => (a, b) => bucket.compare(a === '(blank)' ? null : a, b === '(blank)' ? null : b);
+    const orderChildren = (node, level, buckets, compareNodes) => {
+      const children = Array.from(node.children.values());
+      if (buckets[level]) {
+        const compare = compareKeys(buckets[level]);
+        children.sort((a, b) => compare(a.path[level], b.path[level]));
       }
-      return cells.get(key);
+      // Stable, so ties keep the key order.
+      if (compareNodes) children.sort(compareNodes);
+      return children;
     };
-
-    for (let i = 0; i < query.rowCount; i += 1) {
-      const row = getRowAt(queryId, i);
-      const rowKey = normalizeKey(row?.[rowField]);
-      const colKey = normalizeKey(row?.[columnField]);
-      ensureRow(rowKey);
-      ensureCol(colKey);
-      const cell = ensureCell(rowKey, colKey);
-      cell.count += 1;
-      if (valueField) {
-        const rawValue = row?.[valueField];
-        if (fn === 'count_distinct') cell.distinct.add(rawValue);
-        const value = Number(rawValue);
-        if (!Number.isNaN(value)) {
-          cell.sum += value;
-          cell.min = cell.min === null ? value : Math.min(cell.min, value);
-          cell.max = cell.max === null ? value : Math.max(cell.max, value);
-        }
+    const compareRows = sortBy
+      ? (a, b) => {
+        const left = readCell(a.key, sortBy);
+        const right = readCell(b.key, sortBy);
+        const blankLeft = typeof left !== 'number';
+        const blankRight = typeof right !== 'number';
+        if (blankLeft || blankRight) return blankLeft === blankRight ? 0 : (blankLeft ? 1 : -1);
+        return direction === 'asc' ? left - right : right - left;
       }
-    }
+      : null;
+    // Leaves in order, each group followed by its subtotal, then the grand total.
+    const flattenTree = (tree, depth, buckets, compareNodes) => {
+      const headers = [];
+      const visit = (node, level) => {
+        orderChildren(node, level, buckets, compareNodes).forEach((child) => {
+          if (level + 1 === depth) {
+            headers.push({ key: child.key, path: child.path, type: 'leaf' });
+            return;
+          }
+          visit(child, level + 1);
+          if (subtotals) headers.push({ key: child.key, path: child.path, type: 'subtotal' });
+        });
+      };
+      visit(tree, 0);
+      if (totals) headers.push({ key: tree.key, path: [], type: 'total' });
+      return headers;
+    };
+    const rowHeaders = flattenTree(rowTree, rowLevels.length, rowBuckets, compareRows);
+    const colHeaders = flattenTree(colTree, colLevels.length, colBuckets, null);
 
-    const matrix = rowKeys.map((rowKey) =>
-      colKeys.map((colKey) => {
-        const cell = cells.get(getCellKey(rowKey, colKey));
-        if (!cell) return null;
-        if (fn === 'count') return cell.count;
-        if (fn === 'count_distinct') return cell.distinct.size;
-        if (fn === 'sum') return cell.sum;
-        if (fn === 'avg') return cell.count ? cell.sum / cell.count : 0;
-        if (fn === 'min') return cell.min ?? 0;
-        if (fn === 'max') return cell.max ?? 0;
-        return 0;
-      })
+    const toShare = (value, base) => (
+      typeof value === 'number' && typeof base === 'number' && base !== 0 ? (value / base) * 100 : null
     );
+    const displayCell = (rowKey, colKey) => {
+      const value = readCell(rowKey, colKey);
+      if (mode === 'pct_row') return toShare(value, readCell(rowKey, PIVOT_TOTAL_KEY));
+      if (mode === 'pct_column') return toShare(value, readCell(PIVOT_TOTAL_KEY, colKey));
+      if (mode === 'pct_total') return toShare(value, readCell(PIVOT_TOTAL_KEY, PIVOT_TOTAL_KEY));
+      return value;
+    };
+    const values = rowHeaders.map((row) => colHeaders.map((col) => displayCell(row.key, col.key)));
 
-    const payload = { rowKeys, colKeys, matrix, fn, rowField, columnField };
+    const leafRows = rowHeaders.filter((header) => header.type === 'leaf');
+    const leafCols = colHeaders.filter((header) => header.type === 'leaf');
+    const payload = {
+      rowHeaders,
+      colHeaders,
+      values,
+      rowFields: rowLevels.map((level) => level.field),
+      columnFields: colLevels.map((level) => level.field),
+      displayMode: mode,
+      rowKeys: leafRows.map((header) => header.path.join(' / ')),
+      colKeys: leafCols.map((header) => header.path.join(' / ')),
+      matrix: leafRows.map((row) => leafCols.map((col) => displayCell(row.key, col.key))),
+      fn,
+      rowField: rowLevels[0].field,
+      columnField: colLevels[0].field
+    };
     query.pivotCache.set(cacheKey, payload);
     return payload;
   };
@@ -589,8 +1819,11 @@ const createDataEngine = (dataModel = { tables: {}, order: [] }) => {
     DEFAULT_CHART_SAMPLE_SIZE,
     ensureQuery,
     pruneQueries,
+    getDependents,
+    getCacheStats,
     getQueryKey,
     getSchema,
+    getColumnTypes,
     getRowCount,
     getRowAt,
     getRows,
@@ -0,0 +1,7 @@
+// src/utils/dataEngine.worker.js
+// Web Worker entry: evaluates query chains off the main thread.
+import { createEngineHost } from './engineHost';
+
+const host = createEngineHost((message) => self.postMessage(message));
+
+self.onmessage = (event) => host.handleMessage(event.data);
@@ -0,0 +1,99 @@
+// src/utils/dataModel.js
+// The data model ({ tables, order }) holds every table as encoded columnar data: uploads are encoded
+// right after parsing so row objects do not outlive ingestion. The main thread keeps the model (for
+// previews, storage and reloading a restarted worker) and the engine worker gets its own structured
+// clone, so the encoded columns exist twice while a worker is running. Storage gets a JSON-safe copy
+// with the typed arrays in base64.
+import { encodeColumnarTable, isColumnarTableData, openColumnarTable } from './columnarTable';
+
+const TYPED_ARRAYS = { Float64Array, Uint8Array, Uint16Array, Uint32Array };
+const TYPED_ARRAY_KEYS = ['data', 'codes', 'nulls'];
+const BASE64_CHUNK = 0x8000;
+
+const encodeTypedArray = (array) => {
+  const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+  }
+  return { typedArray: array.constructor.name, base64: window.btoa(binary) };
+};
+
+const decodeTypedArray = (value) => {
+  const TypedArray = TYPED_ARRAYS[value?.typedArray];
+  if (!TypedArray || typeof value.base64 !== 'string') throw new Error('Invalid stored column.');
+  const binary = window.atob(value.base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return new TypedArray(bytes.buffer);
+};
+
+const mapTypedArrays = (table, transform) => {
+  const columns = {};
+  Object.entries(table.columns).forEach(([field, column]) => {
+    const next = { ...column };
+    TYPED_ARRAY_KEYS.forEach((key) => {
+      if (next[key]) next[key] = transform(next[key]);
+    });
+    columns[field] = next;
+  });
+  return { ...table, columns };
+};
+
+// Tables given as row objects are encoded; encoded tables are kept as they are.
+const createDataModel = (tables = {}, order = Object.keys(tables)) => {
+  const encoded = {};
+  order.forEach((name) => {
+    const table = tables[name];
+    encoded[name] = isColumnarTableData(table) ? table : encodeColumnarTable(table);
+  });
+  return { tables: encoded, order: [...order] };
+};
+
+const serializeDataModel = (model) => {
+  const tables = {};
+  (model?.order || []).forEach((name) => {
+    const table = model.tables?.[name];
+    if (isColumnarTableData(table)) tables[name] = mapTypedArrays(table, encodeTypedArray);
+  });
+  return { tables, order: Object.keys(tables) };
+};
+
+// Reads a stored data model: serialized tables are decoded, row arrays from older sessions are
+// encoded, and tables that cannot be read are dropped.
+const restoreDataModel = (stored) => {
+  if (!stored || typeof stored !== 'object' || !stored.tables || !Array.isArray(stored.order)) return { tables: {}, order: [] };
+  const tables = {};
+  stored.order.forEach((name) => {
+    const table = stored.tables[name];
+    try {
+      if (Array.isArray(table)) tables[name] = encodeColumnarTable(table);
+      else if (isColumnarTableData(table)) tables[name] = mapTypedArrays(table, decodeTypedArray);
+    } catch (err) {
+      // Skip the unreadable table.
+    }
+  });
+  return { tables, order: stored.order.filter((name) => tables[name]) };
+};
+
+const getTableRowCount = (table) => (Array.isArray(table) ? table.length : table?.rowCount || 0);
+
+const getTableFields = (table) => (Array.isArray(table) ? Object.keys(table[0] || {}) : table?.fields || []);
+
+const getTableRow = (table, index) => {
+  if (Array.isArray(table)) return table[index] ?? null;
+  return isColumnarTableData(table) ? openColumnarTable(table).getRow(index) : null;
+};
+
+const getDataModelRowCount = (model) => (model?.order || [])
+  .reduce((sum, name) => sum + getTableRowCount(model.tables?.[name]), 0);
+
+export {
+  createDataModel,
+  serializeDataModel,
+  restoreDataModel,
+  getTableRowCount,
+  getTableFields,
+  getTableRow,
+  getDataModelRowCount
+};
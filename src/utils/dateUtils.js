@@ -0,0 +1,252 @@
+// src/utils/dateUtils.js
+// Date parsing with explicit formats and time-grain bucketing for group-by, pivots and chart axes.
+// Dates are handled as wall-clock parts (year, month, day, hour, ...) so no time zone shifts them.
+
+const DATE_FORMATS = [
+  { value: 'auto', label: 'Auto detect' },
+  { value: 'YYYY-MM-DD', label: 'YYYY-MM-DD' },
+  { value: 'MM/DD/YYYY', label: 'MM/DD/YYYY' },
+  { value: 'DD/MM/YYYY', label: 'DD/MM/YYYY' },
+  { value: 'DD.MM.YYYY', label: 'DD.MM.YYYY' },
+  { value: 'DD-MM-YYYY', label: 'DD-MM-YYYY' },
+  { value: 'YYYYMMDD', label: 'YYYYMMDD' },
+  { value: 'MMM D, YYYY', label: 'MMM D, YYYY' },
+  { value: 'D MMM YYYY', label: 'D MMM YYYY' },
+  { value: 'unix', label: 'Unix seconds' },
+  { value: 'unix_ms', label: 'Unix milliseconds' },
+  { value: 'excel', label: 'Excel serial number' }
+];
+
+const TIME_GRAINS = [
+  { value: 'day', label: 'Day' },
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+  { value: 'quarter', label: 'Quarter' },
+  { value: 'year', label: 'Year' },
+  { value: 'day_of_week', label: 'Day of Week' },
+  { value: 'hour', label: 'Hour' },
+  { value: 'hour_of_day', label: 'Hour of Day' }
+];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 1899-12-30, day zero of Excel's 1900 date system.
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+
+const isTimeGrain = (grain) => TIME_GRAINS.some((item) => item.value === grain);
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const isValidParts = ({ year, month, day, hour, minute, second }) => (
+  Number.isInteger(year)
+  && month >= 1 && month <= 12
+  && day >= 1 && day <= daysInMonth(year, month)
+  && hour >= 0 && hour < 24
+  && minute >= 0 && minute < 60
+  && second >= 0 && second < 60
+);
+
+const partsFromDate = (date, useUtc = false) => {
+  if (Number.isNaN(date.getTime())) return null;
+  const get = (name) => date[`get${useUtc ? 'UTC' : ''}${name}`]();
+  const parts = {
+    year: get('FullYear'),
+    month: get('Month') + 1,
+    day: get('Date'),
+    hour: get('Hours'),
+    minute: get('Minutes'),
+    second: get('Seconds')
+  };
+  parts.hasTime = parts.hour !== 0 || parts.minute !== 0 || parts.second !== 0;
+  return parts;
+};
+
+const TIME_SUFFIX = '(?:[T\\s]+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\.\\d+)?\\s*([AaPp][Mm])?)?';
+
+const FORMAT_TOKENS = {
+  YYYY: { pattern: '(\\d{4})', part: 'year' },
+  YY: { pattern: '(\\d{2})', part: 'shortYear' },
+  MMM: { pattern: '([A-Za-z]{3,})', part: 'monthName' },
+  MM: { pattern: '(\\d{1,2})', part: 'month' },
+  M: { pattern: '(\\d{1,2})', part: 'month' },
+  DD: { pattern: '(\\d{1,2})', part: 'day' },
+  D: { pattern: '(\\d{1,2})', part: 'day' }
+};
+
+const compiledFormats = new Map();
+
+// Turns a token format such as `DD/MM/YYYY` into a regex; an optional time of day may follow the date.
+const compileDateFormat = (format) => {
+  if (compiledFormats.has(format)) return compiledFormats.get(format);
+  const parts = [];
+  let source = '';
+  String(format).split(/(YYYY|YY|MMM|MM|M|DD|D)/).forEach((piece) => {
+    if (!piece) return;
+    const token = FORMAT_TOKENS[piece];
+    if (token) {
+      source += token.pattern;
+      parts.push(token.part);
+    } else {
+      source += piece.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    }
+  });
+  const compiled = { regex: new RegExp(`^${source}${TIME_SUFFIX}$`), parts };
+  compiledFormats.set(format, compiled);
+  return compiled;
+};
+
+const matchDateFormat = (text, format) => {
+  const { regex, parts } = compileDateFormat(format);
+  const match = regex.exec(text);
+  if (!match) return null;
+  const result = { year: NaN, month: NaN, day: NaN, hour: 0, minute: 0, second: 0, hasTime: false };
+  parts.forEach((part, index) => {
+    const value = match[index + 1];
+    if (part === 'shortYear') {
+      const short = Number(value);
+      result.year = short < 70 ? 2000 + short : 1900 + short;
+    } else if (part === 'monthName') {
+      result.month = MONTH_NAMES.indexOf(value.slice(0, 3).toLowerCase()) + 1;
+    } else {
+      result[part] = Number(value);
+    }
+  });
+  const [hour, minute, second, meridiem] = match.slice(parts.length + 1);
+  if (hour !== undefined) {
+    result.hasTime = true;
+    result.hour = Number(hour);
+    result.minute = Number(minute);
+    result.second = Number(second || 0);
+    if (meridiem) {
+      if (result.hour < 1 || result.hour > 12) return null;
+      const isPm = meridiem.toLowerCase() === 'pm';
+      result.hour = (result.hour % 12) + (isPm ? 12 : 0);
+    }
+  }
+  return isValidParts(result) ? result : null;
+};
+
+const AUTO_FORMATS = ['YYYY-MM-DD', 'YYYY/MM/DD', 'MM/DD/YYYY', 'MMM D, YYYY', 'D MMM YYYY', 'DD-MMM-YYYY'];
+
+// Returns { year, month, day, hour, minute, second, hasTime } or null when the value is not a date
+// in `format` (one of DATE_FORMATS or a custom token string). Date objects and numbers are
+// timestamps unless the format names a numeric encoding.
+const parseDateParts = (value, format = 'auto') => {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return partsFromDate(value);
+  const text = String(value).trim();
+  if (!text) return null;
+  if (format === 'unix' || format === 'unix_ms' || format === 'excel') {
+    const number = Number(text);
+    if (!Number.isFinite(number)) return null;
+    if (format === 'excel') return partsFromDate(new Date(EXCEL_EPOCH_MS + Math.round(number * DAY_MS)), true);
+    return partsFromDate(new Date(format === 'unix' ? number * 1000 : number), true);
+  }
+  if (format && format !== 'auto') return matchDateFormat(text, format);
+  if (typeof value === 'number') return Number.isFinite(value) ? partsFromDate(new Date(value)) : null;
+  for (let i = 0; i < AUTO_FORMATS.length; i += 1) {
+    const parts = matchDateFormat(text, AUTO_FORMATS[i]);
+    if (parts) return parts;
+  }
+  // Anything else Date.parse understands, such as ISO strings with a time zone.
+  if (/^\d+(\.\d+)?$/.test(text)) return null;
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : partsFromDate(new Date(time));
+};
+
+// ISO text without a zone: `YYYY-MM-DD`, plus `THH:mm:ss` when the value had a time of day.
+const formatDateParts = (parts) => {
+  if (!parts) return null;
+  const date = `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}`;
+  return parts.hasTime ? `${date}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` : date;
+};
+
+const normalizeDateValue = (value, format = 'auto') => formatDateParts(parseDateParts(value, format));
+
+// ISO week number and week-based year (weeks start on Monday).
+const getIsoWeek = ({ year, month, day }) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const weekday = (date.getUTCDay() + 6) % 7;
+  date.setUTCDate(date.getUTCDate() - weekday + 3);
+  // The Thursday of a week decides which year the week belongs to.
+  const weekYear = date.getUTCFullYear();
+  const week = Math.ceil(((date - Date.UTC(weekYear, 0, 1)) / DAY_MS + 1) / 7);
+  return { weekYear, week };
+};
+
+// Bucket label for a date value. Labels sort chronologically as text, except day-of-week names
+// and hour-of-day numbers, which compareTimeBuckets orders.
+const bucketDateValue = (value, grain) => {
+  const parts = parseDateParts(value);
+  if (!parts) return null;
+  const date = `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}`;
+  switch (grain) {
+    case 'day':
+      return date;
+    case 'week': {
+      const { weekYear, week } = getIsoWeek(parts);
+      return `${pad(weekYear, 4)}-W${pad(week)}`;
+    }
+    case 'month':
+      return `${pad(parts.year, 4)}-${pad(parts.month)}`;
+    case 'quarter':
+      return `${pad(parts.year, 4)}-Q${Math.ceil(parts.month / 3)}`;
+    case 'year':
+      return String(parts.year);
+    case 'day_of_week':
+      return DAY_NAMES[(new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay() + 6) % 7];
+    case 'hour':
+      return `${date} ${pad(parts.hour)}:00`;
+    case 'hour_of_day':
+      return parts.hour;
+    default:
+      return value;
+  }
+};
+
+const isBlankBucket = (value) => value === null || value === undefined || value === '' || value === '(blank)';
+
+// Chronological order for bucket labels of one grain; blanks sort last.
+const compareTimeBuckets = (a, b, grain) => {
+  if (isBlankBucket(a) && isBlankBucket(b)) return 0;
+  if (isBlankBucket(a)) return 1;
+  if (isBlankBucket(b)) return -1;
+  if (grain === 'day_of_week') return DAY_NAMES.indexOf(a) - DAY_NAMES.indexOf(b);
+  if (grain === 'hour_of_day') return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+};
+
+// Keeps the SOURCE date formats of known fields; an empty format means the column is not parsed.
+const normalizeDateFormats = (formats, fields) => {
+  const source = formats && typeof formats === 'object' ? formats : {};
+  return fields.reduce((acc, field) => {
+    const format = String(source[field] || '').trim();
+    if (format) acc[field] = format;
+    return acc;
+  }, {});
+};
+
+// Keeps grains only for fields that are still listed.
+const normalizeTimeGrains = (grains, fields) => {
+  const source = grains && typeof grains === 'object' ? grains : {};
+  return fields.reduce((acc, field) => {
+    if (isTimeGrain(source[field])) acc[field] = source[field];
+    return acc;
+  }, {});
+};
+
+export {
+  DATE_FORMATS,
+  TIME_GRAINS,
+  isTimeGrain,
+  parseDateParts,
+  formatDateParts,
+  normalizeDateValue,
+  bucketDateValue,
+  compareTimeBuckets,
+  normalizeDateFormats,
+  normalizeTimeGrains
+};
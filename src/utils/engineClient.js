@@ -0,0 +1,248 @@
+// src/utils/engineClient.js
+// Main-thread handle for the engine worker: supersedes stale runs, tracks per-query
+// progress and caches accessor results so components can read them synchronously.
+import { createEngineHost } from './engineHost';
+
+const ROW_PAGE_SIZE = 200;
+// How long a superseded run may keep computing its current node before the worker is replaced.
+const RESTART_GRACE_MS = 300;
+
+const createEngineTransport = (onMessage) => {
+  if (typeof Worker !== 'undefined') {
+    try {
+      const worker = new Worker(new URL('./dataEngine.worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = (event) => onMessage(event.data);
+      return {
+        post: (message) => worker.postMessage(message),
+        terminate: () => {
+          worker.onmessage = null;
+          worker.terminate();
+        }
+      };
+    } catch (err) {
+      // Fall back to the in-process host below.
+    }
+  }
+  // Same protocol without a worker (tests, older browsers); messages stay asynchronous.
+  let closed = false;
+  const host = createEngineHost((message) => setTimeout(() => {
+    if (!closed) onMessage(message);
+  }, 0));
+  return {
+    post: (message) => setTimeout(() => host.handleMessage(message), 0),
+    terminate: () => { closed = true; }
+  };
+};
+
+const createEngineClient = ({ onChange } = {}) => {
+  let transport = null;
+  let runCounter = 0;
+  let callCounter = 0;
+  let activeRunId = null;
+  // Run whose current node is still computing in the worker (between its progress and snapshot).
+  let busyRunId = null;
+  let restartTimer = null;
+  let initMessage = null;
+  let runMessage = null;
+  let notifyScheduled = false;
+  const snapshots = new Map();
+  const statuses = new Map();
+  const callCache = new Map();
+  const pendingCalls = new Map();
+  const runWaiters = new Map();
+
+  const notify = () => {
+    if (!onChange || notifyScheduled) return;
+    notifyScheduled = true;
+    setTimeout(() => {
+      notifyScheduled = false;
+      onChange();
+    }, 0);
+  };
+
+  const settleRun = (runId, completed) => {
+    const resolve = runWaiters.get(runId);
+    if (!resolve) return;
+    runWaiters.delete(runId);
+    resolve(completed);
+  };
+
+  const handleMessage = (message) => {
+    if (!message) return;
+    if (message.type === 'response') {
+      const pending = pendingCalls.get(message.callId);
+      if (!pending) return;
+      pendingCalls.delete(message.callId);
+      if (message.stale) {
+        pending.resolve(undefined);
+        return;
+      }
+      const value = message.error ? null : message.value;
+      callCache.set(pending.cacheKey, value);
+      pending.resolve(value);
+      notify();
+      return;
+    }
+    if (message.type === 'progress') {
+      busyRunId = message.runId;
+      if (busyRunId !== activeRunId) scheduleRestart();
+    } else if (busyRunId === message.runId) {
+      busyRunId = null;
+      clearTimeout(restartTimer);
+      restartTimer = null;
+    }
+    if (message.runId !== activeRunId) {
+      if (message.type === 'cancelled' || message.type === 'done') settleRun(message.runId, false);
+      return;
+    }
+    if (message.type === 'progress') {
+      statuses.set(message.queryId, { status: 'running', progress: message.progress || 0 });
+    } else if (message.type === 'snapshot') {
+      if (message.snapshot) snapshots.set(message.queryId, message.snapshot);
+      statuses.set(message.queryId, { status: 'ready', progress: 1 });
+    } else if (message.type === 'done') {
+      activeRunId = null;
+      settleRun(message.runId, true);
+    } else if (message.type === 'cancelled') {
+      settleRun(message.runId, false);
+    }
+    notify();
+  };
+
+  const post = (message) => {
+    if (!transport) transport = createEngineTransport(handleMessage);
+    transport.post(message);
+  };
+
+  const resolvePendingCalls = () => {
+    pendingCalls.forEach((pending) => pending.resolve(undefined));
+    pendingCalls.clear();
+  };
+
+  // The worker only sees a cancel between nodes, so one stuck in a long node (a big join or
+  // aggregate) is replaced by a fresh worker that reloads the data and takes over the current run.
+  const restartWorker = () => {
+    restartTimer = null;
+    busyRunId = null;
+    if (transport) transport.terminate();
+    transport = null;
+    resolvePendingCalls();
+    if (initMessage) post(initMessage);
+    if (activeRunId !== null && runMessage) post(runMessage);
+  };
+
+  const scheduleRestart = () => {
+    if (!restartTimer) restartTimer = setTimeout(restartWorker, RESTART_GRACE_MS);
+  };
+
+  const cancelActiveRun = () => {
+    if (activeRunId === null) return;
+    post({ type: 'cancel', runId: activeRunId });
+    if (busyRunId === activeRunId) scheduleRestart();
+    settleRun(activeRunId, false);
+    activeRunId = null;
+  };
+
+  // postMessage clones the model into the worker; the caller keeps its own copy, which is also what a
+  // restarted worker is loaded from.
+  const setDataModel = (dataModel) => {
+    cancelActiveRun();
+    snapshots.clear();
+    statuses.clear();
+    callCache.clear();
+    initMessage = { type: 'init', dataModel };
+    post(initMessage);
+  };
+
+  // specs: [{ queryId, spec }] in calculation order. Resolves true when the run completes, false if superseded.
+  const run = (specs = []) => {
+    cancelActiveRun();
+    const runId = ++runCounter;
+    activeRunId = runId;
+    const validIds = new Set(specs.map((item) => item.queryId));
+    Array.from(snapshots.keys()).forEach((queryId) => {
+      if (!validIds.has(queryId)) snapshots.delete(queryId);
+    });
+    statuses.clear();
+    const currentKeys = new Set();
+    const payload = specs.map(({ queryId, spec }) => {
+      const key = JSON.stringify(spec || {});
+      const knownKey = snapshots.get(queryId)?.key;
+      currentKeys.add(`${queryId}\u0000${key}`);
+      statuses.set(queryId, knownKey === key ? { status: 'ready', progress: 1 } : { status: 'queued', progress: 0 });
+      return { queryId, spec, knownKey };
+    });
+    Array.from(callCache.keys()).forEach((cacheKey) => {
+      const [queryId, key] = cacheKey.split('\u0000');
+      if (!currentKeys.has(`${queryId}\u0000${key}`)) callCache.delete(cacheKey);
+    });
+    const done = new Promise((resolve) => runWaiters.set(runId, resolve));
+    runMessage = { type: 'run', runId, specs: payload };
+    post(runMessage);
+    notify();
+    return done;
+  };
+
+  const getCacheKey = (queryId, snapshot, method, args) => (
+    `${queryId}\u0000${snapshot.key}\u0000${method}\u0000${JSON.stringify(args)}`
+  );
+
+  const call = (queryId, method, ...args) => {
+    const snapshot = snapshots.get(queryId);
+    if (!snapshot) return Promise.resolve(undefined);
+    const cacheKey = getCacheKey(queryId, snapshot, method, args);
+    if (callCache.has(cacheKey)) return Promise.resolve(callCache.get(cacheKey));
+    const inflight = Array.from(pendingCalls.values()).find((pending) => pending.cacheKey === cacheKey);
+    if (inflight) return inflight.promise;
+    const callId = ++callCounter;
+    let resolvePending = null;
+    const promise = new Promise((resolve) => { resolvePending = resolve; });
+    pendingCalls.set(callId, { cacheKey, resolve: resolvePending, promise });
+    post({ type: 'call', callId, queryId, key: snapshot.key, method, args });
+    return promise;
+  };
+
+  // Synchronous read for render paths: returns the cached value, or undefined while it is fetched.
+  const read = (queryId, method, ...args) => {
+    const snapshot = snapshots.get(queryId);
+    if (!snapshot) return undefined;
+    const cacheKey = getCacheKey(queryId, snapshot, method, args);
+    if (callCache.has(cacheKey)) return callCache.get(cacheKey);
+    call(queryId, method, ...args);
+    return undefined;
+  };
+
+  const readRowAt = (queryId, index, sortBy, sortDirection) => {
+    const snapshot = snapshots.get(queryId);
+    if (!snapshot || index < 0 || index >= snapshot.rowCount) return null;
+    if (!sortBy && index < snapshot.sampleRows.length) return snapshot.sampleRows[index];
+    const start = Math.floor(index / ROW_PAGE_SIZE) * ROW_PAGE_SIZE;
+    const page = read(queryId, 'getRows', { start, size: ROW_PAGE_SIZE, sortBy, sortDirection });
+    return page ? (page[index - start] ?? null) : null;
+  };
+
+  const terminate = () => {
+    cancelActiveRun();
+    clearTimeout(restartTimer);
+    restartTimer = null;
+    busyRunId = null;
+    resolvePendingCalls();
+    if (transport) transport.terminate();
+    transport = null;
+  };
+
+  return {
+    ROW_PAGE_SIZE,
+    setDataModel,
+    run,
+    call,
+    read,
+    readRowAt,
+    getSnapshot: (queryId) => snapshots.get(queryId) || null,
+    getStatus: (queryId) => statuses.get(queryId) || { status: 'queued', progress: 0 },
+    isRunning: () => activeRunId !== null,
+    terminate
+  };
+};
+
+export { ROW_PAGE_SIZE, RESTART_GRACE_MS, createEngineClient };
@@ -0,0 +1,115 @@
+// src/utils/engineHost.js
+// Message handler that evaluates query chains with the data engine.
+// Runs inside the engine worker, or in-process when workers are unavailable.
+import { createDataEngine } from './dataEngine';
+
+const ENGINE_CALL_METHODS = new Set([
+  'getRows',
+  'getRowAt',
+  'getSampleRows',
+  'getMetric',
+  'getColumnStats',
+  'getAggregatedRows',
+  'getPivotData'
+]);
+
+const yieldToEventLoop = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const buildQuerySnapshot = (engine, queryId, query) => ({
+  queryId,
+  key: query?.key || '',
+  schema: query?.schema || [],
+  columnTypes: query?.columnTypes || {},
+  inferredColumnTypes: query?.inferredColumnTypes || null,
+  rowCount: query?.rowCount || 0,
+  error: query?.error || null,
+  warnings: query?.warnings || [],
+  summary: query?.summary || null,
+  sampleRows: engine.getSampleRows(queryId, engine.DEFAULT_SAMPLE_SIZE)
+});
+
+const createEngineHost = (postMessage) => {
+  let activeRunId = null;
+  let progressTarget = null;
+
+  const createEngine = (dataModel) => createDataEngine(dataModel, {
+    onProgress: (queryId, progress) => {
+      if (!progressTarget) return;
+      postMessage({ type: 'progress', runId: progressTarget, queryId, status: 'running', progress });
+    }
+  });
+
+  let engine = createEngine();
+
+  // Specs are evaluated in order; a newer run or a cancel message stops the chain at the next node boundary.
+  // A node cannot be interrupted here, so the client replaces a worker that stays busy in a superseded node.
+  const runChain = async ({ runId, specs = [] }) => {
+    activeRunId = runId;
+    // Drop removed nodes first so references to them cannot resolve to stale results.
+    engine.pruneQueries(new Set(specs.map((item) => item.queryId)));
+    for (let index = 0; index < specs.length; index += 1) {
+      await yieldToEventLoop();
+      if (activeRunId !== runId) {
+        postMessage({ type: 'cancelled', runId });
+        return;
+      }
+      const { queryId, spec, knownKey } = specs[index];
+      postMessage({ type: 'progress', runId, queryId, status: 'running', progress: 0 });
+      let snapshot = null;
+      progressTarget = runId;
+      try {
+        const query = engine.ensureQuery(queryId, spec);
+        if (query.key !== knownKey) snapshot = buildQuerySnapshot(engine, queryId, query);
+      } catch (err) {
+        snapshot = {
+          ...buildQuerySnapshot(engine, queryId, null),
+          key: JSON.stringify(spec || {}),
+          error: err?.message || 'Query failed.'
+        };
+      } finally {
+        progressTarget = null;
+      }
+      postMessage({ type: 'snapshot', runId, queryId, snapshot });
+    }
+    activeRunId = null;
+    postMessage({ type: 'done', runId });
+  };
+
+  const handleCall = ({ callId, queryId, key, method, args = [] }) => {
+    if (!ENGINE_CALL_METHODS.has(method)) {
+      postMessage({ type: 'response', callId, error: `Unknown engine method "${method}".` });
+      return;
+    }
+    if (engine.getQueryKey(queryId) !== key) {
+      postMessage({ type: 'response', callId, stale: true });
+      return;
+    }
+    try {
+      postMessage({ type: 'response', callId, value: engine[method](queryId, ...args) });
+    } catch (err) {
+      postMessage({ type: 'response', callId, error: err?.message || 'Engine call failed.' });
+    }
+  };
+
+  const handleMessage = (message) => {
+    if (!message) return;
+    if (message.type === 'init') {
+      activeRunId = null;
+      engine = createEngine(message.dataModel);
+      return;
+    }
+    if (message.type === 'run') {
+      runChain(message);
+      return;
+    }
+    if (message.type === 'cancel') {
+      if (activeRunId === message.runId) activeRunId = null;
+      return;
+    }
+    if (message.type === 'call') handleCall(message);
+  };
+
+  return { handleMessage };
+};
+
+export { ENGINE_CALL_METHODS, createEngineHost };
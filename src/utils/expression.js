@@ -0,0 +1,386 @@
+// src/utils/expression.js
+// Small expression language for calculated columns (parser + row evaluator).
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'TRUE', 'FALSE', 'NULL', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END']);
+const OPERATORS = ['??', '==', '!=', '<>', '<=', '>=', '+', '-', '*', '/', '%', '&', '=', '<', '>', '(', ')', ','];
+const COMPARISON_OPERATORS = new Set(['=', '==', '!=', '<>', '<', '<=', '>', '>=']);
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const num = Number(value);
+  return Number.isNaN(num) ? null : num;
+};
+
+const toText = (value) => (isBlank(value) ? '' : String(value));
+
+const isTruthy = (value) => {
+  if (isBlank(value)) return false;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  const lower = String(value).trim().toLowerCase();
+  return lower !== 'false' && lower !== '0';
+};
+
+const toDate = (value) => {
+  if (isBlank(value)) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  const text = String(value).trim();
+  // Treat bare ISO dates as local dates so YEAR/MONTH/DAY do not shift with the timezone.
+  const isoDate = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (isoDate) return new Date(Number(isoDate[1]), Number(isoDate[2]) - 1, Number(isoDate[3]));
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : new Date(parsed);
+};
+
+const compareScalars = (a, b) => {
+  const aNum = toNumber(a);
+  const bNum = toNumber(b);
+  if (aNum !== null && bNum !== null) return aNum - bNum;
+  return toText(a).localeCompare(toText(b), undefined, { numeric: true });
+};
+
+const numericFn = (fn) => (args) => {
+  const value = toNumber(args[0]);
+  return value === null ? null : fn(value);
+};
+
+const datePartFn = (fn) => (args) => {
+  const date = toDate(args[0]);
+  return date ? fn(date) : null;
+};
+
+const FUNCTIONS = {
+  IF: { min: 2, max: 3, fn: (args) => (isTruthy(args[0]) ? args[1] : (args[2] ?? null)) },
+  COALESCE: { min: 1, max: Infinity, fn: (args) => args.find((value) => !isBlank(value)) ?? null },
+  ISBLANK: { min: 1, max: 1, fn: (args) => isBlank(args[0]) },
+  UPPER: { min: 1, max: 1, fn: (args) => toText(args[0]).toUpperCase() },
+  LOWER: { min: 1, max: 1, fn: (args) => toText(args[0]).toLowerCase() },
+  TRIM: { min: 1, max: 1, fn: (args) => toText(args[0]).trim() },
+  LEN: { min: 1, max: 1, fn: (args) => toText(args[0]).length },
+  CONCAT: { min: 1, max: Infinity, fn: (args) => args.map(toText).join('') },
+  LEFT: { min: 2, max: 2, fn: (args) => toText(args[0]).slice(0, Math.max(0, toNumber(args[1]) || 0)) },
+  RIGHT: {
+    min: 2,
+    max: 2,
+    fn: (args) => {
+      const count = Math.max(0, toNumber(args[1]) || 0);
+      const text = toText(args[0]);
+      return count === 0 ? '' : text.slice(-count);
+    }
+  },
+  SUBSTR: {
+    min: 2,
+    max: 3,
+    fn: (args) => {
+      const text = toText(args[0]);
+      const start = Math.max(1, toNumber(args[1]) || 1) - 1;
+      const length = args.length > 2 ? Math.max(0, toNumber(args[2]) || 0) : undefined;
+      return length === undefined ? text.slice(start) : text.slice(start, start + length);
+    }
+  },
+  REPLACE: { min: 3, max: 3, fn: (args) => toText(args[0]).split(toText(args[1])).join(toText(args[2])) },
+  CONTAINS: { min: 2, max: 2, fn: (args) => toText(args[0]).toLowerCase().includes(toText(args[1]).toLowerCase()) },
+  TEXT: { min: 1, max: 1, fn: (args) => toText(args[0]) },
+  NUMBER: { min: 1, max: 1, fn: (args) => toNumber(args[0]) },
+  ABS: { min: 1, max: 1, fn: numericFn(Math.abs) },
+  FLOOR: { min: 1, max: 1, fn: numericFn(Math.floor) },
+  CEIL: { min: 1, max: 1, fn: numericFn(Math.ceil) },
+  ROUND: {
+    min: 1,
+    max: 2,
+    fn: (args) => {
+      const value = toNumber(args[0]);
+      if (value === null) return null;
+      const factor = 10 ** (toNumber(args[1]) || 0);
+      return Math.round(value * factor) / factor;
+    }
+  },
+  YEAR: { min: 1, max: 1, fn: datePartFn((date) => date.getFullYear()) },
+  QUARTER: { min: 1, max: 1, fn: datePartFn((date) => Math.floor(date.getMonth() / 3) + 1) },
+  MONTH: { min: 1, max: 1, fn: datePartFn((date) => date.getMonth() + 1) },
+  DAY: { min: 1, max: 1, fn: datePartFn((date) => date.getDate()) },
+  WEEKDAY: { min: 1, max: 1, fn: datePartFn((date) => ((date.getDay() + 6) % 7) + 1) },
+  HOUR: { min: 1, max: 1, fn: datePartFn((date) => date.getHours()) },
+  MINUTE: { min: 1, max: 1, fn: datePartFn((date) => date.getMinutes()) }
+};
+
+const FUNCTION_ALIASES = { LENGTH: 'LEN', MID: 'SUBSTR', SUBSTRING: 'SUBSTR', CEILING: 'CEIL', IFNULL: 'COALESCE' };
+
+const createSyntaxError = (message, position) => {
+  const error = new Error(position === undefined ? message : `${message} at position ${position + 1}`);
+  error.position = position;
+  return error;
+};
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i += 1;
+      continue;
+    }
+    const start = i;
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^[0-9]*\.?[0-9]+(?:[eE][+-]?[0-9]+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), position: start });
+      i += match[0].length;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      let value = '';
+      i += 1;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) i += 1;
+        value += source[i];
+        i += 1;
+      }
+      if (i >= source.length) throw createSyntaxError('Unterminated string', start);
+      i += 1;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+    if (char === '[') {
+      const end = source.indexOf(']', i + 1);
+      if (end === -1) throw createSyntaxError('Unterminated column reference', start);
+      tokens.push({ type: 'field', value: source.slice(i + 1, end), position: start });
+      i = end + 1;
+      continue;
+    }
+    if (/[A-Za-z_]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      const upper = match[0].toUpperCase();
+      tokens.push(KEYWORDS.has(upper)
+        ? { type: 'keyword', value: upper, position: start }
+        : { type: 'identifier', value: match[0], position: start });
+      i += match[0].length;
+      continue;
+    }
+    const operator = OPERATORS.find((op) => source.startsWith(op, i));
+    if (!operator) throw createSyntaxError(`Unexpected character "${char}"`, start);
+    tokens.push({ type: 'operator', value: operator, position: start });
+    i += operator.length;
+  }
+  tokens.push({ type: 'eof', value: null, position: source.length });
+  return tokens;
+};
+
+const parseExpression = (source) => {
+  const text = String(source ?? '');
+  if (!text.trim()) throw createSyntaxError('Expression is empty');
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+  const isKeyword = (value) => peek().type === 'keyword' && peek().value === value;
+  const describe = (token) => (token.type === 'eof' ? 'end of expression' : `"${token.value}"`);
+  const expectOperator = (value) => {
+    if (!isOperator(value)) throw createSyntaxError(`Expected "${value}" but found ${describe(peek())}`, peek().position);
+    return next();
+  };
+  const expectKeyword = (value) => {
+    if (!isKeyword(value)) throw createSyntaxError(`Expected ${value} but found ${describe(peek())}`, peek().position);
+    return next();
+  };
+
+  let parseCoalesce = null;
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token.type === 'number' || token.type === 'string') return { type: 'literal', value: token.value };
+    if (token.type === 'field') return { type: 'field', name: token.value };
+    if (token.type === 'keyword') {
+      if (token.value === 'TRUE') return { type: 'literal', value: true };
+      if (token.value === 'FALSE') return { type: 'literal', value: false };
+      if (token.value === 'NULL') return { type: 'literal', value: null };
+      if (token.value === 'CASE') {
+        const branches = [];
+        while (isKeyword('WHEN')) {
+          next();
+          const when = parseCoalesce();
+          expectKeyword('THEN');
+          branches.push({ when, then: parseCoalesce() });
+        }
+        if (branches.length === 0) throw createSyntaxError('CASE needs at least one WHEN', peek().position);
+        let otherwise = null;
+        if (isKeyword('ELSE')) {
+          next();
+          otherwise = parseCoalesce();
+        }
+        expectKeyword('END');
+        return { type: 'case', branches, otherwise };
+      }
+    }
+    if (token.type === 'identifier') {
+      if (!isOperator('(')) return { type: 'field', name: token.value };
+      next();
+      const upper = token.value.toUpperCase();
+      const name = FUNCTION_ALIASES[upper] || upper;
+      const definition = FUNCTIONS[name];
+      if (!definition) throw createSyntaxError(`Unknown function ${token.value}`, token.position);
+      const args = [];
+      if (!isOperator(')')) {
+        args.push(parseCoalesce());
+        while (isOperator(',')) {
+          next();
+          args.push(parseCoalesce());
+        }
+      }
+      expectOperator(')');
+      if (args.length < definition.min || args.length > definition.max) {
+        throw createSyntaxError(`Wrong number of arguments for ${name}`, token.position);
+      }
+      return { type: 'call', name, args };
+    }
+    if (token.type === 'operator' && token.value === '(') {
+      const inner = parseCoalesce();
+      expectOperator(')');
+      return inner;
+    }
+    throw createSyntaxError(`Unexpected ${describe(token)}`, token.position);
+  };
+
+  const parseUnary = () => {
+    if (isOperator('-') || isOperator('+')) {
+      const op = next().value;
+      return { type: 'unary', op, arg: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parseBinaryLevel = (parseOperand, matches) => () => {
+    let left = parseOperand();
+    while (matches(peek())) {
+      const op = next().value;
+      left = { type: 'binary', op, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  const parseFactor = parseBinaryLevel(parseUnary, (token) => token.type === 'operator' && ['*', '/', '%'].includes(token.value));
+  const parseTerm = parseBinaryLevel(parseFactor, (token) => token.type === 'operator' && ['+', '-'].includes(token.value));
+  const parseConcat = parseBinaryLevel(parseTerm, (token) => token.type === 'operator' && token.value === '&');
+  const parseComparison = parseBinaryLevel(parseConcat, (token) => token.type === 'operator' && COMPARISON_OPERATORS.has(token.value));
+  const parseNot = () => {
+    if (isKeyword('NOT')) {
+      next();
+      return { type: 'unary', op: 'NOT', arg: parseNot() };
+    }
+    return parseComparison();
+  };
+  const parseAnd = parseBinaryLevel(parseNot, (token) => token.type === 'keyword' && token.value === 'AND');
+  const parseOr = parseBinaryLevel(parseAnd, (token) => token.type === 'keyword' && token.value === 'OR');
+  parseCoalesce = parseBinaryLevel(parseOr, (token) => token.type === 'operator' && token.value === '??');
+
+  const ast = parseCoalesce();
+  if (peek().type !== 'eof') throw createSyntaxError(`Unexpected ${describe(peek())}`, peek().position);
+  return ast;
+};
+
+const collectFields = (ast, fields = new Set()) => {
+  if (!ast) return fields;
+  if (ast.type === 'field') fields.add(ast.name);
+  if (ast.type === 'unary') collectFields(ast.arg, fields);
+  if (ast.type === 'binary') {
+    collectFields(ast.left, fields);
+    collectFields(ast.right, fields);
+  }
+  if (ast.type === 'call') ast.args.forEach((arg) => collectFields(arg, fields));
+  if (ast.type === 'case') {
+    ast.branches.forEach((branch) => {
+      collectFields(branch.when, fields);
+      collectFields(branch.then, fields);
+    });
+    collectFields(ast.otherwise, fields);
+  }
+  return fields;
+};
+
+const applyBinary = (op, left, right) => {
+  if (op === '&') return toText(left) + toText(right);
+  if (COMPARISON_OPERATORS.has(op)) {
+    if (op === '=' || op === '==') {
+      if (isBlank(left) || isBlank(right)) return isBlank(left) && isBlank(right);
+      return toText(left) === toText(right) || compareScalars(left, right) === 0;
+    }
+    if (op === '!=' || op === '<>') return !applyBinary('=', left, right);
+    if (isBlank(left) || isBlank(right)) return false;
+    const result = compareScalars(left, right);
+    if (op === '<') return result < 0;
+    if (op === '<=') return result <= 0;
+    if (op === '>') return result > 0;
+    return result >= 0;
+  }
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a === null || b === null) return null;
+  if (op === '+') return a + b;
+  if (op === '-') return a - b;
+  if (op === '*') return a * b;
+  if (op === '/') return b === 0 ? null : a / b;
+  if (op === '%') return b === 0 ? null : a % b;
+  return null;
+};
+
+const evaluateNode = (ast, row) => {
+  if (ast.type === 'literal') return ast.value;
+  if (ast.type === 'field') return row?.[ast.name] ?? null;
+  if (ast.type === 'unary') {
+    const value = evaluateNode(ast.arg, row);
+    if (ast.op === 'NOT') return !isTruthy(value);
+    const num = toNumber(value);
+    if (num === null) return null;
+    return ast.op === '-' ? -num : num;
+  }
+  if (ast.type === 'binary') {
+    if (ast.op === 'AND') return isTruthy(evaluateNode(ast.left, row)) && isTruthy(evaluateNode(ast.right, row));
+    if (ast.op === 'OR') return isTruthy(evaluateNode(ast.left, row)) || isTruthy(evaluateNode(ast.right, row));
+    if (ast.op === '??') {
+      const left = evaluateNode(ast.left, row);
+      return isBlank(left) ? evaluateNode(ast.right, row) : left;
+    }
+    return applyBinary(ast.op, evaluateNode(ast.left, row), evaluateNode(ast.right, row));
+  }
+  if (ast.type === 'call') {
+    return FUNCTIONS[ast.name].fn(ast.args.map((arg) => evaluateNode(arg, row)));
+  }
+  if (ast.type === 'case') {
+    const match = ast.branches.find((branch) => isTruthy(evaluateNode(branch.when, row)));
+    if (match) return evaluateNode(match.then, row);
+    return ast.otherwise ? evaluateNode(ast.otherwise, row) : null;
+  }
+  return null;
+};
+
+// Parses once and returns a per-row evaluator. Throws on syntax errors and,
+// when a schema is given, on references to unknown columns.
+const compileExpression = (source, { schema } = {}) => {
+  const ast = parseExpression(source);
+  const fields = Array.from(collectFields(ast));
+  if (Array.isArray(schema)) {
+    const missing = fields.find((field) => !schema.includes(field));
+    if (missing) throw createSyntaxError(`Unknown column "${missing}"`);
+  }
+  return {
+    ast,
+    fields,
+    evaluate: (row) => {
+      const value = evaluateNode(ast, row);
+      return typeof value === 'number' && !Number.isFinite(value) ? null : value;
+    }
+  };
+};
+
+const EXPRESSION_FUNCTIONS = Object.keys(FUNCTIONS);
+
+export { EXPRESSION_FUNCTIONS, parseExpression, compileExpression };
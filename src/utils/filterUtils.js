@@ -1,7 +1,98 @@
 // src/utils/filterUtils.js
 // Shared helpers for filter nodes.
+// Filter params hold a root list of conditions combined with `combinator` (AND by default).
+// List entries may also be groups: { type: 'group', combinator, negate, filters: [...] }.
 
 const DEFAULT_FILTER_OPERATOR = 'equals';
+const DEFAULT_FILTER_COMBINATOR = 'AND';
+const FILTER_COMBINATORS = ['AND', 'OR'];
+
+// Value editors: single value, comma-separated list, min/max range, none, day count or named period.
+const FILTER_OPERATORS = [
+  { value: 'equals', label: '=', menuLabel: '=', valueKind: 'single' },
+  { value: 'not_equals', label: '!=', menuLabel: '!=', valueKind: 'single' },
+  { value: 'gt', label: '>', menuLabel: '>', valueKind: 'single' },
+  { value: 'lt', label: '<', menuLabel: '<', valueKind: 'single' },
+  { value: 'gte', label: '>=', menuLabel: '>=', valueKind: 'single' },
+  { value: 'lte', label: '<=', menuLabel: '<=', valueKind: 'single' },
+  { value: 'between', label: 'between', menuLabel: 'Between', valueKind: 'range' },
+  { value: 'in', label: 'in', menuLabel: 'In list', valueKind: 'list' },
+  { value: 'not_in', label: 'not in', menuLabel: 'Not in list', valueKind: 'list' },
+  { value: 'contains', label: 'contains', menuLabel: 'Like', valueKind: 'single', text: true },
+  { value: 'starts_with', label: 'starts with', menuLabel: 'Starts with', valueKind: 'single', text: true },
+  { value: 'ends_with', label: 'ends with', menuLabel: 'Ends with', valueKind: 'single', text: true },
+  { value: 'regex', label: 'matches', menuLabel: 'Regex match', valueKind: 'single', text: true },
+  { value: 'is_null', label: 'is blank', menuLabel: 'Is blank', valueKind: 'none' },
+  { value: 'is_not_null', label: 'is not blank', menuLabel: 'Is not blank', valueKind: 'none' },
+  { value: 'last_n_days', label: 'in last', menuLabel: 'In last N days', valueKind: 'days' },
+  { value: 'date_period', label: 'in', menuLabel: 'In date period', valueKind: 'period' }
+];
+
+const FILTER_OPERATOR_LABELS = FILTER_OPERATORS.reduce((acc, operator) => {
+  acc[operator.value] = operator.label;
+  return acc;
+}, {});
+
+const FILTER_OPERATOR_OPTIONS = FILTER_OPERATORS.map((operator) => ({ label: operator.menuLabel, value: operator.value }));
+
+const DATE_PERIODS = [
+  { value: 'today', label: 'Today' },
+  { value: 'yesterday', label: 'Yesterday' },
+  { value: 'this_week', label: 'This week' },
+  { value: 'last_week', label: 'Last week' },
+  { value: 'this_month', label: 'This month' },
+  { value: 'last_month', label: 'Last month' },
+  { value: 'this_quarter', label: 'This quarter' },
+  { value: 'last_quarter', label: 'Last quarter' },
+  { value: 'this_year', label: 'This year' },
+  { value: 'last_year', label: 'Last year' }
+];
+
+const DATE_PERIOD_LABELS = DATE_PERIODS.reduce((acc, period) => {
+  acc[period.value] = period.label;
+  return acc;
+}, {});
+
+const getFilterValueKind = (operator) => (
+  FILTER_OPERATORS.find((item) => item.value === operator)?.valueKind || 'single'
+);
+
+const isTextFilterOperator = (operator) => !!FILTER_OPERATORS.find((item) => item.value === operator)?.text;
+
+const isBlankFilterValue = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// A condition constrains rows once it has a field and whatever value its operator needs.
+const isFilterConditionComplete = (filter) => {
+  if (!filter?.field) return false;
+  const kind = getFilterValueKind(filter.operator);
+  if (kind === 'none') return true;
+  if (kind === 'range') return !isBlankFilterValue(filter.value) || !isBlankFilterValue(filter.valueTo);
+  return !isBlankFilterValue(filter.value);
+};
+
+// Returns [start, end) in epoch ms for a named period, in local time.
+const resolveDatePeriodRange = (period, now = Date.now()) => {
+  const current = new Date(now);
+  const year = current.getFullYear();
+  const month = current.getMonth();
+  const day = current.getDate();
+  const startOfDay = (y, m, d) => new Date(y, m, d).getTime();
+  const weekStart = day - ((current.getDay() + 6) % 7);
+  const quarterStart = Math.floor(month / 3) * 3;
+  switch (period) {
+    case 'today': return [startOfDay(year, month, day), startOfDay(year, month, day + 1)];
+    case 'yesterday': return [startOfDay(year, month, day - 1), startOfDay(year, month, day)];
+    case 'this_week': return [startOfDay(year, month, weekStart), startOfDay(year, month, weekStart + 7)];
+    case 'last_week': return [startOfDay(year, month, weekStart - 7), startOfDay(year, month, weekStart)];
+    case 'this_month': return [startOfDay(year, month, 1), startOfDay(year, month + 1, 1)];
+    case 'last_month': return [startOfDay(year, month - 1, 1), startOfDay(year, month, 1)];
+    case 'this_quarter': return [startOfDay(year, quarterStart, 1), startOfDay(year, quarterStart + 3, 1)];
+    case 'last_quarter': return [startOfDay(year, quarterStart - 3, 1), startOfDay(year, quarterStart, 1)];
+    case 'this_year': return [startOfDay(year, 0, 1), startOfDay(year + 1, 0, 1)];
+    case 'last_year': return [startOfDay(year - 1, 0, 1), startOfDay(year, 0, 1)];
+    default: return null;
+  }
+};
 
 const resolveFilterMode = (filter) => {
   if (!filter) return 'operator';
@@ -10,26 +101,118 @@ const resolveFilterMode = (filter) => {
   return 'operator';
 };
 
+const isFilterGroup = (filter) => filter?.type === 'group';
+
+const resolveFilterCombinator = (value) => {
+  const combinator = String(value || '').toUpperCase();
+  return FILTER_COMBINATORS.includes(combinator) ? combinator : DEFAULT_FILTER_COMBINATOR;
+};
+
+const normalizeFilterItem = (filter) => {
+  if (isFilterGroup(filter)) {
+    return {
+      ...filter,
+      type: 'group',
+      combinator: resolveFilterCombinator(filter.combinator),
+      negate: !!filter.negate,
+      filters: Array.isArray(filter.filters) ? filter.filters.map(normalizeFilterItem) : []
+    };
+  }
+  return {
+    ...filter,
+    mode: resolveFilterMode(filter),
+    field: filter?.field || '',
+    operator: filter?.operator || DEFAULT_FILTER_OPERATOR,
+    value: filter?.value ?? ''
+  };
+};
+
+// Returns the root-level entries (conditions and groups).
 const normalizeFilters = (params = {}) => {
   if (!params) return [];
   if (Array.isArray(params.filters)) {
-    return params.filters.map((filter) => ({
-      ...filter,
-      mode: resolveFilterMode(filter),
-      field: filter?.field || '',
-      operator: filter?.operator || DEFAULT_FILTER_OPERATOR,
-      value: filter?.value ?? ''
-    }));
+    return params.filters.map(normalizeFilterItem);
   }
   if (params.field) {
-    return [{
+    const filter = {
       mode: resolveFilterMode(params),
       field: params.field || '',
       operator: params.operator || DEFAULT_FILTER_OPERATOR,
       value: params.value ?? ''
-    }];
+    };
+    if (params.valueTo !== undefined) filter.valueTo = params.valueTo;
+    if (params.caseSensitive) filter.caseSensitive = true;
+    return [filter];
   }
   return [];
 };
 
-export { DEFAULT_FILTER_OPERATOR, normalizeFilters, resolveFilterMode };
+// Returns the whole condition tree as a root group.
+const normalizeFilterTree = (params = {}) => ({
+  type: 'group',
+  combinator: resolveFilterCombinator(params?.combinator),
+  negate: false,
+  filters: normalizeFilters(params)
+});
+
+const flattenFilterConditions = (filters = []) => filters.flatMap((filter) => (
+  isFilterGroup(filter) ? flattenFilterConditions(filter.filters) : [filter]
+));
+
+const RELATIVE_DATE_OPERATORS = new Set(['last_n_days', 'date_period']);
+
+// Relative date conditions ("today", "last 7 days") resolve against the start of the current day. Filters
+// that use them carry it as `referenceDate`, so the query key changes, and a cached result is dropped, on a
+// later day. A referenceDate already in params is kept.
+const withFilterReferenceDate = (params = {}, now = Date.now()) => {
+  if (params.referenceDate != null) return params;
+  const relative = flattenFilterConditions(normalizeFilterTree(params).filters)
+    .some((filter) => RELATIVE_DATE_OPERATORS.has(filter.operator) && isFilterConditionComplete(filter));
+  if (!relative) return params;
+  const today = new Date(now);
+  return { ...params, referenceDate: new Date(today.getFullYear(), today.getMonth(), today.getDate()).getTime() };
+};
+
+// Ids only need to be unique within the editor; the counter keeps items added in the same millisecond apart.
+let filterItemCounter = 0;
+const createFilterItemId = (prefix) => `${prefix}-${Date.now()}-${filterItemCounter++}`;
+
+const createFilterCondition = () => ({
+  id: createFilterItemId('filter'),
+  field: '',
+  operator: DEFAULT_FILTER_OPERATOR,
+  value: '',
+  mode: 'operator'
+});
+
+const createFilterGroup = (combinator = DEFAULT_FILTER_COMBINATOR) => ({
+  id: createFilterItemId('group'),
+  type: 'group',
+  combinator,
+  negate: false,
+  filters: []
+});
+
+export {
+  DEFAULT_FILTER_OPERATOR,
+  FILTER_OPERATORS,
+  FILTER_OPERATOR_LABELS,
+  FILTER_OPERATOR_OPTIONS,
+  DATE_PERIODS,
+  DATE_PERIOD_LABELS,
+  getFilterValueKind,
+  isTextFilterOperator,
+  isFilterConditionComplete,
+  resolveDatePeriodRange,
+  DEFAULT_FILTER_COMBINATOR,
+  FILTER_COMBINATORS,
+  normalizeFilters,
+  normalizeFilterTree,
+  flattenFilterConditions,
+  withFilterReferenceDate,
+  createFilterCondition,
+  createFilterGroup,
+  isFilterGroup,
+  resolveFilterCombinator,
+  resolveFilterMode
+};
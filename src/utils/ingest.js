@@ -1,5 +1,7 @@
 // src/utils/ingest.js
 // CSV/XLSX ingestion utilities. Pure helpers so future testing is easy.
+import { normalizeDateValue } from './dateUtils';
+import { createDataModel } from './dataModel';
 
 const readFileAsText = (file) =>
   new Promise((resolve, reject) => {
@@ -153,15 +155,26 @@ const parseCSVFile = async (file, options) => {
   return parseCSV(text);
 };
 
+// Date cells get ISO text as their display text instead of the workbook's locale
+// format. Every other cell keeps its formatted text, so percentages, currency and zero-padded IDs
+// read the way they look in Excel.
+const formatSheetDates = (sheet) => {
+  Object.keys(sheet).forEach((address) => {
+    const cell = sheet[address];
+    if (!address.startsWith('!') && cell?.v instanceof Date) cell.w = normalizeDateValue(cell.v);
+  });
+};
+
 const parseXLSX = (arrayBuffer) => {
   // XLSX must be loaded globally via the CDN in index.html
   if (!window?.XLSX) {
     throw new Error('Excel parsing library failed to load. Please refresh and try again.');
   }
-  const workbook = window.XLSX.read(arrayBuffer, { type: 'array' });
+  const workbook = window.XLSX.read(arrayBuffer, { type: 'array', cellDates: true });
   const tables = {};
   workbook.SheetNames.forEach(sheetName => {
     const sheet = workbook.Sheets[sheetName];
+    formatSheetDates(sheet);
     const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
     tables[sheetName] = rows;
   });
@@ -170,13 +183,10 @@ const parseXLSX = (arrayBuffer) => {
 
 const buildDataModelFromCSV = (fileName, rows) => {
   const name = fileName.replace(/\.(csv)$/i, '') || 'data';
-  return { tables: { [name]: rows }, order: [name] };
+  return createDataModel({ [name]: rows }, [name]);
 };
 
-const buildDataModelFromXLSX = (tables) => {
-  const order = Object.keys(tables);
-  return { tables, order };
-};
+const buildDataModelFromXLSX = (tables) => createDataModel(tables, Object.keys(tables));
 
 export {
   MAX_UPLOAD_MB,
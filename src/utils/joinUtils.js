@@ -0,0 +1,355 @@
+// src/utils/joinUtils.js
+// JOIN node helpers: param normalization, key matching and output column naming.
+import { parseDateValue } from './schemaUtils';
+
+const JOIN_TYPES = ['INNER', 'LEFT', 'RIGHT', 'FULL', 'SEMI', 'ANTI'];
+const DEFAULT_JOIN_TYPE = 'LEFT';
+const DEFAULT_RIGHT_SUFFIX = '_right';
+
+// 'exact' matches equal keys; the other modes add a confidence column to the output.
+const JOIN_MATCH_MODES = [
+  { value: 'exact', label: 'Exact' },
+  { value: 'fuzzy', label: 'Fuzzy Text' },
+  { value: 'range', label: 'In Range' },
+  { value: 'asof', label: 'As Of' }
+];
+const FUZZY_METHODS = [
+  { value: 'edit', label: 'Edit distance' },
+  { value: 'token', label: 'Shared words' }
+];
+const DEFAULT_FUZZY_THRESHOLD = 0.8;
+const DEFAULT_CONFIDENCE_COLUMN = 'match_confidence';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SEMI and ANTI joins keep left rows only (with / without a match) and add no right columns.
+const isFilteringJoin = (joinType) => joinType === 'SEMI' || joinType === 'ANTI';
+
+// Accepts `joinKeys: [{ left, right }]` or the legacy single `leftKey`/`rightKey` pair.
+const normalizeJoinKeys = (params = {}) => {
+  if (Array.isArray(params?.joinKeys)) {
+    return params.joinKeys.map((key) => ({ left: key?.left || '', right: key?.right || '' }));
+  }
+  if (params?.leftKey || params?.rightKey) return [{ left: params.leftKey || '', right: params.rightKey || '' }];
+  return [];
+};
+
+// The right side is either a table (`rightTable`) or another node's output (`rightNodeId`);
+// `rightLabel` is the node title stored when it was picked and stands in for the table name.
+const normalizeJoinParams = (params = {}) => {
+  const joinType = String(params?.joinType || '').toUpperCase();
+  const rightNodeId = params?.rightNodeId || '';
+  const matchMode = JOIN_MATCH_MODES.some((mode) => mode.value === params?.matchMode) ? params.matchMode : 'exact';
+  const threshold = Number(params?.fuzzyThreshold);
+  const tolerance = params?.asofTolerance === '' || params?.asofTolerance == null ? NaN : Number(params.asofTolerance);
+  return {
+    rightTable: rightNodeId ? '' : (params?.rightTable || ''),
+    rightNodeId,
+    rightLabel: rightNodeId ? String(params?.rightLabel || '').trim() : '',
+    joinType: JOIN_TYPES.includes(joinType) ? joinType : DEFAULT_JOIN_TYPE,
+    keys: normalizeJoinKeys(params).filter((key) => key.left && key.right),
+    ignoreCase: !!params?.ignoreCase,
+    trimKeys: params?.trimKeys !== false,
+    rightColumns: Array.isArray(params?.rightColumns) ? params.rightColumns.filter(Boolean) : [],
+    // 'prefix' names every right column `<table>_<field>`; 'suffix' only renames conflicting columns.
+    columnNaming: params?.columnNaming === 'suffix' ? 'suffix' : 'prefix',
+    leftSuffix: String(params?.leftSuffix || ''),
+    rightSuffix: String(params?.rightSuffix || '') || DEFAULT_RIGHT_SUFFIX,
+    matchMode,
+    fuzzyMethod: params?.fuzzyMethod === 'token' ? 'token' : 'edit',
+    fuzzyThreshold: Number.isFinite(threshold) ? Math.min(1, Math.max(0, threshold)) : DEFAULT_FUZZY_THRESHOLD,
+    // Range and as-of joins compare `leftValueField` with `rightStartField` (and `rightEndField` for
+    // ranges); any keys only restrict matches to rows with equal keys.
+    leftValueField: params?.leftValueField || '',
+    rightStartField: params?.rightStartField || '',
+    rightEndField: params?.rightEndField || '',
+    // Largest gap an as-of match may span: days for dates, raw units for numbers.
+    asofTolerance: Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : null,
+    confidenceColumn: String(params?.confidenceColumn || '').trim() || DEFAULT_CONFIDENCE_COLUMN
+  };
+};
+
+const usesRangeMatch = (params) => params.matchMode === 'range' || params.matchMode === 'asof';
+
+// A join runs once it has keys, or for range/as-of modes the fields to compare.
+const isJoinConfigured = (params) => {
+  if (!usesRangeMatch(params)) return params.keys.length > 0;
+  return !!(params.leftValueField && params.rightStartField);
+};
+
+// Confidence is reported for every mode except exact, and never for filtering joins.
+const getJoinConfidenceColumn = (params) => (
+  params.matchMode === 'exact' || isFilteringJoin(params.joinType) ? '' : params.confidenceColumn
+);
+
+// Blank keys never match. Non-string values compare by their string form.
+const normalizeJoinValue = (value, { ignoreCase = false, trimKeys = true } = {}) => {
+  if (value === undefined || value === null) return null;
+  let text = String(value);
+  if (trimKeys || typeof value !== 'string') text = text.trim();
+  if (text === '') return null;
+  return ignoreCase ? text.toLowerCase() : text;
+};
+
+// Composite lookup key, or null when any part is blank.
+const buildJoinKey = (values, options) => {
+  const parts = [];
+  for (let i = 0; i < values.length; i += 1) {
+    const part = normalizeJoinValue(values[i], options);
+    if (part === null) return null;
+    parts.push(part);
+  }
+  return parts.length === 1 ? parts[0] : JSON.stringify(parts);
+};
+
+// Lowercases, strips accents and punctuation, and collapses whitespace.
+const normalizeFuzzyText = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+const levenshteinDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let previous = new Array(b.length + 1);
+  let current = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j += 1) previous[j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    current[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous[b.length];
+};
+
+// 1 - edit distance / longer length, on normalized text.
+const editSimilarity = (a, b) => {
+  const left = normalizeFuzzyText(a);
+  const right = normalizeFuzzyText(b);
+  const length = Math.max(left.length, right.length);
+  if (length === 0) return 0;
+  return 1 - levenshteinDistance(left, right) / length;
+};
+
+const toTokenSet = (text) => new Set(text.split(' ').filter(Boolean));
+
+const jaccard = (left, right) => {
+  if (left.size === 0 || right.size === 0) return 0;
+  let shared = 0;
+  left.forEach((token) => { if (right.has(token)) shared += 1; });
+  return shared / (left.size + right.size - shared);
+};
+
+// Shared words over all distinct words, so word order does not matter.
+const tokenSimilarity = (a, b) => jaccard(toTokenSet(normalizeFuzzyText(a)), toTokenSet(normalizeFuzzyText(b)));
+
+// Numbers compare as numbers and anything else that parses as a date by its timestamp.
+const toJoinOrdinal = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (Number.isFinite(number) && !(value instanceof Date)) return { value: number, isDate: false };
+  const time = parseDateValue(value);
+  return time === null ? null : { value: time, isDate: true };
+};
+
+const roundScore = (score) => Math.round(score * 1000) / 1000;
+
+const createExactMatcher = (params, right) => {
+  const lookup = new Map();
+  for (let index = 0; index < right.rowCount; index += 1) {
+    const key = buildJoinKey(params.keys.map((item) => right.getValue(index, item.right)), params);
+    if (key === null) continue;
+    if (!lookup.has(key)) lookup.set(key, []);
+    lookup.get(key).push({ index, score: 1 });
+  }
+  return (readLeft) => {
+    const key = buildJoinKey(params.keys.map((item) => readLeft(item.left)), params);
+    return key === null ? [] : (lookup.get(key) || []);
+  };
+};
+
+// Keeps the single best right row at or above the threshold; ties go to the earlier row.
+const createFuzzyMatcher = (params, right) => {
+  const useTokens = params.fuzzyMethod === 'token';
+  const candidates = [];
+  const exact = new Map();
+  const byToken = new Map();
+  for (let index = 0; index < right.rowCount; index += 1) {
+    const text = normalizeFuzzyText(params.keys.map((item) => right.getValue(index, item.right) ?? '').join(' '));
+    if (!text) continue;
+    const candidate = { index, text, tokens: toTokenSet(text) };
+    candidates.push(candidate);
+    if (!exact.has(text)) exact.set(text, index);
+    if (useTokens) {
+      candidate.tokens.forEach((token) => {
+        if (!byToken.has(token)) byToken.set(token, []);
+        byToken.get(token).push(candidate);
+      });
+    }
+  }
+  return (readLeft) => {
+    const text = normalizeFuzzyText(params.keys.map((item) => readLeft(item.left) ?? '').join(' '));
+    if (!text) return [];
+    if (exact.has(text)) return [{ index: exact.get(text), score: 1 }];
+    let best = null;
+    const consider = (candidate, score) => {
+      if (score < params.fuzzyThreshold) return;
+      if (!best || score > best.score || (score === best.score && candidate.index < best.index)) {
+        best = { index: candidate.index, score };
+      }
+    };
+    if (useTokens) {
+      // Only rows sharing at least one word can score above zero.
+      const tokens = toTokenSet(text);
+      const seen = new Set();
+      tokens.forEach((token) => {
+        (byToken.get(token) || []).forEach((candidate) => {
+          if (seen.has(candidate)) return;
+          seen.add(candidate);
+          consider(candidate, jaccard(tokens, candidate.tokens));
+        });
+      });
+    } else {
+      candidates.forEach((candidate) => {
+        const length = Math.max(text.length, candidate.text.length);
+        // The length difference alone bounds the best possible score.
+        if (1 - Math.abs(text.length - candidate.text.length) / length < params.fuzzyThreshold) return;
+        consider(candidate, 1 - levenshteinDistance(text, candidate.text) / length);
+      });
+    }
+    return best ? [{ index: best.index, score: roundScore(best.score) }] : [];
+  };
+};
+
+// Range joins match every right interval containing the left value (a blank end is open);
+// as-of joins match the latest right row at or before it.
+const createRangeMatcher = (params, right) => {
+  const partitions = new Map();
+  const partitionKey = (values) => (params.keys.length > 0 ? buildJoinKey(values, params) : '');
+  for (let index = 0; index < right.rowCount; index += 1) {
+    const key = partitionKey(params.keys.map((item) => right.getValue(index, item.right)));
+    const start = toJoinOrdinal(right.getValue(index, params.rightStartField));
+    if (key === null || start === null) continue;
+    const end = params.rightEndField ? toJoinOrdinal(right.getValue(index, params.rightEndField)) : null;
+    if (!partitions.has(key)) partitions.set(key, []);
+    partitions.get(key).push({ index, start: start.value, end: end ? end.value : Infinity });
+  }
+  partitions.forEach((entries) => entries.sort((a, b) => a.start - b.start || a.index - b.index));
+
+  // Number of entries whose start is at or before value.
+  const countStartedBy = (entries, value) => {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (entries[mid].start <= value) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  return (readLeft) => {
+    const key = partitionKey(params.keys.map((item) => readLeft(item.left)));
+    const target = toJoinOrdinal(readLeft(params.leftValueField));
+    const entries = key === null ? null : partitions.get(key);
+    if (!entries || target === null) return [];
+    const count = countStartedBy(entries, target.value);
+    if (params.matchMode === 'range') {
+      const matches = [];
+      for (let i = 0; i < count; i += 1) {
+        if (entries[i].end >= target.value) matches.push({ index: entries[i].index, score: 1 });
+      }
+      return matches.sort((a, b) => a.index - b.index);
+    }
+    if (count === 0) return [];
+    const latest = entries[count - 1];
+    if (params.asofTolerance === null) return [{ index: latest.index, score: 1 }];
+    // Confidence falls from 1 for an exact timestamp to 0 at the tolerance.
+    const tolerance = target.isDate ? params.asofTolerance * DAY_MS : params.asofTolerance;
+    const gap = target.value - latest.start;
+    if (gap > tolerance) return [];
+    return [{ index: latest.index, score: tolerance === 0 ? 1 : roundScore(1 - gap / tolerance) }];
+  };
+};
+
+// Returns match(readLeft) -> [{ index, score }] for the right rows matching one left row,
+// where readLeft(field) reads that row and `right` is { rowCount, getValue(index, field) }.
+const createJoinMatcher = (params, right) => {
+  if (params.matchMode === 'fuzzy') return createFuzzyMatcher(params, right);
+  if (usesRangeMatch(params)) return createRangeMatcher(params, right);
+  return createExactMatcher(params, right);
+};
+
+// ON clause for the join SQL previews; `joinKeys` may include incomplete rows being edited.
+const formatJoinCondition = (joinParams, joinKeys = joinParams.keys) => {
+  const keys = joinKeys.filter((key) => key.left || key.right).map((key) => `${key.left || '?'} = ${key.right || '?'}`);
+  const value = joinParams.leftValueField || '?';
+  const start = joinParams.rightStartField || '?';
+  if (joinParams.matchMode === 'fuzzy') {
+    return `SIMILAR(${keys.length > 0 ? keys.join(', ') : '? = ?'}) >= ${joinParams.fuzzyThreshold}`;
+  }
+  if (joinParams.matchMode === 'range') {
+    return [...keys, `${value} BETWEEN ${start} AND ${joinParams.rightEndField || '∞'}`].join(' AND ');
+  }
+  if (joinParams.matchMode === 'asof') return [...keys, `LATEST ${start} <= ${value}`].join(' AND ');
+  return keys.length > 0 ? keys.join(' AND ') : '? = ?';
+};
+
+// Returns the output schema plus output -> source field maps for both sides.
+// `leftFields` only lists renamed left columns.
+const resolveJoinColumns = (leftSchema, rightSchema, {
+  rightTable,
+  rightLabel,
+  rightColumns,
+  columnNaming,
+  leftSuffix,
+  rightSuffix
+}) => {
+  const selected = rightColumns.length > 0 ? rightSchema.filter((field) => rightColumns.includes(field)) : rightSchema;
+  const leftFields = new Map();
+  const rightFields = new Map();
+  if (columnNaming === 'prefix') {
+    const prefix = rightTable || rightLabel.replace(/\s+/g, '_') || 'right';
+    selected.forEach((field) => rightFields.set(`${prefix}_${field}`, field));
+  } else {
+    const conflicts = new Set(selected.filter((field) => leftSchema.includes(field)));
+    if (leftSuffix) conflicts.forEach((field) => leftFields.set(`${field}${leftSuffix}`, field));
+    selected.forEach((field) => rightFields.set(conflicts.has(field) ? `${field}${rightSuffix}` : field, field));
+  }
+  const renamedLeft = new Map(Array.from(leftFields, ([output, source]) => [source, output]));
+  const schema = new Set(leftSchema.map((field) => renamedLeft.get(field) || field));
+  rightFields.forEach((_field, output) => schema.add(output));
+  return { schema: Array.from(schema), leftFields, rightFields };
+};
+
+export {
+  JOIN_TYPES,
+  DEFAULT_JOIN_TYPE,
+  DEFAULT_RIGHT_SUFFIX,
+  JOIN_MATCH_MODES,
+  FUZZY_METHODS,
+  DEFAULT_FUZZY_THRESHOLD,
+  DEFAULT_CONFIDENCE_COLUMN,
+  isFilteringJoin,
+  usesRangeMatch,
+  isJoinConfigured,
+  getJoinConfidenceColumn,
+  normalizeJoinKeys,
+  normalizeJoinParams,
+  normalizeJoinValue,
+  buildJoinKey,
+  normalizeFuzzyText,
+  editSimilarity,
+  tokenSimilarity,
+  createJoinMatcher,
+  formatJoinCondition,
+  resolveJoinColumns
+};
@@ -1,5 +1,8 @@
 // src/utils/nodeUtils.js
 // Node types, graph traversal helpers, and aggregation utilities.
+import { normalizeTimeGrains } from './dateUtils';
+import { normalizeBinSpecs } from './binUtils';
+import { normalizeSqlParams } from './sqlUtils';
 
 const NodeType = {
   SOURCE: 'SOURCE',
@@ -7,7 +10,19 @@ const NodeType = {
   AGGREGATE: 'AGGREGATE',
   SORT: 'SORT',
   LIMIT: 'LIMIT',
+  CALCULATE: 'CALCULATE',
+  WINDOW: 'WINDOW',
+  TOP_N: 'TOP_N',
+  BIN: 'BIN',
+  COLUMNS: 'COLUMNS',
+  DEDUPE: 'DEDUPE',
+  CLEAN: 'CLEAN',
+  SAMPLE: 'SAMPLE',
+  UNPIVOT: 'UNPIVOT',
+  PIVOT_COLUMNS: 'PIVOT_COLUMNS',
+  APPEND: 'APPEND',
   JOIN: 'JOIN',
+  SQL: 'SQL',
   COMPONENT: 'COMPONENT'
 };
 
@@ -73,46 +88,235 @@ const buildLeafCountMap = (nodes, options = {}) => {
 
 const getNodeResult = (chainData, id) => chainData.find(r => r.nodeId === id);
 
-const getCalculationOrder = (nodes) => {
-  // Breadth-first ensures parent nodes are processed before children.
+// Nodes a JOIN or APPEND reads from other branches, besides its parent.
+const getNodeReferences = (node) => {
+  if (node?.type === 'JOIN') return node.params?.rightNodeId ? [node.params.rightNodeId] : [];
+  if (node?.type === 'APPEND') return normalizeAppendParams(node.params).nodeIds;
+  if (node?.type === 'SQL') return Array.from(new Set(Object.values(normalizeSqlParams(node.params).nodeIds)));
+  return [];
+};
+
+// Breadth-first ensures parent nodes are processed before children; a node that references
+// another branch waits until that node is processed. When only waiting nodes remain, they form
+// (or depend on) a reference cycle: the first one is released with its references marked cyclic.
+const orderNodes = (nodes) => {
+  const ids = new Set(nodes.map(n => n.id));
   const order = [];
+  const processed = new Set();
+  const cyclicIds = new Set();
   const queue = nodes.filter(n => n.parentId === null);
-  while (queue.length > 0) {
-    const current = queue.shift();
-    order.push(current);
-    const children = getChildren(nodes, current.id);
-    queue.push(...children);
+  let waiting = [];
+  const isReady = (node) => getNodeReferences(node).every(id => !ids.has(id) || processed.has(id));
+  while (queue.length > 0 || waiting.length > 0) {
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (!cyclicIds.has(current.id) && !isReady(current)) {
+        waiting.push(current);
+        continue;
+      }
+      order.push(current);
+      processed.add(current.id);
+      queue.push(...getChildren(nodes, current.id));
+    }
+    const ready = waiting.filter(isReady);
+    if (ready.length > 0) {
+      waiting = waiting.filter(node => !ready.includes(node));
+      queue.push(...ready);
+    } else if (waiting.length > 0) {
+      cyclicIds.add(waiting[0].id);
+      queue.push(waiting.shift());
+    }
   }
-  return order;
+  return { order, cyclicIds };
+};
+
+const getCalculationOrder = (nodes) => orderNodes(nodes).order;
+
+// Ids of nodes whose references could not be honoured because of a cycle.
+const findReferenceCycleNodes = (nodes) => orderNodes(nodes).cyclicIds;
+
+// Nodes that read nodeId's output, directly or transitively (as a child or through a reference).
+// Referencing any of them from nodeId would create a cycle.
+const getDependentNodeIds = (nodes, nodeId) => {
+  const dependents = new Set();
+  const visit = (id) => {
+    nodes.forEach((node) => {
+      if (dependents.has(node.id)) return;
+      if (node.parentId !== id && !getNodeReferences(node).includes(id)) return;
+      dependents.add(node.id);
+      visit(node.id);
+    });
+  };
+  visit(nodeId);
+  return dependents;
 };
 
 const formatNumber = (num) =>
   new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 }).format(num);
 
-const calculateMetric = (data, field, fn) => {
-  if (fn === 'count') return data.length;
-  if (fn === 'count_distinct') {
-    if (!field) return 0;
-    const set = new Set();
-    data.forEach(row => {
-      const value = row[field];
-      if (value === null || value === undefined || value === '') return;
-      set.add(value);
-    });
-    return set.size;
+const COUNT_OUTPUT_FIELD = 'Record Count';
+
+const normalizeGroupByFields = (groupBy) => {
+  if (Array.isArray(groupBy)) return groupBy.filter(Boolean);
+  return groupBy ? [groupBy] : [];
+};
+
+// APPEND stacks the listed tables and node outputs under the parent rows; `sourceColumn` names an
+// optional origin column, filled with the table name or the node label stored when it was picked.
+const normalizeAppendParams = (params = {}) => ({
+  tables: Array.from(new Set(normalizeGroupByFields(params?.appendTables))),
+  nodeIds: Array.from(new Set(normalizeGroupByFields(params?.appendNodeIds))),
+  nodeLabels: params?.appendNodeLabels && typeof params.appendNodeLabels === 'object' ? params.appendNodeLabels : {},
+  sourceColumn: String(params?.sourceColumn || '').trim()
+});
+
+// AGGREGATE params accept either the legacy single `fn`/`metricField` pair or a
+// list of `metrics` ({ fn, field, alias }); both resolve to unique output names, and an alias that
+// repeats a group-by field or an earlier metric gets a numeric suffix.
+// `groupByGrains` maps date dimensions to a time grain and `groupByBins` numeric ones to a bin spec;
+// those keep their name but hold bucket labels.
+const normalizeAggregateParams = (params = {}) => {
+  const groupBy = normalizeGroupByFields(params?.groupBy);
+  const rawMetrics = Array.isArray(params?.metrics) && params.metrics.length > 0
+    ? params.metrics
+    : [{ id: 'metric-default', fn: params?.fn || 'count', field: params?.metricField || '' }];
+  const usedNames = new Set(groupBy);
+  const metrics = rawMetrics.map((metric, index) => {
+    const fn = metric?.fn || 'count';
+    const field = fn === 'count' ? '' : (metric?.field || '');
+    const customAlias = String(metric?.alias || '').trim();
+    let alias = customAlias || (fn === 'count' ? COUNT_OUTPUT_FIELD : (field || fn));
+    if (!customAlias && usedNames.has(alias)) alias = field ? `${fn}_${field}` : `${fn}_${index + 1}`;
+    const base = alias;
+    for (let suffix = 2; usedNames.has(alias); suffix += 1) alias = `${base}_${suffix}`;
+    usedNames.add(alias);
+    return { ...metric, id: metric?.id || `metric-${index}`, fn, field, alias };
+  });
+  const timeGrains = normalizeTimeGrains(params?.groupByGrains, groupBy);
+  return { groupBy, metrics, timeGrains, bins: normalizeBinSpecs(params?.groupByBins, groupBy, timeGrains) };
+};
+
+const isBlankValue = (value) => value === null || value === undefined || value === '';
+
+// Percentiles are written as `p<N>` with N from 0 to 100 (e.g. p90, p99.5); `median` is p50.
+const parsePercentile = (fn) => {
+  if (fn === 'median') return 50;
+  const match = typeof fn === 'string' ? fn.match(/^p(100|\d{1,2}(?:\.\d+)?)$/) : null;
+  return match ? Number(match[1]) : null;
+};
+
+const AGGREGATION_LABELS = {
+  count: 'Count',
+  count_distinct: 'Distinct Count',
+  sum: 'Sum',
+  avg: 'Average',
+  min: 'Min',
+  max: 'Max',
+  median: 'Median',
+  stddev: 'Std Deviation',
+  variance: 'Variance',
+  mode: 'Mode',
+  first: 'First',
+  last: 'Last',
+  null_count: 'Blank Count'
+};
+
+const formatAggregationLabel = (fn) => {
+  if (AGGREGATION_LABELS[fn]) return AGGREGATION_LABELS[fn];
+  const percentile = parsePercentile(fn);
+  return percentile === null ? (fn || 'Count') : `P${percentile}`;
+};
+
+const aggregationRequiresField = (fn) => !!fn && fn !== 'count';
+
+const createAggregationState = (fn) => ({
+  count: 0,
+  blankCount: 0,
+  numericCount: 0,
+  sum: 0,
+  // Running mean and sum of squared deviations (Welford), so variance keeps its precision for
+  // values far from zero such as timestamps.
+  mean: 0,
+  m2: 0,
+  min: null,
+  max: null,
+  first: null,
+  last: null,
+  distinct: fn === 'count_distinct' ? new Set() : null,
+  valueCounts: fn === 'mode' ? new Map() : null,
+  numericValues: parsePercentile(fn) !== null ? [] : null
+});
+
+const accumulateAggregation = (state, rawValue) => {
+  state.count += 1;
+  if (isBlankValue(rawValue)) {
+    state.blankCount += 1;
+    return;
   }
-  if (!field) return 0;
-  const values = data
-    .map(d => Number(d[field]))
-    .filter(v => !Number.isNaN(v));
+  if (state.first === null) state.first = rawValue;
+  state.last = rawValue;
+  if (state.distinct) state.distinct.add(rawValue);
+  if (state.valueCounts) state.valueCounts.set(rawValue, (state.valueCounts.get(rawValue) || 0) + 1);
+  const value = Number(rawValue);
+  if (Number.isNaN(value)) return;
+  state.numericCount += 1;
+  state.sum += value;
+  const delta = value - state.mean;
+  state.mean += delta / state.numericCount;
+  state.m2 += delta * (value - state.mean);
+  state.min = state.min === null ? value : Math.min(state.min, value);
+  state.max = state.max === null ? value : Math.max(state.max, value);
+  if (state.numericValues) state.numericValues.push(value);
+};
+
+const computePercentile = (values, percentile) => {
   if (values.length === 0) return 0;
-  if (fn === 'sum') return values.reduce((a, b) => a + b, 0);
-  if (fn === 'avg') return values.reduce((a, b) => a + b, 0) / values.length;
-  if (fn === 'min') return Math.min(...values);
-  if (fn === 'max') return Math.max(...values);
+  const sorted = [...values].sort((a, b) => a - b);
+  // Linear interpolation between closest ranks (same as spreadsheet PERCENTILE.INC).
+  const rank = (percentile / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const computeVariance = (state) => (state.numericCount < 2 ? 0 : state.m2 / (state.numericCount - 1));
+
+const finalizeAggregation = (state, fn) => {
+  if (fn === 'count') return state.count;
+  if (fn === 'count_distinct') return state.distinct ? state.distinct.size : 0;
+  if (fn === 'null_count') return state.blankCount;
+  if (fn === 'first') return state.first;
+  if (fn === 'last') return state.last;
+  if (fn === 'mode') {
+    let best = null;
+    let bestCount = 0;
+    (state.valueCounts || new Map()).forEach((count, value) => {
+      if (count > bestCount) {
+        best = value;
+        bestCount = count;
+      }
+    });
+    return best;
+  }
+  if (fn === 'sum') return state.sum;
+  if (fn === 'avg') return state.numericCount ? state.sum / state.numericCount : 0;
+  if (fn === 'min') return state.min ?? 0;
+  if (fn === 'max') return state.max ?? 0;
+  if (fn === 'variance') return computeVariance(state);
+  if (fn === 'stddev') return Math.sqrt(computeVariance(state));
+  const percentile = parsePercentile(fn);
+  if (percentile !== null) return computePercentile(state.numericValues || [], percentile);
   return 0;
 };
 
+const calculateMetric = (data, field, fn) => {
+  if (fn === 'count') return data.length;
+  if (!field) return 0;
+  const state = createAggregationState(fn);
+  data.forEach(row => accumulateAggregation(state, row[field]));
+  return finalizeAggregation(state, fn);
+};
+
 export {
   NodeType,
   ComponentType,
@@ -121,6 +325,20 @@ export {
   buildLeafCountMap,
   getNodeResult,
   getCalculationOrder,
+  getNodeReferences,
+  findReferenceCycleNodes,
+  getDependentNodeIds,
   formatNumber,
+  COUNT_OUTPUT_FIELD,
+  normalizeGroupByFields,
+  normalizeAppendParams,
+  normalizeAggregateParams,
+  AGGREGATION_LABELS,
+  parsePercentile,
+  formatAggregationLabel,
+  aggregationRequiresField,
+  createAggregationState,
+  accumulateAggregation,
+  finalizeAggregation,
   calculateMetric
 };
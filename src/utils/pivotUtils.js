@@ -0,0 +1,49 @@
+// src/utils/pivotUtils.js
+// Pivot table settings: nested row/column levels, totals and percentage display modes.
+import { isTimeGrain } from './dateUtils';
+import { normalizeBinSpec } from './binUtils';
+
+const PIVOT_DISPLAY_MODES = [
+  { value: 'value', label: 'Values' },
+  { value: 'pct_row', label: '% of Row' },
+  { value: 'pct_column', label: '% of Column' },
+  { value: 'pct_total', label: '% of Total' }
+];
+
+// Header key of the grand total row/column; other headers are keyed by their JSON path.
+const PIVOT_TOTAL_KEY = '[]';
+
+const isPivotDisplayMode = (mode) => PIVOT_DISPLAY_MODES.some((item) => item.value === mode);
+
+// Keeps levels with a field; a level buckets by a time grain or, failing that, by bins.
+const normalizePivotLevels = (levels) => (Array.isArray(levels) ? levels : [])
+  .filter((level) => level?.field)
+  .map((level) => {
+    const grain = isTimeGrain(level.grain) ? level.grain : '';
+    return { field: level.field, grain, bins: grain ? null : normalizeBinSpec(level.bins) };
+  });
+
+// Pivot component params. `pivotRows` / `pivotColumns` list the nested levels; older pivots
+// store a single level in `pivotRow` / `pivotColumn` with their grain and bins.
+const normalizePivotParams = (params = {}) => {
+  const readLevels = (levels, field, grain, bins) => normalizePivotLevels(
+    Array.isArray(levels) && levels.length > 0 ? levels : [{ field, grain, bins }]
+  );
+  return {
+    rows: readLevels(params?.pivotRows, params?.pivotRow, params?.pivotRowGrain, params?.pivotRowBins),
+    columns: readLevels(params?.pivotColumns, params?.pivotColumn, params?.pivotColumnGrain, params?.pivotColumnBins),
+    valueField: params?.pivotValue || '',
+    fn: params?.pivotFn || 'count',
+    totals: params?.pivotTotals !== false,
+    subtotals: !!params?.pivotSubtotals,
+    displayMode: isPivotDisplayMode(params?.pivotDisplay) ? params.pivotDisplay : 'value'
+  };
+};
+
+export {
+  PIVOT_DISPLAY_MODES,
+  PIVOT_TOTAL_KEY,
+  isPivotDisplayMode,
+  normalizePivotLevels,
+  normalizePivotParams
+};
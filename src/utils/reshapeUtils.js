@@ -0,0 +1,57 @@
+// src/utils/reshapeUtils.js
+// Unpivot (wide to long) and pivot-to-columns (long to wide) node params.
+import { normalizeGroupByFields } from './nodeUtils';
+
+const DEFAULT_UNPIVOT_NAME_COLUMN = 'attribute';
+const DEFAULT_UNPIVOT_VALUE_COLUMN = 'value';
+const DEFAULT_PIVOT_COLUMNS_FN = 'first';
+// Pivoting a column with more distinct values than this is almost always a mistake.
+const MAX_PIVOT_COLUMNS = 500;
+
+// UNPIVOT turns `unpivotColumns` into rows of (name, value); the other columns repeat on each row.
+const normalizeUnpivotParams = (params = {}) => ({
+  columns: Array.from(new Set(normalizeGroupByFields(params?.unpivotColumns))),
+  nameColumn: String(params?.unpivotNameColumn || '').trim() || DEFAULT_UNPIVOT_NAME_COLUMN,
+  valueColumn: String(params?.unpivotValueColumn || '').trim() || DEFAULT_UNPIVOT_VALUE_COLUMN,
+  dropBlanks: !!params?.unpivotDropBlanks
+});
+
+// PIVOT_COLUMNS makes one column per distinct `pivotNamesFrom` value, filled from `pivotValuesFrom`
+// and aggregated with `pivotColumnsFn` per row of `pivotIndex` (all other columns when empty).
+const normalizePivotColumnsParams = (params = {}) => {
+  const namesFrom = params?.pivotNamesFrom || '';
+  const valuesFrom = params?.pivotValuesFrom || '';
+  return {
+    namesFrom,
+    valuesFrom,
+    index: normalizeGroupByFields(params?.pivotIndex).filter((field) => field !== namesFrom && field !== valuesFrom),
+    fn: params?.pivotColumnsFn || DEFAULT_PIVOT_COLUMNS_FN,
+    prefix: String(params?.pivotColumnPrefix || '')
+  };
+};
+
+// Output column name for a pivoted value; blanks become `(blank)` and clashes get a numeric suffix.
+const createPivotColumnNamer = (reservedNames, prefix = '') => {
+  const used = new Set(reservedNames);
+  const names = new Map();
+  return (value) => {
+    const key = value === null || value === undefined || value === '' ? '(blank)' : String(value);
+    if (names.has(key)) return names.get(key);
+    const base = `${prefix}${key}`;
+    let name = base;
+    for (let suffix = 2; used.has(name); suffix += 1) name = `${base}_${suffix}`;
+    used.add(name);
+    names.set(key, name);
+    return name;
+  };
+};
+
+export {
+  DEFAULT_UNPIVOT_NAME_COLUMN,
+  DEFAULT_UNPIVOT_VALUE_COLUMN,
+  DEFAULT_PIVOT_COLUMNS_FN,
+  MAX_PIVOT_COLUMNS,
+  normalizeUnpivotParams,
+  normalizePivotColumnsParams,
+  createPivotColumnNamer
+};
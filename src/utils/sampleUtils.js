@@ -0,0 +1,117 @@
+// src/utils/sampleUtils.js
+// Sample node: reproducible random subsets by row count or percentage, optionally stratified.
+
+const SAMPLE_METHODS = [
+  { value: 'rows', label: 'Number of rows' },
+  { value: 'percent', label: 'Percentage' }
+];
+
+const DEFAULT_SAMPLE_SIZE = 1000;
+const DEFAULT_SAMPLE_PERCENT = 10;
+const DEFAULT_SAMPLE_SEED = 42;
+
+const isSampleMethod = (method) => SAMPLE_METHODS.some((item) => item.value === method);
+
+// A switched-off sample (`sampleEnabled: false`) passes every row through, so a pipeline built
+// on a sample can run on the full data without removing the step.
+const normalizeSampleParams = (params = {}) => {
+  const size = Math.floor(Number(params?.sampleSize));
+  const percent = Number(params?.samplePercent);
+  const seed = Math.floor(Number(params?.sampleSeed));
+  return {
+    enabled: params?.sampleEnabled !== false,
+    method: isSampleMethod(params?.sampleMethod) ? params.sampleMethod : 'rows',
+    size: Number.isFinite(size) && size >= 0 ? size : DEFAULT_SAMPLE_SIZE,
+    percent: Number.isFinite(percent) ? Math.min(Math.max(percent, 0), 100) : DEFAULT_SAMPLE_PERCENT,
+    strataField: params?.sampleStrataBy || '',
+    seed: Number.isFinite(seed) ? seed : DEFAULT_SAMPLE_SEED
+  };
+};
+
+// Rows to keep out of `rowCount` for normalized sample params.
+const getSampleSize = ({ method, size, percent }, rowCount) => (
+  method === 'percent' ? Math.round((rowCount * percent) / 100) : Math.min(size, rowCount)
+);
+
+// Seeded generator (mulberry32) returning floats in [0, 1); the same seed gives the same sequence.
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Splits `total` rows across strata in proportion to their sizes; leftover rows go to the
+// largest remainders, ties to the stratum seen first.
+const allocateStrata = (counts, total) => {
+  const rowCount = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+  const quotas = new Map();
+  if (rowCount === 0) return quotas;
+  const remainders = [];
+  let allocated = 0;
+  counts.forEach((count, key) => {
+    const exact = (total * count) / rowCount;
+    quotas.set(key, Math.floor(exact));
+    allocated += Math.floor(exact);
+    remainders.push({ key, remainder: exact - Math.floor(exact) });
+  });
+  remainders
+    .sort((a, b) => b.remainder - a.remainder)
+    .slice(0, total - allocated)
+    .forEach(({ key }) => quotas.set(key, quotas.get(key) + 1));
+  return quotas;
+};
+
+const toStratumKey = (value) => (value === null || value === undefined ? '' : String(value));
+
+// Picks `sampleSize` row ids in input order with selection sampling: each row is kept with
+// probability (rows still needed) / (rows left), which draws a uniform sample in one pass.
+// `readStratum(index)` stratifies the sample so every value keeps its share of the rows.
+const sampleRowIds = (rowCount, sampleSize, { seed = DEFAULT_SAMPLE_SEED, readStratum = null } = {}) => {
+  const random = createRandom(seed);
+  const target = Math.min(Math.max(sampleSize, 0), rowCount);
+  const rowIds = new Uint32Array(target);
+  let next = 0;
+  if (!readStratum) {
+    for (let i = 0; i < rowCount && next < target; i += 1) {
+      if (random() * (rowCount - i) < target - next) {
+        rowIds[next] = i;
+        next += 1;
+      }
+    }
+    return { rowIds, strata: null };
+  }
+  const keys = new Array(rowCount);
+  const remaining = new Map();
+  for (let i = 0; i < rowCount; i += 1) {
+    keys[i] = toStratumKey(readStratum(i));
+    remaining.set(keys[i], (remaining.get(keys[i]) || 0) + 1);
+  }
+  const needed = allocateStrata(remaining, target);
+  for (let i = 0; i < rowCount; i += 1) {
+    const key = keys[i];
+    const left = remaining.get(key);
+    const want = needed.get(key);
+    if (want > 0 && random() * left < want) {
+      rowIds[next] = i;
+      next += 1;
+      needed.set(key, want - 1);
+    }
+    remaining.set(key, left - 1);
+  }
+  return { rowIds, strata: needed.size };
+};
+
+export {
+  SAMPLE_METHODS,
+  DEFAULT_SAMPLE_SIZE,
+  DEFAULT_SAMPLE_PERCENT,
+  DEFAULT_SAMPLE_SEED,
+  normalizeSampleParams,
+  getSampleSize,
+  sampleRowIds
+};
@@ -0,0 +1,174 @@
+// src/utils/schemaUtils.js
+// Column type inference and type-aware coercion/comparison.
+import { parseDateParts } from './dateUtils';
+
+const COLUMN_TYPES = ['integer', 'decimal', 'boolean', 'date', 'datetime', 'string', 'mixed'];
+
+const COLUMN_TYPE_LABELS = {
+  integer: 'Integer',
+  decimal: 'Decimal',
+  boolean: 'Boolean',
+  date: 'Date',
+  datetime: 'Date & Time',
+  string: 'Text',
+  mixed: 'Mixed'
+};
+
+const INFERENCE_SAMPLE_SIZE = 1000;
+
+const INTEGER_PATTERN = /^[-+]?\d+$/;
+const DECIMAL_PATTERN = /^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:e[-+]?\d+)?$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}$/;
+const ISO_DATETIME_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}[T ]\d{1,2}:\d{2}/;
+const SLASH_DATE_PATTERN = /^\d{1,2}\/\d{1,2}\/\d{2,4}$/;
+const SLASH_DATETIME_PATTERN = /^\d{1,2}\/\d{1,2}\/\d{2,4}[ T]\d{1,2}:\d{2}/;
+const TRUE_VALUES = new Set(['true', 'yes', 'y', '1']);
+const FALSE_VALUES = new Set(['false', 'no', 'n', '0']);
+
+const isBlank = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+const isNumericType = (type) => type === 'integer' || type === 'decimal';
+const isDateType = (type) => type === 'date' || type === 'datetime';
+
+// Date-only text is local midnight, like the ranges relative date filters build; Date.parse would
+// read `YYYY-MM-DD` as UTC and shift it by a day outside UTC.
+const parseDateValue = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.getTime();
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (isBlank(value)) return null;
+  const text = String(value).trim();
+  if (ISO_DATE_PATTERN.test(text)) {
+    const parts = parseDateParts(text, 'YYYY-MM-DD');
+    return parts ? new Date(parts.year, parts.month - 1, parts.day).getTime() : null;
+  }
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : time;
+};
+
+const parseBooleanValue = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (isBlank(value)) return null;
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.has(text)) return true;
+  if (FALSE_VALUES.has(text)) return false;
+  return null;
+};
+
+// Returns the narrowest type for a single value, or null for blanks.
+const inferValueType = (value) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return 'string';
+    return Number.isInteger(value) ? 'integer' : 'decimal';
+  }
+  if (value instanceof Date) return 'datetime';
+  const text = String(value).trim();
+  // Leading zeros usually mean an identifier (zip codes, SKUs), not a number.
+  if (INTEGER_PATTERN.test(text)) return /^[-+]?0\d/.test(text) ? 'string' : 'integer';
+  if (DECIMAL_PATTERN.test(text)) return 'decimal';
+  const lower = text.toLowerCase();
+  if (lower === 'true' || lower === 'false') return 'boolean';
+  if ((ISO_DATE_PATTERN.test(text) || SLASH_DATE_PATTERN.test(text)) && parseDateValue(text) !== null) return 'date';
+  if ((ISO_DATETIME_PATTERN.test(text) || SLASH_DATETIME_PATTERN.test(text)) && parseDateValue(text) !== null) {
+    return 'datetime';
+  }
+  return 'string';
+};
+
+const mergeColumnTypes = (a, b) => {
+  if (!a) return b;
+  if (!b || a === b) return a;
+  if (isNumericType(a) && isNumericType(b)) return 'decimal';
+  if (isDateType(a) && isDateType(b)) return 'datetime';
+  return 'mixed';
+};
+
+const inferColumnType = (values = []) => {
+  let type = null;
+  let hasZeroPadded = false;
+  for (const value of values) {
+    const valueType = inferValueType(value);
+    // Zero-padded codes next to plain integers make the whole column an identifier.
+    if (valueType === 'string' && INTEGER_PATTERN.test(String(value).trim())) {
+      hasZeroPadded = true;
+      type = type === null || type === 'integer' ? 'string' : mergeColumnTypes(type, valueType);
+    } else if (valueType === 'integer' && hasZeroPadded && type === 'string') {
+      continue;
+    } else {
+      type = mergeColumnTypes(type, valueType);
+    }
+    if (type === 'mixed') break;
+  }
+  return type || 'string';
+};
+
+const inferColumnTypes = (rows = [], fields = [], sampleSize = INFERENCE_SAMPLE_SIZE) => {
+  const sample = Array.isArray(rows) ? rows.slice(0, sampleSize) : [];
+  return fields.reduce((acc, field) => {
+    acc[field] = inferColumnType(sample.map((row) => row?.[field]));
+    return acc;
+  }, {});
+};
+
+// Applies user overrides on top of inferred types, ignoring unknown type names.
+const applyColumnTypeOverrides = (inferred = {}, overrides = {}) => {
+  const resolved = { ...inferred };
+  Object.entries(overrides || {}).forEach(([field, type]) => {
+    if (field in resolved && COLUMN_TYPES.includes(type)) resolved[field] = type;
+  });
+  return resolved;
+};
+
+// Converts a raw cell into the comparable value for a type; blanks and unparseable values become null.
+const coerceValue = (value, type) => {
+  if (isBlank(value)) return null;
+  if (isNumericType(type)) {
+    const numeric = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(numeric)) return null;
+    return type === 'integer' ? Math.trunc(numeric) : numeric;
+  }
+  if (isDateType(type)) return parseDateValue(value);
+  if (type === 'boolean') return parseBooleanValue(value);
+  return String(value);
+};
+
+const compareLooseValues = (aRaw, bRaw) => {
+  if (aRaw == null && bRaw == null) return 0;
+  if (aRaw == null) return 1;
+  if (bRaw == null) return -1;
+  const aNum = Number(aRaw);
+  const bNum = Number(bRaw);
+  if (!Number.isNaN(aNum) && !Number.isNaN(bNum)) return aNum - bNum;
+  return String(aRaw).localeCompare(String(bRaw), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// Compares two raw cells under a column type. Nulls sort last; mixed or unknown types fall back to loose comparison.
+const compareTypedValues = (aRaw, bRaw, type) => {
+  if (!type || type === 'mixed') return compareLooseValues(aRaw, bRaw);
+  const a = coerceValue(aRaw, type);
+  const b = coerceValue(bRaw, type);
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  if (type === 'string') return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+  return Number(a) - Number(b);
+};
+
+export {
+  COLUMN_TYPES,
+  COLUMN_TYPE_LABELS,
+  INFERENCE_SAMPLE_SIZE,
+  isNumericType,
+  isDateType,
+  parseDateValue,
+  parseBooleanValue,
+  inferValueType,
+  inferColumnType,
+  inferColumnTypes,
+  mergeColumnTypes,
+  applyColumnTypeOverrides,
+  coerceValue,
+  compareLooseValues,
+  compareTypedValues
+};
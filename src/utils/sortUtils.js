@@ -0,0 +1,112 @@
+// src/utils/sortUtils.js
+// Shared helpers for sort, limit, top-N and dedupe nodes.
+import { compareTypedValues } from './schemaUtils';
+import { normalizeGroupByFields } from './nodeUtils';
+
+const DEFAULT_SORT_DIRECTION = 'asc';
+const DEFAULT_NULLS_POSITION = 'last';
+const DEFAULT_LIMIT = 10;
+const DEFAULT_TOP_N = 3;
+const DEFAULT_OTHERS_LABEL = 'Others';
+
+const DEDUPE_KEEP_RULES = [
+  { value: 'first', label: 'First row' },
+  { value: 'last', label: 'Last row' },
+  { value: 'max', label: 'Highest value of…' },
+  { value: 'min', label: 'Lowest value of…' }
+];
+
+const normalizeSortKeys = (params = {}) => {
+  if (!params) return [];
+  if (Array.isArray(params.sortKeys)) {
+    return params.sortKeys.map((key) => ({
+      ...key,
+      field: key?.field || '',
+      direction: key?.direction === 'desc' ? 'desc' : DEFAULT_SORT_DIRECTION,
+      nulls: key?.nulls === 'first' ? 'first' : DEFAULT_NULLS_POSITION
+    }));
+  }
+  // Accept the single-key shape used by table components and LLM plans.
+  const field = params.sortBy || params.field;
+  if (field) {
+    const direction = params.sortDirection || params.direction;
+    return [{
+      field,
+      direction: direction === 'desc' ? 'desc' : DEFAULT_SORT_DIRECTION,
+      nulls: params.nulls === 'first' ? 'first' : DEFAULT_NULLS_POSITION
+    }];
+  }
+  return [];
+};
+
+const normalizeLimitParams = (params = {}) => {
+  const limit = Number(params?.limit);
+  const offset = Number(params?.offset);
+  return {
+    limit: Number.isFinite(limit) && limit >= 0 ? Math.floor(limit) : DEFAULT_LIMIT,
+    offset: Number.isFinite(offset) && offset > 0 ? Math.floor(offset) : 0,
+    fromEnd: params?.limitMode === 'bottom'
+  };
+};
+
+// Top-N keeps the first `topN` rows of each group by `orderBy`; without a field, input order is kept.
+const normalizeTopNParams = (params = {}) => {
+  const limit = Number(params?.topN);
+  return {
+    groupBy: normalizeGroupByFields(params?.groupBy),
+    orderBy: params?.orderBy || '',
+    direction: params?.orderDirection === 'asc' ? 'asc' : 'desc',
+    limit: Number.isFinite(limit) && limit >= 1 ? Math.floor(limit) : DEFAULT_TOP_N,
+    includeOthers: !!params?.includeOthers,
+    othersLabel: String(params?.othersLabel || '').trim() || DEFAULT_OTHERS_LABEL
+  };
+};
+
+// Dedupe keeps one row per distinct `dedupeKeys` combination (every column when empty). `max`/`min`
+// keep the row with the highest/lowest `dedupeBy` value and fall back to the first row without one.
+const normalizeDedupeParams = (params = {}) => {
+  const keep = DEDUPE_KEEP_RULES.some((rule) => rule.value === params?.dedupeKeep) ? params.dedupeKeep : 'first';
+  const orderBy = keep === 'max' || keep === 'min' ? (params?.dedupeBy || '') : '';
+  return {
+    keys: normalizeGroupByFields(params?.dedupeKeys),
+    keep: (keep === 'max' || keep === 'min') && !orderBy ? 'first' : keep,
+    orderBy,
+    ignoreCase: !!params?.dedupeIgnoreCase,
+    trim: !!params?.dedupeTrim
+  };
+};
+
+const isBlankSortValue = (value) => value === null || value === undefined || value === '';
+
+// Compares rows a and b by pre-read key values (keyValues[k][row]); returns 0 when all keys tie.
+const createSortKeyComparator = (sortKeys, keyValues, columnTypes = {}) => (a, b) => {
+  for (let k = 0; k < sortKeys.length; k += 1) {
+    const key = sortKeys[k];
+    const aValue = keyValues[k][a];
+    const bValue = keyValues[k][b];
+    const aBlank = isBlankSortValue(aValue);
+    const bBlank = isBlankSortValue(bValue);
+    if (aBlank || bBlank) {
+      if (aBlank && bBlank) continue;
+      const nullsFirst = key.nulls === 'first';
+      return aBlank === nullsFirst ? -1 : 1;
+    }
+    const result = compareTypedValues(aValue, bValue, columnTypes?.[key.field]);
+    if (result !== 0) return key.direction === 'desc' ? -result : result;
+  }
+  return 0;
+};
+
+export {
+  DEFAULT_SORT_DIRECTION,
+  DEFAULT_NULLS_POSITION,
+  DEFAULT_LIMIT,
+  DEFAULT_TOP_N,
+  DEFAULT_OTHERS_LABEL,
+  DEDUPE_KEEP_RULES,
+  normalizeSortKeys,
+  normalizeLimitParams,
+  normalizeTopNParams,
+  normalizeDedupeParams,
+  createSortKeyComparator
+};
@@ -0,0 +1,894 @@
+// src/utils/sqlUtils.js
+// SQL node: parses a SELECT statement and compiles it into the engine's own steps
+// (JOIN, FILTER, CALCULATE, AGGREGATE, SORT, COLUMNS, DEDUPE and LIMIT).
+import { parseExpression } from './expression';
+
+// Name that refers to the SQL node's own input.
+const SQL_INPUT_SOURCE = 'input';
+const DEFAULT_SQL = `SELECT *\nFROM ${SQL_INPUT_SOURCE}`;
+
+const KEYWORDS = new Set([
+  'SELECT', 'DISTINCT', 'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'ASC', 'DESC', 'LIMIT', 'OFFSET',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'ON', 'AS', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL',
+  'LIKE', 'BETWEEN', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'TRUE', 'FALSE', 'NULLS'
+]);
+const OPERATORS = ['<=', '>=', '<>', '!=', '||', '=', '<', '>', '+', '-', '*', '/', '%', '(', ')', ',', '.', ';'];
+const QUOTED_IDENTIFIERS = { '"': '"', '`': '`', '[': ']' };
+const JOIN_KEYWORDS = ['INNER', 'LEFT', 'RIGHT', 'FULL'];
+
+// Aggregate functions and the AGGREGATE metric they run as; PERCENTILE(x, n) becomes `p<n>`.
+const AGGREGATE_FUNCTIONS = {
+  COUNT: 'count',
+  SUM: 'sum',
+  AVG: 'avg',
+  MIN: 'min',
+  MAX: 'max',
+  MEDIAN: 'median',
+  PERCENTILE: 'percentile',
+  STDDEV: 'stddev',
+  VARIANCE: 'variance',
+  MODE: 'mode',
+  FIRST: 'first',
+  LAST: 'last'
+};
+
+const FILTER_OPERATORS = { '=': 'equals', '!=': 'not_equals', '<>': 'not_equals', '>': 'gt', '<': 'lt', '>=': 'gte', '<=': 'lte' };
+const FLIPPED_OPERATORS = { '=': '=', '!=': '!=', '<>': '<>', '>': '<', '<': '>', '>=': '<=', '<=': '>=' };
+const NEGATED_OPERATORS = { '=': '!=', '!=': '=', '<>': '=', '>': '<=', '<': '>=', '>=': '<', '<=': '>' };
+
+// `sql` is the query text; `sqlNodeIds` maps lower-case source names to the nodes they read.
+const normalizeSqlParams = (params = {}) => {
+  const nodeIds = {};
+  Object.entries(params?.sqlNodeIds && typeof params.sqlNodeIds === 'object' ? params.sqlNodeIds : {})
+    .forEach(([name, id]) => {
+      if (name && id && typeof id === 'string') nodeIds[name.toLowerCase()] = id;
+    });
+  return { sql: String(params?.sql ?? ''), nodeIds };
+};
+
+// 1-based line and column of a character offset.
+const getSqlLocation = (source, position) => {
+  const lines = String(source).slice(0, Math.max(position, 0)).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+};
+
+// Syntax and compile errors point at the offending text: `position` / `end` are character
+// offsets, `line` / `column` are for display and `reason` is the message without them.
+const createSqlError = (message, source, position = 0, end = position + 1) => {
+  const { line, column } = getSqlLocation(source, position);
+  const error = new Error(`${message} (line ${line}, column ${column})`);
+  error.reason = message;
+  error.position = position;
+  error.end = Math.max(end, position + 1);
+  error.line = line;
+  error.column = column;
+  return error;
+};
+
+const readQuoted = (source, start, close, fail, what) => {
+  let value = '';
+  let i = start + 1;
+  while (i < source.length) {
+    if (source[i] === close) {
+      if (source[i + 1] !== close) return { value, end: i + 1 };
+      i += 1;
+    }
+    value += source[i];
+    i += 1;
+  }
+  return fail(`Unterminated ${what}`, start, source.length);
+};
+
+const tokenize = (source, fail) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    const start = i;
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (source.startsWith('--', i)) {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end + 1;
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) fail('Unterminated comment', i, source.length);
+      i = end + 2;
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      i += match[0].length;
+      tokens.push({ type: 'number', value: Number(match[0]), position: start, end: i });
+    } else if (char === "'") {
+      const { value, end } = readQuoted(source, i, "'", fail, 'string');
+      i = end;
+      tokens.push({ type: 'string', value, position: start, end });
+    } else if (QUOTED_IDENTIFIERS[char]) {
+      const { value, end } = readQuoted(source, i, QUOTED_IDENTIFIERS[char], fail, 'name');
+      if (!value) fail('Empty name', start, end);
+      i = end;
+      tokens.push({ type: 'identifier', value, quoted: true, position: start, end });
+    } else if (/[\p{L}_]/u.test(char)) {
+      const word = source.slice(i).match(/^[\p{L}\p{N}_$]+/u)[0];
+      const upper = word.toUpperCase();
+      i += word.length;
+      tokens.push(KEYWORDS.has(upper)
+        ? { type: 'keyword', value: upper, position: start, end: i }
+        : { type: 'identifier', value: word, quoted: false, position: start, end: i });
+    } else {
+      const operator = OPERATORS.find((op) => source.startsWith(op, i));
+      if (!operator) fail(`Unexpected character "${char}"`, start);
+      i += operator.length;
+      tokens.push({ type: 'operator', value: operator, position: start, end: i });
+    }
+  }
+  tokens.push({ type: 'eof', value: null, position: source.length, end: source.length });
+  return tokens;
+};
+
+// Parses one SELECT statement:
+//   SELECT [DISTINCT] items FROM source [alias]
+//   {[INNER | LEFT | RIGHT | FULL] [OUTER] JOIN source [alias] ON condition}
+//   [WHERE condition] [GROUP BY exprs] [HAVING condition]
+//   [ORDER BY expr [ASC | DESC] [NULLS FIRST | LAST], ...] [LIMIT n [OFFSET m]]
+// Every AST node keeps the `position` / `end` of its text. Throws errors from `createSqlError`.
+const parseSql = (source) => {
+  const text = String(source ?? '');
+  const fail = (message, position, end) => {
+    throw createSqlError(message, text, position, end);
+  };
+  if (!text.trim()) fail('Query is empty', 0);
+  const tokens = tokenize(text, fail);
+  let index = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+  const next = () => tokens[index++];
+  const lastEnd = () => tokens[index - 1].end;
+  const isKeyword = (value, token = peek()) => token.type === 'keyword' && token.value === value;
+  const isOperator = (value, token = peek()) => token.type === 'operator' && token.value === value;
+  const describe = (token) => (token.type === 'eof' ? 'end of query' : `"${text.slice(token.position, token.end)}"`);
+  const unexpected = (expected) => {
+    const token = peek();
+    return fail(expected ? `Expected ${expected} but found ${describe(token)}` : `Unexpected ${describe(token)}`, token.position, token.end);
+  };
+  const acceptKeyword = (value) => {
+    if (!isKeyword(value)) return false;
+    next();
+    return true;
+  };
+  const expectKeyword = (value) => (isKeyword(value) ? next() : unexpected(value));
+  const expectOperator = (value) => (isOperator(value) ? next() : unexpected(`"${value}"`));
+  const expectIdentifier = (what) => (peek().type === 'identifier' ? next() : unexpected(what));
+
+  let parseOr = null;
+
+  const parseList = (parseItem) => {
+    const items = [parseItem()];
+    while (isOperator(',')) {
+      next();
+      items.push(parseItem());
+    }
+    return items;
+  };
+
+  const parseCall = (nameToken) => {
+    const name = nameToken.value.toUpperCase();
+    next();
+    const call = { type: 'call', name, args: [], distinct: false, star: false, position: nameToken.position };
+    if (name === 'COUNT' && isOperator('*')) {
+      next();
+      call.star = true;
+    } else if (!isOperator(')')) {
+      call.distinct = acceptKeyword('DISTINCT');
+      call.args = parseList(() => parseOr());
+    }
+    expectOperator(')');
+    return { ...call, end: lastEnd() };
+  };
+
+  const parseCase = (start) => {
+    const operand = isKeyword('WHEN') ? null : parseOr();
+    const branches = [];
+    while (acceptKeyword('WHEN')) {
+      const when = parseOr();
+      expectKeyword('THEN');
+      branches.push({ when, then: parseOr() });
+    }
+    if (branches.length === 0) unexpected('WHEN');
+    const otherwise = acceptKeyword('ELSE') ? parseOr() : null;
+    expectKeyword('END');
+    return { type: 'case', operand, branches, otherwise, position: start, end: lastEnd() };
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (token.type === 'number' || token.type === 'string') {
+      next();
+      return { type: 'literal', value: token.value, position: token.position, end: token.end };
+    }
+    if (isKeyword('TRUE') || isKeyword('FALSE') || isKeyword('NULL')) {
+      next();
+      const value = token.value === 'NULL' ? null : token.value === 'TRUE';
+      return { type: 'literal', value, position: token.position, end: token.end };
+    }
+    if (isKeyword('CASE')) {
+      next();
+      return parseCase(token.position);
+    }
+    if (isOperator('(')) {
+      next();
+      const inner = parseOr();
+      expectOperator(')');
+      return { ...inner, position: token.position, end: lastEnd() };
+    }
+    // LEFT and RIGHT are join keywords but also text functions.
+    const isFunctionKeyword = isKeyword('LEFT') || isKeyword('RIGHT');
+    if ((token.type === 'identifier' && !token.quoted) || isFunctionKeyword) {
+      if (isOperator('(', peek(1))) {
+        next();
+        return parseCall(token);
+      }
+    }
+    if (token.type === 'identifier') {
+      next();
+      if (isOperator('.')) {
+        next();
+        const column = expectIdentifier('a column name');
+        return { type: 'column', table: token.value, name: column.value, position: token.position, end: column.end };
+      }
+      return { type: 'column', table: null, name: token.value, position: token.position, end: token.end };
+    }
+    return unexpected('a value or column');
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (isOperator('-') || isOperator('+')) {
+      next();
+      const arg = parseUnary();
+      return { type: 'unary', op: token.value, arg, position: token.position, end: arg.end };
+    }
+    return parsePrimary();
+  };
+
+  const parseBinaryLevel = (parseOperand, operators) => () => {
+    let left = parseOperand();
+    while (operators.some((op) => isOperator(op))) {
+      const op = next().value;
+      const right = parseOperand();
+      left = { type: 'binary', op, left, right, position: left.position, end: right.end };
+    }
+    return left;
+  };
+
+  const parseMultiplicative = parseBinaryLevel(parseUnary, ['*', '/', '%']);
+  const parseAdditive = parseBinaryLevel(parseMultiplicative, ['+', '-']);
+  const parseConcat = parseBinaryLevel(parseAdditive, ['||']);
+
+  const parsePredicate = () => {
+    const left = parseConcat();
+    const start = left.position;
+    if (acceptKeyword('IS')) {
+      const negate = acceptKeyword('NOT');
+      expectKeyword('NULL');
+      return { type: 'isnull', arg: left, negate, position: start, end: lastEnd() };
+    }
+    const negate = isKeyword('NOT') && ['IN', 'BETWEEN', 'LIKE'].some((value) => isKeyword(value, peek(1)));
+    if (negate) next();
+    if (acceptKeyword('IN')) {
+      expectOperator('(');
+      const list = parseList(() => parseConcat());
+      expectOperator(')');
+      return { type: 'in', arg: left, list, negate, position: start, end: lastEnd() };
+    }
+    if (acceptKeyword('BETWEEN')) {
+      const low = parseConcat();
+      expectKeyword('AND');
+      const high = parseConcat();
+      return { type: 'between', arg: left, low, high, negate, position: start, end: high.end };
+    }
+    if (acceptKeyword('LIKE')) {
+      const pattern = parseConcat();
+      return { type: 'like', arg: left, pattern, negate, position: start, end: pattern.end };
+    }
+    if (peek().type === 'operator' && FILTER_OPERATORS[peek().value]) {
+      const op = next().value;
+      const right = parseConcat();
+      return { type: 'binary', op, left, right, position: start, end: right.end };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    const token = peek();
+    if (acceptKeyword('NOT')) {
+      const arg = parseNot();
+      return { type: 'unary', op: 'NOT', arg, position: token.position, end: arg.end };
+    }
+    return parsePredicate();
+  };
+
+  const parseLogical = (parseOperand, keyword) => () => {
+    let left = parseOperand();
+    while (acceptKeyword(keyword)) {
+      const right = parseOperand();
+      left = { type: 'binary', op: keyword, left, right, position: left.position, end: right.end };
+    }
+    return left;
+  };
+  parseOr = parseLogical(parseLogical(parseNot, 'AND'), 'OR');
+
+  const parseSelectItem = () => {
+    const start = peek().position;
+    if (isOperator('*')) {
+      next();
+      return { type: 'star', table: null, position: start, end: lastEnd() };
+    }
+    if (peek().type === 'identifier' && isOperator('.', peek(1)) && isOperator('*', peek(2))) {
+      const table = next().value;
+      next();
+      next();
+      return { type: 'star', table, position: start, end: lastEnd() };
+    }
+    const expr = parseOr();
+    let alias = null;
+    if (acceptKeyword('AS')) alias = expectIdentifier('a column name').value;
+    else if (peek().type === 'identifier') alias = next().value;
+    return { type: 'expr', expr, alias, text: text.slice(start, expr.end), position: start, end: lastEnd() };
+  };
+
+  const parseSource = () => {
+    const token = expectIdentifier('a table name');
+    let alias = token.value;
+    if (acceptKeyword('AS')) alias = expectIdentifier('an alias').value;
+    else if (peek().type === 'identifier') alias = next().value;
+    return { name: token.value, alias, position: token.position, end: lastEnd() };
+  };
+
+  const parseJoin = () => {
+    const start = peek().position;
+    let joinType = 'INNER';
+    const typeKeyword = JOIN_KEYWORDS.find((value) => isKeyword(value));
+    if (typeKeyword) {
+      next();
+      joinType = typeKeyword;
+      if (typeKeyword !== 'INNER') acceptKeyword('OUTER');
+    }
+    expectKeyword('JOIN');
+    const joined = parseSource();
+    expectKeyword('ON');
+    const on = parseOr();
+    return { joinType, source: joined, on, position: start, end: on.end };
+  };
+
+  const parseOrderItem = () => {
+    const expr = parseOr();
+    let direction = 'asc';
+    if (acceptKeyword('DESC')) direction = 'desc';
+    else acceptKeyword('ASC');
+    let nulls = null;
+    if (acceptKeyword('NULLS')) {
+      const token = peek();
+      const value = token.type === 'identifier' ? token.value.toUpperCase() : '';
+      if (value !== 'FIRST' && value !== 'LAST') unexpected('FIRST or LAST');
+      next();
+      nulls = value.toLowerCase();
+    }
+    return { expr, direction, nulls };
+  };
+
+  const parseCount = (what) => {
+    const token = peek();
+    if (token.type !== 'number' || !Number.isInteger(token.value)) unexpected(what);
+    next();
+    return token.value;
+  };
+
+  expectKeyword('SELECT');
+  const query = { distinct: acceptKeyword('DISTINCT') };
+  query.items = parseList(parseSelectItem);
+  expectKeyword('FROM');
+  query.from = parseSource();
+  query.joins = [];
+  while (isKeyword('JOIN') || JOIN_KEYWORDS.some((value) => isKeyword(value))) query.joins.push(parseJoin());
+  query.where = acceptKeyword('WHERE') ? parseOr() : null;
+  query.groupBy = [];
+  if (acceptKeyword('GROUP')) {
+    expectKeyword('BY');
+    query.groupBy = parseList(() => parseOr());
+  }
+  query.having = acceptKeyword('HAVING') ? parseOr() : null;
+  query.orderBy = [];
+  if (acceptKeyword('ORDER')) {
+    expectKeyword('BY');
+    query.orderBy = parseList(parseOrderItem);
+  }
+  query.limit = null;
+  query.offset = 0;
+  if (acceptKeyword('LIMIT')) {
+    query.limit = parseCount('a row count');
+    if (acceptKeyword('OFFSET')) query.offset = parseCount('a row count');
+  }
+  if (isOperator(';')) next();
+  if (peek().type !== 'eof') unexpected();
+  return query;
+};
+
+// Table and node names a parsed query reads, in order.
+const getSqlSourceNames = (query) => [query.from.name, ...query.joins.map((join) => join.source.name)];
+
+const isAggregateCall = (expr) => expr.type === 'call' && Object.hasOwn(AGGREGATE_FUNCTIONS, expr.name);
+
+const getChildren = (expr) => {
+  switch (expr.type) {
+    case 'unary':
+    case 'isnull':
+      return [expr.arg];
+    case 'binary':
+      return [expr.left, expr.right];
+    case 'between':
+      return [expr.arg, expr.low, expr.high];
+    case 'in':
+      return [expr.arg, ...expr.list];
+    case 'like':
+      return [expr.arg, expr.pattern];
+    case 'call':
+      return expr.args;
+    case 'case':
+      return [expr.operand, ...expr.branches.flatMap((branch) => [branch.when, branch.then]), expr.otherwise].filter(Boolean);
+    default:
+      return [];
+  }
+};
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Exact match first, then a unique case-insensitive one.
+const findName = (names, name) => {
+  if (names.includes(name)) return name;
+  const matches = names.filter((candidate) => sameName(candidate, name));
+  return matches.length === 1 ? matches[0] : null;
+};
+
+const quoteText = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const likeToRegex = (pattern) => `^${Array.from(pattern, (char) => {
+  if (char === '%') return '.*';
+  if (char === '_') return '.';
+  return escapeRegExp(char);
+}).join('')}$`;
+
+// LIKE outside WHERE/HAVING only handles a `%` at the start and/or end. Like in WHERE, it is case-sensitive.
+const likeToExpression = (arg, pattern) => {
+  const core = pattern.replace(/^%/, '').replace(/%$/, '');
+  if (/[%_]/.test(core)) return null;
+  const value = quoteText(core);
+  const starts = pattern.startsWith('%');
+  const ends = pattern.length > 1 && pattern.endsWith('%');
+  if (starts && ends) return core ? `(LEN(REPLACE(TEXT(${arg}), ${value}, '')) < LEN(TEXT(${arg})))` : 'TRUE';
+  if (ends) return `(LEFT(${arg}, ${core.length}) = ${value})`;
+  if (starts) return `(RIGHT(${arg}, ${core.length}) = ${value})`;
+  return `(TEXT(${arg}) = ${value})`;
+};
+
+const isGroupFilter = (filter) => filter?.type === 'group';
+
+// Compiles SQL text into `{ from, steps, columns }`: `from` is what `resolveSource(name)` returned
+// for the FROM source, `steps` are engine step specs to run on it in order and `columns` the
+// output column names. `resolveSource` returns `{ schema, table, nodeId }` or null for unknown
+// names; joined columns are named `<table or alias>_<field>` like prefix-named JOIN nodes.
+// Expressions become CALCULATE helper columns, which the final COLUMNS step drops again.
+const compileSql = (source, resolveSource) => {
+  const text = String(source ?? '');
+  const query = parseSql(text);
+  const fail = (message, at = {}) => {
+    throw createSqlError(message, text, at.position ?? 0, at.end);
+  };
+  const steps = [];
+  const usedNames = new Set();
+  let helperCount = 0;
+
+  const lookupSource = (ref) => {
+    const found = resolveSource(ref.name);
+    if (!found) fail(`Unknown table "${ref.name}"`, ref);
+    found.schema.forEach((field) => usedNames.add(field));
+    return found;
+  };
+
+  const reserveName = () => {
+    let name = '';
+    do {
+      helperCount += 1;
+      name = `__sql${helperCount}`;
+    } while (usedNames.has(name));
+    usedNames.add(name);
+    return name;
+  };
+
+  const addHelper = (expression, at) => {
+    try {
+      parseExpression(expression);
+    } catch (err) {
+      fail(err.message.replace(/ at position \d+$/, ''), at);
+    }
+    const name = reserveName();
+    steps.push({ type: 'CALCULATE', params: { columnName: name, expression } });
+    return name;
+  };
+
+  // FROM and JOIN: each scope maps its source fields to the columns they became.
+  const from = lookupSource(query.from);
+  const scopes = [{ alias: query.from.alias, columns: new Map(from.schema.map((field) => [field, field])) }];
+
+  const resolveIn = (candidates, ref) => {
+    const matches = [];
+    candidates.forEach((scope) => {
+      const field = findName(Array.from(scope.columns.keys()), ref.name);
+      if (field !== null) matches.push({ scope, field, column: scope.columns.get(field) });
+    });
+    if (matches.length > 1) fail(`Column "${ref.name}" is ambiguous; prefix it with a table name`, ref);
+    return matches[0] || null;
+  };
+
+  const findScopes = (candidates, ref) => {
+    if (!ref.table) return candidates;
+    const matches = candidates.filter((scope) => sameName(scope.alias, ref.table));
+    if (matches.length === 0) fail(`Unknown table "${ref.table}"`, ref);
+    return matches;
+  };
+
+  const resolveColumn = (ref) => {
+    const match = resolveIn(findScopes(scopes, ref), ref);
+    if (!match) fail(`Unknown column "${ref.table ? `${ref.table}.` : ''}${ref.name}"`, ref);
+    return match.column;
+  };
+
+  query.joins.forEach((join) => {
+    const alias = join.source.alias;
+    if (scopes.some((scope) => sameName(scope.alias, alias))) fail(`Table "${alias}" is used twice; give it another alias`, join.source);
+    const right = lookupSource(join.source);
+    const prefix = right.table || alias.replace(/\s+/g, '_');
+    const current = new Set(scopes.flatMap((scope) => Array.from(scope.columns.values())));
+    const rightScope = { alias, columns: new Map(right.schema.map((field) => [field, `${prefix}_${field}`])) };
+    const clash = Array.from(rightScope.columns.values()).find((column) => current.has(column));
+    if (clash) fail(`Joining "${join.source.name}" would repeat column "${clash}"`, join.source);
+
+    const keys = [];
+    const readSide = (ref) => {
+      const left = ref.table && sameName(ref.table, alias) ? null : resolveIn(findScopes(scopes, ref), ref);
+      const rightMatch = ref.table && !sameName(ref.table, alias) ? null : resolveIn([rightScope], ref);
+      if (left && rightMatch) fail(`Column "${ref.name}" is ambiguous; prefix it with a table name`, ref);
+      if (!left && !rightMatch) fail(`Unknown column "${ref.table ? `${ref.table}.` : ''}${ref.name}"`, ref);
+      return left ? { side: 'left', field: left.column } : { side: 'right', field: rightMatch.field };
+    };
+    const collectKeys = (condition) => {
+      if (condition.type === 'binary' && condition.op === 'AND') {
+        collectKeys(condition.left);
+        collectKeys(condition.right);
+        return;
+      }
+      if (condition.type === 'binary' && condition.op === '=' && condition.left.type === 'column' && condition.right.type === 'column') {
+        const sides = [readSide(condition.left), readSide(condition.right)];
+        const leftSide = sides.find((side) => side.side === 'left');
+        const rightSide = sides.find((side) => side.side === 'right');
+        if (leftSide && rightSide) {
+          keys.push({ left: leftSide.field, right: rightSide.field });
+          return;
+        }
+      }
+      fail('JOIN ... ON only supports equal columns from both sides, combined with AND', condition);
+    };
+    collectKeys(join.on);
+    steps.push({
+      type: 'JOIN',
+      params: {
+        joinType: join.joinType,
+        rightTable: right.table || '',
+        rightNodeId: right.nodeId || '',
+        rightLabel: alias,
+        joinKeys: keys,
+        columnNaming: 'prefix',
+        trimKeys: false
+      }
+    });
+    rightScope.columns.forEach((column) => usedNames.add(column));
+    scopes.push(rightScope);
+  });
+
+  // Row-level expressions resolve columns through the scopes; aggregates are not allowed.
+  const rowResolve = (expr) => {
+    if (expr.type === 'column') return resolveColumn(expr);
+    if (isAggregateCall(expr)) fail(`${expr.name} can only be used in SELECT, HAVING or ORDER BY`, expr);
+    return null;
+  };
+
+  // Structural key of an expression, with columns resolved so `o.region` matches `region`.
+  const exprKey = (expr) => JSON.stringify(expr, (key, value) => {
+    if (key === 'position' || key === 'end') return undefined;
+    if (value?.type === 'column') return { type: 'column', column: resolveColumn(value) };
+    return value;
+  });
+
+  const toExpression = (expr, resolve) => {
+    const column = resolve(expr);
+    if (column !== null) {
+      if (column.includes(']')) fail(`Column "${column}" cannot be used in an expression`, expr);
+      return `[${column}]`;
+    }
+    const sub = (child) => toExpression(child, resolve);
+    switch (expr.type) {
+      case 'literal':
+        if (expr.value === null) return 'NULL';
+        if (typeof expr.value === 'boolean') return expr.value ? 'TRUE' : 'FALSE';
+        return typeof expr.value === 'number' ? String(expr.value) : quoteText(expr.value);
+      case 'unary':
+        return expr.op === 'NOT' ? `(NOT ${sub(expr.arg)})` : `(${expr.op}${sub(expr.arg)})`;
+      case 'binary':
+        return `(${sub(expr.left)} ${expr.op === '||' ? '&' : expr.op} ${sub(expr.right)})`;
+      case 'isnull':
+        return expr.negate ? `(NOT ISBLANK(${sub(expr.arg)}))` : `ISBLANK(${sub(expr.arg)})`;
+      case 'between': {
+        const arg = sub(expr.arg);
+        const inner = `((${arg} >= ${sub(expr.low)}) AND (${arg} <= ${sub(expr.high)}))`;
+        return expr.negate ? `(NOT ${inner})` : inner;
+      }
+      case 'in': {
+        const arg = sub(expr.arg);
+        const inner = `(${expr.list.map((item) => `(${arg} = ${sub(item)})`).join(' OR ')})`;
+        return expr.negate ? `(NOT ${inner})` : inner;
+      }
+      case 'like': {
+        if (expr.pattern.type !== 'literal' || typeof expr.pattern.value !== 'string') fail('LIKE needs a text pattern', expr.pattern);
+        const inner = likeToExpression(sub(expr.arg), expr.pattern.value);
+        if (!inner) fail('Only LIKE patterns with % at the start or end can be used outside WHERE and HAVING', expr.pattern);
+        return expr.negate ? `(NOT ${inner})` : inner;
+      }
+      case 'case': {
+        const operand = expr.operand ? sub(expr.operand) : null;
+        const branches = expr.branches
+          .map((branch) => ` WHEN ${operand ? `(${operand} = ${sub(branch.when)})` : sub(branch.when)} THEN ${sub(branch.then)}`)
+          .join('');
+        return `(CASE${branches}${expr.otherwise ? ` ELSE ${sub(expr.otherwise)}` : ''} END)`;
+      }
+      case 'call': {
+        if (expr.distinct || expr.star) fail(`${expr.name} does not take ${expr.star ? '*' : 'DISTINCT'}`, expr);
+        const call = `${expr.name}(${expr.args.map(sub).join(', ')})`;
+        try {
+          parseExpression(call);
+        } catch (err) {
+          fail(err.message.replace(/ at position \d+$/, ''), expr);
+        }
+        return call;
+      }
+      default:
+        return fail('Unsupported expression', expr);
+    }
+  };
+
+  // WHERE and HAVING become filter trees that keep the rows where the condition is true. Comparing NULL
+  // gives unknown, and so does negating that, so NOT is pushed down to the conditions and each comparison
+  // also requires its column to be non-NULL. Conditions the filter operators cannot express are computed
+  // into a helper column that is non-blank where the condition holds.
+  const toFilterCondition = (expr, resolve, negate) => {
+    const columnOf = (child) => (child.type === 'literal' ? null : resolve(child));
+    const valueOf = (child) => (child.type === 'literal' && child.value !== null && child.value !== '' ? String(child.value) : null);
+    const compared = (field, condition, negateCondition) => ({
+      type: 'group',
+      combinator: 'AND',
+      negate: false,
+      filters: [
+        { field, operator: 'is_not_null', value: '' },
+        negateCondition ? { type: 'group', combinator: 'AND', negate: true, filters: [condition] } : condition
+      ]
+    });
+    if (expr.type === 'isnull') {
+      const field = columnOf(expr.arg);
+      return field ? { field, operator: expr.negate !== negate ? 'is_not_null' : 'is_null', value: '' } : null;
+    }
+    if (expr.type === 'binary' && FILTER_OPERATORS[expr.op]) {
+      const direct = { field: columnOf(expr.left), value: valueOf(expr.right), op: expr.op };
+      const flipped = { field: columnOf(expr.right), value: valueOf(expr.left), op: FLIPPED_OPERATORS[expr.op] };
+      const match = [direct, flipped].find((item) => item.field && item.value !== null);
+      if (!match) return null;
+      const operator = FILTER_OPERATORS[negate ? NEGATED_OPERATORS[match.op] : match.op];
+      return compared(match.field, { field: match.field, operator, value: match.value }, false);
+    }
+    if (expr.type === 'between') {
+      const field = columnOf(expr.arg);
+      const low = valueOf(expr.low);
+      const high = valueOf(expr.high);
+      if (!field || low === null || high === null) return null;
+      return compared(field, { field, operator: 'between', value: low, valueTo: high }, expr.negate !== negate);
+    }
+    if (expr.type === 'in') {
+      const field = columnOf(expr.arg);
+      const values = expr.list.map(valueOf);
+      if (!field || values.includes(null)) return null;
+      return compared(field, { field, operator: expr.negate !== negate ? 'not_in' : 'in', value: values }, false);
+    }
+    if (expr.type === 'like') {
+      const field = columnOf(expr.arg);
+      if (!field || expr.pattern.type !== 'literal' || typeof expr.pattern.value !== 'string') return null;
+      const condition = { field, operator: 'regex', value: likeToRegex(expr.pattern.value), caseSensitive: true };
+      return compared(field, condition, expr.negate !== negate);
+    }
+    return null;
+  };
+
+  // `negate` is set under an odd number of NOTs; AND and OR swap under it.
+  const toFilter = (expr, resolve, negate = false) => {
+    if (expr.type === 'binary' && (expr.op === 'AND' || expr.op === 'OR')) {
+      const combinator = (expr.op === 'AND') !== negate ? 'AND' : 'OR';
+      const filters = [];
+      const flatten = (child) => {
+        if (child.type === 'binary' && child.op === expr.op) {
+          flatten(child.left);
+          flatten(child.right);
+          return;
+        }
+        const filter = toFilter(child, resolve, negate);
+        // A nested group with the same combinator adds nothing; its conditions join this one.
+        if (isGroupFilter(filter) && !filter.negate && filter.combinator === combinator) filters.push(...filter.filters);
+        else filters.push(filter);
+      };
+      flatten(expr);
+      return { type: 'group', combinator, negate: false, filters };
+    }
+    if (expr.type === 'unary' && expr.op === 'NOT') return toFilter(expr.arg, resolve, !negate);
+    const condition = toFilterCondition(expr, resolve, negate);
+    if (condition) return condition;
+    const holds = toExpression(negate ? { type: 'unary', op: 'NOT', arg: expr } : expr, resolve);
+    return { field: addHelper(`IF(${holds}, 1, NULL)`, expr), operator: 'is_not_null', value: '' };
+  };
+
+  const addFilterStep = (expr, resolve) => {
+    const tree = toFilter(expr, resolve);
+    const params = isGroupFilter(tree) && !tree.negate
+      ? { combinator: tree.combinator, filters: tree.filters }
+      : { combinator: 'AND', filters: [tree] };
+    steps.push({ type: 'FILTER', params });
+  };
+
+  if (query.where) addFilterStep(query.where, rowResolve);
+
+  // GROUP BY and aggregates.
+  const exprItems = query.items.filter((item) => item.type === 'expr');
+  const aggregates = [];
+  const collectAggregates = (expr, inside = null) => {
+    if (isAggregateCall(expr)) {
+      if (inside) fail('Aggregate functions cannot be nested', expr);
+      aggregates.push(expr);
+    }
+    getChildren(expr).forEach((child) => collectAggregates(child, inside || (isAggregateCall(expr) ? expr : null)));
+  };
+  exprItems.forEach((item) => collectAggregates(item.expr));
+  if (query.having) collectAggregates(query.having);
+  query.orderBy.forEach((order) => collectAggregates(order.expr));
+  const grouped = query.groupBy.length > 0 || aggregates.length > 0;
+
+  const groupKeys = [];
+  const aggregateAliases = new Map();
+  if (grouped) {
+    const groupFields = [];
+    query.groupBy.forEach((expr) => {
+      let target = expr;
+      if (expr.type === 'literal' && typeof expr.value === 'number') {
+        const item = query.items[expr.value - 1];
+        if (!Number.isInteger(expr.value) || item?.type !== 'expr') fail(`GROUP BY position ${expr.value} is not in the select list`, expr);
+        target = item.expr;
+      } else if (expr.type === 'column' && !expr.table && !resolveIn(scopes, expr)) {
+        const item = exprItems.find((candidate) => candidate.alias && sameName(candidate.alias, expr.name));
+        if (item) target = item.expr;
+      }
+      const field = target.type === 'column'
+        ? rowResolve(target)
+        : addHelper(toExpression(target, rowResolve), target);
+      groupKeys.push({ key: exprKey(target), field });
+      if (!groupFields.includes(field)) groupFields.push(field);
+    });
+    // Aggregates without GROUP BY summarize all rows into one group.
+    if (groupFields.length === 0) groupFields.push(addHelper('1', query.items[0]));
+
+    const metrics = [];
+    aggregates.forEach((call) => {
+      const key = exprKey(call);
+      if (aggregateAliases.has(key)) return;
+      const [arg, ...extra] = call.args;
+      let fn = AGGREGATE_FUNCTIONS[call.name];
+      if (call.distinct && call.name !== 'COUNT') fail('DISTINCT is only supported in COUNT', call);
+      if (call.name === 'PERCENTILE') {
+        const percent = extra[0]?.type === 'literal' ? Number(extra[0].value) : NaN;
+        if (call.args.length !== 2 || !(percent >= 0 && percent <= 100)) fail('PERCENTILE needs a column and a number from 0 to 100', call);
+        fn = `p${percent}`;
+      } else if (!call.star && call.args.length !== 1) {
+        fail(`${call.name} takes one argument`, call);
+      }
+      let field = '';
+      if (call.name === 'COUNT' && !call.star && !call.distinct) {
+        // COUNT(x) counts non-blank values: sum a helper that is 1 where x is set.
+        fn = 'sum';
+        field = addHelper(`IF(ISBLANK(${toExpression(arg, rowResolve)}), NULL, 1)`, call);
+      } else if (!call.star) {
+        if (call.distinct) fn = 'count_distinct';
+        field = arg.type === 'column' ? rowResolve(arg) : addHelper(toExpression(arg, rowResolve), arg);
+      }
+      const alias = reserveName();
+      aggregateAliases.set(key, alias);
+      metrics.push({ fn, field, alias });
+    });
+    steps.push({ type: 'AGGREGATE', params: { groupBy: groupFields, metrics } });
+  }
+
+  // After aggregation only group keys and aggregates can be read.
+  const groupedResolve = (expr) => {
+    if (isAggregateCall(expr)) return aggregateAliases.get(exprKey(expr));
+    if (expr.type === 'literal') return null;
+    const key = exprKey(expr);
+    const group = groupKeys.find((item) => item.key === key);
+    if (group) return group.field;
+    if (expr.type === 'column') fail(`Column "${expr.name}" must be in GROUP BY or inside an aggregate function`, expr);
+    return null;
+  };
+  const resolve = grouped ? groupedResolve : rowResolve;
+
+  if (query.having) {
+    if (!grouped) fail('HAVING needs GROUP BY or an aggregate function', query.having);
+    addFilterStep(query.having, groupedResolve);
+  }
+
+  // Select list.
+  const outputs = [];
+  const projected = new Set();
+  const addOutput = (name, field, at) => {
+    if (outputs.some((output) => output.name === name)) fail(`Two columns are named "${name}"`, at);
+    const source = projected.has(field) ? addHelper(`[${field}]`, at) : field;
+    projected.add(source);
+    outputs.push({ name, field: source });
+  };
+  query.items.forEach((item) => {
+    if (item.type === 'star') {
+      if (grouped) fail('SELECT * cannot be combined with GROUP BY or aggregates', item);
+      findScopes(scopes, item).forEach((scope) => scope.columns.forEach((column) => addOutput(column, column, item)));
+      return;
+    }
+    const column = resolve(item.expr);
+    const name = item.alias || (item.expr.type === 'column' ? item.expr.name : item.text);
+    addOutput(name, column ?? addHelper(toExpression(item.expr, resolve), item.expr), item);
+  });
+
+  if (query.orderBy.length > 0) {
+    const sortKeys = query.orderBy.map(({ expr, direction, nulls }) => {
+      let field = null;
+      if (expr.type === 'literal' && typeof expr.value === 'number') {
+        const output = outputs[expr.value - 1];
+        if (!Number.isInteger(expr.value) || !output) fail(`ORDER BY position ${expr.value} is not in the select list`, expr);
+        field = output.field;
+      } else if (expr.type === 'column' && !expr.table) {
+        field = outputs.find((output) => sameName(output.name, expr.name))?.field || null;
+      }
+      if (!field) field = resolve(expr) ?? addHelper(toExpression(expr, resolve), expr);
+      return { field, direction, ...(nulls ? { nulls } : {}) };
+    });
+    steps.push({ type: 'SORT', params: { sortKeys } });
+  }
+
+  steps.push({
+    type: 'COLUMNS',
+    params: { columnOps: outputs.map(({ name, field }) => ({ field, name })), keepNewColumns: false }
+  });
+  if (query.distinct) steps.push({ type: 'DEDUPE', params: { dedupeKeys: [], dedupeTrim: false } });
+  if (query.limit !== null) steps.push({ type: 'LIMIT', params: { limit: query.limit, offset: query.offset } });
+
+  return { from, steps, columns: outputs.map((output) => output.name) };
+};
+
+export {
+  SQL_INPUT_SOURCE,
+  DEFAULT_SQL,
+  normalizeSqlParams,
+  getSqlLocation,
+  parseSql,
+  getSqlSourceNames,
+  compileSql
+};
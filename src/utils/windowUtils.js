@@ -0,0 +1,160 @@
+// src/utils/windowUtils.js
+// Window node helpers: per-row values computed over ordered partitions.
+import { normalizeSortKeys, createSortKeyComparator } from './sortUtils';
+import { normalizeGroupByFields } from './nodeUtils';
+
+const WINDOW_FUNCTIONS = [
+  { value: 'row_number', label: 'Row Number', requiresField: false },
+  { value: 'rank', label: 'Rank', requiresField: false },
+  { value: 'dense_rank', label: 'Dense Rank', requiresField: false },
+  { value: 'running_sum', label: 'Running Sum', requiresField: true },
+  { value: 'running_count', label: 'Running Count', requiresField: false, acceptsField: true },
+  { value: 'lag', label: 'Lag (previous row)', requiresField: true },
+  { value: 'lead', label: 'Lead (next row)', requiresField: true },
+  { value: 'pct_of_total', label: '% of Partition Total', requiresField: true },
+  { value: 'moving_avg', label: 'Moving Average', requiresField: true }
+];
+
+const DEFAULT_WINDOW_OFFSET = 1;
+const DEFAULT_MOVING_WINDOW = 3;
+
+const windowFunctionRequiresField = (fn) => !!WINDOW_FUNCTIONS.find((item) => item.value === fn)?.requiresField;
+
+// Running count takes an optional field and then counts only its non-blank values.
+const windowFunctionAcceptsField = (fn) => {
+  const definition = WINDOW_FUNCTIONS.find((item) => item.value === fn);
+  return !!(definition?.requiresField || definition?.acceptsField);
+};
+
+const toPositiveInteger = (value, fallback) => {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number >= 1 ? number : fallback;
+};
+
+// Drops windows missing a required field and fills default aliases (`<fn>` or `<fn>_<field>`).
+const normalizeWindowParams = (params = {}) => {
+  const partitionBy = normalizeGroupByFields(params?.partitionBy);
+  const sortKeys = normalizeSortKeys(params).filter((key) => key.field);
+  const usedNames = new Set();
+  const windows = (Array.isArray(params?.windows) ? params.windows : [])
+    .filter((item) => WINDOW_FUNCTIONS.some((fn) => fn.value === item?.fn))
+    .filter((item) => !windowFunctionRequiresField(item.fn) || item.field)
+    .map((item, index) => {
+      const field = windowFunctionAcceptsField(item.fn) ? (item.field || '') : '';
+      const customAlias = String(item.alias || '').trim();
+      let alias = customAlias || (field ? `${item.fn}_${field}` : item.fn);
+      if (!customAlias && usedNames.has(alias)) alias = `${alias}_${index + 1}`;
+      usedNames.add(alias);
+      return {
+        ...item,
+        id: item.id || `window-${index}`,
+        fn: item.fn,
+        field,
+        alias,
+        offset: toPositiveInteger(item.offset, DEFAULT_WINDOW_OFFSET),
+        size: toPositiveInteger(item.size, DEFAULT_MOVING_WINDOW)
+      };
+    });
+  return { partitionBy, sortKeys, windows };
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => {
+  if (isBlank(value)) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Returns one value array per window, indexed by input row; input row order is not changed.
+// readValue(rowIndex, field) reads a cell from the input.
+const computeWindowValues = (rowCount, readValue, { partitionBy, sortKeys, windows }, columnTypes = {}) => {
+  const partitions = new Map();
+  for (let i = 0; i < rowCount; i += 1) {
+    const key = JSON.stringify(partitionBy.map((field) => readValue(i, field)));
+    if (!partitions.has(key)) partitions.set(key, []);
+    partitions.get(key).push(i);
+  }
+  const keyValues = sortKeys.map((key) => {
+    const values = new Array(rowCount);
+    for (let i = 0; i < rowCount; i += 1) values[i] = readValue(i, key.field);
+    return values;
+  });
+  const compare = createSortKeyComparator(sortKeys, keyValues, columnTypes);
+  const fieldValues = new Map();
+  windows.forEach(({ field }) => {
+    if (!field || fieldValues.has(field)) return;
+    const values = new Array(rowCount);
+    for (let i = 0; i < rowCount; i += 1) values[i] = readValue(i, field);
+    fieldValues.set(field, values);
+  });
+  const outputs = windows.map(() => new Array(rowCount).fill(null));
+
+  partitions.forEach((members) => {
+    if (sortKeys.length > 0) members.sort((a, b) => compare(a, b) || a - b);
+    windows.forEach((item, w) => {
+      const output = outputs[w];
+      const values = item.field ? fieldValues.get(item.field) : null;
+      if (item.fn === 'row_number') {
+        members.forEach((row, position) => { output[row] = position + 1; });
+      } else if (item.fn === 'rank' || item.fn === 'dense_rank') {
+        let rank = 0;
+        let dense = 0;
+        members.forEach((row, position) => {
+          if (position === 0 || compare(members[position - 1], row) !== 0) {
+            rank = position + 1;
+            dense += 1;
+          }
+          output[row] = item.fn === 'rank' ? rank : dense;
+        });
+      } else if (item.fn === 'running_count') {
+        let count = 0;
+        members.forEach((row) => {
+          if (!values || !isBlank(values[row])) count += 1;
+          output[row] = count;
+        });
+      } else if (item.fn === 'running_sum') {
+        let sum = 0;
+        members.forEach((row) => {
+          sum += toNumber(values[row]) ?? 0;
+          output[row] = sum;
+        });
+      } else if (item.fn === 'lag' || item.fn === 'lead') {
+        const step = item.fn === 'lag' ? -item.offset : item.offset;
+        members.forEach((row, position) => {
+          const other = members[position + step];
+          output[row] = other === undefined ? null : values[other];
+        });
+      } else if (item.fn === 'pct_of_total') {
+        const total = members.reduce((acc, row) => acc + (toNumber(values[row]) ?? 0), 0);
+        members.forEach((row) => {
+          const value = toNumber(values[row]);
+          output[row] = value === null || total === 0 ? null : (value / total) * 100;
+        });
+      } else if (item.fn === 'moving_avg') {
+        members.forEach((row, position) => {
+          let sum = 0;
+          let count = 0;
+          for (let p = Math.max(0, position - item.size + 1); p <= position; p += 1) {
+            const value = toNumber(values[members[p]]);
+            if (value === null) continue;
+            sum += value;
+            count += 1;
+          }
+          output[row] = count > 0 ? sum / count : null;
+        });
+      }
+    });
+  });
+  return outputs;
+};
+
+export {
+  WINDOW_FUNCTIONS,
+  DEFAULT_WINDOW_OFFSET,
+  DEFAULT_MOVING_WINDOW,
+  windowFunctionRequiresField,
+  windowFunctionAcceptsField,
+  normalizeWindowParams,
+  computeWindowValues
+};
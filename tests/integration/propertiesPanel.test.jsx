@@ -1,5 +1,5 @@
 import { afterEach, describe, expect, it, vi } from 'vitest';
-import { cleanup, render, screen } from '@testing-library/react';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { PropertiesPanel } from '../../src/components/PropertiesPanel.jsx';
 
@@ -58,3 +58,210 @@ describe('PropertiesPanel ingestion controls', () => {
     expect(screen.queryByRole('button', { name: /clear data/i })).toBeNull();
   });
 });
+
+describe('PropertiesPanel filter groups', () => {
+  it('renders nested groups and adds a group to the root list', async () => {
+    const updateNode = vi.fn();
+    const user = userEvent.setup();
+    const node = {
+      id: 'node-filter',
+      parentId: 'node-start',
+      type: 'FILTER',
+      title: 'Filter',
+      isExpanded: true,
+      params: {
+        combinator: 'OR',
+        filters: [
+          { id: 'f1', field: 'brand', operator: 'equals', value: 'Nike' },
+          { id: 'g1', type: 'group', combinator: 'AND', negate: true, filters: [] }
+        ]
+      }
+    };
+
+    render(
+      <PropertiesPanel
+        node={node}
+        updateNode={updateNode}
+        schema={['brand', 'price']}
+        dataModel={{ tables: {}, order: [] }}
+      />
+    );
+
+    expect(screen.getByRole('checkbox', { name: 'NOT' })).toBeChecked();
+    await user.click(screen.getByRole('button', { name: /add group/i }));
+    const [, params] = updateNode.mock.calls.at(-1);
+    expect(params.combinator).toBe('OR');
+    expect(params.filters).toHaveLength(3);
+    expect(params.filters[2]).toMatchObject({ type: 'group', combinator: 'AND', filters: [] });
+  });
+});
+
+describe('PropertiesPanel time grains', () => {
+  const renderNode = (node) => render(
+    <PropertiesPanel
+      node={node}
+      updateNode={vi.fn()}
+      schema={['sold', 'amount']}
+      inputSchema={['sold', 'amount']}
+      columnTypes={{ sold: 'date', amount: 'integer' }}
+      dataModel={{ tables: {}, order: [] }}
+    />
+  );
+
+  it('offers a time grain for date dimensions in Aggregate only', () => {
+    renderNode({ id: 'agg', parentId: 'node-start', type: 'AGGREGATE', title: 'Aggregate', params: { groupBy: ['sold'] } });
+    expect(screen.getByText('Time Grain')).toBeInTheDocument();
+    cleanup();
+
+    renderNode({ id: 'top', parentId: 'node-start', type: 'TOP_N', title: 'Top N', params: { groupBy: ['sold'] } });
+    expect(screen.getByText('Rows per Group')).toBeInTheDocument();
+    expect(screen.queryByText('Time Grain')).toBeNull();
+  });
+});
+
+describe('PropertiesPanel aggregations', () => {
+  const renderGauge = (fn, updateNode = vi.fn()) => render(
+    <PropertiesPanel
+      node={{ id: 'gauge', parentId: 'node-start', type: 'COMPONENT', title: 'Gauge', params: { subtype: 'GAUGE', fn, metricField: 'amount' } }}
+      updateNode={updateNode}
+      schema={['amount']}
+      columnTypes={{ amount: 'integer' }}
+      dataModel={{ tables: {}, order: [] }}
+    />
+  );
+
+  it('edits any percentile and keeps the presets as shortcuts', () => {
+    renderGauge('p90');
+    expect(screen.getByText('90th Percentile')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Percentile')).toBeNull();
+    cleanup();
+
+    const updateNode = vi.fn();
+    renderGauge('p42', updateNode);
+    expect(screen.getByText('Custom Percentile')).toBeInTheDocument();
+    const input = screen.getByLabelText('Percentile');
+    expect(input).toHaveValue('42');
+    fireEvent.change(input, { target: { value: '99.5' } });
+    const [id, params] = updateNode.mock.calls.at(-1);
+    expect(id).toBe('gauge');
+    expect(params.fn).toBe('p99.5');
+  });
+});
+
+describe('PropertiesPanel pivot levels', () => {
+  it('adds a nested row level starting from a single-field pivot', async () => {
+    const updateNode = vi.fn();
+    const user = userEvent.setup();
+    render(
+      <PropertiesPanel
+        node={{
+          id: 'pivot',
+          parentId: 'node-start',
+          type: 'COMPONENT',
+          title: 'Pivot Table',
+          params: { subtype: 'PIVOT', pivotRow: 'region', pivotRowGrain: '', pivotColumn: 'year', pivotFn: 'count' }
+        }}
+        updateNode={updateNode}
+        schema={['region', 'product', 'year']}
+        columnTypes={{ region: 'string', product: 'string', year: 'string' }}
+        dataModel={{ tables: {}, order: [] }}
+      />
+    );
+
+    expect(screen.queryByText('Subtotals')).toBeNull();
+    await user.click(screen.getByRole('button', { name: /add row level/i }));
+    const [, params] = updateNode.mock.calls.at(-1);
+    expect(params.pivotRows).toEqual([{ field: 'region', grain: '', bins: null }, { field: '', grain: '', bins: null }]);
+    expect(params.pivotRow).toBe('region');
+  });
+});
+
+describe('PropertiesPanel columns node', () => {
+  it('pins the current columns before turning off new columns', async () => {
+    const updateNode = vi.fn();
+    const user = userEvent.setup();
+    render(
+      <PropertiesPanel
+        node={{ id: 'cols', parentId: 'node-start', type: 'COLUMNS', title: 'Columns', params: { columnOps: [{ field: 'b', name: 'beta' }] } }}
+        updateNode={updateNode}
+        schema={['a', 'b']}
+        inputSchema={['a', 'b']}
+        columnTypes={{ a: 'string', b: 'integer' }}
+        dataModel={{ tables: {}, order: [] }}
+      />
+    );
+
+    expect(screen.getByText('2 of 2 kept')).toBeInTheDocument();
+    await user.click(screen.getByRole('switch'));
+    const [, params] = updateNode.mock.calls.at(-1);
+    expect(params.keepNewColumns).toBe(false);
+    expect(params.columnOps.map((op) => [op.field, op.name, op.include])).toEqual([['b', 'beta', true], ['a', '', true]]);
+  });
+});
+
+describe('PropertiesPanel clean node', () => {
+  it('flags an invalid pattern and adds replacement rows to the column', async () => {
+    const updateNode = vi.fn();
+    const user = userEvent.setup();
+    render(
+      <PropertiesPanel
+        node={{
+          id: 'clean',
+          parentId: 'node-start',
+          type: 'CLEAN',
+          title: 'Clean Data',
+          params: { cleanOps: [{ field: 'brand', trim: true, replacements: [{ find: '(', replace: '', regex: true }] }] }
+        }}
+        updateNode={updateNode}
+        schema={['brand', 'qty']}
+        inputSchema={['brand', 'qty']}
+        columnTypes={{ brand: 'string', qty: 'integer' }}
+        dataModel={{ tables: {}, order: [] }}
+      />
+    );
+
+    expect(screen.getByText(/^Invalid pattern "\(" for "brand"/)).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: /Add Replacement/ }));
+    const [, params] = updateNode.mock.calls.at(-1);
+    expect(params.cleanOps[0].replacements).toEqual([
+      { find: '(', replace: '', regex: true },
+      { find: '', replace: '', regex: false }
+    ]);
+  });
+});
+
+describe('PropertiesPanel sql node', () => {
+  it('marks the error in the query and saves the steps it reads', async () => {
+    const updateNode = vi.fn();
+    const user = userEvent.setup();
+    const nodes = [
+      { id: 'node-start', parentId: null, type: 'SOURCE', title: 'Load Raw Data', params: {} },
+      { id: 'totals', parentId: 'node-start', type: 'AGGREGATE', title: 'Brand Totals', params: {} },
+      { id: 'sql', parentId: 'node-start', type: 'SQL', title: 'SQL Query', params: {} }
+    ];
+    render(
+      <PropertiesPanel
+        node={{ ...nodes[2], params: { sql: 'SELECT brand, qty\nFROM input\nWHERE qty >> 2' } }}
+        nodes={nodes}
+        getNodeSchema={(id) => (id === 'totals' ? ['brand', 'total'] : [])}
+        updateNode={updateNode}
+        schema={['brand', 'qty']}
+        inputSchema={['brand', 'qty']}
+        columnTypes={{ brand: 'string', qty: 'integer' }}
+        dataModel={{ tables: {}, order: [] }}
+      />
+    );
+
+    expect(screen.getByText('Line 3, column 12: Expected a value or column but found ">"')).toBeInTheDocument();
+    expect(screen.getByText('>', { selector: 'mark' })).toBeInTheDocument();
+
+    const editor = screen.getByPlaceholderText(/^SELECT region/);
+    fireEvent.change(editor, { target: { value: 'SELECT i.brand, t.total FROM input i JOIN "Brand Totals" t ON i.brand = t.brand' } });
+    expect(screen.queryByText(/^Line \d/)).not.toBeInTheDocument();
+    expect(screen.getByText('Runs as: join → columns')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: /Run Query/ }));
+    const [id, params] = updateNode.mock.calls.at(-1);
+    expect(id).toBe('sql');
+    expect(params.sqlNodeIds).toEqual({ 'brand totals': 'totals' });
+  });
+});
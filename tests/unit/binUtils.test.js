@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { buildBins, normalizeBinParams, normalizeBinSpecs, parseBinEdges } from '../../src/utils/binUtils.js';
+
+describe('bin utils', () => {
+  it('rounds equal-width edges to readable steps', () => {
+    const { bins, assign } = buildBins([3, '7', 12, 48, 'n/a'], { method: 'equal_width', count: 5 });
+    expect(bins.map((bin) => bin.label)).toEqual(['0 – 10', '10 – 20', '20 – 30', '30 – 40', '40 – 50']);
+    expect([3, 10, 48, 'n/a', 60].map(assign)).toEqual([0, 1, 4, null, null]);
+  });
+
+  it('splits quantile bins by row position and keeps the maximum in the last bin', () => {
+    const { bins, assign } = buildBins([8, 1, 2, 3, 4, 5, 6, 7], { method: 'quantile', count: 4 });
+    expect(bins.map((bin) => [bin.start, bin.end])).toEqual([[1, 3], [3, 5], [5, 6], [6, 8]]);
+    expect(assign(8)).toBe(3);
+    expect(buildBins([2, 2], { method: 'quantile', count: 4 }).bins.map((bin) => bin.label)).toEqual(['2']);
+  });
+
+  it('adds open-ended bins around custom edges', () => {
+    expect(parseBinEdges('10, 0, 5, x, 5')).toEqual([0, 5, 10]);
+    const { bins, assign } = buildBins([], { method: 'custom', edges: [0, 5, 10] });
+    expect(bins.map((bin) => bin.label)).toEqual(['< 0', '0 – 5', '5 – 10', '≥ 10']);
+    expect([-1, 5, 10, ''].map(assign)).toEqual([0, 2, 3, null]);
+  });
+
+  it('defaults the label column and skips fields bucketed by a time grain', () => {
+    expect(normalizeBinParams({ binField: 'age', binCount: 0 })).toEqual({
+      field: 'age',
+      alias: 'age_bin',
+      spec: { method: 'equal_width', count: 10, edges: [] }
+    });
+    expect(normalizeBinSpecs(
+      { age: { method: 'quantile', count: 4 }, sold: { method: 'custom', edges: '1' }, gone: { method: 'custom' } },
+      ['age', 'sold'],
+      { sold: 'month' }
+    )).toEqual({ age: { method: 'quantile', count: 4, edges: [] } });
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { createCleaner, getSplitColumnNames, normalizeCleanOp, splitCleanValue } from '../../src/utils/cleanUtils.js';
+
+const clean = (op, values) => {
+  const cleaner = createCleaner(normalizeCleanOp(op));
+  return values.map((value) => cleaner(value));
+};
+
+describe('clean utils', () => {
+  it('trims, changes case, replaces and maps values in order', () => {
+    expect(clean({ trim: true, case: 'title' }, ['Nike ', 'nike', 'NIKE', ' new  balance'])).toEqual([
+      'Nike', 'Nike', 'Nike', 'New  Balance'
+    ]);
+    expect(clean({ replacements: [{ find: '\\s+', replace: ' ', regex: true }, { find: '$', replace: 'USD' }] }, ['a   b $', 5]))
+      .toEqual(['a b USD', 5]);
+    expect(clean({ replacements: [{ find: '(\\d+)-(\\d+)', replace: '$2-$1', regex: true }] }, ['10-20'])).toEqual(['20-10']);
+    expect(clean({ case: 'lower', mapping: [{ from: 'ny', to: 'New York' }] }, ['NY', 'LA'])).toEqual(['New York', 'la']);
+    expect(() => createCleaner(normalizeCleanOp({ field: 'brand', replacements: [{ find: '(', regex: true }] })))
+      .toThrow(/Invalid pattern "\(" for "brand"/);
+  });
+
+  it('fills blanks with a fixed or previous value', () => {
+    expect(clean({ fillMode: 'value', fillValue: 'n/a' }, ['a', '', null])).toEqual(['a', 'n/a', 'n/a']);
+    expect(clean({ trim: true, fillMode: 'previous' }, [null, 'x', '  ', 'y', undefined])).toEqual([null, 'x', 'x', 'y', 'y']);
+  });
+
+  it('splits values into a fixed number of named parts', () => {
+    const op = normalizeCleanOp({ field: 'city', splitDelimiter: ',', splitCount: 2, splitNames: ['', 'state'] });
+    expect(getSplitColumnNames(op)).toEqual(['city_1', 'state']);
+    expect(splitCleanValue('Austin, TX, US', ',', 2, true)).toEqual(['Austin', 'TX, US']);
+    expect(splitCleanValue('Austin', ',', 3)).toEqual(['Austin', null, null]);
+    expect(splitCleanValue(null, ',', 2)).toEqual([null, null]);
+  });
+});
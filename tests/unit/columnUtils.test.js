@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { castValue, listColumnOps, resolveColumnProjection } from '../../src/utils/columnUtils.js';
+
+describe('column utils', () => {
+  it('lists configured columns first, then new input columns', () => {
+    const params = { columnOps: [{ field: 'c', name: 'see' }, { field: 'a', include: false }], keepNewColumns: false };
+    expect(listColumnOps(['a', 'b', 'c'], params).map((op) => [op.field, op.include])).toEqual([
+      ['c', true], ['a', false], ['b', false]
+    ]);
+    expect(resolveColumnProjection(['a', 'b', 'c'], params).columns.map((column) => column.name)).toEqual(['see']);
+  });
+
+  it('reports missing columns and clashing output names', () => {
+    const projection = resolveColumnProjection(['a', 'b'], { columnOps: [{ field: 'b', name: 'a' }, { field: 'x' }] });
+    expect(projection.missing).toEqual(['x']);
+    expect(projection.error).toBe('Two columns are named "a".');
+  });
+
+  it('casts values and blanks the ones that do not convert', () => {
+    expect(castValue(' 42.9 ', 'integer')).toBe(42);
+    expect(castValue('abc', 'decimal')).toBeNull();
+    expect(castValue('Yes', 'boolean')).toBe(true);
+    expect(castValue(12, 'string')).toBe('12');
+    expect(castValue('2024-05-17 13:45', 'date')).toBe('2024-05-17');
+    expect(castValue('17.05.2024', 'datetime', 'DD.MM.YYYY')).toBe('2024-05-17T00:00:00');
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { createColumn, createColumnarTable, encodeColumnarTable, isColumnarTable, toColumnarTable } from '../../src/utils/columnarTable.js';
+
+describe('columnar table', () => {
+  it('stores numeric columns in typed arrays and restores original values', () => {
+    const numbers = createColumn([1, 2.5, null, 4]);
+    expect(numbers.kind).toBe('number');
+    expect(numbers.data).toBeInstanceOf(Float64Array);
+    expect([0, 1, 2, 3].map((i) => numbers.get(i))).toEqual([1, 2.5, null, 4]);
+
+    const numericText = createColumn(['10', '', '-3.5']);
+    expect(numericText.kind).toBe('number');
+    expect([0, 1, 2].map((i) => numericText.get(i))).toEqual(['10', '', '-3.5']);
+
+    // Non-canonical numeric text keeps its exact spelling through the dictionary.
+    const padded = createColumn(['007', '10.50', '7']);
+    expect(padded.kind).toBe('dictionary');
+    expect([0, 1, 2].map((i) => padded.get(i))).toEqual(['007', '10.50', '7']);
+  });
+
+  it('dictionary-encodes strings with a null bitmap', () => {
+    const column = createColumn(['West', 'East', undefined, 'West', '']);
+    expect(column.kind).toBe('dictionary');
+    expect(column.dictionary).toEqual(['West', 'East', '']);
+    expect(column.codes).toBeInstanceOf(Uint8Array);
+    expect([0, 1, 2, 3, 4].map((i) => column.get(i))).toEqual(['West', 'East', null, 'West', '']);
+  });
+
+  it('builds row objects lazily', () => {
+    const table = createColumnarTable([
+      { region: 'West', revenue: '100' },
+      { region: 'East', revenue: '70', note: 'late' }
+    ]);
+    expect(isColumnarTable(table)).toBe(true);
+    expect(table.rowCount).toBe(2);
+    expect(table.fields).toEqual(['region', 'revenue', 'note']);
+    expect(table.getValue(1, 'revenue')).toBe('70');
+    expect(table.getRow(0)).toEqual({ region: 'West', revenue: '100', note: null });
+    expect(table.getRow(2)).toBeNull();
+  });
+
+  it('encodes tables as plain data that can be posted to a worker', () => {
+    const data = encodeColumnarTable([{ region: 'West', revenue: 100 }, { region: 'East', revenue: null }]);
+    const table = toColumnarTable(structuredClone(data));
+    expect(isColumnarTable(table)).toBe(true);
+    expect(table.getColumn('revenue').kind).toBe('number');
+    expect(table.getRow(1)).toEqual({ region: 'East', revenue: null });
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, expect, it } from 'vitest';
 import { createDataEngine } from '../../src/utils/dataEngine.js';
+import { createDataModel } from '../../src/utils/dataModel.js';
 
 describe('data engine', () => {
   const dataModel = {
@@ -17,6 +18,15 @@ describe('data engine', () => {
     order: ['orders', 'customers']
   };
 
+  it('reads encoded tables without holding on to the data model', () => {
+    const encoded = createDataModel(dataModel.tables, dataModel.order);
+    const engine = createDataEngine(encoded);
+    delete encoded.tables.orders;
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'orders' });
+    expect(engine.getRows('source', { start: 0, size: 3 })).toEqual(dataModel.tables.orders);
+    expect(engine.getColumnTypes('source')).toMatchObject({ id: 'integer', region: 'string', amount: 'integer' });
+  });
+
   it('filters, aggregates, sorts, and joins rows', () => {
     const engine = createDataEngine(dataModel);
     engine.ensureQuery('source', { type: 'SOURCE', table: 'orders' });
@@ -84,4 +94,1181 @@ describe('data engine', () => {
     const rows = engine.getRows('filter-multi', { start: 0, size: 2 });
     expect(rows.map((row) => row.id)).toEqual(['1']);
   });
+
+  it('sorts by multiple keys with null placement', () => {
+    const engine = createDataEngine({
+      tables: {
+        items: [
+          { id: 'a', group: 'x', score: 3 },
+          { id: 'b', group: 'y', score: null },
+          { id: 'c', group: 'x', score: 7 },
+          { id: 'd', group: 'y', score: 1 }
+        ]
+      },
+      order: ['items']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'items' });
+    const parentKey = engine.getQueryKey('source');
+
+    engine.ensureQuery('sort', {
+      type: 'SORT',
+      parentId: 'source',
+      parentKey,
+      params: {
+        sortKeys: [
+          { field: 'group', direction: 'desc' },
+          { field: 'score', direction: 'asc', nulls: 'first' }
+        ]
+      }
+    });
+    expect(engine.getRows('sort', { start: 0, size: 4 }).map((row) => row.id)).toEqual(['b', 'd', 'a', 'c']);
+
+    engine.ensureQuery('sort', {
+      type: 'SORT',
+      parentId: 'source',
+      parentKey,
+      params: { sortKeys: [{ field: 'score', direction: 'desc' }] }
+    });
+    expect(engine.getRows('sort', { start: 0, size: 4 }).map((row) => row.id)).toEqual(['c', 'a', 'd', 'b']);
+  });
+
+  it('limits rows from the top or bottom with an offset', () => {
+    const engine = createDataEngine(dataModel);
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'orders' });
+    const parentKey = engine.getQueryKey('source');
+
+    engine.ensureQuery('top', {
+      type: 'LIMIT',
+      parentId: 'source',
+      parentKey,
+      params: { limit: 2, offset: 1 }
+    });
+    expect(engine.getRows('top', { start: 0, size: 5 }).map((row) => row.id)).toEqual(['2', '3']);
+
+    engine.ensureQuery('bottom', {
+      type: 'LIMIT',
+      parentId: 'source',
+      parentKey,
+      params: { limit: 1, limitMode: 'bottom' }
+    });
+    expect(engine.getRows('bottom', { start: 0, size: 5 }).map((row) => row.id)).toEqual(['3']);
+  });
+
+  it('adds calculated columns and reports expression errors', () => {
+    const engine = createDataEngine(dataModel);
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'orders' });
+    const parentKey = engine.getQueryKey('source');
+
+    engine.ensureQuery('calc', {
+      type: 'CALCULATE',
+      parentId: 'source',
+      parentKey,
+      params: { columnName: 'double', expression: 'amount * 2' }
+    });
+    expect(engine.getSchema('calc')).toEqual(['id', 'region', 'amount', 'double']);
+    expect(engine.getRows('calc', { start: 0, size: 3 }).map((row) => row.double)).toEqual([20, 40, 10]);
+
+    const broken = engine.ensureQuery('broken', {
+      type: 'CALCULATE',
+      parentId: 'source',
+      parentKey,
+      params: { columnName: 'oops', expression: 'amount * missing' }
+    });
+    expect(broken.error).toMatch(/Unknown column "missing"/);
+    expect(engine.getRowCount('broken')).toBe(3);
+    expect(engine.getSchema('broken')).not.toContain('oops');
+  });
+
+  it('aggregates by multiple fields with several named metrics', () => {
+    const engine = createDataEngine({
+      tables: {
+        sales: [
+          { region: 'West', brand: 'Nike', revenue: '100', rating: 4 },
+          { region: 'West', brand: 'Nike', revenue: '50', rating: 5 },
+          { region: 'West', brand: 'Puma', revenue: '20', rating: 3 },
+          { region: 'East', brand: 'Nike', revenue: '70', rating: 4 }
+        ]
+      },
+      order: ['sales']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'sales' });
+
+    engine.ensureQuery('aggregate', {
+      type: 'AGGREGATE',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: {
+        groupBy: ['region', 'brand'],
+        metrics: [
+          { fn: 'sum', field: 'revenue', alias: 'Total Revenue' },
+          { fn: 'avg', field: 'rating' },
+          { fn: 'count' }
+        ]
+      }
+    });
+
+    expect(engine.getSchema('aggregate')).toEqual(['region', 'brand', 'Total Revenue', 'rating', 'Record Count']);
+    expect(engine.getRows('aggregate', { start: 0, size: 10 })).toEqual([
+      { region: 'West', brand: 'Nike', 'Total Revenue': 150, rating: 4.5, 'Record Count': 2 },
+      { region: 'West', brand: 'Puma', 'Total Revenue': 20, rating: 3, 'Record Count': 1 },
+      { region: 'East', brand: 'Nike', 'Total Revenue': 70, rating: 4, 'Record Count': 1 }
+    ]);
+
+    const chartRows = engine.getAggregatedRows('source', {
+      groupBy: 'region',
+      metrics: [{ fn: 'sum', field: 'revenue' }, { fn: 'max', field: 'revenue' }]
+    });
+    expect(chartRows.outputFields).toEqual(['revenue', 'max_revenue']);
+    expect(chartRows.rows).toEqual([
+      { region: 'West', revenue: 170, max_revenue: 100 },
+      { region: 'East', revenue: 70, max_revenue: 70 }
+    ]);
+  });
+
+  it('computes statistical metrics in KPIs, aggregates and pivots', () => {
+    const engine = createDataEngine({
+      tables: {
+        sales: [
+          { region: 'West', brand: 'Nike', revenue: 10 },
+          { region: 'West', brand: 'Puma', revenue: 20 },
+          { region: 'West', brand: 'Nike', revenue: 60 },
+          { region: 'East', brand: 'Nike', revenue: null },
+          { region: 'East', brand: 'Adidas', revenue: 40 }
+        ]
+      },
+      order: ['sales']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'sales' });
+
+    expect(engine.getMetric('source', 'median', 'revenue')).toBe(30);
+    expect(engine.getMetric('source', 'p75', 'revenue')).toBe(45);
+    expect(engine.getMetric('source', 'null_count', 'revenue')).toBe(1);
+    expect(engine.getMetric('source', 'mode', 'brand')).toBe('Nike');
+
+    const grouped = engine.getAggregatedRows('source', {
+      groupBy: 'region',
+      metrics: [
+        { fn: 'first', field: 'brand', alias: 'First Brand' },
+        { fn: 'last', field: 'revenue', alias: 'Last Revenue' },
+        { fn: 'stddev', field: 'revenue', alias: 'Spread' }
+      ]
+    });
+    expect(grouped.rows).toEqual([
+      { region: 'West', 'First Brand': 'Nike', 'Last Revenue': 60, Spread: expect.closeTo(26.458, 3) },
+      { region: 'East', 'First Brand': 'Nike', 'Last Revenue': 40, Spread: 0 }
+    ]);
+
+    const pivot = engine.getPivotData('source', { rowField: 'region', columnField: 'brand', valueField: 'revenue', fn: 'median' });
+    expect(pivot.rowKeys).toEqual(['West', 'East']);
+    expect(pivot.colKeys).toEqual(['Nike', 'Puma', 'Adidas']);
+    expect(pivot.matrix).toEqual([[35, 20, null], [0, null, 40]]);
+  });
+
+  it('infers column types and applies source overrides', () => {
+    const engine = createDataEngine({
+      tables: {
+        orders: [
+          { id: '010', amount: '9', placed: '2024-02-01', paid: 'true' },
+          { id: '002', amount: '10.5', placed: '2023-12-15', paid: 'false' },
+          { id: '100', amount: '', placed: '2024-01-20', paid: 'true' }
+        ]
+      },
+      order: ['orders']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'orders' });
+    expect(engine.getColumnTypes('source')).toEqual({
+      id: 'string',
+      amount: 'decimal',
+      placed: 'date',
+      paid: 'boolean'
+    });
+
+    engine.ensureQuery('byDate', {
+      type: 'SORT',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: { sortKeys: [{ field: 'placed', direction: 'asc' }] }
+    });
+    expect(engine.getRows('byDate', { start: 0, size: 3 }).map((row) => row.placed))
+      .toEqual(['2023-12-15', '2024-01-20', '2024-02-01']);
+
+    engine.ensureQuery('recent', {
+      type: 'FILTER',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: { filters: [{ field: 'placed', operator: 'gte', value: '2024-01-01' }] }
+    });
+    expect(engine.getRowCount('recent')).toBe(2);
+
+    engine.ensureQuery('cheap', {
+      type: 'FILTER',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: { filters: [{ field: 'amount', operator: 'lt', value: '10' }] }
+    });
+    expect(engine.getRows('cheap', { start: 0, size: 3 }).map((row) => row.id)).toEqual(['010']);
+
+    expect(engine.getColumnStats('source', 'placed')).toMatchObject({
+      type: 'date',
+      min: null,
+      earliest: new Date(2023, 11, 15).getTime(),
+      latest: new Date(2024, 1, 1).getTime()
+    });
+
+    engine.ensureQuery('typed', { type: 'SOURCE', table: 'orders', params: { columnTypes: { id: 'integer' } } });
+    engine.ensureQuery('byId', {
+      type: 'SORT',
+      parentId: 'typed',
+      parentKey: engine.getQueryKey('typed'),
+      params: { sortKeys: [{ field: 'id', direction: 'desc' }] }
+    });
+    expect(engine.getColumnTypes('byId').id).toBe('integer');
+    expect(engine.getRows('byId', { start: 0, size: 3 }).map((row) => row.id)).toEqual(['100', '010', '002']);
+
+    engine.ensureQuery('totals', {
+      type: 'AGGREGATE',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: { groupBy: ['paid'], metrics: [{ fn: 'sum', field: 'amount' }, { fn: 'count' }] }
+    });
+    expect(engine.getColumnTypes('totals')).toEqual({ paid: 'boolean', amount: 'decimal', 'Record Count': 'integer' });
+  });
+
+  it('resolves joins and calculated columns lazily from columnar tables', () => {
+    const engine = createDataEngine({
+      tables: {
+        orders: [
+          { id: '1', customer: 'a', amount: '10' },
+          { id: '2', customer: 'b', amount: '20' },
+          { id: '3', customer: 'x', amount: '30' }
+        ],
+        customers: [
+          { key: 'a', name: 'Ann' },
+          { key: 'b', name: 'Bob' },
+          { key: 'c', name: 'Cid' }
+        ]
+      },
+      order: ['orders', 'customers']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'orders' });
+    engine.ensureQuery('join', {
+      type: 'JOIN',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: { rightTable: 'customers', leftKey: 'customer', rightKey: 'key', joinType: 'FULL' }
+    });
+
+    expect(engine.getSchema('join')).toEqual(['id', 'customer', 'amount', 'customers_key', 'customers_name']);
+    expect(engine.getRows('join', { start: 0, size: 10 })).toEqual([
+      { id: '1', customer: 'a', amount: '10', customers_key: 'a', customers_name: 'Ann' },
+      { id: '2', customer: 'b', amount: '20', customers_key: 'b', customers_name: 'Bob' },
+      { id: '3', customer: 'x', amount: '30' },
+      { customers_key: 'c', customers_name: 'Cid' }
+    ]);
+    expect(engine.getMetric('join', 'count_distinct', 'customers_name')).toBe(3);
+
+    engine.ensureQuery('calc', {
+      type: 'CALCULATE',
+      parentId: 'join',
+      parentKey: engine.getQueryKey('join'),
+      params: { columnName: 'Double', expression: '[amount] * 2' }
+    });
+    expect(engine.getRows('calc', { start: 0, size: 4 }).map((row) => row.Double)).toEqual([20, 40, 60, null]);
+    expect(engine.getColumnTypes('calc').Double).toBe('integer');
+  });
+
+  it('recomputes only descendants of a changed node and reuses cached results', () => {
+    const engine = createDataEngine(dataModel);
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'orders' });
+    const filterSpec = (value) => ({
+      type: 'FILTER',
+      parentId: 'source',
+      params: { field: 'region', operator: 'equals', value }
+    });
+    const west = engine.ensureQuery('filter', filterSpec('West'));
+    const sortSpec = () => ({ type: 'SORT', parentId: 'filter', params: { sortBy: 'amount', sortDirection: 'asc' } });
+    engine.ensureQuery('sort', sortSpec());
+    const sibling = engine.ensureQuery('limit', { type: 'LIMIT', parentId: 'source', params: { limit: 1 } });
+    expect(engine.getDependents('source').sort()).toEqual(['filter', 'limit', 'sort']);
+
+    engine.ensureQuery('filter', filterSpec('East'));
+    expect(engine.getRowCount('sort')).toBe(0);
+    engine.ensureQuery('sort', sortSpec());
+    expect(engine.getRows('sort', { start: 0, size: 5 }).map((row) => row.id)).toEqual(['2']);
+    expect(engine.ensureQuery('limit', { type: 'LIMIT', parentId: 'source', params: { limit: 1 } })).toBe(sibling);
+
+    expect(engine.ensureQuery('filter', filterSpec('West'))).toBe(west);
+    engine.ensureQuery('sort', sortSpec());
+    expect(engine.getRows('sort', { start: 0, size: 5 }).map((row) => row.id)).toEqual(['3', '1']);
+  });
+
+  it('evicts unbound results and sort indices beyond the memory budget', () => {
+    const engine = createDataEngine(dataModel, { memoryBudget: 8 });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'orders' });
+    const filterSpec = (value) => ({
+      type: 'FILTER',
+      parentId: 'source',
+      params: { field: 'region', operator: 'equals', value }
+    });
+    const west = engine.ensureQuery('filter', filterSpec('West'));
+    engine.getRows('filter', { start: 0, size: 2, sortBy: 'amount', sortDirection: 'desc' });
+    engine.ensureQuery('filter', filterSpec('East'));
+    expect(engine.getCacheStats().usedBytes).toBeLessThanOrEqual(8);
+
+    const rebuilt = engine.ensureQuery('filter', filterSpec('West'));
+    expect(rebuilt).not.toBe(west);
+    expect(engine.getRowCount('filter')).toBe(2);
+  });
+
+  it('evaluates nested AND/OR/NOT filter groups', () => {
+    const engine = createDataEngine({
+      tables: {
+        products: [
+          { brand: 'Nike', price: 80, rating: 3 },
+          { brand: 'Adidas', price: 120, rating: 4.5 },
+          { brand: 'Adidas', price: 150, rating: 3.5 },
+          { brand: 'Puma', price: 60, rating: 4.8 }
+        ]
+      },
+      order: ['products']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'products' });
+    const runFilter = (params) => {
+      engine.ensureQuery('filter', { type: 'FILTER', parentId: 'source', params });
+      return engine.getRows('filter', { start: 0, size: 10 }).map((row) => `${row.brand}:${row.price}`);
+    };
+
+    const premium = {
+      type: 'group',
+      combinator: 'AND',
+      filters: [
+        { field: 'price', operator: 'gt', value: '100' },
+        { field: 'rating', operator: 'gte', value: '4' }
+      ]
+    };
+    expect(runFilter({ combinator: 'OR', filters: [{ field: 'brand', value: 'Nike' }, premium] }))
+      .toEqual(['Nike:80', 'Adidas:120']);
+    expect(runFilter({ filters: [{ ...premium, negate: true }, { field: 'brand', operator: 'not_equals', value: 'Puma' }] }))
+      .toEqual(['Nike:80', 'Adidas:150']);
+    expect(runFilter({ combinator: 'OR', filters: [{ field: 'brand', value: '' }, { type: 'group', filters: [] }] }))
+      .toHaveLength(4);
+  });
+
+  it('supports range, blank, list, text, regex and relative date operators', () => {
+    const engine = createDataEngine({
+      tables: {
+        tickets: [
+          { id: 'A-1', owner: 'Ann', priority: 1, opened: '2024-05-20' },
+          { id: 'a-2', owner: '', priority: 3, opened: '2024-05-01' },
+          { id: 'B-3', owner: 'bob', priority: 5, opened: '2024-02-10' },
+          { id: 'C-4', owner: null, priority: 8, opened: '2023-12-31' }
+        ]
+      },
+      order: ['tickets']
+    }, { now: () => new Date(2024, 4, 21, 12).getTime() });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'tickets' });
+    const ids = (filter) => {
+      engine.ensureQuery('filter', { type: 'FILTER', parentId: 'source', params: { filters: [filter] } });
+      return engine.getRows('filter', { start: 0, size: 10 }).map((row) => row.id);
+    };
+
+    expect(ids({ field: 'priority', operator: 'between', value: '3', valueTo: '8' })).toEqual(['a-2', 'B-3', 'C-4']);
+    expect(ids({ field: 'priority', operator: 'between', value: '', valueTo: '3' })).toEqual(['A-1', 'a-2']);
+    expect(ids({ field: 'owner', operator: 'is_null', value: '' })).toEqual(['a-2', 'C-4']);
+    expect(ids({ field: 'owner', operator: 'is_not_null' })).toEqual(['A-1', 'B-3']);
+    expect(ids({ field: 'priority', operator: 'not_in', value: '1, 8' })).toEqual(['a-2', 'B-3']);
+    expect(ids({ field: 'id', operator: 'starts_with', value: 'a' })).toEqual(['A-1', 'a-2']);
+    expect(ids({ field: 'id', operator: 'starts_with', value: 'a', caseSensitive: true })).toEqual(['a-2']);
+    expect(ids({ field: 'id', operator: 'ends_with', value: '-3' })).toEqual(['B-3']);
+    expect(ids({ field: 'id', operator: 'regex', value: '^[ab]-[12]$' })).toEqual(['A-1', 'a-2']);
+    expect(ids({ field: 'id', operator: 'regex', value: '([' })).toEqual([]);
+    expect(ids({ field: 'opened', operator: 'last_n_days', value: '30' })).toEqual(['A-1', 'a-2']);
+    expect(ids({ field: 'opened', operator: 'date_period', value: 'this_quarter' })).toEqual(['A-1', 'a-2']);
+    expect(ids({ field: 'opened', operator: 'date_period', value: 'last_year' })).toEqual(['C-4']);
+    expect(ids({ field: 'owner', operator: 'equals', value: '' })).toHaveLength(4);
+  });
+
+  it('recomputes relative date filters once the day changes', () => {
+    // vitest.config.js pins TZ west of UTC, where date-only cells read as UTC land on the previous day.
+    expect(new Date(2024, 4, 20).getTimezoneOffset()).toBeGreaterThan(0);
+    let clock = new Date(2024, 4, 20, 23, 30).getTime();
+    const engine = createDataEngine({
+      tables: { tickets: [{ id: 'A-1', opened: '2024-05-20' }, { id: 'B-2', opened: '2024-05-21' }] },
+      order: ['tickets']
+    }, { now: () => clock });
+    const spec = { type: 'FILTER', parentId: 'source', params: { filters: [{ field: 'opened', operator: 'date_period', value: 'today' }] } };
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'tickets' });
+    const ids = () => {
+      engine.ensureQuery('today', spec);
+      return engine.getRows('today', { start: 0, size: 10 }).map((row) => row.id);
+    };
+
+    expect(ids()).toEqual(['A-1']);
+    const key = engine.getQueryKey('today');
+    clock = new Date(2024, 4, 21, 0, 30).getTime();
+    expect(ids()).toEqual(['B-2']);
+    const nextKey = engine.getQueryKey('today');
+    expect(nextKey).not.toBe(key);
+    clock = new Date(2024, 4, 21, 18).getTime();
+    expect(ids()).toEqual(['B-2']);
+    expect(engine.getQueryKey('today')).toBe(nextKey);
+  });
+
+  it('adds window function columns per partition without reordering rows', () => {
+    const engine = createDataEngine({
+      tables: {
+        sales: [
+          { region: 'East', month: 2, amount: 20 },
+          { region: 'West', month: 1, amount: 5 },
+          { region: 'East', month: 1, amount: 10 },
+          { region: 'East', month: 3, amount: 20 },
+          { region: 'West', month: 2, amount: 15 }
+        ]
+      },
+      order: ['sales']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'sales' });
+    engine.ensureQuery('window', {
+      type: 'WINDOW',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: {
+        partitionBy: ['region'],
+        sortKeys: [{ field: 'month', direction: 'asc' }],
+        windows: [
+          { fn: 'row_number' },
+          { fn: 'running_sum', field: 'amount' },
+          { fn: 'lag', field: 'amount' },
+          { fn: 'pct_of_total', field: 'amount', alias: 'share' },
+          { fn: 'moving_avg', field: 'amount', size: 2 }
+        ]
+      }
+    });
+    expect(engine.getSchema('window')).toEqual([
+      'region', 'month', 'amount', 'row_number', 'running_sum_amount', 'lag_amount', 'share', 'moving_avg_amount'
+    ]);
+    const rows = engine.getRows('window', { start: 0, size: 5 });
+    expect(rows.map((row) => row.row_number)).toEqual([2, 1, 1, 3, 2]);
+    expect(rows.map((row) => row.running_sum_amount)).toEqual([30, 5, 10, 50, 20]);
+    expect(rows.map((row) => row.lag_amount)).toEqual([10, null, null, 20, 5]);
+    expect(rows.map((row) => row.share)).toEqual([40, 25, 20, 40, 75]);
+    expect(rows.map((row) => row.moving_avg_amount)).toEqual([15, 5, 10, 20, 10]);
+  });
+
+  it('keeps the top rows per group and rolls the rest into an Others row', () => {
+    const engine = createDataEngine({
+      tables: {
+        sales: [
+          { country: 'US', product: 'A', revenue: 50 },
+          { country: 'US', product: 'B', revenue: 80 },
+          { country: 'DE', product: 'A', revenue: 30 },
+          { country: 'US', product: 'C', revenue: 20 },
+          { country: 'US', product: 'D', revenue: 10 }
+        ]
+      },
+      order: ['sales']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'sales' });
+    const parentKey = engine.getQueryKey('source');
+    const params = { groupBy: ['country'], orderBy: 'revenue', topN: 2 };
+
+    engine.ensureQuery('top', { type: 'TOP_N', parentId: 'source', parentKey, params });
+    expect(engine.getRows('top', { start: 0, size: 10 }).map((row) => `${row.country}:${row.product}`))
+      .toEqual(['US:B', 'US:A', 'DE:A']);
+
+    engine.ensureQuery('others', { type: 'TOP_N', parentId: 'source', parentKey, params: { ...params, includeOthers: true } });
+    expect(engine.getRows('others', { start: 0, size: 10 })).toEqual([
+      { country: 'US', product: 'B', revenue: 80 },
+      { country: 'US', product: 'A', revenue: 50 },
+      { country: 'US', product: 'Others', revenue: 30 },
+      { country: 'DE', product: 'A', revenue: 30 }
+    ]);
+    expect(engine.getSchema('others')).toEqual(['country', 'product', 'revenue']);
+  });
+
+  it('appends tables by column name with a source column and mismatch warnings', () => {
+    const engine = createDataEngine({
+      tables: {
+        jan: [{ id: 1, amount: 10 }, { id: 2, amount: 20 }],
+        feb: [{ id: 3, amount: '7.5', note: 'late' }],
+        mar: [{ id: 4 }]
+      },
+      order: ['jan', 'feb', 'mar']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'jan' });
+    const query = engine.ensureQuery('append', {
+      type: 'APPEND',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: { appendTables: ['feb', 'mar', 'apr'], sourceColumn: 'month' }
+    });
+    expect(engine.getSchema('append')).toEqual(['id', 'amount', 'note', 'month']);
+    expect(engine.getRowCount('append')).toBe(4);
+    expect(engine.getRows('append', { start: 0, size: 4 })).toEqual([
+      { id: 1, amount: 10, note: null, month: 'jan' },
+      { id: 2, amount: 20, note: null, month: 'jan' },
+      { id: 3, amount: '7.5', note: 'late', month: 'feb' },
+      { id: 4, amount: null, note: null, month: 'mar' }
+    ]);
+    expect(query.warnings).toEqual([
+      '"feb" adds note.',
+      '"mar" is missing amount.',
+      'Table "apr" was not found.'
+    ]);
+    expect(engine.getMetric('append', 'sum', 'amount')).toBe(37.5);
+  });
+
+  it('joins on composite keys with semi/anti modes, key normalization and column naming', () => {
+    const engine = createDataEngine({
+      tables: {
+        sales: [
+          { region: 'West', sku: 'A1', qty: 2 },
+          { region: 'west ', sku: 'b2', qty: 1 },
+          { region: 'East', sku: 'A1', qty: 5 }
+        ],
+        prices: [
+          { region: 'WEST', sku: 'A1', qty: 100, price: 9 },
+          { region: 'West', sku: 'B2', qty: 50, price: 4 }
+        ]
+      },
+      order: ['sales', 'prices']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'sales' });
+    const parentKey = engine.getQueryKey('source');
+    const join = (queryId, params) => engine.ensureQuery(queryId, {
+      type: 'JOIN',
+      parentId: 'source',
+      parentKey,
+      params: { rightTable: 'prices', joinKeys: [{ left: 'region', right: 'region' }, { left: 'sku', right: 'sku' }], ...params }
+    });
+
+    expect(join('exact', { joinType: 'INNER' }).rowCount).toBe(0);
+
+    const matched = join('ci', {
+      joinType: 'LEFT',
+      ignoreCase: true,
+      rightColumns: ['qty', 'price'],
+      columnNaming: 'suffix',
+      leftSuffix: '_sold'
+    });
+    expect(matched.summary).toEqual({ leftRows: 3, matchedLeftRows: 2, rightRows: 2, matchedRightRows: 2 });
+    expect(engine.getSchema('ci')).toEqual(['region', 'sku', 'qty_sold', 'qty_right', 'price']);
+    expect(engine.getRows('ci', { start: 0, size: 3 })).toEqual([
+      { region: 'West', sku: 'A1', qty_sold: 2, qty_right: 100, price: 9 },
+      { region: 'west ', sku: 'b2', qty_sold: 1, qty_right: 50, price: 4 },
+      { region: 'East', sku: 'A1', qty_sold: 5 }
+    ]);
+    expect(engine.getMetric('ci', 'sum', 'qty_sold')).toBe(8);
+
+    join('semi', { joinType: 'SEMI', ignoreCase: true });
+    expect(engine.getSchema('semi')).toEqual(['region', 'sku', 'qty']);
+    expect(engine.getRows('semi', { start: 0, size: 3 }).map((row) => row.qty)).toEqual([2, 1]);
+    join('anti', { joinType: 'ANTI', ignoreCase: true, trimKeys: false });
+    expect(engine.getRows('anti', { start: 0, size: 3 }).map((row) => row.qty)).toEqual([1, 5]);
+  });
+
+  it('joins and appends the output of another branch', () => {
+    const engine = createDataEngine(dataModel);
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'orders' });
+    const parentKey = engine.getQueryKey('source');
+    engine.ensureQuery('totals', {
+      type: 'AGGREGATE',
+      parentId: 'source',
+      parentKey,
+      params: { groupBy: 'region', metrics: [{ fn: 'sum', field: 'amount', alias: 'total' }] }
+    });
+    const joinSpec = {
+      type: 'JOIN',
+      parentId: 'source',
+      parentKey,
+      params: { rightNodeId: 'totals', rightLabel: 'Region Totals', joinKeys: [{ left: 'region', right: 'region' }] }
+    };
+    engine.ensureQuery('join', joinSpec);
+    expect(engine.getSchema('join')).toEqual(['id', 'region', 'amount', 'Region_Totals_region', 'Region_Totals_total']);
+    expect(engine.getRows('join', { start: 0, size: 3 }).map((row) => row.Region_Totals_total)).toEqual([15, 20, 15]);
+
+    engine.ensureQuery('append', {
+      type: 'APPEND',
+      parentId: 'source',
+      parentKey,
+      params: { appendNodeIds: ['totals'], appendNodeLabels: { totals: 'Region Totals' }, sourceColumn: 'origin' }
+    });
+    expect(engine.getRowCount('append')).toBe(5);
+    expect(engine.getRowAt('append', 4)).toEqual({ id: null, region: 'East', amount: null, total: 20, origin: 'Region Totals' });
+
+    // Changing the referenced branch changes the key of the node that reads it.
+    const joinKey = engine.getQueryKey('join');
+    engine.ensureQuery('totals', {
+      type: 'AGGREGATE',
+      parentId: 'source',
+      parentKey,
+      params: { groupBy: 'region', metrics: [{ fn: 'max', field: 'amount', alias: 'total' }] }
+    });
+    expect(engine.getDependents('totals').sort()).toEqual(['append', 'join']);
+    engine.ensureQuery('join', joinSpec);
+    expect(engine.getQueryKey('join')).not.toBe(joinKey);
+    expect(engine.getRows('join', { start: 0, size: 3 }).map((row) => row.Region_Totals_total)).toEqual([10, 20, 10]);
+
+    const missing = engine.ensureQuery('missing', { ...joinSpec, params: { ...joinSpec.params, rightNodeId: 'nope' } });
+    expect(missing.error).toMatch(/not available/);
+  });
+
+  it('joins on text similarity, ranges and as-of timestamps with a confidence column', () => {
+    const engine = createDataEngine({
+      tables: {
+        invoices: [
+          { vendor: 'Acme Corp.', account: 'A', paid: '2024-01-15', amount: 7 },
+          { vendor: 'Globex Corporation', account: 'B', paid: '2024-02-20', amount: 25 },
+          { vendor: 'Initech', account: 'A', paid: '2023-12-01', amount: 60 }
+        ],
+        vendors: [
+          { name: 'ACME Corp', id: 1 },
+          { name: 'Globex Corp', id: 2 },
+          { name: 'Umbrella', id: 3 }
+        ],
+        tiers: [
+          { min: 0, max: 10, tier: 'small' },
+          { min: 10, max: 50, tier: 'medium' },
+          { min: 50, max: '', tier: 'large' }
+        ],
+        rates: [
+          { account: 'A', from: '2024-01-01', rate: 1.1 },
+          { account: 'A', from: '2024-01-10', rate: 1.2 },
+          { account: 'B', from: '2024-02-01', rate: 2 }
+        ]
+      },
+      order: ['invoices', 'vendors', 'tiers', 'rates']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'invoices' });
+    const parentKey = engine.getQueryKey('source');
+    const join = (queryId, params) => engine.ensureQuery(queryId, { type: 'JOIN', parentId: 'source', parentKey, params });
+
+    const fuzzy = join('fuzzy', {
+      rightTable: 'vendors',
+      joinType: 'LEFT',
+      matchMode: 'fuzzy',
+      fuzzyThreshold: 0.6,
+      joinKeys: [{ left: 'vendor', right: 'name' }],
+      rightColumns: ['id']
+    });
+    expect(engine.getSchema('fuzzy')).toEqual(['vendor', 'account', 'paid', 'amount', 'vendors_id', 'match_confidence']);
+    const fuzzyRows = engine.getRows('fuzzy', { start: 0, size: 3 });
+    expect(fuzzyRows.map((row) => row.vendors_id)).toEqual([1, 2, undefined]);
+    expect(fuzzyRows[0].match_confidence).toBe(1);
+    expect(fuzzyRows[1].match_confidence).toBeCloseTo(0.611, 3);
+    expect(fuzzyRows[2].match_confidence).toBeNull();
+    expect(fuzzy.summary.averageConfidence).toBeCloseTo(0.8055, 4);
+
+    join('range', {
+      rightTable: 'tiers',
+      joinType: 'INNER',
+      matchMode: 'range',
+      leftValueField: 'amount',
+      rightStartField: 'min',
+      rightEndField: 'max',
+      rightColumns: ['tier'],
+      confidenceColumn: 'score'
+    });
+    // 60 falls in the open-ended top tier.
+    expect(engine.getRows('range', { start: 0, size: 5 }).map((row) => [row.amount, row.tiers_tier, row.score])).toEqual([
+      [7, 'small', 1],
+      [25, 'medium', 1],
+      [60, 'large', 1]
+    ]);
+
+    join('asof', {
+      rightTable: 'rates',
+      joinType: 'LEFT',
+      matchMode: 'asof',
+      joinKeys: [{ left: 'account', right: 'account' }],
+      leftValueField: 'paid',
+      rightStartField: 'from',
+      rightColumns: ['rate'],
+      asofTolerance: 30
+    });
+    expect(engine.getRows('asof', { start: 0, size: 3 }).map((row) => [row.rates_rate, row.match_confidence])).toEqual([
+      [1.2, 0.833],
+      [2, 0.367],
+      [undefined, null]
+    ]);
+  });
+
+  it('parses source dates by format and groups them by time grain', () => {
+    const engine = createDataEngine({
+      tables: {
+        sales: [
+          { sold: '15/02/2024', amount: 10 },
+          { sold: '03/01/2024', amount: 5 },
+          { sold: '20/02/2024', amount: 7 },
+          { sold: 'n/a', amount: 1 }
+        ]
+      },
+      order: ['sales']
+    });
+    const source = engine.ensureQuery('source', { type: 'SOURCE', table: 'sales', params: { dateFormats: { sold: 'DD/MM/YYYY' } } });
+    expect(source.columnTypes.sold).toBe('date');
+    expect(source.warnings).toEqual(['1 value was left blank in "sold" (not DD/MM/YYYY).']);
+    expect(engine.getRowAt('source', 1)).toEqual({ sold: '2024-01-03', amount: 5 });
+    expect(engine.getRows('source', { start: 0, size: 4, sortBy: 'sold', sortDirection: 'asc' }).map((row) => row.amount))
+      .toEqual([5, 10, 7, 1]);
+
+    engine.ensureQuery('monthly', {
+      type: 'AGGREGATE',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: { groupBy: ['sold'], groupByGrains: { sold: 'month' }, metrics: [{ fn: 'sum', field: 'amount', alias: 'total' }] }
+    });
+    expect(engine.getRows('monthly', { start: 0, size: 5 })).toEqual([
+      { sold: '2024-01', total: 5 },
+      { sold: '2024-02', total: 17 },
+      { sold: null, total: 1 }
+    ]);
+    expect(engine.getColumnTypes('monthly').sold).toBe('string');
+
+    const chart = engine.getAggregatedRows('source', { groupBy: 'sold', groupByGrains: { sold: 'day_of_week' }, fn: 'count' });
+    expect(chart.rows.map((row) => row.sold)).toEqual(['Tue', 'Wed', 'Thu', null]);
+
+    const pivot = engine.getPivotData('source', { rowField: 'sold', columnField: 'sold', rowGrain: 'quarter', columnGrain: 'month' });
+    expect(pivot.rowKeys).toEqual(['2024-Q1', '(blank)']);
+    expect(pivot.colKeys).toEqual(['2024-01', '2024-02', '(blank)']);
+    expect(pivot.matrix[0]).toEqual([1, 2, null]);
+  });
+
+  it('bins numeric columns in a Bin node, aggregates and pivots', () => {
+    const engine = createDataEngine({
+      tables: {
+        people: [
+          { age: 23, team: 'A' },
+          { age: 41, team: 'B' },
+          { age: 38, team: 'A' },
+          { age: 67, team: 'B' },
+          { age: '', team: 'A' }
+        ]
+      },
+      order: ['people']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'people' });
+    const parentKey = engine.getQueryKey('source');
+    const bin = engine.ensureQuery('bin', {
+      type: 'BIN',
+      parentId: 'source',
+      parentKey,
+      params: { binField: 'age', binMethod: 'custom', binEdges: '30, 60' }
+    });
+    expect(bin.schema).toEqual(['age', 'team', 'age_bin']);
+    expect(engine.getRows('bin', { start: 0, size: 5 }).map((row) => row.age_bin)).toEqual([
+      '< 30', '30 – 60', '30 – 60', '≥ 60', null
+    ]);
+    // Labels sort in bin order, in the grid and in Sort nodes further down.
+    expect(engine.getRows('bin', { start: 0, size: 5, sortBy: 'age_bin', sortDirection: 'desc' }).map((row) => row.age))
+      .toEqual(['', 67, 41, 38, 23]);
+    engine.ensureQuery('teamA', { type: 'FILTER', parentId: 'bin', params: { field: 'team', operator: 'equals', value: 'A' } });
+    engine.ensureQuery('sorted', { type: 'SORT', parentId: 'teamA', params: { sortKeys: [{ field: 'age_bin', direction: 'asc' }] } });
+    expect(engine.getRows('sorted', { start: 0, size: 5 }).map((row) => row.age_bin)).toEqual(['< 30', '30 – 60', null]);
+    expect(bin.summary.bins.map((item) => item.count)).toEqual([1, 2, 1]);
+    expect(bin.summary.unbinned).toBe(1);
+
+    engine.ensureQuery('aggregate', {
+      type: 'AGGREGATE',
+      parentId: 'source',
+      parentKey,
+      params: { groupBy: ['age'], groupByBins: { age: { method: 'equal_width', count: 2 } }, metrics: [{ fn: 'count', alias: 'people' }] }
+    });
+    expect(engine.getRows('aggregate', { start: 0, size: 5 })).toEqual([
+      { age: '0 – 25', people: 1 },
+      { age: '25 – 50', people: 2 },
+      { age: '50 – 75', people: 1 },
+      { age: null, people: 1 }
+    ]);
+
+    const pivot = engine.getPivotData('source', {
+      rowField: 'age',
+      columnField: 'team',
+      rowBins: { method: 'custom', edges: [40] }
+    });
+    expect(pivot.rowKeys).toEqual(['< 40', '≥ 40', '(blank)']);
+    expect(pivot.matrix).toEqual([[2, null], [null, 2], [1, null]]);
+  });
+
+  it('pivots nested levels with exact subtotals, percentages and value sorting', () => {
+    const engine = createDataEngine({
+      tables: {
+        sales: [
+          { region: 'West', product: 'A', year: '2023', amount: 10 },
+          { region: 'West', product: 'A', year: '2024', amount: 20 },
+          { region: 'West', product: 'B', year: '2024', amount: 30 },
+          { region: 'East', product: 'A', year: '2023', amount: 40 },
+          { region: 'East', product: 'B', year: '2023', amount: 50 }
+        ]
+      },
+      order: ['sales']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'sales' });
+    const levels = {
+      rows: [{ field: 'region' }, { field: 'product' }],
+      columns: [{ field: 'year' }],
+      valueField: 'amount'
+    };
+
+    const avg = engine.getPivotData('source', { ...levels, fn: 'avg', subtotals: true });
+    expect(avg.rowHeaders.map((header) => [header.path.join('/'), header.type])).toEqual([
+      ['West/A', 'leaf'], ['West/B', 'leaf'], ['West', 'subtotal'],
+      ['East/A', 'leaf'], ['East/B', 'leaf'], ['East', 'subtotal'],
+      ['', 'total']
+    ]);
+    expect(avg.colHeaders.map((header) => header.key)).toEqual(['["2023"]', '["2024"]', '[]']);
+    expect(avg.values[2]).toEqual([10, 25, 20]);
+    expect(avg.values[6][0]).toBeCloseTo(100 / 3);
+    expect(avg.values[6].slice(1)).toEqual([25, 30]);
+    expect(avg.rowKeys).toEqual(['West / A', 'West / B', 'East / A', 'East / B']);
+    expect(avg.matrix[1]).toEqual([null, 30]);
+
+    const sorted = engine.getPivotData('source', { ...levels, fn: 'avg', sortBy: '[]', sortDirection: 'desc' });
+    expect(sorted.rowKeys).toEqual(['East / B', 'East / A', 'West / B', 'West / A']);
+
+    const share = engine.getPivotData('source', { ...levels, fn: 'sum', displayMode: 'pct_row', totals: false });
+    expect(share.rowHeaders).toHaveLength(4);
+    expect(share.values[0].map((value) => Math.round(value))).toEqual([33, 67]);
+    const ofTotal = engine.getPivotData('source', { ...levels, fn: 'sum', displayMode: 'pct_total' });
+    expect(ofTotal.values[ofTotal.values.length - 1]).toEqual([2 / 3 * 100, 1 / 3 * 100, 100]);
+  });
+
+  it('selects, reorders, renames and casts columns as a query step', () => {
+    const engine = createDataEngine({
+      tables: {
+        orders: [
+          { id: '1', orders_total: '12.5', placed: '03/02/2024', paid: 'yes', note: 'a' },
+          { id: '2', orders_total: 'n/a', placed: '04/02/2024', paid: 'no', note: 'b' }
+        ]
+      },
+      order: ['orders']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'orders' });
+    const columns = engine.ensureQuery('columns', {
+      type: 'COLUMNS',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: {
+        columnOps: [
+          { field: 'placed', name: 'placed_on', type: 'date', dateFormat: 'DD/MM/YYYY' },
+          { field: 'orders_total', name: 'total', type: 'decimal' },
+          { field: 'note', include: false },
+          { field: 'gone' }
+        ],
+        keepNewColumns: true
+      }
+    });
+    expect(columns.schema).toEqual(['placed_on', 'total', 'id', 'paid']);
+    expect(columns.columnTypes).toMatchObject({ placed_on: 'date', total: 'decimal' });
+    expect(engine.getRows('columns', { start: 0, size: 2 })).toEqual([
+      { placed_on: '2024-02-03', total: 12.5, id: '1', paid: 'yes' },
+      { placed_on: '2024-02-04', total: null, id: '2', paid: 'no' }
+    ]);
+    expect(columns.warnings).toEqual([
+      'Column "gone" is no longer in the input.',
+      '1 value was left blank in "total" (not Decimal).'
+    ]);
+
+    engine.ensureQuery('filtered', {
+      type: 'FILTER',
+      parentId: 'columns',
+      parentKey: engine.getQueryKey('columns'),
+      params: { field: 'total', operator: 'gt', value: '10' }
+    });
+    expect(engine.getRows('filtered', { start: 0, size: 2 }).map((row) => row.id)).toEqual(['1']);
+
+    const clash = engine.ensureQuery('clash', {
+      type: 'COLUMNS',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: { columnOps: [{ field: 'note', name: 'id' }] }
+    });
+    expect(clash.error).toBe('Two columns are named "id".');
+  });
+
+  it('unpivots wide columns into rows and pivots them back into columns', () => {
+    const engine = createDataEngine({
+      tables: {
+        budget: [
+          { team: 'Ops', Jan: 10, Feb: '', Mar: 30 },
+          { team: 'Sales', Jan: 5, Feb: 6, Mar: 7 }
+        ]
+      },
+      order: ['budget']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'budget' });
+    const long = engine.ensureQuery('long', {
+      type: 'UNPIVOT',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: { unpivotColumns: ['Jan', 'Feb', 'Mar'], unpivotNameColumn: 'month', unpivotDropBlanks: true }
+    });
+    expect(long.schema).toEqual(['team', 'month', 'value']);
+    expect(long.columnTypes).toMatchObject({ team: 'string', month: 'string', value: 'integer' });
+    expect(engine.getRows('long', { start: 0, size: 10 })).toEqual([
+      { team: 'Ops', month: 'Jan', value: 10 },
+      { team: 'Ops', month: 'Mar', value: 30 },
+      { team: 'Sales', month: 'Jan', value: 5 },
+      { team: 'Sales', month: 'Feb', value: 6 },
+      { team: 'Sales', month: 'Mar', value: 7 }
+    ]);
+
+    engine.ensureQuery('march', {
+      type: 'FILTER',
+      parentId: 'long',
+      parentKey: engine.getQueryKey('long'),
+      params: { field: 'month', operator: 'equals', value: 'Mar' }
+    });
+    expect(engine.getRows('march', { start: 0, size: 5 }).map((row) => row.value)).toEqual([30, 7]);
+
+    const wide = engine.ensureQuery('wide', {
+      type: 'PIVOT_COLUMNS',
+      parentId: 'long',
+      parentKey: engine.getQueryKey('long'),
+      params: { pivotNamesFrom: 'month', pivotValuesFrom: 'value' }
+    });
+    expect(wide.schema).toEqual(['team', 'Jan', 'Mar', 'Feb']);
+    expect(engine.getRows('wide', { start: 0, size: 5 })).toEqual([
+      { team: 'Ops', Jan: 10, Mar: 30, Feb: null },
+      { team: 'Sales', Jan: 5, Mar: 7, Feb: 6 }
+    ]);
+
+    const totals = engine.ensureQuery('totals', {
+      type: 'PIVOT_COLUMNS',
+      parentId: 'long',
+      parentKey: engine.getQueryKey('long'),
+      params: { pivotNamesFrom: 'team', pivotValuesFrom: 'value', pivotIndex: [], pivotColumnsFn: 'sum', pivotColumnPrefix: 'total_' }
+    });
+    expect(totals.schema).toEqual(['month', 'total_Ops', 'total_Sales']);
+    expect(totals.warnings).toEqual([]);
+
+    const clash = engine.ensureQuery('clash', {
+      type: 'UNPIVOT',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: { unpivotColumns: ['Jan'], unpivotNameColumn: 'team' }
+    });
+    expect(clash.error).toBe('Column "team" already exists.');
+    expect(clash.schema).toEqual(['team', 'Jan', 'Feb', 'Mar']);
+  });
+
+  it('removes duplicate rows by all or chosen columns with keep rules', () => {
+    const engine = createDataEngine({
+      tables: {
+        contacts: [
+          { email: 'a@x.com', name: 'Ann', score: 3 },
+          { email: 'A@x.com ', name: 'Ann', score: 9 },
+          { email: 'b@x.com', name: 'Bob', score: 5 },
+          { email: 'a@x.com', name: 'Ann', score: 3 },
+          { email: 'b@x.com', name: 'Bob', score: '' }
+        ]
+      },
+      order: ['contacts']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'contacts' });
+    const dedupe = (id, params) => engine.ensureQuery(id, {
+      type: 'DEDUPE',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params
+    });
+    const scores = (id) => engine.getRows(id, { start: 0, size: 10 }).map((row) => row.score);
+
+    const exact = dedupe('exact', {});
+    expect(scores('exact')).toEqual([3, 9, 5, '']);
+    expect(exact.summary).toEqual({ inputRows: 5, removedRows: 1, duplicateGroups: 1 });
+
+    // Surrounding spaces only count as equal when trimming is switched on.
+    const byEmail = dedupe('byEmail', { dedupeKeys: ['email'], dedupeIgnoreCase: true });
+    expect(scores('byEmail')).toEqual([3, 9, 5]);
+    expect(byEmail.summary).toEqual({ inputRows: 5, removedRows: 2, duplicateGroups: 2 });
+
+    const trimmed = dedupe('trimmed', { dedupeKeys: ['email'], dedupeIgnoreCase: true, dedupeTrim: true });
+    expect(scores('trimmed')).toEqual([3, 5]);
+    expect(trimmed.summary).toEqual({ inputRows: 5, removedRows: 3, duplicateGroups: 2 });
+
+    dedupe('last', { dedupeKeys: ['email'], dedupeKeep: 'last', dedupeIgnoreCase: true, dedupeTrim: true });
+    expect(scores('last')).toEqual([3, '']);
+
+    dedupe('highest', { dedupeKeys: ['name'], dedupeKeep: 'max', dedupeBy: 'score' });
+    expect(scores('highest')).toEqual([9, 5]);
+
+    dedupe('caseSensitive', { dedupeKeys: ['email'] });
+    expect(scores('caseSensitive')).toEqual([3, 9, 5]);
+
+    expect(dedupe('missing', { dedupeKeys: ['phone'] }).error).toBe('Column "phone" is not available.');
+  });
+
+  it('cleans, fills and splits text columns so they group together', () => {
+    const engine = createDataEngine({
+      tables: {
+        sales: [
+          { brand: 'Nike ', city: 'Austin, TX', qty: 1 },
+          { brand: 'nike', city: '', qty: 2 },
+          { brand: 'NIKE', city: 'Reno, NV', qty: 3 },
+          { brand: 'adidas', city: null, qty: 4 }
+        ]
+      },
+      order: ['sales']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'sales' });
+    const clean = (id, cleanOps) => engine.ensureQuery(id, {
+      type: 'CLEAN',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: { cleanOps }
+    });
+
+    const cleaned = clean('cleaned', [
+      { field: 'brand', trim: true, case: 'title' },
+      { field: 'city', trim: true, fillMode: 'previous', splitDelimiter: ',', splitCount: 2, splitNames: ['town', 'state'], splitKeep: false }
+    ]);
+    expect(cleaned.schema).toEqual(['brand', 'town', 'state', 'qty']);
+    expect(cleaned.columnTypes).toMatchObject({ brand: 'string', qty: 'integer' });
+    expect(cleaned.summary).toEqual({ changedValues: 6 });
+    expect(engine.getRows('cleaned', { start: 0, size: 4 })).toEqual([
+      { brand: 'Nike', town: 'Austin', state: 'TX', qty: 1 },
+      { brand: 'Nike', town: 'Austin', state: 'TX', qty: 2 },
+      { brand: 'Nike', town: 'Reno', state: 'NV', qty: 3 },
+      { brand: 'Adidas', town: 'Reno', state: 'NV', qty: 4 }
+    ]);
+    expect(engine.getAggregatedRows('cleaned', { groupBy: 'brand', fn: 'sum', metricField: 'qty' }).rows).toEqual([
+      { brand: 'Nike', qty: 6 },
+      { brand: 'Adidas', qty: 4 }
+    ]);
+
+    expect(clean('badPattern', [{ field: 'brand', replacements: [{ find: '[', regex: true }] }]).error)
+      .toMatch(/^Invalid pattern "\[" for "brand"/);
+    expect(clean('clash', [{ field: 'city', splitDelimiter: ',', splitNames: ['qty'] }]).error).toBe('Column "qty" already exists.');
+    expect(clean('missing', [{ field: 'color', trim: true }]).error).toBe('Column "color" is not available.');
+  });
+
+  it('samples rows reproducibly and passes everything through when switched off', () => {
+    const engine = createDataEngine({
+      tables: {
+        visits: Array.from({ length: 200 }, (_, i) => ({ id: i, device: i % 4 === 0 ? 'mobile' : 'desktop' }))
+      },
+      order: ['visits']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'visits' });
+    const sample = (id, params) => engine.ensureQuery(id, {
+      type: 'SAMPLE',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params
+    });
+    const ids = (id) => engine.getRows(id, { start: 0, size: 200 }).map((row) => row.id);
+
+    const fixed = sample('fixed', { sampleSize: 20, sampleSeed: 5 });
+    expect(fixed.rowCount).toBe(20);
+    expect(fixed.summary).toEqual({ enabled: true, inputRows: 200, sampledRows: 20, strata: null });
+    sample('again', { sampleSize: 20, sampleSeed: 5 });
+    expect(ids('again')).toEqual(ids('fixed'));
+
+    sample('stratified', { sampleMethod: 'percent', samplePercent: 10, sampleStrataBy: 'device', sampleSeed: 5 });
+    const devices = engine.getRows('stratified', { start: 0, size: 20 }).map((row) => row.device);
+    expect(devices.filter((device) => device === 'mobile')).toHaveLength(5);
+    expect(devices.filter((device) => device === 'desktop')).toHaveLength(15);
+
+    const off = sample('off', { sampleSize: 20, sampleEnabled: false });
+    expect(off.rowCount).toBe(200);
+    expect(off.summary.enabled).toBe(false);
+
+    expect(sample('missing', { sampleStrataBy: 'country' }).error).toBe('Column "country" is not available.');
+  });
+
+  it('runs SQL queries over the input, tables and other nodes', () => {
+    const engine = createDataEngine({
+      tables: {
+        orders: [
+          { id: 1, customer: 'a', region: 'North', qty: 2 },
+          { id: 2, customer: 'b', region: 'South', qty: 5 },
+          { id: 3, customer: 'a', region: 'North', qty: 1 },
+          { id: 4, customer: 'c', region: 'South', qty: null }
+        ],
+        customers: [
+          { customer: 'a', name: 'Ann' },
+          { customer: 'b', name: 'Bob' }
+        ]
+      },
+      order: ['orders', 'customers']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'orders' });
+    engine.ensureQuery('people', { type: 'SOURCE', table: 'customers' });
+    const sql = (id, query, sqlNodeIds = {}) => engine.ensureQuery(id, {
+      type: 'SQL',
+      parentId: 'source',
+      parentKey: engine.getQueryKey('source'),
+      params: { sql: query, sqlNodeIds }
+    });
+    const rows = (id) => engine.getRows(id, { start: 0, size: 10 });
+
+    const joined = sql('joined', `SELECT o.id, p.name, qty * 10 AS units
+      FROM input o LEFT JOIN People p ON o.customer = p.customer
+      WHERE qty > 1 OR qty IS NULL ORDER BY units DESC NULLS LAST`, { people: 'people' });
+    expect(joined.error).toBeNull();
+    expect(joined.schema).toEqual(['id', 'name', 'units']);
+    expect(rows('joined')).toEqual([
+      { id: 2, name: 'Bob', units: 50 },
+      { id: 1, name: 'Ann', units: 20 },
+      { id: 4, name: null, units: null }
+    ]);
+
+    const grouped = sql('grouped', `SELECT region, COUNT(*) AS orders, COUNT(qty) AS filled, SUM(qty) AS total
+      FROM orders GROUP BY region HAVING SUM(qty) > 3 ORDER BY 1`);
+    expect(grouped.summary.steps).toEqual(['CALCULATE', 'AGGREGATE', 'FILTER', 'SORT', 'COLUMNS']);
+    expect(rows('grouped')).toEqual([{ region: 'South', orders: 2, filled: 1, total: 5 }]);
+
+    sql('distinct', 'SELECT DISTINCT customer FROM input ORDER BY customer DESC LIMIT 2 OFFSET 1');
+    expect(rows('distinct')).toEqual([{ customer: 'b' }, { customer: 'a' }]);
+
+    const broken = sql('broken', 'SELECT region,\nFROM input');
+    expect(broken.error).toBe('Expected a value or column but found "FROM" (line 2, column 1)');
+    expect(broken.rowCount).toBe(4);
+  });
+
+  it('leaves NULL out of SQL comparisons and matches LIKE with case', () => {
+    const engine = createDataEngine({
+      tables: {
+        orders: [
+          { id: 1, customer: 'Ann', qty: 2 },
+          { id: 2, customer: 'ann', qty: null },
+          { id: 3, customer: null, qty: 5 }
+        ]
+      },
+      order: ['orders']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'orders' });
+    const ids = (query) => {
+      engine.ensureQuery('sql', { type: 'SQL', parentId: 'source', params: { sql: `SELECT id FROM input WHERE ${query}` } });
+      return engine.getRows('sql', { start: 0, size: 10 }).map((row) => row.id);
+    };
+
+    expect(ids("customer != 'Ann'")).toEqual([2]);
+    expect(ids("NOT customer = 'Ann'")).toEqual([2]);
+    expect(ids('qty <> 2')).toEqual([3]);
+    expect(ids('NOT qty BETWEEN 3 AND 9')).toEqual([1]);
+    expect(ids("customer NOT IN ('x')")).toEqual([1, 2]);
+    expect(ids("customer LIKE 'A%'")).toEqual([1]);
+    expect(ids("customer NOT LIKE 'A%'")).toEqual([2]);
+    expect(ids("customer LIKE '%'")).toEqual([1, 2]);
+    expect(ids("customer IS NULL OR customer = 'ann'")).toEqual([2, 3]);
+    engine.ensureQuery('sql', { type: 'SQL', parentId: 'source', params: { sql: "SELECT id, customer LIKE 'a%' AS lower FROM input" } });
+    expect(engine.getRows('sql', { start: 0, size: 10 }).map((row) => row.lower)).toEqual([false, true, false]);
+  });
+
+  it('keys SQL results by their node and counts the bytes of intermediate steps', () => {
+    const engine = createDataEngine({
+      tables: { orders: [{ id: 2, qty: 5 }, { id: 1, qty: 2 }, { id: 3, qty: 0 }] },
+      order: ['orders']
+    });
+    engine.ensureQuery('source', { type: 'SOURCE', table: 'orders' });
+    const spec = { type: 'SQL', parentId: 'source', params: { sql: 'SELECT id FROM input WHERE qty > 1 ORDER BY id' } };
+    const result = engine.ensureQuery('sql', spec);
+    expect(result.key).toBe(engine.getQueryKey('sql'));
+    expect(engine.getRows('sql', { start: 0, size: 5 })).toEqual([{ id: 1 }, { id: 2 }]);
+    // The final projection holds no data of its own; the filter and sort row ids (2 x 4 bytes each) do.
+    expect(engine.getCacheStats().usedBytes).toBe(16);
+    expect(engine.ensureQuery('sql', spec)).toBe(result);
+  });
 });
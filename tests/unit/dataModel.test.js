@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createDataModel,
+  getDataModelRowCount,
+  getTableFields,
+  getTableRow,
+  restoreDataModel,
+  serializeDataModel
+} from '../../src/utils/dataModel.js';
+
+const rows = [
+  { id: '007', region: 'West', revenue: 10.5, share: '12.5%' },
+  { id: '008', region: '', revenue: null, share: '3%' },
+  { id: '009', region: 'East', revenue: 1e21, share: '' }
+];
+
+describe('data model', () => {
+  it('encodes tables once and reads fields, rows and counts from the encoded data', () => {
+    const model = createDataModel({ sales: rows, empty: [] });
+    expect(model.order).toEqual(['sales', 'empty']);
+    expect(model.tables.sales.columns.revenue.data).toBeInstanceOf(Float64Array);
+    expect(getTableFields(model.tables.sales)).toEqual(['id', 'region', 'revenue', 'share']);
+    expect(getTableRow(model.tables.sales, 1)).toEqual(rows[1]);
+    expect(getDataModelRowCount(model)).toBe(3);
+    expect(createDataModel(model.tables).tables.sales).toBe(model.tables.sales);
+  });
+
+  it('round-trips through JSON storage', () => {
+    const model = createDataModel({ sales: rows });
+    const stored = JSON.parse(JSON.stringify(serializeDataModel(model)));
+    expect(stored.tables.sales.columns.revenue.data).toEqual({ typedArray: 'Float64Array', base64: expect.any(String) });
+
+    const restored = restoreDataModel(stored);
+    expect(restored.order).toEqual(['sales']);
+    expect(restored.tables.sales.columns.id.codes).toBeInstanceOf(Uint8Array);
+    expect([0, 1, 2].map((index) => getTableRow(restored.tables.sales, index))).toEqual(rows);
+  });
+
+  it('encodes row arrays from older sessions and drops unreadable tables', () => {
+    const restored = restoreDataModel({
+      tables: {
+        legacy: [{ a: '1' }],
+        broken: { type: 'columnar', rowCount: 1, fields: ['a'], columns: { a: { kind: 'number', data: { typedArray: 'Nope' } } } }
+      },
+      order: ['legacy', 'broken']
+    });
+    expect(restored.order).toEqual(['legacy']);
+    expect(getTableRow(restored.tables.legacy, 0)).toEqual({ a: '1' });
+    expect(restoreDataModel(null)).toEqual({ tables: {}, order: [] });
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import {
+  bucketDateValue,
+  compareTimeBuckets,
+  normalizeDateValue,
+  parseDateParts
+} from '../../src/utils/dateUtils.js';
+
+describe('date utils', () => {
+  it('parses dates by format and normalizes them to ISO text', () => {
+    expect(normalizeDateValue('03/04/2024', 'DD/MM/YYYY')).toBe('2024-04-03');
+    expect(normalizeDateValue('03/04/2024')).toBe('2024-03-04');
+    expect(normalizeDateValue('Jan 5, 2024 3:04 PM')).toBe('2024-01-05T15:04:00');
+    expect(normalizeDateValue('5-Jan-24', 'D-MMM-YY')).toBe('2024-01-05');
+    expect(normalizeDateValue('20240105', 'YYYYMMDD')).toBe('2024-01-05');
+    expect(normalizeDateValue('45306', 'excel')).toBe('2024-01-15');
+    expect(normalizeDateValue('1700000000', 'unix')).toBe('2023-11-14T22:13:20');
+    expect(parseDateParts('31/02/2024', 'DD/MM/YYYY')).toBeNull();
+    expect(parseDateParts('12345')).toBeNull();
+  });
+
+  it('buckets dates by time grain with chronological ordering', () => {
+    expect(bucketDateValue('2024-05-17T13:10:00', 'hour')).toBe('2024-05-17 13:00');
+    expect(bucketDateValue('2024-05-17', 'quarter')).toBe('2024-Q2');
+    expect(bucketDateValue('2024-05-17', 'day_of_week')).toBe('Fri');
+    expect(bucketDateValue('2024-12-30', 'week')).toBe('2025-W01');
+    expect(bucketDateValue('2021-01-03', 'week')).toBe('2020-W53');
+    expect(bucketDateValue('not a date', 'month')).toBeNull();
+    expect(['Sun', 'Mon', '(blank)', 'Wed'].sort((a, b) => compareTimeBuckets(a, b, 'day_of_week')))
+      .toEqual(['Mon', 'Wed', 'Sun', '(blank)']);
+  });
+});
@@ -0,0 +1,179 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { RESTART_GRACE_MS, createEngineClient } from '../../src/utils/engineClient.js';
+import { createEngineHost } from '../../src/utils/engineHost.js';
+import { withFilterReferenceDate } from '../../src/utils/filterUtils.js';
+
+const dataModel = {
+  tables: {
+    sales: [
+      { region: 'West', revenue: 10 },
+      { region: 'East', revenue: 20 },
+      { region: 'West', revenue: 30 }
+    ]
+  },
+  order: ['sales']
+};
+
+const buildSpecs = (filterValue) => {
+  const source = { type: 'SOURCE', table: 'sales' };
+  const filter = {
+    type: 'FILTER',
+    parentId: 'source',
+    parentKey: JSON.stringify(source),
+    params: { field: 'region', operator: 'equals', value: filterValue }
+  };
+  return [{ queryId: 'source', spec: source }, { queryId: 'filter', spec: filter }];
+};
+
+describe('engine client', () => {
+  it('runs query chains asynchronously and caches accessor results', async () => {
+    const client = createEngineClient();
+    client.setDataModel(dataModel);
+    expect(await client.run(buildSpecs('West'))).toBe(true);
+
+    expect(client.getStatus('filter')).toEqual({ status: 'ready', progress: 1 });
+    expect(client.getSnapshot('filter')).toMatchObject({ rowCount: 2, schema: ['region', 'revenue'] });
+    expect(client.getSnapshot('filter').sampleRows).toHaveLength(2);
+
+    expect(client.read('filter', 'getMetric', 'sum', 'revenue')).toBeUndefined();
+    expect(await client.call('filter', 'getMetric', 'sum', 'revenue')).toBe(40);
+    expect(client.read('filter', 'getMetric', 'sum', 'revenue')).toBe(40);
+    client.terminate();
+  });
+
+  it('cancels superseded runs', async () => {
+    const client = createEngineClient();
+    client.setDataModel(dataModel);
+    const first = client.run(buildSpecs('West'));
+    const second = client.run(buildSpecs('East'));
+    expect(client.getStatus('filter').status).toBe('queued');
+
+    expect(await first).toBe(false);
+    expect(await second).toBe(true);
+    expect(client.getSnapshot('filter').rowCount).toBe(1);
+    client.terminate();
+  });
+
+  it('keeps relative date filters ready when the same specs run again', async () => {
+    const client = createEngineClient();
+    client.setDataModel(dataModel);
+    const params = withFilterReferenceDate({ field: 'region', operator: 'last_n_days', value: '7' });
+    const [source, filter] = buildSpecs('West');
+    const specs = [source, { ...filter, spec: { ...filter.spec, params } }];
+    expect(await client.run(specs)).toBe(true);
+    expect(await client.call('filter', 'getMetric', 'count', 'region')).toBe(0);
+
+    const rerun = client.run(specs);
+    expect(client.getStatus('filter')).toEqual({ status: 'ready', progress: 1 });
+    expect(client.read('filter', 'getMetric', 'count', 'region')).toBe(0);
+    expect(await rerun).toBe(true);
+    client.terminate();
+  });
+});
+
+describe('engine client with a worker', () => {
+  // Records what the client posts; the test plays the worker's replies, so a node can stay "running".
+  class FakeWorker {
+    static instances = [];
+
+    constructor() {
+      this.messages = [];
+      this.terminated = false;
+      FakeWorker.instances.push(this);
+    }
+
+    postMessage(message) {
+      this.messages.push(message);
+    }
+
+    terminate() {
+      this.terminated = true;
+    }
+
+    reply(message) {
+      this.onmessage?.({ data: message });
+    }
+  }
+
+  const startClient = () => {
+    FakeWorker.instances = [];
+    vi.stubGlobal('Worker', FakeWorker);
+    vi.useFakeTimers();
+    const client = createEngineClient();
+    client.setDataModel(dataModel);
+    return client;
+  };
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('replaces a worker that is still computing a superseded node', async () => {
+    const client = startClient();
+    const first = client.run(buildSpecs('West'));
+    const [worker] = FakeWorker.instances;
+    worker.reply({ type: 'progress', runId: 1, queryId: 'filter', status: 'running', progress: 0.5 });
+
+    const second = client.run(buildSpecs('East'));
+    expect(await first).toBe(false);
+    expect(worker.messages.at(-2)).toEqual({ type: 'cancel', runId: 1 });
+    vi.advanceTimersByTime(RESTART_GRACE_MS);
+
+    expect(worker.terminated).toBe(true);
+    const [, replacement] = FakeWorker.instances;
+    expect(replacement.messages.map((message) => message.type)).toEqual(['init', 'run']);
+    expect(replacement.messages[0].dataModel).toBe(dataModel);
+    expect(replacement.messages[1]).toMatchObject({ runId: 2, specs: buildSpecs('East') });
+    worker.reply({ type: 'done', runId: 1 });
+    replacement.reply({ type: 'done', runId: 2 });
+    expect(await second).toBe(true);
+    client.terminate();
+  });
+
+  it('keeps the worker when the superseded node finishes in time', async () => {
+    const client = startClient();
+    client.run(buildSpecs('West'));
+    const [worker] = FakeWorker.instances;
+    worker.reply({ type: 'progress', runId: 1, queryId: 'filter', status: 'running', progress: 0 });
+    client.run(buildSpecs('East'));
+    worker.reply({ type: 'snapshot', runId: 1, queryId: 'filter', snapshot: null });
+    vi.advanceTimersByTime(RESTART_GRACE_MS);
+
+    expect(worker.terminated).toBe(false);
+    expect(FakeWorker.instances).toHaveLength(1);
+    client.terminate();
+  });
+});
+
+describe('engine host', () => {
+  it('reports progress during long scans', async () => {
+    const messages = [];
+    let finish = null;
+    const finished = new Promise((resolve) => { finish = resolve; });
+    const host = createEngineHost((message) => {
+      messages.push(message);
+      if (message.type === 'done') finish();
+    });
+    const rows = Array.from({ length: 60000 }, (_, i) => ({ id: i, even: i % 2 === 0 ? 'yes' : 'no' }));
+    host.handleMessage({ type: 'init', dataModel: { tables: { big: rows }, order: ['big'] } });
+    const source = { type: 'SOURCE', table: 'big' };
+    host.handleMessage({
+      type: 'run',
+      runId: 1,
+      specs: [
+        { queryId: 'source', spec: source },
+        {
+          queryId: 'evens',
+          spec: { type: 'FILTER', parentId: 'source', parentKey: JSON.stringify(source), params: { field: 'even', value: 'yes' } }
+        }
+      ]
+    });
+    await finished;
+
+    const progress = messages.filter((message) => message.type === 'progress' && message.queryId === 'evens');
+    expect(progress.map((message) => message.progress)).toEqual([0, 25000 / 60000, 50000 / 60000]);
+    const snapshot = messages.find((message) => message.type === 'snapshot' && message.queryId === 'evens').snapshot;
+    expect(snapshot.rowCount).toBe(30000);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { compileExpression, parseExpression } from '../../src/utils/expression.js';
+
+describe('expression language', () => {
+  const evaluate = (source, row = {}) => compileExpression(source).evaluate(row);
+
+  it('evaluates arithmetic, concatenation, and string functions', () => {
+    expect(evaluate('[price] - cost * 2', { price: '10', cost: 3 })).toBe(4);
+    expect(evaluate('first & " " & UPPER(last)', { first: 'Ada', last: 'Lovelace' })).toBe('Ada LOVELACE');
+    expect(evaluate('ROUND([Unit Price] / 3, 2)', { 'Unit Price': 10 })).toBe(3.33);
+    expect(evaluate('SUBSTR(TRIM(code), 2, 3)', { code: '  ABCDE ' })).toBe('BCD');
+  });
+
+  it('supports conditionals and null coalescing', () => {
+    expect(evaluate('IF(rating >= 4, "good", "meh")', { rating: '4.5' })).toBe('good');
+    expect(evaluate('CASE WHEN score > 90 THEN "A" WHEN score > 80 THEN "B" ELSE "C" END', { score: 85 })).toBe('B');
+    expect(evaluate('discount ?? 0', { discount: '' })).toBe(0);
+    expect(evaluate('COALESCE(nickname, name)', { name: 'Bob' })).toBe('Bob');
+    expect(evaluate('price * 2', { price: '' })).toBeNull();
+  });
+
+  it('extracts date parts', () => {
+    expect(evaluate('YEAR(ordered)', { ordered: '2024-03-15' })).toBe(2024);
+    expect(evaluate('MONTH(ordered)', { ordered: '2024-03-15' })).toBe(3);
+    expect(evaluate('QUARTER(ordered)', { ordered: '2024-03-15' })).toBe(1);
+  });
+
+  it('reports syntax errors and unknown columns', () => {
+    expect(() => parseExpression('price *')).toThrow(/Unexpected end of expression/);
+    expect(() => parseExpression('FOO(price)')).toThrow(/Unknown function FOO/);
+    expect(() => compileExpression('price - cost', { schema: ['price'] })).toThrow(/Unknown column "cost"/);
+  });
+});
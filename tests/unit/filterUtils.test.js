@@ -0,0 +1,71 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  createFilterCondition,
+  createFilterGroup,
+  flattenFilterConditions,
+  isFilterConditionComplete,
+  normalizeFilterTree,
+  normalizeFilters,
+  resolveDatePeriodRange,
+  withFilterReferenceDate
+} from '../../src/utils/filterUtils.js';
+
+describe('filter utils', () => {
+  it('normalizes legacy single-filter params', () => {
+    expect(normalizeFilters({ field: 'brand', value: 'Nike' })).toEqual([
+      { mode: 'operator', field: 'brand', operator: 'equals', value: 'Nike' }
+    ]);
+  });
+
+  it('normalizes nested groups into a tree', () => {
+    const tree = normalizeFilterTree({
+      combinator: 'or',
+      filters: [
+        { field: 'brand', value: 'Nike' },
+        { type: 'group', combinator: 'bogus', negate: 1, filters: [{ field: 'price', operator: 'gt', value: 100 }] }
+      ]
+    });
+    expect(tree.combinator).toBe('OR');
+    expect(tree.filters[1]).toMatchObject({ type: 'group', combinator: 'AND', negate: true });
+    expect(tree.filters[1].filters[0]).toMatchObject({ field: 'price', operator: 'gt', mode: 'operator' });
+    expect(flattenFilterConditions(tree.filters).map((filter) => filter.field)).toEqual(['brand', 'price']);
+  });
+
+  it('treats value-free and half-open range conditions as complete', () => {
+    expect(isFilterConditionComplete({ field: 'owner', operator: 'is_null', value: '' })).toBe(true);
+    expect(isFilterConditionComplete({ field: 'price', operator: 'between', value: '', valueTo: '5' })).toBe(true);
+    expect(isFilterConditionComplete({ field: 'price', operator: 'between', value: '', valueTo: '' })).toBe(false);
+    expect(isFilterConditionComplete({ field: 'brand', operator: 'equals', value: '  ' })).toBe(false);
+  });
+
+  it('resolves named date periods in local time', () => {
+    const now = new Date(2024, 4, 15, 9).getTime();
+    expect(resolveDatePeriodRange('this_quarter', now)).toEqual([
+      new Date(2024, 3, 1).getTime(),
+      new Date(2024, 6, 1).getTime()
+    ]);
+    expect(resolveDatePeriodRange('last_month', now)).toEqual([
+      new Date(2024, 3, 1).getTime(),
+      new Date(2024, 4, 1).getTime()
+    ]);
+    expect(resolveDatePeriodRange('this_week', now)[0]).toBe(new Date(2024, 4, 13).getTime());
+    expect(resolveDatePeriodRange('unknown', now)).toBeNull();
+  });
+
+  it('sets the start of the day on filters with relative date conditions', () => {
+    const now = new Date(2024, 4, 15, 9).getTime();
+    const params = { filters: [{ type: 'group', filters: [{ field: 'opened', operator: 'date_period', value: 'today' }] }] };
+    expect(withFilterReferenceDate(params, now).referenceDate).toBe(new Date(2024, 4, 15).getTime());
+    expect(withFilterReferenceDate({ ...params, referenceDate: 1 }, now).referenceDate).toBe(1);
+    const plain = { filters: [{ field: 'opened', operator: 'last_n_days', value: '' }] };
+    expect(withFilterReferenceDate(plain, now)).toBe(plain);
+  });
+
+  it('gives conditions and groups created in the same millisecond different ids', () => {
+    vi.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    const ids = [createFilterGroup(), createFilterGroup(), createFilterCondition(), createFilterCondition()].map((item) => item.id);
+    vi.restoreAllMocks();
+    expect(new Set(ids).size).toBe(4);
+    expect(createFilterCondition()).toMatchObject({ field: '', operator: 'equals', value: '', mode: 'operator' });
+  });
+});
@@ -1,5 +1,6 @@
-import { describe, expect, it } from 'vitest';
-import { parseCSV, parseCSVFile, buildDataModelFromCSV, buildDataModelFromXLSX } from '../../src/utils/ingest.js';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { parseCSV, parseCSVFile, parseXLSX, buildDataModelFromCSV, buildDataModelFromXLSX } from '../../src/utils/ingest.js';
+import { getTableRow } from '../../src/utils/dataModel.js';
 
 describe('ingest utils', () => {
   it('parses CSV rows with quotes and commas', () => {
@@ -20,12 +21,53 @@ describe('ingest utils', () => {
     const rows = [{ a: '1' }];
     const model = buildDataModelFromCSV('sales.csv', rows);
     expect(model.order).toEqual(['sales']);
-    expect(model.tables.sales).toEqual(rows);
+    expect(model.tables.sales).toMatchObject({ type: 'columnar', rowCount: 1, fields: ['a'] });
+    expect(getTableRow(model.tables.sales, 0)).toEqual({ a: '1' });
   });
 
   it('builds data model from XLSX tables', () => {
     const model = buildDataModelFromXLSX({ Sheet1: [{ a: '1' }], Sheet2: [] });
     expect(model.order).toEqual(['Sheet1', 'Sheet2']);
-    expect(model.tables.Sheet1).toEqual([{ a: '1' }]);
+    expect(getTableRow(model.tables.Sheet1, 0)).toEqual({ a: '1' });
+    expect(model.tables.Sheet2.rowCount).toBe(0);
+  });
+
+  describe('XLSX sheets', () => {
+    // Minimal stand-in for the CDN library: one header row, and sheet_to_json returns raw values
+    // (v) or display text (w) the way the real library does.
+    const stubXlsx = (cells) => {
+      const sheet = { '!ref': 'A1:D2' };
+      Object.entries(cells).forEach(([address, cell]) => { sheet[address] = { ...cell }; });
+      const sheetToJson = (target, { raw }) => {
+        const headers = ['A', 'B', 'C', 'D'].map((col) => target[`${col}1`]?.v);
+        const row = {};
+        headers.forEach((header, index) => {
+          const cell = target[`${'ABCD'[index]}2`];
+          row[header] = raw ? cell.v : cell.w ?? String(cell.v);
+        });
+        return [row];
+      };
+      const xlsx = { read: () => ({ SheetNames: ['Sheet1'], Sheets: { Sheet1: sheet } }), utils: { sheet_to_json: sheetToJson } };
+      vi.stubGlobal('XLSX', xlsx);
+      window.XLSX = xlsx;
+    };
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      delete window.XLSX;
+    });
+
+    it('stores date cells as ISO text and keeps the display text of other cells', () => {
+      stubXlsx({
+        A1: { t: 's', v: 'id' }, B1: { t: 's', v: 'share' }, C1: { t: 's', v: 'price' }, D1: { t: 's', v: 'sold' },
+        A2: { t: 's', v: '00042', w: '00042' },
+        B2: { t: 'n', v: 0.125, w: '12.5%' },
+        C2: { t: 'n', v: 1999.5, w: '$1,999.50' },
+        D2: { t: 'd', v: new Date(2024, 2, 5), w: '3/5/24' }
+      });
+      expect(parseXLSX(new ArrayBuffer(0))).toEqual({
+        Sheet1: [{ id: '00042', share: '12.5%', price: '$1,999.50', sold: '2024-03-05' }]
+      });
+    });
   });
 });
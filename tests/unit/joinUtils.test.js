@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildJoinKey,
+  createJoinMatcher,
+  editSimilarity,
+  normalizeFuzzyText,
+  normalizeJoinParams,
+  resolveJoinColumns,
+  tokenSimilarity
+} from '../../src/utils/joinUtils.js';
+
+describe('join utils', () => {
+  it('reads legacy single-key params and drops incomplete keys', () => {
+    const params = normalizeJoinParams({ rightTable: 'customers', leftKey: 'id', rightKey: 'customer_id', joinType: 'semi' });
+    expect(params.keys).toEqual([{ left: 'id', right: 'customer_id' }]);
+    expect(params.joinType).toBe('SEMI');
+    expect(normalizeJoinParams({ joinKeys: [{ left: 'id', right: '' }] }).keys).toEqual([]);
+  });
+
+  it('builds composite keys and treats any blank part as unmatched', () => {
+    expect(buildJoinKey([' A ', 1], { ignoreCase: true, trimKeys: true })).toBe(JSON.stringify(['a', '1']));
+    expect(buildJoinKey(['A', ''], {})).toBeNull();
+    expect(buildJoinKey([' A'], { trimKeys: false })).toBe(' A');
+  });
+
+  it('prefixes right columns or suffixes only the conflicting ones', () => {
+    const prefixed = resolveJoinColumns(['id', 'name'], ['id', 'city'], normalizeJoinParams({ rightTable: 'geo' }));
+    expect(prefixed.schema).toEqual(['id', 'name', 'geo_id', 'geo_city']);
+
+    const suffixed = resolveJoinColumns(['id', 'name'], ['id', 'city'], normalizeJoinParams({
+      columnNaming: 'suffix',
+      rightColumns: ['id', 'city']
+    }));
+    expect(suffixed.schema).toEqual(['id', 'name', 'id_right', 'city']);
+    expect(suffixed.leftFields.size).toBe(0);
+  });
+
+  it('scores normalized text by edit distance or shared words', () => {
+    expect(normalizeFuzzyText('  Café-Müller, Inc. ')).toBe('cafe muller inc');
+    expect(editSimilarity('kitten', 'sitting')).toBeCloseTo(1 - 3 / 7);
+    expect(tokenSimilarity('Smith, John', 'john smith')).toBe(1);
+    expect(tokenSimilarity('John Smith', 'Jane Smith')).toBeCloseTo(1 / 3);
+  });
+
+  it('picks the closest fuzzy match above the threshold and the latest as-of row', () => {
+    const rows = [{ name: 'Jon Smith', at: 5 }, { name: 'John Smyth', at: 9 }, { name: 'Jane Doe', at: 12 }];
+    const right = { rowCount: rows.length, getValue: (index, field) => rows[index][field] };
+    const fuzzy = createJoinMatcher(normalizeJoinParams({
+      matchMode: 'fuzzy',
+      fuzzyThreshold: 0.85,
+      joinKeys: [{ left: 'who', right: 'name' }]
+    }), right);
+    expect(fuzzy(() => 'John Smith')).toEqual([{ index: 0, score: 0.9 }]);
+    expect(fuzzy(() => 'Someone Else')).toEqual([]);
+
+    const asof = createJoinMatcher(normalizeJoinParams({
+      matchMode: 'asof',
+      leftValueField: 'when',
+      rightStartField: 'at',
+      asofTolerance: 4
+    }), right);
+    expect(asof(() => 11)).toEqual([{ index: 1, score: 0.5 }]);
+    expect(asof(() => 4)).toEqual([]);
+    expect(asof(() => 30)).toEqual([]);
+  });
+});
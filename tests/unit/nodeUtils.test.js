@@ -1,5 +1,12 @@
 import { describe, expect, it } from 'vitest';
-import { getChildren, getCalculationOrder, calculateMetric } from '../../src/utils/nodeUtils.js';
+import {
+  getChildren,
+  getCalculationOrder,
+  findReferenceCycleNodes,
+  getDependentNodeIds,
+  calculateMetric,
+  normalizeAggregateParams
+} from '../../src/utils/nodeUtils.js';
 
 describe('node utils', () => {
   it('returns children and calculation order', () => {
@@ -14,6 +21,26 @@ describe('node utils', () => {
     expect(getCalculationOrder(nodes).map(n => n.id)).toEqual(['root', 'child-a', 'child-b', 'grand']);
   });
 
+  it('orders cross-branch references before the nodes that read them and detects cycles', () => {
+    const nodes = [
+      { id: 'root', parentId: null },
+      { id: 'join', parentId: 'root', type: 'JOIN', params: { rightNodeId: 'totals' } },
+      { id: 'agg', parentId: 'root' },
+      { id: 'totals', parentId: 'agg' },
+      { id: 'after-join', parentId: 'join' }
+    ];
+    expect(getCalculationOrder(nodes).map(n => n.id)).toEqual(['root', 'agg', 'totals', 'join', 'after-join']);
+    expect(findReferenceCycleNodes(nodes).size).toBe(0);
+    expect(Array.from(getDependentNodeIds(nodes, 'totals'))).toEqual(['join', 'after-join']);
+
+    const cyclic = [
+      ...nodes.filter(n => n.id !== 'totals'),
+      { id: 'totals', parentId: 'agg', type: 'APPEND', params: { appendNodeIds: ['after-join'] } }
+    ];
+    expect(getCalculationOrder(cyclic).map(n => n.id).sort()).toEqual(['after-join', 'agg', 'join', 'root', 'totals']);
+    expect(Array.from(findReferenceCycleNodes(cyclic))).toEqual(['join']);
+  });
+
   it('calculates metrics', () => {
     const data = [{ val: 2 }, { val: 2 }, { val: 5 }];
     expect(calculateMetric(data, 'val', 'count')).toBe(3);
@@ -23,4 +50,35 @@ describe('node utils', () => {
     expect(calculateMetric(data, 'val', 'min')).toBe(2);
     expect(calculateMetric(data, 'val', 'max')).toBe(5);
   });
+
+  it('calculates statistical metrics', () => {
+    const data = [{ val: 1 }, { val: 2 }, { val: 2 }, { val: '' }, { val: 7 }];
+    expect(calculateMetric(data, 'val', 'median')).toBe(2);
+    expect(calculateMetric(data, 'val', 'p25')).toBe(1.75);
+    expect(calculateMetric(data, 'val', 'p90')).toBeCloseTo(5.5);
+    expect(calculateMetric(data, 'val', 'p100')).toBe(7);
+    expect(calculateMetric(data, 'val', 'variance')).toBeCloseTo(22 / 3);
+    expect(calculateMetric(data, 'val', 'stddev')).toBeCloseTo(Math.sqrt(22 / 3));
+
+    const offset = [{ val: 1e9 + 1 }, { val: 1e9 + 2 }, { val: 1e9 + 3 }];
+    expect(calculateMetric(offset, 'val', 'variance')).toBe(1);
+    const timestamps = [0, 1, 2, 3].map((day) => ({ val: Date.UTC(2024, 0, 1) + day * 86400000 }));
+    expect(calculateMetric(timestamps, 'val', 'stddev')).toBeCloseTo(Math.sqrt(5 / 3) * 86400000);
+    expect(calculateMetric(data, 'val', 'mode')).toBe(2);
+    expect(calculateMetric(data, 'val', 'first')).toBe(1);
+    expect(calculateMetric(data, 'val', 'last')).toBe(7);
+    expect(calculateMetric(data, 'val', 'null_count')).toBe(1);
+    expect(calculateMetric([], 'val', 'median')).toBe(0);
+    expect(calculateMetric([], 'val', 'mode')).toBeNull();
+  });
+
+  it('keeps aggregate output names unique', () => {
+    const aliases = (params) => normalizeAggregateParams(params).metrics.map((metric) => metric.alias);
+    expect(aliases({
+      groupBy: 'region',
+      metrics: [{ fn: 'sum', field: 'qty', alias: 'X' }, { fn: 'avg', field: 'qty', alias: 'X' }, { fn: 'max', field: 'qty', alias: 'X' }]
+    })).toEqual(['X', 'X_2', 'X_3']);
+    expect(aliases({ groupBy: 'region', metrics: [{ fn: 'count', alias: 'region' }, { fn: 'min', field: 'region' }] }))
+      .toEqual(['region_2', 'min_region']);
+  });
 });
@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { createPivotColumnNamer, normalizePivotColumnsParams, normalizeUnpivotParams } from '../../src/utils/reshapeUtils.js';
+
+describe('reshape utils', () => {
+  it('defaults unpivot output names and drops repeated columns', () => {
+    expect(normalizeUnpivotParams({ unpivotColumns: ['Jan', 'Jan', 'Feb'], unpivotValueColumn: ' amount ' })).toEqual({
+      columns: ['Jan', 'Feb'],
+      nameColumn: 'attribute',
+      valueColumn: 'amount',
+      dropBlanks: false
+    });
+  });
+
+  it('keeps the name and value fields out of the row identity', () => {
+    const params = normalizePivotColumnsParams({ pivotNamesFrom: 'month', pivotValuesFrom: 'value', pivotIndex: ['team', 'month'] });
+    expect(params.index).toEqual(['team']);
+    expect(params.fn).toBe('first');
+  });
+
+  it('names pivoted columns without clashing with identity columns', () => {
+    const nameColumn = createPivotColumnNamer(['team', 'Jan']);
+    expect(['Jan', '', null, 'Feb', 'Jan', 2024].map(nameColumn)).toEqual(['Jan_2', '(blank)', '(blank)', 'Feb', 'Jan_2', '2024']);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { getSampleSize, normalizeSampleParams, sampleRowIds } from '../../src/utils/sampleUtils.js';
+
+describe('sample utils', () => {
+  it('sizes samples by row count or percentage', () => {
+    expect(getSampleSize(normalizeSampleParams({ sampleSize: 50 }), 20)).toBe(20);
+    expect(getSampleSize(normalizeSampleParams({ sampleMethod: 'percent', samplePercent: 12.5 }), 200)).toBe(25);
+    expect(normalizeSampleParams({ sampleEnabled: false, sampleSeed: 'x' })).toMatchObject({ enabled: false, seed: 42 });
+  });
+
+  it('draws the same sorted rows for the same seed', () => {
+    const { rowIds } = sampleRowIds(1000, 10, { seed: 7 });
+    expect(rowIds).toHaveLength(10);
+    expect(Array.from(rowIds)).toEqual([...rowIds].sort((a, b) => a - b));
+    expect(new Set(rowIds).size).toBe(10);
+    expect(sampleRowIds(1000, 10, { seed: 7 }).rowIds).toEqual(rowIds);
+    expect(sampleRowIds(1000, 10, { seed: 8 }).rowIds).not.toEqual(rowIds);
+    expect(sampleRowIds(5, 10).rowIds).toEqual(Uint32Array.from([0, 1, 2, 3, 4]));
+  });
+
+  it('keeps each stratum in proportion', () => {
+    // 60 rows of "a", 30 of "b", 10 of "c".
+    const group = (i) => (i < 60 ? 'a' : i < 90 ? 'b' : 'c');
+    const { rowIds, strata } = sampleRowIds(100, 10, { seed: 3, readStratum: group });
+    expect(strata).toBe(3);
+    const counts = Array.from(rowIds).reduce((acc, i) => ({ ...acc, [group(i)]: (acc[group(i)] || 0) + 1 }), {});
+    expect(counts).toEqual({ a: 6, b: 3, c: 1 });
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import {
+  inferValueType,
+  inferColumnType,
+  inferColumnTypes,
+  applyColumnTypeOverrides,
+  coerceValue,
+  compareTypedValues
+} from '../../src/utils/schemaUtils.js';
+
+describe('schema utils', () => {
+  it('infers value and column types', () => {
+    expect(inferValueType('42')).toBe('integer');
+    expect(inferValueType('4.5')).toBe('decimal');
+    expect(inferValueType('00123')).toBe('string');
+    expect(inferValueType('TRUE')).toBe('boolean');
+    expect(inferValueType('2024-03-01')).toBe('date');
+    expect(inferValueType('2024-03-01T10:30:00')).toBe('datetime');
+    expect(inferValueType('')).toBeNull();
+
+    expect(inferColumnType(['1', '2.5', ''])).toBe('decimal');
+    expect(inferColumnType(['2024-01-01', '2024-01-02 08:00'])).toBe('datetime');
+    expect(inferColumnType(['1', 'abc'])).toBe('mixed');
+    expect(inferColumnType([null, ''])).toBe('string');
+
+    const rows = [{ id: '1', name: 'A' }, { id: '2', name: 'B' }];
+    expect(inferColumnTypes(rows, ['id', 'name'])).toEqual({ id: 'integer', name: 'string' });
+    expect(applyColumnTypeOverrides({ id: 'integer' }, { id: 'string', missing: 'integer' })).toEqual({ id: 'string' });
+  });
+
+  it('coerces and compares by type', () => {
+    expect(coerceValue('7.9', 'integer')).toBe(7);
+    expect(coerceValue('yes', 'boolean')).toBe(true);
+    expect(coerceValue('n/a', 'decimal')).toBeNull();
+    expect(coerceValue('2024-01-02', 'date')).toBe(new Date(2024, 0, 2).getTime());
+    expect(coerceValue('2024-13-02', 'date')).toBeNull();
+
+    expect(compareTypedValues('10', '9', 'integer')).toBeGreaterThan(0);
+    expect(compareTypedValues('10', '9', 'string')).toBeGreaterThan(0);
+    expect(compareTypedValues('b', 'a10', 'string')).toBeGreaterThan(0);
+    expect(compareTypedValues('2024-02-01', '2023-12-31', 'date')).toBeGreaterThan(0);
+    expect(compareTypedValues('', '1', 'integer')).toBeGreaterThan(0);
+  });
+});
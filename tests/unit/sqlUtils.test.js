@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import { compileSql, getSqlSourceNames, parseSql } from '../../src/utils/sqlUtils.js';
+
+const schemas = {
+  input: ['id', 'region', 'qty', 'customer'],
+  customers: ['customer', 'name']
+};
+const resolveSource = (name) => (schemas[name.toLowerCase()]
+  ? { schema: schemas[name.toLowerCase()], table: name === 'input' ? '' : name, nodeId: name === 'input' ? 'parent' : '' }
+  : null);
+
+const compileError = (sql) => {
+  try {
+    compileSql(sql, resolveSource);
+  } catch (err) {
+    return err;
+  }
+  return null;
+};
+
+describe('sql utils', () => {
+  it('parses clauses and lists the sources a query reads', () => {
+    const query = parseSql(`SELECT DISTINCT o.region AS r, COUNT(*) n
+      FROM input o LEFT OUTER JOIN "Customers" c ON o.customer = c.customer
+      WHERE qty BETWEEN 1 AND 5 -- comment
+      ORDER BY 2 DESC NULLS FIRST LIMIT 10 OFFSET 5;`);
+    expect(query.distinct).toBe(true);
+    expect(query.items.map((item) => item.alias)).toEqual(['r', 'n']);
+    expect(query.joins[0]).toMatchObject({ joinType: 'LEFT', source: { name: 'Customers', alias: 'c' } });
+    expect(query.orderBy[0]).toMatchObject({ direction: 'desc', nulls: 'first' });
+    expect(query).toMatchObject({ limit: 10, offset: 5 });
+    expect(getSqlSourceNames(query)).toEqual(['input', 'Customers']);
+  });
+
+  it('reports syntax errors with their line and column', () => {
+    expect(() => parseSql('SELECT id\nFROM input\nWHERE qty >')).toThrow('Expected a value or column but found end of query (line 3, column 12)');
+    const error = compileError("SELECT id FROM input WHERE region = 'N");
+    expect(error).toMatchObject({ reason: 'Unterminated string', line: 1, column: 37, position: 36 });
+    expect(compileError('SELECT nope FROM input')).toMatchObject({ reason: 'Unknown column "nope"', position: 7, end: 11 });
+    expect(compileError('SELECT * FROM missing').reason).toBe('Unknown table "missing"');
+  });
+
+  it('compiles clauses onto engine steps in order', () => {
+    const { steps, columns } = compileSql(`SELECT region, SUM(qty) AS total
+      FROM input WHERE customer LIKE 'a%' AND qty > 0
+      GROUP BY region HAVING COUNT(*) >= 2 ORDER BY total DESC LIMIT 3`, resolveSource);
+    expect(steps.map((step) => step.type)).toEqual(['FILTER', 'AGGREGATE', 'FILTER', 'SORT', 'COLUMNS', 'LIMIT']);
+    expect(steps[0].params.filters).toEqual([
+      { field: 'customer', operator: 'is_not_null', value: '' },
+      { field: 'customer', operator: 'regex', value: '^a.*$', caseSensitive: true },
+      { field: 'qty', operator: 'is_not_null', value: '' },
+      { field: 'qty', operator: 'gt', value: '0' }
+    ]);
+    const [sum, count] = steps[1].params.metrics;
+    expect(steps[1].params.groupBy).toEqual(['region']);
+    expect(sum).toMatchObject({ fn: 'sum', field: 'qty' });
+    expect(count).toMatchObject({ fn: 'count', field: '' });
+    expect(steps[2].params.filters).toEqual([
+      { field: count.alias, operator: 'is_not_null', value: '' },
+      { field: count.alias, operator: 'gte', value: '2' }
+    ]);
+    expect(steps[3].params.sortKeys).toEqual([{ field: sum.alias, direction: 'desc' }]);
+    expect(steps[5].params).toEqual({ limit: 3, offset: 0 });
+    expect(columns).toEqual(['region', 'total']);
+  });
+
+  it('pushes NOT down to conditions that leave out NULL', () => {
+    const { steps } = compileSql("SELECT id FROM input WHERE NOT (region = 'N' OR qty NOT BETWEEN 1 AND 5) AND customer IS NOT NULL", resolveSource);
+    expect(steps[0].params).toEqual({
+      combinator: 'AND',
+      filters: [
+        { field: 'region', operator: 'is_not_null', value: '' },
+        { field: 'region', operator: 'not_equals', value: 'N' },
+        { field: 'qty', operator: 'is_not_null', value: '' },
+        { field: 'qty', operator: 'between', value: '1', valueTo: '5' },
+        { field: 'customer', operator: 'is_not_null', value: '' }
+      ]
+    });
+    expect(compileSql('SELECT id FROM input WHERE NOT qty > 2', resolveSource).steps[0].params.filters[1])
+      .toEqual({ field: 'qty', operator: 'lte', value: '2' });
+  });
+
+  it('turns expressions into calculated helper columns', () => {
+    const { steps } = compileSql("SELECT id, qty * 2 AS double FROM input WHERE qty + 1 > 3 OR region || 'x' = 'Nx'", resolveSource);
+    expect(steps[0]).toEqual({ type: 'CALCULATE', params: { columnName: '__sql1', expression: 'IF((([qty] + 1) > 3), 1, NULL)' } });
+    expect(steps[1].params.expression).toBe("IF((([region] & 'x') = 'Nx'), 1, NULL)");
+    expect(steps[2].params).toEqual({
+      combinator: 'OR',
+      filters: [
+        { field: '__sql1', operator: 'is_not_null', value: '' },
+        { field: '__sql2', operator: 'is_not_null', value: '' }
+      ]
+    });
+    expect(steps[3].params.expression).toBe('([qty] * 2)');
+    expect(steps[4].params.columnOps).toEqual([{ field: 'id', name: 'id' }, { field: '__sql3', name: 'double' }]);
+  });
+
+  it('prefixes joined columns and rejects unclear references', () => {
+    const { steps } = compileSql('SELECT c.name FROM input JOIN customers c ON input.customer = c.customer', resolveSource);
+    expect(steps[0].params).toMatchObject({ joinType: 'INNER', rightTable: 'customers', joinKeys: [{ left: 'customer', right: 'customer' }] });
+    expect(steps[1].params.columnOps).toEqual([{ field: 'customers_name', name: 'name' }]);
+    expect(compileError('SELECT customer FROM input JOIN customers c ON input.customer = c.customer').reason)
+      .toBe('Column "customer" is ambiguous; prefix it with a table name');
+    expect(compileError('SELECT region, qty FROM input GROUP BY region').reason)
+      .toBe('Column "qty" must be in GROUP BY or inside an aggregate function');
+    expect(compileError('SELECT id FROM input WHERE SUM(qty) > 1').reason)
+      .toBe('SUM can only be used in SELECT, HAVING or ORDER BY');
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { computeWindowValues, normalizeWindowParams } from '../../src/utils/windowUtils.js';
+
+describe('window utils', () => {
+  it('drops incomplete windows and fills unique default aliases', () => {
+    const params = normalizeWindowParams({
+      partitionBy: 'region',
+      windows: [
+        { fn: 'rank' },
+        { fn: 'rank' },
+        { fn: 'running_sum' },
+        { fn: 'lead', field: 'amount', offset: 0 },
+        { fn: 'bogus' }
+      ]
+    });
+    expect(params.partitionBy).toEqual(['region']);
+    expect(params.windows.map((item) => item.alias)).toEqual(['rank', 'rank_2', 'lead_amount']);
+    expect(params.windows[2].offset).toBe(1);
+  });
+
+  it('ranks ties and counts non-blank values in sort order', () => {
+    const rows = [
+      { score: 90, note: 'a' },
+      { score: 80, note: '' },
+      { score: 90, note: 'b' },
+      { score: 70, note: 'c' }
+    ];
+    const params = normalizeWindowParams({
+      sortKeys: [{ field: 'score', direction: 'desc' }],
+      windows: [{ fn: 'rank' }, { fn: 'dense_rank' }, { fn: 'running_count', field: 'note' }]
+    });
+    const [rank, dense, counts] = computeWindowValues(
+      rows.length,
+      (index, field) => rows[index][field],
+      params,
+      { score: 'number', note: 'string' }
+    );
+    expect(rank).toEqual([1, 3, 1, 4]);
+    expect(dense).toEqual([1, 2, 1, 3]);
+    expect(counts).toEqual([1, 2, 2, 3]);
+  });
+});
@@ -15,6 +15,9 @@ const jsxInJs = () => ({
   }
 });
 
+// Tests run in a fixed zone west of UTC so date handling that silently assumes UTC shows up here.
+process.env.TZ = 'America/New_York';
+
 export default defineConfig({
   plugins: [jsxInJs()],
   test: {